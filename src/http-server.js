@@ -1,7 +1,11 @@
 import express from "express";
+import fs from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { Q2Client } from "./libs/q2client.js";
+import { DemoPlayer } from "./libs/q2demo.js";
+import { Q2MonitorManager } from "./libs/q2monitor.js";
+import { isSafeDownloadPath } from "./libs/q2download.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,6 +18,28 @@ const SERVER_IP = process.env.Q2_SERVER || "68.183.147.157";
 const SERVER_PORT = parseInt(process.env.Q2_PORT) || 27911;
 const PASSIVE_MODE = process.env.PASSIVE === "1";
 const DEBUG_MODE = process.env.DEBUG === "1";
+const DEMO_FILE = process.env.DEMO || null;
+const DEMO_SPEED = parseFloat(process.env.DEMO_SPEED) || 1;
+// Captura de los paquetes UDP de la conexión (ver libs/q2capture.js)
+const CAPTURE_FILE = process.env.CAPTURE || null;
+// Intervalo mínimo (ms) entre actualizaciones de una entidad; 0 no limita
+const updateIntervalEnv = parseInt(process.env.UPDATE_INTERVAL);
+const UPDATE_INTERVAL = isNaN(updateIntervalEnv) ? 100 : updateIntervalEnv;
+// Cache de mapas descargados del servidor (ver libs/q2download.js)
+const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || null;
+const DOWNLOAD_ASSETS = process.env.DOWNLOAD_ASSETS === "1";
+// Archivos del juego para el viewer (maps/*.bsp, textures/*.wal,
+// pics/colormap.pcx), con la estructura de baseq2
+const MAPS_DIR = process.env.MAPS_DIR || null;
+const MVD_MODE = process.env.MVD === "1";
+const GTV_USER = process.env.GTV_USER || "";
+const GTV_PASSWORD = process.env.GTV_PASSWORD || "";
+// Varios servidores a la vez: "host:port,host:port" (modo monitor por defecto)
+const SERVERS = (process.env.Q2_SERVERS || "")
+  .split(",")
+  .map((server) => server.trim())
+  .filter(Boolean);
+const SERVERS_MODE = process.env.SERVERS_MODE || "monitor";
 
 // Almacenar clientes SSE conectados
 const sseClients = new Set();
@@ -24,14 +50,48 @@ const client = new Q2Client({
   serverPort: SERVER_PORT,
   passiveMode: PASSIVE_MODE,
   monitorMode: false,
+  mvdMode: MVD_MODE,
+  gtvUsername: GTV_USER,
+  gtvPassword: GTV_PASSWORD,
   debug: DEBUG_MODE,
   playerName: "Spectre",
   monitorInterval: 5000,
+  updateInterval: UPDATE_INTERVAL,
+  downloadDir: DOWNLOAD_DIR,
+  downloadAssets: DOWNLOAD_ASSETS,
 });
 
+// Con Q2_SERVERS, un manager con un cliente por servidor reemplaza al único
+const manager = SERVERS.length
+  ? new Q2MonitorManager({
+      clientOptions: {
+        debug: DEBUG_MODE,
+        playerName: "Spectre",
+        monitorInterval: 5000,
+        updateInterval: UPDATE_INTERVAL,
+      },
+    })
+  : null;
+const source = manager || client;
+
+// Cliente destino de un comando: en modo multi-servidor se elige con `server`
+function targetClient(req, res) {
+  const target = manager ? manager.get((req.body || {}).server || "") : client;
+  if (!target) {
+    res.status(404).json({ error: "Servidor desconocido" });
+  }
+  return target;
+}
+
+function parseServer(server) {
+  const [host, port] = server.split(":");
+  return { host, port: parseInt(port) || 27910 };
+}
+
 // Middleware para CORS
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "*");
+  res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
   res.header(
     "Access-Control-Allow-Headers",
     "Origin, X-Requested-With, Content-Type, Accept"
@@ -47,8 +107,14 @@ app.get("/api/events", (req, res) => {
   res.setHeader("Connection", "keep-alive");
   res.setHeader("X-Accel-Buffering", "no"); // Deshabilitar buffering en nginx
 
-  // Enviar mensaje inicial de conexión
-  res.write(`data: ${JSON.stringify({ type: "connected" })}\n\n`);
+  // Enviar mensaje inicial de conexión, con el mapa actual para el viewer:
+  // el nombre del nivel y el .bsp que tiene que cargar
+  const initial = { type: "connected" };
+  if (!manager && client.currentMapName) {
+    initial.map = client.currentMapName;
+    initial.mapFile = client.configStrings.getModelName(1);
+  }
+  res.write(`data: ${JSON.stringify(initial)}\n\n`);
 
   // Agregar cliente a la lista
   sseClients.add(res);
@@ -60,6 +126,114 @@ app.get("/api/events", (req, res) => {
   });
 });
 
+// Endpoints para hablar con los jugadores y mandar comandos al servidor
+app.use("/api", express.json());
+
+app.post("/api/say", (req, res) => {
+  const { text, team } = req.body || {};
+  if (!text) {
+    return res.status(400).json({ error: "Falta el texto" });
+  }
+
+  const target = targetClient(req, res);
+  if (!target) return;
+
+  try {
+    if (team) {
+      target.sayTeam(text);
+    } else {
+      target.say(text);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ ok: true });
+});
+
+app.post("/api/command", (req, res) => {
+  const { command } = req.body || {};
+  if (!command) {
+    return res.status(400).json({ error: "Falta el comando" });
+  }
+
+  const target = targetClient(req, res);
+  if (!target) return;
+
+  try {
+    target.command(command);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ ok: true });
+});
+
+app.post("/api/userinfo", (req, res) => {
+  const { key, value } = req.body || {};
+  if (!key) {
+    return res.status(400).json({ error: "Falta la clave" });
+  }
+
+  const target = targetClient(req, res);
+  if (!target) return;
+
+  try {
+    target.setUserinfo(key, value ?? "");
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ ok: true });
+});
+
+// Archivos del juego para el viewer: primero MAPS_DIR y después lo que
+// bajó el cliente a DOWNLOAD_DIR
+app.get("/api/assets/*", (req, res) => {
+  const file = req.params[0];
+  if (!isSafeDownloadPath(file)) {
+    return res.status(400).json({ error: "Ruta inválida" });
+  }
+
+  const candidates = [];
+  if (MAPS_DIR) candidates.push(join(MAPS_DIR, file));
+  if (DOWNLOAD_DIR && !manager)
+    candidates.push(client.downloads.cachedPath(file));
+
+  const found = candidates.find((path) => path && fs.existsSync(path));
+  if (!found) {
+    return res.status(404).json({ error: "Archivo no encontrado" });
+  }
+  res.sendFile(found);
+});
+
+// Administración de servidores en modo multi-servidor
+app.get("/api/servers", (req, res) => {
+  res.json(manager ? manager.list() : []);
+});
+
+app.post("/api/servers", async (req, res) => {
+  const { server, mode } = req.body || {};
+  if (!manager) {
+    return res.status(400).json({ error: "Modo multi-servidor desactivado" });
+  }
+  if (!server) {
+    return res.status(400).json({ error: "Falta el servidor" });
+  }
+
+  try {
+    const { host, port } = parseServer(server);
+    await manager.add(host, port, mode || SERVERS_MODE);
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete("/api/servers/:server", (req, res) => {
+  if (!manager || !manager.remove(req.params.server)) {
+    return res.status(404).json({ error: "Servidor desconocido" });
+  }
+  res.json({ ok: true });
+});
+
 // Función helper para enviar eventos a todos los clientes SSE
 function broadcastEvent(data) {
   const message = `data: ${JSON.stringify(data)}\n\n`;
@@ -73,28 +247,50 @@ function broadcastEvent(data) {
   });
 }
 
-// Escuchar eventos del Q2Client
-client.on("player_update", (event) => {
+// Escuchar eventos del Q2Client (o del manager, con el servidor de origen)
+source.on("player_update", (event) => {
   broadcastEvent({
     type: "player_update",
+    server: event.server,
+    data: event.data,
+  });
+});
+
+source.on("entity_leave", (event) => {
+  broadcastEvent({
+    type: "entity_leave",
+    server: event.server,
     data: event.data,
   });
 });
 
-client.on("server_info", (event) => {
+source.on("server_info", (event) => {
   broadcastEvent({
     type: "server_info",
+    server: event.server,
     data: event.data,
   });
 });
 
-client.on("connection", (event) => {
+source.on("connection", (event) => {
   broadcastEvent({
     type: "connection",
+    server: event.server,
     data: event.data,
   });
 });
 
+// Solo las descargas terminadas: el viewer carga el mapa cuando llega
+source.on("download", (event) => {
+  if (event.data.status !== "completed") return;
+  broadcastEvent({
+    type: "download",
+    server: event.server,
+    // Sin la ruta local: el viewer lo pide por /api/assets
+    data: { file: event.data.file, source: event.data.source },
+  });
+});
+
 // En producción, servir archivos estáticos del frontend
 if (process.env.NODE_ENV === "production") {
   const frontendDist = join(__dirname, "frontend", "dist");
@@ -106,10 +302,39 @@ if (process.env.NODE_ENV === "production") {
 }
 
 // Iniciar servidor
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   console.log(`🚀 Servidor Express corriendo en http://localhost:${PORT}`);
+
+  // Reproducir un demo en lugar de conectarse a un servidor
+  if (DEMO_FILE) {
+    console.log(`🎬 Reproduciendo demo: ${DEMO_FILE} (x${DEMO_SPEED})`);
+    const player = new DemoPlayer(client, { speed: DEMO_SPEED });
+    player.on("end", ({ frames }) => {
+      console.log(`🎬 Demo terminado (${frames} frames)`);
+    });
+    await player.load(DEMO_FILE);
+    player.play();
+    return;
+  }
+
+  if (manager) {
+    console.log(`📡 Monitoreando ${SERVERS.length} servidores Q2`);
+    for (const server of SERVERS) {
+      const { host, port } = parseServer(server);
+      manager.add(host, port, SERVERS_MODE).catch((error) => {
+        console.error(`❌ ${server}: ${error.message}`);
+      });
+    }
+    return;
+  }
+
   console.log(`📡 Conectando a servidor Q2: ${SERVER_IP}:${SERVER_PORT}`);
 
+  if (CAPTURE_FILE) {
+    console.log(`📼 Capturando paquetes en ${CAPTURE_FILE}`);
+    client.startCapture(CAPTURE_FILE);
+  }
+
   // Conectar el cliente Q2
   client.connect();
 });
@@ -118,6 +343,7 @@ app.listen(PORT, () => {
 process.on("SIGINT", () => {
   console.log("\n🛑 Cerrando servidor...");
   client.disconnect();
+  if (manager) manager.close();
   sseClients.forEach((client) => {
     try {
       client.end();
@@ -131,6 +357,7 @@ process.on("SIGINT", () => {
 process.on("SIGTERM", () => {
   console.log("\n🛑 Cerrando servidor...");
   client.disconnect();
+  if (manager) manager.close();
   sseClients.forEach((client) => {
     try {
       client.end();
@@ -0,0 +1,168 @@
+// Tabla de normales precalculadas (anorms.h de Quake 2)
+// Las direcciones de los temp entities viajan como un byte que indexa esta tabla
+export const NUMVERTEXNORMALS = 162;
+
+export const BYTEDIRS = [
+  [-0.525731, 0, 0.850651],
+  [-0.442863, 0.238856, 0.864188],
+  [-0.295242, 0, 0.955423],
+  [-0.309017, 0.5, 0.809017],
+  [-0.16246, 0.262866, 0.951056],
+  [0, 0, 1],
+  [0, 0.850651, 0.525731],
+  [-0.147621, 0.716567, 0.681718],
+  [0.147621, 0.716567, 0.681718],
+  [0, 0.525731, 0.850651],
+  [0.309017, 0.5, 0.809017],
+  [0.525731, 0, 0.850651],
+  [0.295242, 0, 0.955423],
+  [0.442863, 0.238856, 0.864188],
+  [0.16246, 0.262866, 0.951056],
+  [-0.681718, 0.147621, 0.716567],
+  [-0.809017, 0.309017, 0.5],
+  [-0.587785, 0.425325, 0.688191],
+  [-0.850651, 0.525731, 0],
+  [-0.864188, 0.442863, 0.238856],
+  [-0.716567, 0.681718, 0.147621],
+  [-0.688191, 0.587785, 0.425325],
+  [-0.5, 0.809017, 0.309017],
+  [-0.238856, 0.864188, 0.442863],
+  [-0.425325, 0.688191, 0.587785],
+  [-0.716567, 0.681718, -0.147621],
+  [-0.5, 0.809017, -0.309017],
+  [-0.525731, 0.850651, 0],
+  [0, 0.850651, -0.525731],
+  [-0.238856, 0.864188, -0.442863],
+  [0, 0.955423, -0.295242],
+  [-0.262866, 0.951056, -0.16246],
+  [0, 1, 0],
+  [0, 0.955423, 0.295242],
+  [-0.262866, 0.951056, 0.16246],
+  [0.238856, 0.864188, 0.442863],
+  [0.262866, 0.951056, 0.16246],
+  [0.5, 0.809017, 0.309017],
+  [0.238856, 0.864188, -0.442863],
+  [0.262866, 0.951056, -0.16246],
+  [0.5, 0.809017, -0.309017],
+  [0.850651, 0.525731, 0],
+  [0.716567, 0.681718, 0.147621],
+  [0.716567, 0.681718, -0.147621],
+  [0.525731, 0.850651, 0],
+  [0.425325, 0.688191, 0.587785],
+  [0.864188, 0.442863, 0.238856],
+  [0.688191, 0.587785, 0.425325],
+  [0.809017, 0.309017, 0.5],
+  [0.681718, 0.147621, 0.716567],
+  [0.587785, 0.425325, 0.688191],
+  [0.955423, 0.295242, 0],
+  [1, 0, 0],
+  [0.951056, 0.16246, 0.262866],
+  [0.850651, -0.525731, 0],
+  [0.955423, -0.295242, 0],
+  [0.864188, -0.442863, 0.238856],
+  [0.951056, -0.16246, 0.262866],
+  [0.809017, -0.309017, 0.5],
+  [0.681718, -0.147621, 0.716567],
+  [0.850651, 0, 0.525731],
+  [0.864188, 0.442863, -0.238856],
+  [0.809017, 0.309017, -0.5],
+  [0.951056, 0.16246, -0.262866],
+  [0.525731, 0, -0.850651],
+  [0.681718, 0.147621, -0.716567],
+  [0.681718, -0.147621, -0.716567],
+  [0.850651, 0, -0.525731],
+  [0.809017, -0.309017, -0.5],
+  [0.864188, -0.442863, -0.238856],
+  [0.951056, -0.16246, -0.262866],
+  [0.147621, 0.716567, -0.681718],
+  [0.309017, 0.5, -0.809017],
+  [0.425325, 0.688191, -0.587785],
+  [0.442863, 0.238856, -0.864188],
+  [0.587785, 0.425325, -0.688191],
+  [0.688191, 0.587785, -0.425325],
+  [-0.147621, 0.716567, -0.681718],
+  [-0.309017, 0.5, -0.809017],
+  [0, 0.525731, -0.850651],
+  [-0.525731, 0, -0.850651],
+  [-0.442863, 0.238856, -0.864188],
+  [-0.295242, 0, -0.955423],
+  [-0.16246, 0.262866, -0.951056],
+  [0, 0, -1],
+  [0.295242, 0, -0.955423],
+  [0.16246, 0.262866, -0.951056],
+  [-0.442863, -0.238856, -0.864188],
+  [-0.309017, -0.5, -0.809017],
+  [-0.16246, -0.262866, -0.951056],
+  [0, -0.850651, -0.525731],
+  [-0.147621, -0.716567, -0.681718],
+  [0.147621, -0.716567, -0.681718],
+  [0, -0.525731, -0.850651],
+  [0.309017, -0.5, -0.809017],
+  [0.442863, -0.238856, -0.864188],
+  [0.16246, -0.262866, -0.951056],
+  [0.238856, -0.864188, -0.442863],
+  [0.5, -0.809017, -0.309017],
+  [0.425325, -0.688191, -0.587785],
+  [0.716567, -0.681718, -0.147621],
+  [0.688191, -0.587785, -0.425325],
+  [0.587785, -0.425325, -0.688191],
+  [0, -0.955423, -0.295242],
+  [0, -1, 0],
+  [0.262866, -0.951056, -0.16246],
+  [0, -0.850651, 0.525731],
+  [0, -0.955423, 0.295242],
+  [0.238856, -0.864188, 0.442863],
+  [0.262866, -0.951056, 0.16246],
+  [0.5, -0.809017, 0.309017],
+  [0.716567, -0.681718, 0.147621],
+  [0.525731, -0.850651, 0],
+  [-0.238856, -0.864188, -0.442863],
+  [-0.5, -0.809017, -0.309017],
+  [-0.262866, -0.951056, -0.16246],
+  [-0.850651, -0.525731, 0],
+  [-0.716567, -0.681718, -0.147621],
+  [-0.716567, -0.681718, 0.147621],
+  [-0.525731, -0.850651, 0],
+  [-0.5, -0.809017, 0.309017],
+  [-0.238856, -0.864188, 0.442863],
+  [-0.262866, -0.951056, 0.16246],
+  [-0.864188, -0.442863, 0.238856],
+  [-0.809017, -0.309017, 0.5],
+  [-0.688191, -0.587785, 0.425325],
+  [-0.681718, -0.147621, 0.716567],
+  [-0.442863, -0.238856, 0.864188],
+  [-0.587785, -0.425325, 0.688191],
+  [-0.309017, -0.5, 0.809017],
+  [-0.147621, -0.716567, 0.681718],
+  [-0.425325, -0.688191, 0.587785],
+  [-0.16246, -0.262866, 0.951056],
+  [0.442863, -0.238856, 0.864188],
+  [0.16246, -0.262866, 0.951056],
+  [0.309017, -0.5, 0.809017],
+  [0.147621, -0.716567, 0.681718],
+  [0, -0.525731, 0.850651],
+  [0.425325, -0.688191, 0.587785],
+  [0.587785, -0.425325, 0.688191],
+  [0.688191, -0.587785, 0.425325],
+  [-0.955423, 0.295242, 0],
+  [-0.951056, 0.16246, 0.262866],
+  [-1, 0, 0],
+  [-0.850651, 0, 0.525731],
+  [-0.955423, -0.295242, 0],
+  [-0.951056, -0.16246, 0.262866],
+  [-0.864188, 0.442863, -0.238856],
+  [-0.951056, 0.16246, -0.262866],
+  [-0.809017, 0.309017, -0.5],
+  [-0.864188, -0.442863, -0.238856],
+  [-0.951056, -0.16246, -0.262866],
+  [-0.809017, -0.309017, -0.5],
+  [-0.681718, 0.147621, -0.716567],
+  [-0.681718, -0.147621, -0.716567],
+  [-0.850651, 0, -0.525731],
+  [-0.688191, 0.587785, -0.425325],
+  [-0.587785, 0.425325, -0.688191],
+  [-0.425325, 0.688191, -0.587785],
+  [-0.425325, -0.688191, -0.587785],
+  [-0.587785, -0.425325, -0.688191],
+  [-0.688191, -0.587785, -0.425325],
+];
@@ -0,0 +1,524 @@
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+export const BSP_IDENT = 0x50534249; // "IBSP"
+export const BSP_VERSION = 38;
+
+// Lumps del encabezado (qfiles.h)
+export const LUMP = {
+  ENTITIES: 0,
+  PLANES: 1,
+  VERTEXES: 2,
+  VISIBILITY: 3,
+  NODES: 4,
+  TEXINFO: 5,
+  FACES: 6,
+  LIGHTING: 7,
+  LEAFS: 8,
+  LEAFFACES: 9,
+  LEAFBRUSHES: 10,
+  EDGES: 11,
+  SURFEDGES: 12,
+  MODELS: 13,
+  BRUSHES: 14,
+  BRUSHSIDES: 15,
+  POP: 16,
+  AREAS: 17,
+  AREAPORTALS: 18,
+};
+const HEADER_LUMPS = 19;
+const HEADER_SIZE = 8 + HEADER_LUMPS * 8;
+
+// Flags de superficie del texinfo
+export const SURF = {
+  LIGHT: 0x1,
+  SLICK: 0x2,
+  SKY: 0x4,
+  WARP: 0x8,
+  TRANS33: 0x10,
+  TRANS66: 0x20,
+  FLOWING: 0x40,
+  NODRAW: 0x80,
+};
+
+// Tamaño de los registros de cada lump
+const PLANE_SIZE = 20;
+const VERTEX_SIZE = 12;
+const TEXINFO_SIZE = 76;
+const FACE_SIZE = 20;
+const EDGE_SIZE = 4;
+const MODEL_SIZE = 48;
+
+// Un texel de lightmap cubre 16 unidades del mundo
+const LIGHTMAP_SCALE = 16;
+const LIGHTMAP_ATLAS_WIDTH = 512;
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parsea un mapa de Quake 2 (IBSP versión 38). Acepta un ArrayBuffer o un
+ * Uint8Array/Buffer, así que sirve igual en Node y en el viewer
+ *
+ * Retorna los lumps que hacen falta para dibujar el mapa: entidades,
+ * planos, vértices, texinfo, caras, aristas, modelos y lightmaps
+ */
+export function parseBsp(data) {
+  const bytes =
+    data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < HEADER_SIZE) {
+    throw new Error("BSP demasiado corto");
+  }
+  if (view.getUint32(0, true) !== BSP_IDENT) {
+    throw new Error("No es un BSP de Quake 2");
+  }
+  const version = view.getInt32(4, true);
+  if (version !== BSP_VERSION) {
+    throw new Error(`Versión de BSP no soportada: ${version}`);
+  }
+
+  const lump = (index, size = 1) => {
+    const offset = view.getInt32(8 + index * 8, true);
+    const length = view.getInt32(8 + index * 8 + 4, true);
+    if (offset < 0 || length < 0 || offset + length > bytes.length) {
+      throw new Error(`Lump ${index} fuera del archivo`);
+    }
+    if (length % size !== 0) {
+      throw new Error(`Lump ${index} con tamaño inválido`);
+    }
+    return { offset, count: length / size, length };
+  };
+
+  return {
+    version,
+    entities: parseEntities(readLumpString(bytes, lump(LUMP.ENTITIES))),
+    planes: readPlanes(view, lump(LUMP.PLANES, PLANE_SIZE)),
+    vertices: readVertices(view, lump(LUMP.VERTEXES, VERTEX_SIZE)),
+    texinfo: readTexinfo(view, bytes, lump(LUMP.TEXINFO, TEXINFO_SIZE)),
+    faces: readFaces(view, lump(LUMP.FACES, FACE_SIZE)),
+    edges: readEdges(view, lump(LUMP.EDGES, EDGE_SIZE)),
+    surfEdges: readSurfEdges(view, lump(LUMP.SURFEDGES, 4)),
+    models: readModels(view, lump(LUMP.MODELS, MODEL_SIZE)),
+    lighting: readLighting(bytes, lump(LUMP.LIGHTING)),
+  };
+}
+
+function readLumpString(bytes, { offset, length }) {
+  let text = "";
+  for (let i = offset; i < offset + length && bytes[i]; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+function readVec3(view, offset) {
+  return {
+    x: view.getFloat32(offset, true),
+    y: view.getFloat32(offset + 4, true),
+    z: view.getFloat32(offset + 8, true),
+  };
+}
+
+function readPlanes(view, { offset, count }) {
+  const planes = [];
+  for (let i = 0; i < count; i++) {
+    const base = offset + i * PLANE_SIZE;
+    planes.push({
+      normal: readVec3(view, base),
+      dist: view.getFloat32(base + 12, true),
+      type: view.getInt32(base + 16, true),
+    });
+  }
+  return planes;
+}
+
+function readVertices(view, { offset, count }) {
+  const vertices = new Float32Array(count * 3);
+  for (let i = 0; i < count * 3; i++) {
+    vertices[i] = view.getFloat32(offset + i * 4, true);
+  }
+  return vertices;
+}
+
+/**
+ * texinfo_t: vecs[2][4], flags, value, texture[32], nexttexinfo
+ */
+function readTexinfo(view, bytes, { offset, count }) {
+  const texinfo = [];
+  for (let i = 0; i < count; i++) {
+    const base = offset + i * TEXINFO_SIZE;
+    const vecs = [0, 1].map((axis) =>
+      [0, 1, 2, 3].map((j) => view.getFloat32(base + axis * 16 + j * 4, true))
+    );
+    texinfo.push({
+      vecs,
+      flags: view.getInt32(base + 32, true),
+      value: view.getInt32(base + 36, true),
+      texture: readLumpString(bytes, { offset: base + 40, length: 32 }).trim(),
+      next: view.getInt32(base + 72, true),
+    });
+  }
+  return texinfo;
+}
+
+/**
+ * dface_t: planenum, side, firstedge, numedges, texinfo, styles[4],
+ * lightofs
+ */
+function readFaces(view, { offset, count }) {
+  const faces = [];
+  for (let i = 0; i < count; i++) {
+    const base = offset + i * FACE_SIZE;
+    faces.push({
+      plane: view.getUint16(base, true),
+      side: view.getInt16(base + 2, true),
+      firstEdge: view.getInt32(base + 4, true),
+      numEdges: view.getInt16(base + 8, true),
+      texinfo: view.getInt16(base + 10, true),
+      styles: [0, 1, 2, 3].map((j) => view.getUint8(base + 12 + j)),
+      lightofs: view.getInt32(base + 16, true),
+    });
+  }
+  return faces;
+}
+
+function readEdges(view, { offset, count }) {
+  const edges = new Uint16Array(count * 2);
+  for (let i = 0; i < count * 2; i++) {
+    edges[i] = view.getUint16(offset + i * 2, true);
+  }
+  return edges;
+}
+
+function readSurfEdges(view, { offset, count }) {
+  const surfEdges = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    surfEdges[i] = view.getInt32(offset + i * 4, true);
+  }
+  return surfEdges;
+}
+
+/**
+ * dmodel_t: el 0 es el mundo; el resto, puertas, plataformas, etc
+ */
+function readModels(view, { offset, count }) {
+  const models = [];
+  for (let i = 0; i < count; i++) {
+    const base = offset + i * MODEL_SIZE;
+    models.push({
+      mins: readVec3(view, base),
+      maxs: readVec3(view, base + 12),
+      origin: readVec3(view, base + 24),
+      headNode: view.getInt32(base + 36, true),
+      firstFace: view.getInt32(base + 40, true),
+      numFaces: view.getInt32(base + 44, true),
+    });
+  }
+  return models;
+}
+
+function readLighting(bytes, { offset, length }) {
+  return bytes.slice(offset, offset + length);
+}
+
+/**
+ * Lump de entidades: bloques `{ "clave" "valor" ... }`
+ */
+export function parseEntities(text) {
+  const entities = [];
+  const tokens = text.match(/"[^"]*"|[{}]/g) || [];
+  let current = null;
+  let key = null;
+
+  for (const token of tokens) {
+    if (token === "{") {
+      current = {};
+    } else if (token === "}") {
+      if (current) entities.push(current);
+      current = null;
+      key = null;
+    } else if (current) {
+      const value = token.slice(1, -1);
+      if (key === null) {
+        key = value;
+      } else {
+        current[key] = value;
+        key = null;
+      }
+    }
+  }
+
+  return entities;
+}
+
+// ============================================================================
+// GEOMETRÍA
+// ============================================================================
+
+/**
+ * Vértices de una cara en orden, a partir de sus surfedges (un surfedge
+ * negativo recorre la arista al revés)
+ */
+export function faceVertices(bsp, face) {
+  const indices = [];
+  for (let i = 0; i < face.numEdges; i++) {
+    const surfEdge = bsp.surfEdges[face.firstEdge + i];
+    indices.push(
+      surfEdge >= 0 ? bsp.edges[surfEdge * 2] : bsp.edges[-surfEdge * 2 + 1]
+    );
+  }
+  return indices;
+}
+
+/**
+ * Arma la malla de un modelo del BSP (el mundo por defecto) en arrays
+ * planos, sin depender de three.js:
+ *
+ * - positions, normals: por vértice, en coordenadas de Quake (Z arriba)
+ * - uvs: coordenadas de textura en texels; se dividen por el tamaño de la
+ *   textura al armar el material
+ * - lightmapUvs: coordenadas en el atlas de `lightmap` (RGBA)
+ * - indices: triángulos en sentido antihorario visto desde la normal,
+ *   ordenados por grupo
+ * - groups: `{ texture, flags, start, count }` por textura
+ *
+ * Opciones:
+ * - model: índice del modelo (0 = mundo)
+ * - skipFlags: superficies que no se dibujan (cielo y nodraw)
+ */
+export function buildBspGeometry(bsp, options = {}) {
+  const model = bsp.models[options.model || 0];
+  if (!model) throw new Error("El BSP no tiene ese modelo");
+  const skipFlags = options.skipFlags ?? SURF.SKY | SURF.NODRAW;
+
+  // Caras a dibujar, agrupadas por textura y flags de transparencia
+  const faces = [];
+  for (let i = 0; i < model.numFaces; i++) {
+    const face = bsp.faces[model.firstFace + i];
+    const texinfo = bsp.texinfo[face.texinfo];
+    if (!texinfo || face.numEdges < 3 || texinfo.flags & skipFlags) continue;
+    faces.push({ face, texinfo, key: groupKey(texinfo) });
+  }
+  faces.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+  const vertexCount = faces.reduce((sum, { face }) => sum + face.numEdges, 0);
+  const indexCount = faces.reduce(
+    (sum, { face }) => sum + (face.numEdges - 2) * 3,
+    0
+  );
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const uvs = new Float32Array(vertexCount * 2);
+  const lightmapUvs = new Float32Array(vertexCount * 2);
+  const indices = new Uint32Array(indexCount);
+
+  const atlas = new LightmapAtlas();
+  const groups = [];
+  let vertex = 0;
+  let index = 0;
+
+  for (const { face, texinfo, key } of faces) {
+    let group = groups[groups.length - 1];
+    if (!group || group.key !== key) {
+      group = {
+        key,
+        texture: texinfo.texture,
+        flags: texinfo.flags & (SURF.TRANS33 | SURF.TRANS66 | SURF.WARP),
+        start: index,
+        count: 0,
+      };
+      groups.push(group);
+    }
+
+    const plane = bsp.planes[face.plane];
+    const sign = face.side ? -1 : 1;
+    const normal = {
+      x: plane.normal.x * sign,
+      y: plane.normal.y * sign,
+      z: plane.normal.z * sign,
+    };
+
+    // Coordenadas de textura de cada vértice (en texels)
+    const verts = faceVertices(bsp, face).map((v) => {
+      const x = bsp.vertices[v * 3];
+      const y = bsp.vertices[v * 3 + 1];
+      const z = bsp.vertices[v * 3 + 2];
+      const [s, t] = texinfo.vecs.map(
+        (vec) => x * vec[0] + y * vec[1] + z * vec[2] + vec[3]
+      );
+      return { x, y, z, s, t };
+    });
+
+    const block = atlas.place(bsp, face, texinfo, verts);
+
+    const first = vertex;
+    for (const v of verts) {
+      positions.set([v.x, v.y, v.z], vertex * 3);
+      normals.set([normal.x, normal.y, normal.z], vertex * 3);
+      uvs.set([v.s, v.t], vertex * 2);
+      lightmapUvs.set(block.uv(v.s, v.t), vertex * 2);
+      vertex++;
+    }
+
+    // Abanico de triángulos, orientado para que la cara mire a la normal
+    const flip = !facesNormal(verts, normal);
+    for (let i = 1; i < verts.length - 1; i++) {
+      indices[index++] = first;
+      indices[index++] = first + (flip ? i + 1 : i);
+      indices[index++] = first + (flip ? i : i + 1);
+    }
+    group.count = index - group.start;
+  }
+
+  const lightmap = atlas.build();
+  for (let i = 0; i < lightmapUvs.length; i += 2) {
+    lightmapUvs[i] /= lightmap.width;
+    lightmapUvs[i + 1] /= lightmap.height;
+  }
+
+  return {
+    positions,
+    normals,
+    uvs,
+    lightmapUvs,
+    indices,
+    groups: groups.map(({ key, ...group }) => group),
+    lightmap,
+    bounds: { mins: model.mins, maxs: model.maxs },
+  };
+}
+
+function groupKey(texinfo) {
+  const flags = texinfo.flags & (SURF.TRANS33 | SURF.TRANS66 | SURF.WARP);
+  return `${texinfo.texture}|${flags}`;
+}
+
+/**
+ * Si el primer triángulo no degenerado del abanico queda antihorario
+ * visto desde la normal
+ */
+function facesNormal(verts, normal) {
+  const a = verts[0];
+  for (let i = 1; i < verts.length - 1; i++) {
+    const b = verts[i];
+    const c = verts[i + 1];
+    const ux = b.x - a.x;
+    const uy = b.y - a.y;
+    const uz = b.z - a.z;
+    const vx = c.x - a.x;
+    const vy = c.y - a.y;
+    const vz = c.z - a.z;
+    const dot =
+      (uy * vz - uz * vy) * normal.x +
+      (uz * vx - ux * vz) * normal.y +
+      (ux * vy - uy * vx) * normal.z;
+    if (Math.abs(dot) > 1e-6) return dot > 0;
+  }
+  return true;
+}
+
+// ============================================================================
+// LIGHTMAPS
+// ============================================================================
+
+/**
+ * Junta los lightmaps de las caras (solo el estilo 0) en una textura
+ * RGBA, acomodándolos por filas. Las caras sin lightmap (agua, cielo,
+ * mapas sin luz) usan un texel blanco reservado al principio
+ */
+class LightmapAtlas {
+  constructor() {
+    this.blocks = [];
+    this.x = 1;
+    this.y = 0;
+    this.rowHeight = 1;
+    this.fullbright = { uv: () => [0.5, 0.5] };
+  }
+
+  place(bsp, face, texinfo, verts) {
+    if (
+      face.lightofs < 0 ||
+      face.styles[0] === 255 ||
+      texinfo.flags & (SURF.SKY | SURF.WARP)
+    ) {
+      return this.fullbright;
+    }
+
+    // Extensión de la cara en texels de lightmap (CalcSurfaceExtents)
+    const mins = [Infinity, Infinity];
+    const maxs = [-Infinity, -Infinity];
+    for (const v of verts) {
+      mins[0] = Math.min(mins[0], v.s);
+      mins[1] = Math.min(mins[1], v.t);
+      maxs[0] = Math.max(maxs[0], v.s);
+      maxs[1] = Math.max(maxs[1], v.t);
+    }
+    const textureMins = mins.map(
+      (value) => Math.floor(value / LIGHTMAP_SCALE) * LIGHTMAP_SCALE
+    );
+    const width =
+      Math.ceil(maxs[0] / LIGHTMAP_SCALE) - textureMins[0] / LIGHTMAP_SCALE + 1;
+    const height =
+      Math.ceil(maxs[1] / LIGHTMAP_SCALE) - textureMins[1] / LIGHTMAP_SCALE + 1;
+
+    if (face.lightofs + width * height * 3 > bsp.lighting.length) {
+      return this.fullbright;
+    }
+
+    if (this.x + width > LIGHTMAP_ATLAS_WIDTH) {
+      this.x = 0;
+      this.y += this.rowHeight;
+      this.rowHeight = 0;
+    }
+
+    const block = {
+      x: this.x,
+      y: this.y,
+      width,
+      height,
+      samples: bsp.lighting.subarray(
+        face.lightofs,
+        face.lightofs + width * height * 3
+      ),
+      // En texels del atlas; se normalizan cuando se sabe el tamaño final
+      uv: (s, t) => [
+        block.x + (s - textureMins[0] + LIGHTMAP_SCALE / 2) / LIGHTMAP_SCALE,
+        block.y + (t - textureMins[1] + LIGHTMAP_SCALE / 2) / LIGHTMAP_SCALE,
+      ],
+    };
+    this.blocks.push(block);
+    this.x += width;
+    this.rowHeight = Math.max(this.rowHeight, height);
+    return block;
+  }
+
+  build() {
+    const width = LIGHTMAP_ATLAS_WIDTH;
+    const height = this.y + this.rowHeight;
+    const data = new Uint8Array(width * height * 4);
+    data.set([255, 255, 255, 255], 0);
+
+    for (const block of this.blocks) {
+      for (let row = 0; row < block.height; row++) {
+        for (let col = 0; col < block.width; col++) {
+          const from = (row * block.width + col) * 3;
+          const to = ((block.y + row) * width + block.x + col) * 4;
+          data[to] = block.samples[from];
+          data[to + 1] = block.samples[from + 1];
+          data[to + 2] = block.samples[from + 2];
+          data[to + 3] = 255;
+        }
+      }
+    }
+
+    return { width, height, data };
+  }
+}
+
+export default parseBsp;
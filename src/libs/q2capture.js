@@ -0,0 +1,238 @@
+import fs from "fs";
+import { EventEmitter } from "events";
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+export const CAPTURE_FORMAT = "q2mon-capture";
+export const CAPTURE_VERSION = 1;
+
+// ============================================================================
+// CLASE CAPTURE WRITER
+// ============================================================================
+
+/**
+ * Escribe una captura de los datagramas UDP de una conexión
+ *
+ * El archivo es ndjson: la primera línea es un encabezado con el servidor
+ * y el estado del protocolo al empezar, y cada línea siguiente un paquete
+ * `{ t, dir, data }`: ms desde el inicio, "in" (del servidor) u "out" (al
+ * servidor) y los bytes en base64
+ *
+ * Se escribe de forma sincrónica, línea por línea: si un bug de parsing
+ * tira abajo el proceso, la captura tiene hasta el paquete que lo causó
+ */
+export class CaptureWriter {
+  constructor(path, header = {}) {
+    this.path = path;
+    this.fd = fs.openSync(path, "w");
+    this.startTime = performance.now();
+    this.packets = 0;
+    this.bytes = 0;
+
+    this.writeLine({
+      format: CAPTURE_FORMAT,
+      version: CAPTURE_VERSION,
+      started: new Date().toISOString(),
+      ...header,
+    });
+  }
+
+  writeLine(entry) {
+    if (this.fd === null) return;
+    fs.writeSync(this.fd, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Agrega un datagrama a la captura
+   */
+  write(dir, data) {
+    if (this.fd === null) return;
+
+    const t = Math.round((performance.now() - this.startTime) * 1000) / 1000;
+    this.writeLine({ t, dir, data: data.toString("base64") });
+    this.packets++;
+    this.bytes += data.length;
+  }
+
+  async close() {
+    if (this.fd === null) return null;
+
+    fs.closeSync(this.fd);
+    this.fd = null;
+    return { path: this.path, packets: this.packets, bytes: this.bytes };
+  }
+}
+
+// ============================================================================
+// LECTURA DE CAPTURAS
+// ============================================================================
+
+/**
+ * Parsea el texto de una captura. Retorna `{ header, packets }` con los
+ * datos de cada paquete ya como Buffer
+ */
+export function parseCapture(text) {
+  const lines = text.split("\n").filter((line) => line.trim());
+  if (lines.length === 0) {
+    throw new Error("Captura vacía");
+  }
+
+  const header = JSON.parse(lines[0]);
+  if (header.format !== CAPTURE_FORMAT) {
+    throw new Error(`No es una captura de q2mon: ${header.format}`);
+  }
+
+  const packets = lines.slice(1).map((line, i) => {
+    const { t, dir, data } = JSON.parse(line);
+    if (typeof data !== "string" || (dir !== "in" && dir !== "out")) {
+      throw new Error(`Paquete inválido en la línea ${i + 2}`);
+    }
+    return { t, dir, data: Buffer.from(data, "base64") };
+  });
+
+  return { header, packets };
+}
+
+export async function readCapture(path) {
+  return parseCapture(await fs.promises.readFile(path, "utf8"));
+}
+
+// ============================================================================
+// CLASE CAPTURE REPLAYER
+// ============================================================================
+
+/**
+ * Reproduce una captura pasando los paquetes entrantes por
+ * handleServerPacket de un Q2Client, sin socket: el cliente parsea los
+ * mismos bytes que en vivo y emite los mismos eventos. Los paquetes
+ * salientes solo marcan el tiempo
+ *
+ * Eventos emitidos:
+ * - 'packet' - Se procesó un paquete ({ index, t, length })
+ * - 'end' - Se terminó la captura
+ *
+ * Opciones:
+ * - speed: 1 = tiempo real, 4 = 4x, Infinity = lo más rápido posible
+ */
+export class CaptureReplayer extends EventEmitter {
+  constructor(client, options = {}) {
+    super();
+
+    this.client = client;
+    this.speed = options.speed ?? Infinity;
+
+    this.header = null;
+    this.packets = [];
+    this.position = 0;
+    this.playing = false;
+    this.timer = null;
+  }
+
+  async load(path) {
+    this.loadCapture(await readCapture(path));
+    this.path = path;
+  }
+
+  /**
+   * Carga una captura ya parseada. Si empezó con la conexión andando, el
+   * cliente arranca con el protocolo del encabezado
+   */
+  loadCapture({ header, packets }) {
+    this.stop();
+    this.header = header;
+    this.packets = packets.filter((packet) => packet.dir === "in");
+
+    const client = this.client;
+    client.resetConnectionState();
+
+    if (header.connected) {
+      client.serverProtocol = header.protocol;
+      client.serverProtocolMinor = header.protocolMinor || 0;
+      client.netchanType = header.netchanType || 1;
+      client.netchan.setup({
+        protocol: header.protocol,
+        type: client.netchanType,
+      });
+      client.isConnected = true;
+    }
+  }
+
+  /**
+   * Procesa el próximo paquete. Retorna false cuando ya no quedan
+   */
+  step() {
+    if (this.position >= this.packets.length) {
+      this.finish();
+      return false;
+    }
+
+    const index = this.position++;
+    const packet = this.packets[index];
+    this.client.handleServerPacket(packet.data);
+    this.emit("packet", { index, t: packet.t, length: packet.data.length });
+    return true;
+  }
+
+  /**
+   * Reproduce la captura respetando los tiempos entre paquetes
+   */
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+
+    const tick = () => {
+      if (!this.playing) return;
+      const current = this.packets[this.position];
+      if (!this.step()) return;
+
+      const next = this.packets[this.position];
+      const delay = next ? next.t - current.t : 0;
+      if (this.speed === Infinity || delay <= 0) {
+        this.timer = setImmediate(tick);
+      } else {
+        this.timer = setTimeout(tick, delay / this.speed);
+      }
+    };
+
+    tick();
+  }
+
+  /**
+   * Reproduce toda la captura de una vez; resuelve al terminar
+   */
+  run() {
+    return new Promise((resolve) => {
+      this.once("end", resolve);
+      while (this.step());
+    });
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      clearImmediate(this.timer);
+      this.timer = null;
+    }
+  }
+
+  stop() {
+    this.pause();
+    this.position = 0;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  finish() {
+    this.pause();
+    // Sin conexión real: se cortan los timers que armó el handshake
+    this.client.cleanup();
+    this.emit("end", { packets: this.position });
+  }
+}
+
+export default CaptureWriter;
@@ -1,142 +1,134 @@
 import dgram from "dgram";
+import fs from "fs";
 import zlib from "zlib";
 import { EventEmitter } from "events";
-
-// ============================================================================
-// CONSTANTES DEL PROTOCOLO
-// ============================================================================
-
-// Versiones de protocolo soportadas (basado en q2pro)
-const PROTOCOL = {
-  VERSION_OLD: 26,
-  VERSION_DEFAULT: 34,
-  VERSION_R1Q2: 35,
-  VERSION_Q2PRO: 36,
-  VERSION_MVD: 37,
-  VERSION_AQTION: 38,
-};
-
-// Versiones menores del protocolo
-const PROTOCOL_MINOR = {
-  Q2PRO_CURRENT: 1024,
-  AQTION_CURRENT: 3015,
-  R1Q2_CURRENT: 1905,
-};
-
-// Códigos de servicio (svc) del protocolo de Quake 2
-const SVC = {
-  BAD: 0,
-  MUZZLEFLASH: 1,
-  MUZZLEFLASH2: 2,
-  TEMP_ENTITY: 3,
-  LAYOUT: 4,
-  INVENTORY: 5,
-  NOP: 6,
-  DISCONNECT: 7,
-  RECONNECT: 8,
-  SOUND: 9,
-  PRINT: 10,
-  STUFFTEXT: 11,
-  SERVERDATA: 12,
-  CONFIGSTRING: 13,
-  SPAWNBASELINE: 14,
-  CENTERPRINT: 15,
-  DOWNLOAD: 16,
-  PLAYERINFO: 17,
-  PACKETENTITIES: 18,
-  DELTAPACKETENTITIES: 19,
-  FRAME: 20,
-  ZPACKET: 21,
-  ZDOWNLOAD: 22,
-  GAMESTATE: 23,
-  SETTING: 24,
-  CONFIGSTRINGSTREAM: 25,
-  BASELINESTREAM: 26,
-  GHUDUPDATE: 29,
-  EXTEND: 30,
-  USERSTATISTIC: 31,
-  CVARSYNC: 32,
-};
-
-// Bits de máscara para SVC
-const SVCMD_BITS = 5;
-const SVCMD_MASK = (1 << SVCMD_BITS) - 1;
-
-// Códigos de comandos del cliente (clc)
-const CLC = {
-  BAD: 0,
-  NOP: 1,
-  MOVE: 2,
-  USERINFO: 3,
-  STRINGCMD: 4,
-  SETTING: 5,
-  MOVE_NODELTA: 10,
-  MOVE_BATCHED: 11,
-  USERINFO_DELTA: 12,
-};
-
-// Niveles de print
-const PRINT_LEVELS = {
-  0: "LOW",
-  1: "MEDIUM",
-  2: "HIGH",
-  3: "CHAT",
-};
-
-// Bits de netchan
-const REL_BIT = 0x80000000;
-const FRG_BIT = 0x40000000;
-const NEW_MASK = FRG_BIT - 1;
-
-// Entity state flags (U_* bits) - para parsing de entidades
-const U_ORIGIN1 = 1 << 0;
-const U_ORIGIN2 = 1 << 1;
-const U_ANGLE2 = 1 << 2;
-const U_ANGLE3 = 1 << 3;
-const U_FRAME8 = 1 << 4;
-const U_EVENT = 1 << 5;
-const U_REMOVE = 1 << 6;
-const U_MOREBITS1 = 1 << 7;
-const U_NUMBER16 = 1 << 8;
-const U_ORIGIN3 = 1 << 9;
-const U_ANGLE1 = 1 << 10;
-const U_MODEL = 1 << 11;
-const U_RENDERFX8 = 1 << 12;
-const U_EFFECTS8 = 1 << 14;
-const U_MOREBITS2 = 1 << 15;
-const U_SKIN8 = 1 << 16;
-const U_FRAME16 = 1 << 17;
-const U_RENDERFX16 = 1 << 18;
-const U_EFFECTS16 = 1 << 19;
-const U_MODEL2 = 1 << 20;
-const U_MODEL3 = 1 << 21;
-const U_MODEL4 = 1 << 22;
-const U_MOREBITS3 = 1 << 23;
-const U_OLDORIGIN = 1 << 24;
-const U_SKIN16 = 1 << 25;
-const U_SOUND = 1 << 26;
-const U_SOLID = 1 << 27;
-
-// Player state flags (PS_* bits)
-const PS_M_TYPE = 1 << 0;
-const PS_M_ORIGIN = 1 << 1;
-const PS_M_VELOCITY = 1 << 2;
-const PS_M_TIME = 1 << 3;
-const PS_M_FLAGS = 1 << 4;
-const PS_M_GRAVITY = 1 << 5;
-const PS_M_DELTA_ANGLES = 1 << 6;
-const PS_VIEWOFFSET = 1 << 7;
-const PS_VIEWANGLES = 1 << 8;
-const PS_KICKANGLES = 1 << 9;
-const PS_BLEND = 1 << 10;
-const PS_FOV = 1 << 11;
-const PS_WEAPONINDEX = 1 << 12;
-const PS_WEAPONFRAME = 1 << 13;
-const PS_RDFLAGS = 1 << 14;
-
-// Máximo de entidades
-const MAX_EDICTS = 1024;
-const MAX_CLIENTS = 256;
+import { BYTEDIRS, NUMVERTEXNORMALS } from "./q2anorms.js";
+import { DemoWriter } from "./q2demo.js";
+import { CaptureWriter } from "./q2capture.js";
+import { DownloadManager, listBspTextures } from "./q2download.js";
+import { GtvConnection } from "./q2mvd.js";
+import { Netchan } from "./q2netchan.js";
+import { createUsercmd, createMovePacket } from "./q2usercmd.js";
+import { ObituaryParser } from "./q2obituary.js";
+import { parseLayout } from "./q2layout.js";
+import { toPlainText, toHtml } from "./q2text.js";
+import {
+  RconRequest,
+  createRconPacket,
+  parsePrintPacket,
+  sendRcon,
+} from "./q2rcon.js";
+import {
+  ConfigStrings,
+  CS_LAYOUT_VANILLA,
+  CS_LAYOUT_EXTENDED,
+} from "./q2configstrings.js";
+import {
+  PROTOCOL,
+  PROTOCOL_MINOR,
+  VANILLA_PROTOCOLS,
+  isVanillaProtocol,
+  selectProtocol,
+  SVC,
+  TE,
+  TE_NAMES,
+  SVCMD_BITS,
+  SVCMD_MASK,
+  CLC,
+  PRINT_LEVELS,
+  REL_BIT,
+  FRG_BIT,
+  NEW_MASK,
+  NETCHAN_OLD,
+  U_ORIGIN1,
+  U_ORIGIN2,
+  U_ANGLE2,
+  U_ANGLE3,
+  U_FRAME8,
+  U_EVENT,
+  U_REMOVE,
+  U_MOREBITS1,
+  U_NUMBER16,
+  U_ORIGIN3,
+  U_ANGLE1,
+  U_MODEL,
+  U_RENDERFX8,
+  U_EFFECTS8,
+  U_MOREBITS2,
+  U_SKIN8,
+  U_FRAME16,
+  U_RENDERFX16,
+  U_EFFECTS16,
+  U_MODEL2,
+  U_MODEL3,
+  U_MODEL4,
+  U_MOREBITS3,
+  U_OLDORIGIN,
+  U_SKIN16,
+  U_SOUND,
+  U_SOLID,
+  PS_M_TYPE,
+  PS_M_ORIGIN,
+  PS_M_VELOCITY,
+  PS_M_TIME,
+  PS_M_FLAGS,
+  PS_M_GRAVITY,
+  PS_M_DELTA_ANGLES,
+  PS_VIEWOFFSET,
+  PS_VIEWANGLES,
+  PS_KICKANGLES,
+  PS_BLEND,
+  PS_FOV,
+  PS_WEAPONINDEX,
+  PS_WEAPONFRAME,
+  PS_RDFLAGS,
+  MAX_EDICTS,
+  MAX_CLIENTS,
+  MAX_STATS,
+  PROTOCOL_MVD_MINOR,
+  MVD,
+  MVF_EXTLIMITS,
+  CLIENTNUM_NONE,
+  PM_TYPE,
+  PPS_M_TYPE,
+  PPS_M_ORIGIN,
+  PPS_M_ORIGIN2,
+  PPS_VIEWOFFSET,
+  PPS_VIEWANGLES,
+  PPS_VIEWANGLE2,
+  PPS_KICKANGLES,
+  PPS_BLEND,
+  PPS_FOV,
+  PPS_WEAPONINDEX,
+  PPS_WEAPONFRAME,
+  PPS_GUNOFFSET,
+  PPS_GUNANGLES,
+  PPS_RDFLAGS,
+  PPS_STATS,
+  PPS_REMOVE,
+  SND_VOLUME,
+  SND_ATTENUATION,
+  SND_OFFSET,
+  Q2PRO_PF_EXTENSIONS,
+  UPDATE_BACKUP,
+  UPDATE_MASK,
+  MAX_STRING_CHARS,
+  MAX_INFO_STRING,
+} from "./q2protocol.js";
+
+// Mensajes que R1Q2/Q2PRO/AQtion mandan igual que el protocolo 34: al
+// re-codificar un demo se copian tal cual llegaron
+const DEMO_COPY_SVC = new Set([
+  SVC.MUZZLEFLASH,
+  SVC.MUZZLEFLASH2,
+  SVC.TEMP_ENTITY,
+  SVC.LAYOUT,
+  SVC.INVENTORY,
+  SVC.PRINT,
+  SVC.CENTERPRINT,
+  SVC.STUFFTEXT,
+  SVC.SOUND,
+]);
 
 // ============================================================================
 // CLASE ENTITY TRACKER
@@ -155,6 +147,11 @@ class EntityTracker {
       .map(() => this.createEmptyEntity());
     this.playerState = this.createEmptyPlayerState();
     this.previousPlayerState = this.createEmptyPlayerState();
+
+    // Últimos frames válidos, indexados por frameNum & UPDATE_MASK.
+    // Cada uno es { frameNum, playerState, entities: Map }
+    this.frames = new Array(UPDATE_BACKUP).fill(null);
+    this.frame = null;
   }
 
   createEmptyEntity() {
@@ -194,6 +191,8 @@ class EntityTracker {
       kick_angles: { pitch: 0, yaw: 0, roll: 0 },
       gunindex: 0,
       gunframe: 0,
+      gunoffset: { x: 0, y: 0, z: 0 },
+      gunangles: { pitch: 0, yaw: 0, roll: 0 },
       blend: [0, 0, 0, 0],
       fov: 90,
       rdflags: 0,
@@ -243,6 +242,67 @@ class EntityTracker {
       .map(() => this.createEmptyEntity());
     this.playerState = this.createEmptyPlayerState();
     this.previousPlayerState = this.createEmptyPlayerState();
+    this.clearFrames();
+  }
+
+  clearFrames() {
+    this.frames = new Array(UPDATE_BACKUP).fill(null);
+    this.frame = null;
+  }
+
+  /**
+   * Retorna el frame contra el que viene el delta de `frameNum`. Con
+   * deltaNum <= 0 el frame llega completo (contra las baselines). valid =
+   * false si el frame que pide el servidor nunca llegó o es demasiado viejo
+   * (CL_ParseFrame)
+   */
+  getDeltaFrame(deltaNum, frameNum) {
+    if (deltaNum <= 0) return { frame: null, valid: true };
+
+    const frame = this.frames[deltaNum & UPDATE_MASK];
+    if (
+      frame &&
+      frame.frameNum === deltaNum &&
+      frameNum - deltaNum < UPDATE_BACKUP
+    ) {
+      return { frame, valid: true };
+    }
+
+    // Se parsea contra el último frame para no desincronizar el mensaje
+    return { frame: this.frame, valid: false };
+  }
+
+  /**
+   * Guarda un frame completo y sincroniza `entities` y `playerState`.
+   * Retorna las entidades que entraron y salieron respecto del frame anterior
+   */
+  commitFrame(frame) {
+    const previous = this.frame;
+    const entered = [];
+    const left = [];
+
+    for (const [number, state] of frame.entities) {
+      if (!previous || !previous.entities.has(number)) entered.push(state);
+    }
+    if (previous) {
+      for (const [number, state] of previous.entities) {
+        if (!frame.entities.has(number)) left.push(state);
+      }
+    }
+
+    for (const state of left) {
+      this.entities[state.number].active = false;
+    }
+    for (const [number, state] of frame.entities) {
+      this.entities[number] = { ...state, number, active: true };
+    }
+
+    this.previousPlayerState = this.playerState;
+    this.playerState = frame.playerState;
+    this.frames[frame.frameNum & UPDATE_MASK] = frame;
+    this.frame = frame;
+
+    return { entered, left };
   }
 }
 
@@ -257,9 +317,20 @@ class EntityTracker {
  * - 'console_message' - Mensajes de consola del servidor
  * - 'player_update' - Actualización de posición/estado de jugador
  * - 'entity_update' - Actualización de entidades (items, proyectiles, etc)
+ * - 'entity_enter' / 'entity_leave' - Una entidad entra o sale de la vista
  * - 'server_info' - Información del servidor (mapa, mod, etc)
- * - 'connection' - Cambios de estado de conexión
- * - 'raw_message' - Mensaje raw para debug (si debug=true)
+ * - 'temp_entity' - Efectos temporales (explosiones, rail trails, sangre, etc)
+ * - 'frag' - Muerte reconocida en la consola (asesino, víctima, arma)
+ * - 'scoreboard' - Scoreboard in-game (filas con cliente, score, ping y tiempo).
+ *   Con un listener, el cliente lo pide con `score` (ver scoreboardInterval)
+ * - 'connection' - Cambios de estado de conexión (con mvd: true en modo GTV)
+ * - 'recording' - Inicio/fin de la grabación de un demo, o un error al escribirlo
+ * - 'capture' - Inicio/fin de una captura de paquetes
+ * - 'download' - Estado de una descarga (started, progress, completed,
+ *   failed, cached), o error si no se pudieron bajar los archivos del mapa
+ * - 'raw_message' - Mensaje raw para debug (si debug=true), también con
+ *   avisos internos como 'reliable_dropped' o 'frame_dropped'
+ * - 'event' - Todos los eventos anteriores (menos raw_message) en un canal
  */
 export class Q2Client extends EventEmitter {
   constructor(options = {}) {
@@ -270,12 +341,36 @@ export class Q2Client extends EventEmitter {
     this.serverPort = options.serverPort || 27910;
     this.passiveMode = options.passiveMode || false;
     this.monitorMode = options.monitorMode || false;
+    this.mvdMode = options.mvdMode || false;
+    this.gtvUsername = options.gtvUsername || "";
+    this.gtvPassword = options.gtvPassword || "";
     this.monitorInterval = options.monitorInterval || 5000;
+    // Intervalo mínimo (ms) entre player_update/entity_update de una misma
+    // entidad; 0 emite una por frame
+    this.updateInterval = options.updateInterval || 0;
+    // Sin scoreboard durante este tiempo (ms) se vuelve a pedir con `score`
+    // si hay alguien escuchando 'scoreboard'; 0 no lo pide nunca. Tiene que
+    // ser mayor que el refresco del juego (32 frames, 3.2s): `score` apaga
+    // el scoreboard si ya estaba prendido
+    this.scoreboardInterval = options.scoreboardInterval ?? 5000;
     this.debug = options.debug || false;
     this.playerName = options.playerName || "Q2Client";
 
-    // Socket UDP
+    // Userinfo que se manda en el connect y con setUserinfo()
+    this.userinfo = {
+      name: this.playerName,
+      skin: "male/grunt",
+      rate: "25000",
+      msg: "1",
+      hand: "2",
+      fov: "90",
+      spectator: "1",
+    };
+
+    // Socket UDP. Con options.socket se usa uno compartido (p. ej. del pool
+    // de Q2MonitorManager), que entrega los paquetes con handlePacket()
     this.socket = null;
+    this.sharedSocket = options.socket || null;
 
     // Estado de conexión
     this.isConnected = false;
@@ -285,31 +380,51 @@ export class Q2Client extends EventEmitter {
 
     // Estado del protocolo
     this.clientChallengeId = Math.floor(Math.random() * 0x7fffffff);
-    this.clientQport = Math.floor(Math.random() * 255);
+    // Nunca 0: desde r1q2 un qport 0 no viaja en el paquete (ver qportSize)
+    this.clientQport = 1 + Math.floor(Math.random() * 255);
     this.serverProtocol = PROTOCOL.VERSION_DEFAULT;
     this.serverProtocolMinor = 0;
-    this.netchanType = 1;
+    this.netchanType = NETCHAN_OLD;
+    // Protocolos que el servidor rechazó en el connect de esta sesión
+    this.rejectedProtocols = new Set();
+
+    // Canal de red: secuencias, reliables y fragmentación
+    this.netchan = new Netchan({ qport: this.clientQport });
 
-    // Estado netchan
-    this.incomingSequence = 0;
-    this.incomingAcknowledged = 0;
-    this.incomingReliableAcknowledged = 0;
-    this.incomingReliableSequence = 0;
-    this.outgoingSequence = 1;
-    this.reliableSequence = 0;
-    this.lastReliableSequence = 0;
+    // Mensajes reliable del usuario (say, comandos, userinfo): esperan a
+    // que termine el handshake antes de pasar al netchan
+    this.commandQueue = [];
 
-    // Fragmentación
-    this.fragmentSequence = 0;
-    this.fragmentBuffer = Buffer.alloc(0);
+    // Usercmds: input actual (ángulos en grados), impulso pendiente y los
+    // últimos comandos enviados, que el move de protocolo 34 repite
+    this.input = {
+      angles: { pitch: 0, yaw: 0, roll: 0 },
+      forward: 0,
+      side: 0,
+      up: 0,
+      buttons: 0,
+    };
+    this.pendingImpulse = 0;
+    this.cmdHistory = [];
+    this.lastCmdTime = 0;
+    this.inputScript = null;
+    // Si el último frame se pudo aplicar (cl.frame.valid); si no, el move
+    // pide un frame sin delta
+    this.frameValid = false;
+    // Move sin delta pendiente: sale al terminar de parsear el paquete
+    this.noDeltaPending = false;
 
     // Estado del juego
     this.serverCount = 0;
     this.spawnCount = 0;
     this.lastFrameNum = -1;
     this.currentMapName = "";
-    this.configStrings = {};
+    this.gameDir = "";
+    this.clientNum = 0;
+    this.configStrings = new ConfigStrings();
     this.playerNames = {};
+    // Nombres con colores en HTML, para el viewer
+    this.playerNamesHtml = {};
 
     // Flags de handshake
     this.hasSentNew = false;
@@ -323,6 +438,10 @@ export class Q2Client extends EventEmitter {
     this.pendingCommands = [];
     this.awaitingBegin = false;
 
+    // Último scoreboard recibido y último `score` mandado
+    this.lastScoreboardTime = 0;
+    this.lastScoreRequest = 0;
+
     // Intervalos
     this.heartbeatInterval = null;
     this.keepAliveInterval = null;
@@ -334,6 +453,46 @@ export class Q2Client extends EventEmitter {
 
     // Estado del modo monitor
     this.lastServerStatus = null;
+
+    // Frame en curso y control de frecuencia de eventos
+    this.pendingFrame = null;
+    this.lastUpdateEmit = new Map();
+    // Última actualización retenida por updateInterval, por clave
+    this.heldUpdates = new Map();
+
+    // Kill feed: obituarios de consola convertidos en eventos 'frag'
+    this.obituaries = new ObituaryParser({ packs: options.obituaryPacks });
+
+    // Estado del modo MVD/GTV
+    this.gtv = null;
+    this.mvdVersion = 0;
+    this.mvdFlags = 0;
+    this.mvdPlayers = [];
+
+    // Grabación y reproducción de demos
+    this.demoWriter = null;
+    // Grabando con protocolo 34: se espera un frame sin delta antes de
+    // copiar paquetes al demo (cls.demowaiting)
+    this.demoWaiting = false;
+    this.playbackMode = false;
+
+    // Captura de los datagramas crudos (ver q2capture.js)
+    this.captureWriter = null;
+
+    // Descargas del servidor (ver q2download.js). Con downloadDir se baja
+    // el mapa al entrar, y con downloadAssets también texturas y skins
+    this.downloadDir = options.downloadDir || null;
+    this.downloadAssets = options.downloadAssets || false;
+    this.downloads = new DownloadManager({
+      dir: this.downloadDir,
+      http: options.httpDownloads ?? true,
+      sendCommand: (cmd) => this.sendStringCmd(cmd),
+      onEvent: (data) => this.emitEvent("download", data),
+    });
+
+    // Rcon: una respuesta a la vez por socket
+    this.rconRequest = null;
+    this.rconQueue = Promise.resolve();
   }
 
   // ==========================================================================
@@ -344,9 +503,21 @@ export class Q2Client extends EventEmitter {
    * Conecta al servidor
    */
   connect() {
-    if (this.socket) {
+    if (this.socket || this.gtv) {
       this.disconnect();
     }
+    this.rejectedProtocols.clear();
+
+    if (this.mvdMode) {
+      this.connectGtv();
+      return;
+    }
+
+    if (this.sharedSocket) {
+      this.socket = this.sharedSocket;
+      this.startSession();
+      return;
+    }
 
     this.socket = dgram.createSocket("udp4");
 
@@ -359,16 +530,93 @@ export class Q2Client extends EventEmitter {
     });
 
     this.socket.bind(() => {
-      if (this.monitorMode) {
-        this.socket.on("message", (buffer) => this.handleMonitorPacket(buffer));
-        this.startMonitorMode();
-      } else {
-        this.socket.on("message", (buffer) => this.handleServerPacket(buffer));
-        this.requestChallenge();
-      }
+      this.socket.on("message", (buffer) => this.handlePacket(buffer));
+      this.startSession();
     });
   }
 
+  /**
+   * Arranca el polling de status o el handshake, según el modo
+   */
+  startSession() {
+    if (this.monitorMode) {
+      this.startMonitorMode();
+    } else {
+      this.requestChallenge();
+    }
+  }
+
+  /**
+   * Procesa un paquete UDP del servidor
+   */
+  handlePacket(buffer) {
+    if (this.captureWriter) this.captureWriter.write("in", buffer);
+
+    if (this.monitorMode) {
+      this.handleMonitorPacket(buffer);
+    } else {
+      this.handleServerPacket(buffer);
+    }
+  }
+
+  /**
+   * Ejecuta un comando en la consola remota del servidor y retorna su
+   * salida completa. Usa el socket de la conexión si hay uno abierto (las
+   * respuestas llegan por el mismo puerto); si no, uno propio
+   *
+   * Opciones: timeout y quietTime de RconRequest
+   */
+  rcon(password, command, options = {}) {
+    if (!this.socket) {
+      return sendRcon(
+        this.serverIp,
+        this.serverPort,
+        password,
+        command,
+        options
+      );
+    }
+
+    const run = () => {
+      if (!this.socket) {
+        return sendRcon(
+          this.serverIp,
+          this.serverPort,
+          password,
+          command,
+          options
+        );
+      }
+
+      const packet = createRconPacket(password, command);
+      const request = new RconRequest(options);
+      this.rconRequest = request;
+      this.sendPacket(packet);
+      return request.promise.finally(() => {
+        if (this.rconRequest === request) this.rconRequest = null;
+      });
+    };
+
+    const result = this.rconQueue.then(run, run);
+    this.rconQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Desvía los `print` OOB a la respuesta de rcon pendiente.
+   * Retorna true si el paquete era parte de la respuesta
+   */
+  handleRconPacket(buffer) {
+    if (!this.rconRequest) return false;
+
+    const text = parsePrintPacket(buffer);
+    // Las respuestas de status (infostring) siguen su camino normal
+    if (text === null || text.startsWith("\\")) return false;
+
+    this.rconRequest.addChunk(text);
+    return true;
+  }
+
   /**
    * Desconecta del servidor
    */
@@ -413,6 +661,124 @@ export class Q2Client extends EventEmitter {
     return players;
   }
 
+  /**
+   * Empieza a grabar un demo .dm2 de la sesión actual.
+   * Si todavía no hay gamestate, se escribe al entrar al juego
+   */
+  startRecording(path) {
+    if (this.demoWriter) {
+      throw new Error(`Ya se está grabando un demo: ${this.demoWriter.path}`);
+    }
+
+    const writer = new DemoWriter(path, {
+      onError: (error) => {
+        if (this.demoWriter !== writer) return;
+        this.demoWriter = null;
+        this.demoWaiting = false;
+        this.emitEvent("recording", {
+          status: "error",
+          path,
+          reason: error.message,
+        });
+      },
+    });
+    this.demoWriter = writer;
+    this.emitEvent("recording", { status: "started", path });
+
+    if (this.connectionState === "spawned") {
+      this.recordGamestate();
+    }
+  }
+
+  /**
+   * Termina la grabación y cierra el archivo del demo
+   */
+  async stopRecording() {
+    if (!this.demoWriter) return null;
+
+    const writer = this.demoWriter;
+    this.demoWriter = null;
+    this.demoWaiting = false;
+
+    let result;
+    try {
+      result = await writer.close();
+    } catch (error) {
+      this.emitEvent("recording", {
+        status: "error",
+        path: writer.path,
+        reason: error.message,
+      });
+      throw error;
+    }
+    this.emitEvent("recording", { status: "stopped", ...result });
+    return result;
+  }
+
+  isRecording() {
+    return this.demoWriter !== null;
+  }
+
+  /**
+   * Empieza a capturar los datagramas que entran y salen por el socket,
+   * para reproducirlos después con CaptureReplayer
+   */
+  startCapture(path) {
+    if (this.captureWriter) {
+      throw new Error(`Ya se está capturando: ${this.captureWriter.path}`);
+    }
+
+    this.captureWriter = new CaptureWriter(path, {
+      server: `${this.serverIp}:${this.serverPort}`,
+      connected: this.isConnected,
+      protocol: this.serverProtocol,
+      protocolMinor: this.serverProtocolMinor,
+      netchanType: this.netchanType,
+    });
+    this.emitEvent("capture", { status: "started", path });
+  }
+
+  /**
+   * Termina la captura y cierra el archivo
+   */
+  async stopCapture() {
+    if (!this.captureWriter) return null;
+
+    const writer = this.captureWriter;
+    this.captureWriter = null;
+
+    const result = await writer.close();
+    this.emitEvent("capture", { status: "stopped", ...result });
+    return result;
+  }
+
+  isCapturing() {
+    return this.captureWriter !== null;
+  }
+
+  /**
+   * Descarga un archivo del servidor (p. ej. "maps/q2dm1.bsp") al
+   * directorio de descargas, si no está ya. Retorna la ruta local
+   */
+  download(file) {
+    if (this.downloadDir && this.downloads.cachedPath(file)) {
+      return this.downloads.download(file);
+    }
+    if (!this.isConnected || this.playbackMode) {
+      return Promise.reject(new Error("No conectado al servidor"));
+    }
+    return this.downloads.download(file);
+  }
+
+  /**
+   * Ruta local del .bsp del mapa actual, o null si no se descargó
+   */
+  getMapPath() {
+    const mapFile = this.configStrings.getModelName(1);
+    if (!this.downloadDir || !mapFile) return null;
+    return this.downloads.cachedPath(mapFile);
+  }
+
   // ==========================================================================
   // EMISIÓN DE EVENTOS
   // ==========================================================================
@@ -424,12 +790,21 @@ export class Q2Client extends EventEmitter {
       data,
     };
     this.emit(type, event);
+    this.emit("event", event);
 
     if (this.debug) {
       this.emit("raw_message", event);
     }
   }
 
+  /**
+   * Aviso interno para debug: sale solo por 'raw_message' (si debug=true)
+   */
+  emitDebug(type, data) {
+    if (!this.debug) return;
+    this.emit("raw_message", { type, timestamp: Date.now(), data });
+  }
+
   // ==========================================================================
   // UTILIDADES DE PROTOCOLO
   // ==========================================================================
@@ -445,15 +820,7 @@ export class Q2Client extends EventEmitter {
     protocol = protocol || this.serverProtocol || PROTOCOL.VERSION_DEFAULT;
     const challengeId = challenge || this.clientChallengeId;
 
-    const userinfo = [
-      `\\name\\${this.playerName}`,
-      "\\skin\\male/grunt",
-      "\\rate\\25000",
-      "\\msg\\1",
-      "\\hand\\2",
-      "\\fov\\90",
-      "\\spectator\\1",
-    ].join("");
+    const userinfo = this.getUserinfoString();
 
     let connectCommand;
 
@@ -475,69 +842,276 @@ export class Q2Client extends EventEmitter {
     return this.createOOBPacket(connectCommand);
   }
 
-  createSequencedPacket(data = null, reliable = false) {
-    let sendReliable = reliable;
+  /**
+   * Manda un datagrama al servidor, agregándolo a la captura si hay una
+   */
+  sendPacket(packet) {
+    if (!this.socket) return;
+    if (this.captureWriter) this.captureWriter.write("out", packet);
+    this.socket.send(packet, this.serverPort, this.serverIp);
+  }
+
+  /**
+   * Manda un paquete secuenciado con los datos unreliable dados; el netchan
+   * agrega el reliable que toque (nuevo o reenvío)
+   */
+  sendSequencedResponse(data = null) {
+    if (!this.isConnected || !this.socket) return;
+
+    // Los comandos del usuario esperan a que termine el handshake: el begin,
+    // o el precache en modo pasivo, donde el cliente queda conectado sin
+    // entrar al juego
+    const ready =
+      this.hasSentBegin ||
+      (this.passiveMode && this.connectionState === "spawned");
+    if (ready) {
+      while (this.commandQueue.length > 0) {
+        this.queueNetchanReliable(this.commandQueue.shift());
+      }
+    }
 
-    let w1 = this.outgoingSequence;
-    if (sendReliable) {
-      this.reliableSequence ^= 1;
-      this.lastReliableSequence = this.outgoingSequence;
-      w1 |= 0x80000000;
+    this.sendPacket(this.netchan.transmit(data));
+
+    // Un mensaje fragmentado sale completo en ráfaga
+    while (this.netchan.fragmentPending) {
+      this.sendPacket(this.netchan.transmitNextFragment());
     }
+  }
+
+  createStringCmd(cmd) {
+    const cleanCmd = cmd.replace(/[\r\n]/g, "").trim();
+    const stringBytes = Buffer.from(cleanCmd, "latin1");
+    const cmdBuffer = Buffer.alloc(1 + stringBytes.length + 1);
+    cmdBuffer[0] = CLC.STRINGCMD;
+    stringBytes.copy(cmdBuffer, 1);
+    cmdBuffer[1 + stringBytes.length] = 0;
+    return cmdBuffer;
+  }
+
+  /**
+   * Encola un comando reliable del handshake y lo manda en el acto
+   */
+  sendStringCmd(cmd) {
+    if (!this.isConnected || !this.socket) return;
+
+    this.queueNetchanReliable(this.createStringCmd(cmd));
+    this.sendSequencedResponse();
+  }
 
-    let w2 = this.incomingSequence;
-    if (this.incomingReliableSequence) {
-      w2 |= 0x80000000;
+  // Los largos se validan al armar cada comando; si igual algo no entra
+  // se descarta, sin tirar una excepción desde un callback del socket
+  queueNetchanReliable(data) {
+    if (!this.netchan.queueReliable(data)) {
+      this.emitDebug("reliable_dropped", { bytes: data.length });
     }
+  }
+
+  // ==========================================================================
+  // COMANDOS DEL USUARIO
+  // ==========================================================================
 
-    const parts = [];
+  /**
+   * Mensaje de chat para todos
+   */
+  say(text) {
+    this.command(`say "${this.sanitizeCommandText(text)}"`);
+  }
 
-    const seqBuffer = Buffer.alloc(4);
-    seqBuffer.writeUInt32LE(w1 >>> 0, 0);
-    parts.push(seqBuffer);
+  /**
+   * Mensaje de chat para el equipo
+   */
+  sayTeam(text) {
+    this.command(`say_team "${this.sanitizeCommandText(text)}"`);
+  }
 
-    const ackBuffer = Buffer.alloc(4);
-    ackBuffer.writeUInt32LE(w2 >>> 0, 0);
-    parts.push(ackBuffer);
+  /**
+   * Comando arbitrario para el servidor (chase, observe, score, etc).
+   * Tira un error si no entra en MAX_STRING_CHARS
+   */
+  command(cmd) {
+    this.assertCommandChannel();
+    const clean = cmd.replace(/[\r\n]/g, " ").trim();
+    if (!clean) return;
+    if (clean.length >= MAX_STRING_CHARS) {
+      throw new Error(
+        `Comando demasiado largo (${clean.length} caracteres, máximo ${
+          MAX_STRING_CHARS - 1
+        })`
+      );
+    }
+    this.queueReliable(this.createStringCmd(clean));
+  }
 
-    if (this.serverProtocol >= PROTOCOL.VERSION_R1Q2) {
-      const qportBuffer = Buffer.alloc(1);
-      qportBuffer.writeUInt8(this.clientQport & 0xff, 0);
-      parts.push(qportBuffer);
+  /**
+   * Cambia un valor del userinfo y lo manda al servidor (clc_userinfo).
+   * Tira un error si el userinfo no entra en MAX_INFO_STRING
+   */
+  setUserinfo(key, value) {
+    this.assertCommandChannel();
+    const cleanKey = this.sanitizeUserinfo(key);
+    if (!cleanKey) return;
+
+    const cleanValue = this.sanitizeUserinfo(String(value));
+    const userinfo = { ...this.userinfo };
+    if (cleanValue) {
+      userinfo[cleanKey] = cleanValue;
     } else {
-      const qportBuffer = Buffer.alloc(2);
-      qportBuffer.writeUInt16LE(this.clientQport & 0xffff, 0);
-      parts.push(qportBuffer);
+      delete userinfo[cleanKey];
     }
 
-    if (data && data.length > 0) {
-      parts.push(data);
+    const infoString = this.getUserinfoString(userinfo);
+    if (infoString.length >= MAX_INFO_STRING) {
+      throw new Error(
+        `Userinfo demasiado largo (${infoString.length} caracteres, máximo ${
+          MAX_INFO_STRING - 1
+        })`
+      );
     }
 
-    this.outgoingSequence++;
+    this.userinfo = userinfo;
+    if (cleanKey === "name") this.playerName = cleanValue;
 
-    return Buffer.concat(parts);
+    const info = Buffer.from(infoString, "latin1");
+    const msg = Buffer.alloc(1 + info.length + 1);
+    msg[0] = CLC.USERINFO;
+    info.copy(msg, 1);
+    this.queueReliable(msg);
   }
 
-  sendSequencedResponse(data = null, reliable = false) {
-    if (!this.isConnected || !this.socket) return;
+  // Ni GTV ni la reproducción de demos tienen un canal para mandarle
+  // comandos al servidor: se encolarían para siempre
+  assertCommandChannel() {
+    if (this.mvdMode || this.playbackMode) {
+      throw new Error("Este cliente no puede mandar comandos al servidor");
+    }
+  }
 
-    const packet = this.createSequencedPacket(data, reliable);
-    this.socket.send(packet, this.serverPort, this.serverIp);
+  getUserinfoString(userinfo = this.userinfo) {
+    return Object.entries(userinfo)
+      .map(([key, value]) => `\\${key}\\${value}`)
+      .join("");
   }
 
-  sendStringCmd(cmd, reliable = true) {
-    if (!this.isConnected) return;
+  // El servidor parsea el comando con Cmd_TokenizeString: una comilla
+  // dentro del texto cortaría el argumento
+  sanitizeCommandText(text) {
+    return String(text)
+      .replace(/[\r\n]/g, " ")
+      .replace(/"/g, "'")
+      .trim();
+  }
 
-    const cleanCmd = cmd.replace(/[\r\n]/g, "").trim();
-    const stringBytes = Buffer.from(cleanCmd, "ascii");
-    const cmdBuffer = Buffer.alloc(1 + stringBytes.length + 1);
-    cmdBuffer[0] = CLC.STRINGCMD;
-    stringBytes.copy(cmdBuffer, 1);
-    cmdBuffer[1 + stringBytes.length] = 0;
+  // Userinfo no admite barras, comillas ni punto y coma
+  sanitizeUserinfo(text) {
+    return text.replace(/[\\";\r\n]/g, "").trim();
+  }
 
-    const packet = this.createSequencedPacket(cmdBuffer, reliable);
-    this.socket.send(packet, this.serverPort, this.serverIp);
+  queueReliable(data) {
+    this.commandQueue.push(data);
+  }
+
+  // ==========================================================================
+  // MOVIMIENTO (USERCMDS)
+  // ==========================================================================
+
+  /**
+   * Cambia el input que se manda en cada usercmd. Los campos omitidos
+   * conservan su valor: angles ({ pitch, yaw, roll } en grados), forward,
+   * side, up (-400..400) y buttons (BUTTON_ATTACK, BUTTON_USE)
+   */
+  setInput(input = {}) {
+    if (input.angles) {
+      this.input.angles = { ...this.input.angles, ...input.angles };
+    }
+    for (const key of ["forward", "side", "up", "buttons"]) {
+      if (input[key] !== undefined) this.input[key] = input[key];
+    }
+  }
+
+  /**
+   * Manda un impulso (cambio de arma, etc) en el próximo usercmd
+   */
+  impulse(value) {
+    this.pendingImpulse = value & 0xff;
+  }
+
+  /**
+   * Vuelve al input neutro y corta el script en curso
+   */
+  clearInput() {
+    this.inputScript = null;
+    this.pendingImpulse = 0;
+    this.input = {
+      angles: { ...this.input.angles },
+      forward: 0,
+      side: 0,
+      up: 0,
+      buttons: 0,
+    };
+  }
+
+  /**
+   * Ejecuta una secuencia de inputs. Cada paso acepta los campos de
+   * setInput, un impulse opcional y duration (ms) antes del siguiente.
+   * Resuelve al terminar (o al cortarse con clearInput)
+   */
+  async runInputScript(steps) {
+    const script = {};
+    this.inputScript = script;
+
+    for (const step of steps) {
+      if (this.inputScript !== script) return;
+
+      this.setInput(step);
+      if (step.impulse) this.impulse(step.impulse);
+      await new Promise((resolve) => setTimeout(resolve, step.duration || 0));
+    }
+
+    if (this.inputScript === script) this.inputScript = null;
+  }
+
+  /**
+   * Arma el usercmd con el input actual y el tiempo desde el anterior
+   */
+  buildUsercmd() {
+    const now = Date.now();
+    const msec = this.lastCmdTime ? now - this.lastCmdTime : 100;
+    this.lastCmdTime = now;
+
+    const cmd = createUsercmd({
+      ...this.input,
+      msec,
+      impulse: this.pendingImpulse,
+    });
+    this.pendingImpulse = 0;
+
+    this.cmdHistory.push(cmd);
+    if (this.cmdHistory.length > 3) this.cmdHistory.shift();
+    return cmd;
+  }
+
+  /**
+   * Manda un move con un usercmd nuevo, confirmando el último frame válido
+   */
+  sendMove() {
+    if (!this.isConnected || !this.socket) return;
+    this.noDeltaPending = false;
+
+    const cmd = this.buildUsercmd();
+    const protocol = this.serverProtocol;
+    const q2pro =
+      protocol === PROTOCOL.VERSION_Q2PRO ||
+      protocol === PROTOCOL.VERSION_AQTION;
+
+    const packet = createMovePacket({
+      protocol,
+      // Mientras un demo espera su primer frame se piden frames completos
+      lastFrame: this.frameValid && !this.demoWaiting ? this.lastFrameNum : -1,
+      // q2pro manda solo los comandos nuevos; el resto, los últimos tres
+      cmds: q2pro ? [cmd] : this.cmdHistory,
+      sequence: this.netchan.outgoingSequence,
+    });
+    this.sendSequencedResponse(packet);
   }
 
   // ==========================================================================
@@ -591,18 +1165,27 @@ export class Q2Client extends EventEmitter {
     return { value: (raw * 360) / 65536, nextIndex: idx + 2 };
   }
 
+  readPos(buffer, idx) {
+    const x = this.readCoord(buffer, idx);
+    const y = this.readCoord(buffer, x.nextIndex);
+    const z = this.readCoord(buffer, y.nextIndex);
+    return {
+      value: { x: x.value, y: y.value, z: z.value },
+      nextIndex: z.nextIndex,
+    };
+  }
+
+  readDir(buffer, idx) {
+    // Directions are a byte index into the anorms table
+    if (idx >= buffer.length) return { value: null, nextIndex: buffer.length };
+    const code = buffer[idx];
+    if (code >= NUMVERTEXNORMALS) return { value: null, nextIndex: idx + 1 };
+    const [x, y, z] = BYTEDIRS[code];
+    return { value: { x, y, z }, nextIndex: idx + 1 };
+  }
+
   cleanQuakeString(str) {
-    let result = "";
-    for (let i = 0; i < str.length; i++) {
-      let c = str.charCodeAt(i);
-      if (c >= 0x80) c -= 0x80;
-      if (c >= 0x20 && c < 0x7f) {
-        result += String.fromCharCode(c);
-      } else if (c === 0x0a || c === 0x0d) {
-        result += "\n";
-      }
-    }
-    return result.trim();
+    return toPlainText(str).trim();
   }
 
   // ==========================================================================
@@ -791,10 +1374,12 @@ export class Q2Client extends EventEmitter {
   }
 
   /**
-   * Parsea svc_playerinfo - estado del jugador local
+   * Parsea svc_playerinfo - estado del jugador local, como delta de `from`
    */
-  parsePlayerState(data, idx, flags) {
-    const ps = { ...this.entityTracker.playerState };
+  parsePlayerState(data, idx, flags, from = this.entityTracker.playerState) {
+    const ps = structuredClone(from);
+    const vanilla = isVanillaProtocol(this.serverProtocol);
+    const readChar = () => ((data[idx++] || 0) << 24) >> 24;
 
     // PM type
     if (flags & PS_M_TYPE) {
@@ -866,9 +1451,9 @@ export class Q2Client extends EventEmitter {
     // View offset
     if (flags & PS_VIEWOFFSET) {
       ps.viewoffset = {
-        x: (data[idx++] || 0) * 0.25,
-        y: (data[idx++] || 0) * 0.25,
-        z: (data[idx++] || 0) * 0.25,
+        x: readChar() * 0.25,
+        y: readChar() * 0.25,
+        z: readChar() * 0.25,
       };
     }
 
@@ -890,9 +1475,9 @@ export class Q2Client extends EventEmitter {
     // Kick angles
     if (flags & PS_KICKANGLES) {
       ps.kick_angles = {
-        pitch: (data[idx++] || 0) * 0.25,
-        yaw: (data[idx++] || 0) * 0.25,
-        roll: (data[idx++] || 0) * 0.25,
+        pitch: readChar() * 0.25,
+        yaw: readChar() * 0.25,
+        roll: readChar() * 0.25,
       };
     }
 
@@ -904,6 +1489,20 @@ export class Q2Client extends EventEmitter {
     // Weapon frame
     if (flags & PS_WEAPONFRAME) {
       ps.gunframe = data[idx++] || 0;
+
+      // Vanilla envía gunoffset y gunangles junto con el frame del arma
+      if (vanilla) {
+        ps.gunoffset = {
+          x: readChar() * 0.25,
+          y: readChar() * 0.25,
+          z: readChar() * 0.25,
+        };
+        ps.gunangles = {
+          pitch: readChar() * 0.25,
+          yaw: readChar() * 0.25,
+          roll: readChar() * 0.25,
+        };
+      }
     }
 
     // Blend
@@ -927,18 +1526,37 @@ export class Q2Client extends EventEmitter {
     }
 
     // Stats (32 shorts)
-    // En vanilla Q2, los stats siempre se envían completos
-    // Pero en Q2PRO/AQtion, usan una máscara de bits
+    // En vanilla Q2 van precedidos por una máscara de 32 bits
+    // En Q2PRO/AQtion la máscara viaja en los extraflags del frame
     // Por ahora asumimos que no hay cambios en stats en el delta
+    if (vanilla) {
+      const statbits = this.readInt32(data, idx);
+      idx = statbits.nextIndex;
+      ps.stats = [...ps.stats];
+      for (let i = 0; i < MAX_STATS; i++) {
+        if (statbits.value & (1 << i)) {
+          const stat = this.readInt16(data, idx);
+          ps.stats[i] = stat.value;
+          idx = stat.nextIndex;
+        }
+      }
+    }
 
     return { playerState: ps, nextIndex: idx };
   }
 
   /**
-   * Parsea svc_packetentities - entidades del frame
+   * Parsea svc_packetentities - entidades del frame (CL_ParsePacketEntities)
+   *
+   * Cada entidad viene como delta contra su estado en el frame viejo, o contra
+   * la baseline si no estaba. Las que no aparecen siguen igual que en el
+   * frame viejo, y U_REMOVE las saca del frame
    */
-  parsePacketEntities(data, idx) {
+  parsePacketEntities(data, idx, oldFrame = null) {
+    const entities = new Map();
     const updates = [];
+    const oldEntities = oldFrame ? oldFrame.entities : new Map();
+    const seen = new Set();
 
     while (idx < data.length) {
       // Leer bits de la entidad
@@ -946,11 +1564,6 @@ export class Q2Client extends EventEmitter {
       idx = bitsResult.nextIndex;
       const bits = bitsResult.bits;
 
-      // bits = 0 significa fin de entidades
-      if (bits === 0) {
-        break;
-      }
-
       // Leer entity number
       let entityNum;
       if (bits & U_NUMBER16) {
@@ -961,44 +1574,57 @@ export class Q2Client extends EventEmitter {
         entityNum = data[idx++] || 0;
       }
 
+      // bits = 0 y número 0 significa fin de entidades
       if (entityNum === 0 || entityNum >= MAX_EDICTS) {
         break;
       }
 
-      // Obtener baseline
-      const baseline =
+      const from =
+        oldEntities.get(entityNum) ||
         this.entityTracker.baselines[entityNum] ||
         this.entityTracker.createEmptyEntity();
 
-      // Parsear estado
-      // Re-inject entity number into bits for parsing
-      const tempData = Buffer.alloc(data.length);
-      data.copy(tempData);
-
       const stateResult = this.parseEntityStateFromBits(
         data,
         idx,
         bits,
-        baseline,
+        from,
         entityNum
       );
       idx = stateResult.nextIndex;
+      seen.add(entityNum);
 
-      // Actualizar tracker y emitir evento
-      const entity = this.entityTracker.updateEntity(
-        entityNum,
-        stateResult.state
-      );
-      if (entity) {
-        updates.push(entity);
-      }
+      if (stateResult.state.removed) continue;
+
+      entities.set(entityNum, stateResult.state);
+      updates.push(stateResult.state);
+    }
+
+    // Las entidades del frame viejo que no vinieron siguen sin cambios, salvo
+    // el evento y el old_origin (CL_DeltaEntity con bits 0)
+    for (const [number, state] of oldEntities) {
+      if (seen.has(number)) continue;
+      entities.set(number, {
+        ...state,
+        old_origin: { ...state.origin },
+        event: 0,
+      });
     }
 
-    return { updates, nextIndex: idx };
+    return { entities, updates, nextIndex: idx };
   }
 
-  parseEntityStateFromBits(data, idx, bits, baseline, entityNum) {
-    const state = { ...baseline };
+  parseEntityStateFromBits(data, idx, bits, baseline, entityNum, options = {}) {
+    // Copiar los vectores para no modificar el estado base al aplicar el
+    // delta. Como en MSG_ParseDeltaEntity, sin U_OLDORIGIN el old_origin es
+    // el origin anterior, y el evento dura un solo frame si no viene U_EVENT
+    const state = {
+      ...baseline,
+      origin: { ...baseline.origin },
+      angles: { ...baseline.angles },
+      old_origin: { ...baseline.origin },
+      event: 0,
+    };
     state.number = entityNum;
 
     // Check for removal
@@ -1135,9 +1761,11 @@ export class Q2Client extends EventEmitter {
       state.event = data[idx++] || 0;
     }
 
-    // Solid
+    // Solid (MVD lo envía en 32 bits)
     if (bits & U_SOLID) {
-      const solid = this.readUInt16(data, idx);
+      const solid = options.longSolid
+        ? this.readInt32(data, idx)
+        : this.readUInt16(data, idx);
       state.solid = solid.value;
       idx = solid.nextIndex;
     }
@@ -1150,8 +1778,9 @@ export class Q2Client extends EventEmitter {
    * Determina el tipo de entidad basado en su modelo/efectos
    */
   getEntityType(entity) {
-    // Players are entities 1-256
-    if (entity.number > 0 && entity.number <= MAX_CLIENTS) {
+    // Players are entities 1..maxclients
+    const maxClients = this.configStrings.getMaxClients() || MAX_CLIENTS;
+    if (entity.number > 0 && entity.number <= maxClients) {
       return "player";
     }
 
@@ -1173,6 +1802,166 @@ export class Q2Client extends EventEmitter {
     return "unknown";
   }
 
+  // ==========================================================================
+  // PARSING DE TEMP ENTITIES
+  // ==========================================================================
+
+  /**
+   * Parsea svc_temp_entity (basado en CL_ParseTEntPacket de q2pro)
+   * Retorna null si el tipo es desconocido, ya que no se puede saber
+   * cuántos bytes ocupa y el resto del mensaje quedaría desincronizado
+   */
+  parseTempEntity(data, idx) {
+    if (idx >= data.length) return null;
+
+    const type = data[idx++];
+    const te = { type, name: TE_NAMES[type] || "UNKNOWN" };
+
+    const readPos = (key) => {
+      const pos = this.readPos(data, idx);
+      te[key] = pos.value;
+      idx = pos.nextIndex;
+    };
+    const readDir = () => {
+      const dir = this.readDir(data, idx);
+      te.dir = dir.value;
+      idx = dir.nextIndex;
+    };
+    const readByte = (key) => {
+      te[key] = data[idx++] || 0;
+    };
+    const readShort = (key) => {
+      const value = this.readInt16(data, idx);
+      te[key] = value.value;
+      idx = value.nextIndex;
+    };
+
+    switch (type) {
+      case TE.BLOOD:
+      case TE.GUNSHOT:
+      case TE.SPARKS:
+      case TE.BULLET_SPARKS:
+      case TE.SCREEN_SPARKS:
+      case TE.SHIELD_SPARKS:
+      case TE.SHOTGUN:
+      case TE.BLASTER:
+      case TE.GREENBLOOD:
+      case TE.BLASTER2:
+      case TE.FLECHETTE:
+      case TE.HEATBEAM_SPARKS:
+      case TE.HEATBEAM_STEAM:
+      case TE.MOREBLOOD:
+      case TE.ELECTRIC_SPARKS:
+        readPos("position");
+        readDir();
+        break;
+
+      case TE.SPLASH:
+      case TE.LASER_SPARKS:
+      case TE.WELDING_SPARKS:
+      case TE.TUNNEL_SPARKS:
+        readByte("count");
+        readPos("position");
+        readDir();
+        readByte("color");
+        break;
+
+      case TE.BLUEHYPERBLASTER:
+      case TE.RAILTRAIL:
+      case TE.RAILTRAIL2:
+      case TE.BUBBLETRAIL:
+      case TE.DEBUGTRAIL:
+      case TE.BUBBLETRAIL2:
+      case TE.BFG_LASER:
+        readPos("position");
+        readPos("position2");
+        break;
+
+      case TE.GRENADE_EXPLOSION:
+      case TE.GRENADE_EXPLOSION_WATER:
+      case TE.EXPLOSION2:
+      case TE.PLASMA_EXPLOSION:
+      case TE.ROCKET_EXPLOSION:
+      case TE.ROCKET_EXPLOSION_WATER:
+      case TE.EXPLOSION1:
+      case TE.EXPLOSION1_NP:
+      case TE.EXPLOSION1_BIG:
+      case TE.BFG_EXPLOSION:
+      case TE.BFG_BIGEXPLOSION:
+      case TE.BOSSTPORT:
+      case TE.PLAIN_EXPLOSION:
+      case TE.CHAINFIST_SMOKE:
+      case TE.TRACKER_EXPLOSION:
+      case TE.TELEPORT_EFFECT:
+      case TE.DBALL_GOAL:
+      case TE.WIDOWSPLASH:
+      case TE.NUKEBLAST:
+        readPos("position");
+        break;
+
+      case TE.PARASITE_ATTACK:
+      case TE.MEDIC_CABLE_ATTACK:
+      case TE.HEATBEAM:
+      case TE.MONSTER_HEATBEAM:
+        readShort("entity");
+        readPos("position");
+        readPos("position2");
+        break;
+
+      case TE.GRAPPLE_CABLE:
+        readShort("entity");
+        readPos("position");
+        readPos("position2");
+        readPos("offset");
+        break;
+
+      case TE.LIGHTNING:
+        readShort("entity");
+        readShort("entity2");
+        readPos("position");
+        readPos("position2");
+        break;
+
+      case TE.FLASHLIGHT:
+        readPos("position");
+        readShort("entity");
+        break;
+
+      case TE.FORCEWALL:
+        readPos("position");
+        readPos("position2");
+        readByte("color");
+        break;
+
+      case TE.STEAM: {
+        // entity = id del efecto (-1 = puff único), entity2 = magnitud
+        readShort("entity");
+        readByte("count");
+        readPos("position");
+        readDir();
+        readByte("color");
+        readShort("entity2");
+        if (te.entity !== -1) {
+          const time = this.readInt32(data, idx);
+          te.time = time.value;
+          idx = time.nextIndex;
+        }
+        break;
+      }
+
+      case TE.WIDOWBEAMOUT:
+        readShort("entity");
+        readPos("position");
+        break;
+
+      default:
+        // TE_FLAME y tipos desconocidos no tienen formato definido
+        return null;
+    }
+
+    return { tempEntity: te, nextIndex: idx };
+  }
+
   // ==========================================================================
   // PARSING DE MENSAJES
   // ==========================================================================
@@ -1209,13 +1998,20 @@ export class Q2Client extends EventEmitter {
         return { type: "challenge", challengeId, supportedProtocols };
       } else if (firstLine.startsWith("print")) {
         const message = content.substring(6).trim();
-        return { type: "print", message: this.cleanQuakeString(message) };
+        return {
+          type: "print",
+          message: this.cleanQuakeString(message),
+          raw: message,
+        };
       } else if (firstLine.startsWith("client_connect")) {
         const params = {};
         const parts = firstLine.split(/\s+/);
         for (let i = 1; i < parts.length; i++) {
-          const [key, value] = parts[i].split("=");
-          if (key && value) params[key] = value;
+          // El valor puede traer "=" (la URL de dlserver)
+          const eq = parts[i].indexOf("=");
+          const key = parts[i].substring(0, eq);
+          const value = parts[i].substring(eq + 1);
+          if (eq > 0 && value) params[key] = value;
         }
         return { type: "client_connect", params, message: content };
       } else if (firstLine.startsWith("disconnect")) {
@@ -1346,6 +2142,7 @@ export class Q2Client extends EventEmitter {
       if (cmd === SVC.EXTEND && idx < data.length) {
         cmd = data[idx++];
       }
+      const bodyStart = idx;
 
       switch (cmd) {
         case SVC.NOP:
@@ -1357,53 +2154,17 @@ export class Q2Client extends EventEmitter {
           break;
 
         case SVC.TEMP_ENTITY: {
-          if (idx >= data.length) return messages;
-          const teType = data[idx++];
-          switch (teType) {
-            case 0:
-            case 1:
-            case 2:
-            case 3:
-            case 4:
-            case 5:
-            case 6:
-            case 7:
-            case 8:
-            case 9:
-            case 10:
-            case 11:
-            case 12:
-            case 13:
-            case 14:
-            case 15:
-            case 16:
-            case 17:
-            case 18:
-            case 19:
-              idx += 6;
-              break;
-            case 20:
-            case 21:
-            case 22:
-            case 23:
-            case 24:
-            case 25:
-            case 26:
-            case 27:
-            case 28:
-            case 29:
-              idx += 12;
-              break;
-            default:
-              idx += 6;
-              break;
-          }
+          const teResult = this.parseTempEntity(data, idx);
+          if (!teResult) return messages;
+          idx = teResult.nextIndex;
+          messages.push({ type: "temp_entity", data: teResult.tempEntity });
           break;
         }
 
         case SVC.LAYOUT: {
           const { text, nextIndex } = this.readCString(data, idx);
           idx = nextIndex;
+          messages.push({ type: "layout", text });
           break;
         }
 
@@ -1433,6 +2194,7 @@ export class Q2Client extends EventEmitter {
           idx = mapName.nextIndex;
 
           // Protocol-specific data
+          let extendedLimits = false;
           if (proto === PROTOCOL.VERSION_R1Q2) {
             if (idx + 5 <= data.length) {
               idx++; // enhanced
@@ -1448,7 +2210,11 @@ export class Q2Client extends EventEmitter {
               this.serverProtocolMinor = minorVersion;
               idx++; // serverState
               if (this.serverProtocolMinor >= 1024) {
-                if (idx + 2 <= data.length) idx += 2; // flags
+                if (idx + 2 <= data.length) {
+                  const flags = data.readUInt16LE(idx);
+                  idx += 2;
+                  extendedLimits = (flags & Q2PRO_PF_EXTENSIONS) !== 0;
+                }
               } else {
                 if (idx + 3 <= data.length) idx += 3;
               }
@@ -1462,6 +2228,11 @@ export class Q2Client extends EventEmitter {
             }
           }
 
+          // Los índices de configstrings dependen de los límites del servidor
+          this.configStrings.setLayout(
+            extendedLimits ? CS_LAYOUT_EXTENDED : CS_LAYOUT_VANILLA
+          );
+
           messages.push({
             type: "serverdata",
             protocol: proto,
@@ -1480,46 +2251,19 @@ export class Q2Client extends EventEmitter {
           idx += 2;
           const { text, nextIndex } = this.readCString(data, idx);
           idx = nextIndex;
-          const cleanText = this.cleanQuakeString(text);
-          if (cleanText) {
-            messages.push({
-              type: "configstring",
-              index: csIndex,
-              text: cleanText,
-            });
-          }
+          // Un configstring vacío borra el anterior: también se aplica
+          messages.push({
+            type: "configstring",
+            index: csIndex,
+            text: this.cleanQuakeString(text),
+            raw: text,
+          });
           break;
         }
 
-        case SVC.SPAWNBASELINE: {
-          // Parse entity baseline
-          const bitsResult = this.parseEntityBits(data, idx);
-          idx = bitsResult.nextIndex;
-
-          if (bitsResult.bits === 0) break;
-
-          let entityNum;
-          if (bitsResult.bits & U_NUMBER16) {
-            const num = this.readUInt16(data, idx);
-            entityNum = num.value;
-            idx = num.nextIndex;
-          } else {
-            entityNum = data[idx++] || 0;
-          }
-
-          const baseline = this.entityTracker.createEmptyEntity();
-          const stateResult = this.parseEntityStateFromBits(
-            data,
-            idx,
-            bitsResult.bits,
-            baseline,
-            entityNum
-          );
-          idx = stateResult.nextIndex;
-
-          this.entityTracker.setBaseline(entityNum, stateResult.state);
+        case SVC.SPAWNBASELINE:
+          idx = this.parseBaseline(data, idx).nextIndex;
           break;
-        }
 
         case SVC.PRINT: {
           if (idx >= data.length) return messages;
@@ -1528,7 +2272,7 @@ export class Q2Client extends EventEmitter {
           idx = nextIndex;
           const cleanText = this.cleanQuakeString(text);
           if (cleanText) {
-            messages.push({ type: "print", level, text: cleanText });
+            messages.push({ type: "print", level, text: cleanText, raw: text });
           }
           break;
         }
@@ -1538,7 +2282,7 @@ export class Q2Client extends EventEmitter {
           idx = nextIndex;
           const cleanText = this.cleanQuakeString(text);
           if (cleanText) {
-            messages.push({ type: "centerprint", text: cleanText });
+            messages.push({ type: "centerprint", text: cleanText, raw: text });
           }
           break;
         }
@@ -1580,16 +2324,15 @@ export class Q2Client extends EventEmitter {
           let frameNum;
           let deltaNum = -1;
           let psFlags = 0;
+          let areabits = null;
 
-          if (
-            this.serverProtocol === PROTOCOL.VERSION_Q2PRO ||
-            this.serverProtocol === PROTOCOL.VERSION_AQTION ||
-            this.serverProtocol === PROTOCOL.VERSION_R1Q2
-          ) {
+          if (!isVanillaProtocol(this.serverProtocol)) {
             const frameData = data.readUInt32LE(idx);
             idx += 4;
             frameNum = frameData & 0x07ffffff;
-            deltaNum = (frameData >> 27) & 0x1f;
+            // El delta viene como distancia al frame actual (31 = sin delta)
+            const deltaOffset = (frameData >>> 27) & 0x1f;
+            deltaNum = deltaOffset === 31 ? -1 : frameNum - deltaOffset;
             this.lastFrameNum = frameNum;
 
             if (idx < data.length) {
@@ -1599,6 +2342,7 @@ export class Q2Client extends EventEmitter {
             // Areabits
             if (idx < data.length) {
               const areabytes = data[idx++];
+              areabits = data.slice(idx, idx + areabytes);
               idx += areabytes;
             }
 
@@ -1617,69 +2361,93 @@ export class Q2Client extends EventEmitter {
               idx += 4;
             }
 
-            if (idx < data.length) idx++; // suppresscount
+            // El protocolo 26 no tiene el byte de suppresscount
+            if (
+              this.serverProtocol !== PROTOCOL.VERSION_OLD &&
+              idx < data.length
+            ) {
+              idx++;
+            }
 
             // Areabits
             if (idx < data.length) {
               const areabytes = data[idx++];
+              areabits = data.slice(idx, idx + areabytes);
               idx += areabytes;
             }
 
-            // Player state flags
-            if (idx + 2 <= data.length) {
-              psFlags = data.readUInt16LE(idx);
-              idx += 2;
-            }
-          }
-
-          // Parse player state
-          if (psFlags !== 0 && idx < data.length) {
-            const psResult = this.parsePlayerState(data, idx, psFlags);
-            idx = psResult.nextIndex;
-            this.entityTracker.updatePlayerState(psResult.playerState);
+            this.beginFrame(frameNum, deltaNum);
 
-            // Emit player state update
-            const ps = psResult.playerState;
+            // En vanilla el player state y las entidades llegan a
+            // continuación como svc_playerinfo y svc_packetentities
             messages.push({
-              type: "player_state",
-              data: {
-                position: ps.pmove.origin,
-                velocity: ps.pmove.velocity,
-                viewangles: ps.viewangles,
-                weapon: ps.gunindex,
-                fov: ps.fov,
-              },
+              type: "frame",
+              frameNum,
+              deltaNum,
+              areabits,
+              valid: this.pendingFrame.valid,
             });
+            break;
           }
 
+          this.beginFrame(frameNum, deltaNum);
+          messages.push({
+            type: "frame",
+            frameNum,
+            deltaNum,
+            areabits,
+            valid: this.pendingFrame.valid,
+          });
+
+          // Parse player state
+          idx = this.parseFramePlayerState(data, idx, psFlags, messages);
+
           // Parse packet entities
-          if (idx < data.length) {
-            const entitiesResult = this.parsePacketEntities(data, idx);
-            idx = entitiesResult.nextIndex;
-
-            // Emit entity updates
-            for (const entity of entitiesResult.updates) {
-              messages.push({
-                type: "entity_state",
-                data: entity,
-              });
-            }
-          }
+          idx = this.parseFrameEntities(data, idx, messages);
+          break;
+        }
 
+        case SVC.PLAYERINFO: {
+          if (idx + 2 > data.length) return messages;
+          const psFlags = data.readUInt16LE(idx);
+          idx += 2;
+
+          idx = this.parseFramePlayerState(data, idx, psFlags, messages);
           break;
         }
 
-        case SVC.PLAYERINFO:
         case SVC.PACKETENTITIES:
+          idx = this.parseFrameEntities(data, idx, messages);
+          break;
+
         case SVC.DELTAPACKETENTITIES:
           return messages;
 
-        case SVC.DOWNLOAD: {
-          if (idx + 2 > data.length) return messages;
+        case SVC.DOWNLOAD:
+        case SVC.ZDOWNLOAD: {
+          // size -1: el servidor no tiene el archivo (no trae más datos)
+          if (idx + 3 > data.length) return messages;
           const size = data.readInt16LE(idx);
           idx += 2;
-          idx++;
-          if (size > 0) idx += size;
+          const percent = data[idx++];
+          if (size < 0) {
+            messages.push({ type: "download", size, percent });
+            break;
+          }
+
+          // q2pro: tamaño descomprimido del chunk (-1 = stream continuo)
+          const compressed = cmd === SVC.ZDOWNLOAD;
+          if (compressed) idx += 2;
+
+          if (idx + size > data.length) return messages;
+          messages.push({
+            type: "download",
+            size,
+            percent,
+            compressed,
+            data: data.subarray(idx, idx + size),
+          });
+          idx += size;
           break;
         }
 
@@ -1703,30 +2471,20 @@ export class Q2Client extends EventEmitter {
           break;
         }
 
-        case SVC.GAMESTATE: {
-          const CS_END = 0x7fff;
-          const MAX_CONFIGSTRINGS = 2080;
-
-          while (idx + 2 <= data.length) {
-            const csIndex = data.readUInt16LE(idx);
-            idx += 2;
-
-            if (csIndex === CS_END || csIndex >= MAX_CONFIGSTRINGS) break;
+        // El gamestate de q2pro trae configstrings y baselines juntos; los
+        // streams traen una sola de las dos listas (CL_ParseGamestate)
+        case SVC.GAMESTATE:
+          idx = this.parseConfigStringStream(data, idx, messages);
+          idx = this.parseBaselineStream(data, idx);
+          break;
 
-            const { text, nextIndex } = this.readCString(data, idx);
-            idx = nextIndex;
-            const cleanText = this.cleanQuakeString(text);
+        case SVC.CONFIGSTRINGSTREAM:
+          idx = this.parseConfigStringStream(data, idx, messages);
+          break;
 
-            if (cleanText) {
-              messages.push({
-                type: "configstring",
-                index: csIndex,
-                text: cleanText,
-              });
-            }
-          }
-          return messages;
-        }
+        case SVC.BASELINESTREAM:
+          idx = this.parseBaselineStream(data, idx);
+          break;
 
         case SVC.SETTING: {
           if (idx + 8 > data.length) return messages;
@@ -1734,139 +2492,613 @@ export class Q2Client extends EventEmitter {
           break;
         }
 
-        case SVC.CONFIGSTRINGSTREAM:
-        case SVC.BASELINESTREAM:
-          return messages;
-
         default:
           if (isNested) continue;
           return messages;
       }
+
+      if (
+        this.demoWriter &&
+        this.serverProtocol !== PROTOCOL.VERSION_DEFAULT &&
+        DEMO_COPY_SVC.has(cmd) &&
+        idx <= data.length
+      ) {
+        const copy = this.toDemoMessage(cmd, data.subarray(bodyStart, idx));
+        if (copy) messages.push({ type: "demo_data", data: copy });
+      }
     }
 
     return messages;
   }
 
-  // ==========================================================================
-  // MANEJO DE CONEXIÓN
-  // ==========================================================================
+  /**
+   * Arma la copia en protocolo 34 de un mensaje de DEMO_COPY_SVC. El opcode
+   * pierde los bits extra de q2pro; los sonidos con índice de 16 bits pasan
+   * a 8 bits o se descartan si no entran en MAX_SOUNDS vanilla
+   */
+  toDemoMessage(cmd, body) {
+    if (cmd === SVC.MUZZLEFLASH || cmd === SVC.MUZZLEFLASH2) {
+      if (body.length < 3 || body.readUInt16LE(0) >= MAX_EDICTS) return null;
+    }
 
-  requestChallenge() {
-    this.connectionState = "challenging";
-    this.emitEvent("connection", { status: "connecting" });
-    this.socket.send(
-      this.createOOBPacket("getchallenge"),
-      this.serverPort,
-      this.serverIp
-    );
+    if (cmd === SVC.SOUND && body[0] & 0x20) {
+      const index = body.readUInt16LE(1);
+      if (index >= 256) return null;
+      return Buffer.concat([
+        Buffer.from([cmd, body[0] & ~0x20, index]),
+        body.subarray(3),
+      ]);
+    }
+
+    return Buffer.concat([Buffer.from([cmd]), body]);
   }
 
-  connectToServer(challengeId) {
-    if (challengeId) this.clientChallengeId = challengeId;
+  // ==========================================================================
+  // GAMESTATE
+  // ==========================================================================
 
-    this.connectionState = "connecting";
-    this.socket.send(
-      this.createConnectPacket(this.clientChallengeId),
-      this.serverPort,
-      this.serverIp
-    );
+  /**
+   * Lee pares (índice, texto) hasta el índice que marca el fin del layout
+   * de configstrings. Retorna la posición siguiente
+   */
+  parseConfigStringStream(data, idx, messages) {
+    while (idx + 2 <= data.length) {
+      const csIndex = data.readUInt16LE(idx);
+      idx += 2;
+
+      if (csIndex >= this.configStrings.layout.END) break;
+
+      const { text, nextIndex } = this.readCString(data, idx);
+      idx = nextIndex;
+      const cleanText = this.cleanQuakeString(text);
+
+      if (cleanText) {
+        messages.push({
+          type: "configstring",
+          index: csIndex,
+          text: cleanText,
+          raw: text,
+        });
+      }
+    }
+    return idx;
   }
 
-  sendNewCommand() {
-    if (this.hasSentNew) return;
-    this.hasSentNew = true;
-    this.sendStringCmd("new");
+  /**
+   * Lee baselines hasta la entidad 0. Retorna la posición siguiente
+   */
+  parseBaselineStream(data, idx) {
+    while (idx < data.length) {
+      const result = this.parseBaseline(data, idx);
+      idx = result.nextIndex;
+      if (!result.entityNum) break;
+    }
+    return idx;
   }
 
-  sendBeginCommand() {
-    if (this.hasSentBegin) return;
-    this.hasSentBegin = true;
+  /**
+   * Lee una baseline (bits, número y estado) y la guarda en el tracker.
+   * entityNum es 0 en el marcador de fin de un stream
+   */
+  parseBaseline(data, idx) {
+    const bitsResult = this.parseEntityBits(data, idx);
+    idx = bitsResult.nextIndex;
 
-    const beginCount = this.spawnCount || this.serverCount;
-    this.sendStringCmd(`begin ${beginCount}`);
+    let entityNum;
+    if (bitsResult.bits & U_NUMBER16) {
+      const num = this.readUInt16(data, idx);
+      entityNum = num.value;
+      idx = num.nextIndex;
+    } else {
+      entityNum = data[idx++] || 0;
+    }
 
-    this.connectionState = "spawned";
-    this.emitEvent("connection", { status: "spawned" });
+    if (!entityNum) return { entityNum: 0, nextIndex: idx };
+
+    const stateResult = this.parseEntityStateFromBits(
+      data,
+      idx,
+      bitsResult.bits,
+      this.entityTracker.createEmptyEntity(),
+      entityNum
+    );
+    this.entityTracker.setBaseline(entityNum, stateResult.state);
+
+    return { entityNum, nextIndex: stateResult.nextIndex };
   }
 
-  startHeartbeat() {
-    if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
-    if (this.keepAliveInterval) clearInterval(this.keepAliveInterval);
+  // ==========================================================================
+  // FRAMES
+  // ==========================================================================
 
-    // Movimiento cada 100ms cuando spawneado, cada 300ms durante handshake
-    this.heartbeatInterval = setInterval(
-      () => {
-        if (!this.isConnected) return;
+  /**
+   * Empieza un frame: busca el frame viejo contra el que viene el delta.
+   * Si no se tiene, el frame se parsea igual (para no perder el resto del
+   * mensaje) pero se descarta, como hace CL_ParseFrame
+   */
+  beginFrame(frameNum, deltaNum) {
+    const delta = this.entityTracker.getDeltaFrame(deltaNum, frameNum);
+    this.frameValid = delta.valid;
 
-        if (this.connectionState === "spawned") {
-          // Send NOP keepalive cuando está spawned
-          const nopPacket = Buffer.from([CLC.NOP]);
-          this.sendSequencedResponse(nopPacket, false);
-        } else {
-          // Durante handshake, enviar keepalive vacío
-          this.sendSequencedResponse();
-        }
-      },
-      this.connectionState === "spawned" ? 100 : 300
-    );
+    if (!delta.valid) {
+      this.emitDebug("frame_dropped", { frameNum, deltaNum });
+      this.requestNoDeltaFrame();
+    }
 
-    // NOP backup cada 10 segundos
-    this.keepAliveInterval = setInterval(() => {
-      if (this.isConnected) {
-        this.sendSequencedResponse(Buffer.from([CLC.NOP]), false);
-      }
-    }, 10000);
+    this.pendingFrame = {
+      frameNum,
+      deltaNum,
+      valid: delta.valid,
+      oldFrame: delta.frame,
+      playerState: delta.frame
+        ? delta.frame.playerState
+        : this.entityTracker.createEmptyPlayerState(),
+    };
   }
 
-  handleStufftext(text) {
-    const lines = text.split("\n");
+  /**
+   * Pide un frame completo al servidor con un move con lastframe = -1,
+   * igual que el cliente cuando cl.frame.valid es falso. El move sale con
+   * la respuesta al paquete, no en medio del parseo
+   */
+  requestNoDeltaFrame() {
+    if (this.playbackMode) return;
 
-    for (const line of lines) {
-      const cmd = line.trim();
-      if (!cmd) continue;
+    this.frameValid = false;
+    this.noDeltaPending = true;
+  }
 
-      if (cmd.includes("\x7Fc version") || cmd.includes("c version $version")) {
-        if (!this.respondedVersion) {
-          this.respondedVersion = true;
-          this.pendingCommands.push(`\x7Fc version ${this.playerName} 1.0`);
-        }
-        continue;
-      }
+  parseFramePlayerState(data, idx, psFlags, messages) {
+    const frame = this.pendingFrame;
+    if (!frame) return data.length;
 
-      if (cmd.includes("\x7Fc actoken") || cmd.includes("c actoken $actoken")) {
-        if (!this.respondedAcToken) {
-          this.respondedAcToken = true;
-          this.pendingCommands.push("\x7Fc actoken 0");
-        }
-        continue;
-      }
+    // En q2pro los flags en 0 significan que no cambió nada
+    if (psFlags !== 0 && idx < data.length) {
+      const psResult = this.parsePlayerState(
+        data,
+        idx,
+        psFlags,
+        frame.playerState
+      );
+      idx = psResult.nextIndex;
+      frame.playerState = psResult.playerState;
+    }
 
-      if (cmd.includes("\x7Fc check") || cmd.includes("c check")) {
-        this.pendingCommands.push("\x7Fc check 0");
-        continue;
-      }
+    if (frame.valid) {
+      const ps = frame.playerState;
+      messages.push({
+        type: "player_state",
+        data: {
+          position: ps.pmove.origin,
+          velocity: ps.pmove.velocity,
+          viewangles: ps.viewangles,
+          weapon: ps.gunindex,
+          fov: ps.fov,
+          pmType: ps.pmove.pm_type,
+          stats: ps.stats,
+        },
+      });
+    }
 
-      if (cmd.startsWith("cmd configstrings")) {
-        const match = cmd.match(/cmd configstrings\s*(\d*)/);
-        const offset = match && match[1] ? match[1] : "0";
-        if (!this.sentConfigstrings) {
-          this.sentConfigstrings = true;
-          this.pendingCommands.push(`configstrings ${offset}`);
-        }
-        continue;
-      }
+    return idx;
+  }
 
-      if (cmd.startsWith("cmd baselines")) {
-        const match = cmd.match(/cmd baselines\s*(\d*)/);
-        const offset = match && match[1] ? match[1] : "0";
-        if (!this.sentBaselines) {
-          this.sentBaselines = true;
-          this.pendingCommands.push(`baselines ${offset}`);
-        }
-        continue;
-      }
+  /**
+   * Parsea las entidades del frame en curso y lo completa
+   */
+  parseFrameEntities(data, idx, messages) {
+    const frame = this.pendingFrame;
+    if (!frame) return data.length;
+    this.pendingFrame = null;
+
+    const result = this.parsePacketEntities(data, idx, frame.oldFrame);
+    if (!frame.valid) return result.nextIndex;
+
+    const { entered, left } = this.entityTracker.commitFrame({
+      frameNum: frame.frameNum,
+      playerState: frame.playerState,
+      entities: result.entities,
+    });
 
-      if (cmd.startsWith("precache") && !this.precacheReceived) {
+    for (const entity of left) {
+      messages.push({ type: "entity_leave", data: entity });
+    }
+    for (const entity of entered) {
+      messages.push({ type: "entity_enter", data: entity });
+    }
+    for (const entity of result.updates) {
+      messages.push({ type: "entity_state", data: entity });
+    }
+
+    return result.nextIndex;
+  }
+
+  /**
+   * Emite una actualización de `key` respetando el intervalo mínimo de
+   * updateInterval. Dentro del intervalo se guarda solo la última, que sale
+   * cuando el intervalo vence: el estado final de la entidad no se pierde
+   */
+  emitUpdate(key, type, data) {
+    if (!this.updateInterval) {
+      this.emitEvent(type, data);
+      return;
+    }
+
+    const held = this.heldUpdates.get(key);
+    if (held) {
+      held.type = type;
+      held.data = data;
+      return;
+    }
+
+    const last = this.lastUpdateEmit.get(key) || 0;
+    const wait = last + this.updateInterval - Date.now();
+    if (wait <= 0) {
+      this.lastUpdateEmit.set(key, Date.now());
+      this.emitEvent(type, data);
+      return;
+    }
+
+    const update = { type, data };
+    update.timer = setTimeout(() => {
+      this.heldUpdates.delete(key);
+      this.lastUpdateEmit.set(key, Date.now());
+      this.emitEvent(update.type, update.data);
+    }, wait);
+    this.heldUpdates.set(key, update);
+  }
+
+  /**
+   * Descarta la actualización retenida de `key` (o todas, sin `key`)
+   */
+  dropHeldUpdates(key) {
+    const keys = key === undefined ? [...this.heldUpdates.keys()] : [key];
+    for (const k of keys) {
+      const held = this.heldUpdates.get(k);
+      if (!held) continue;
+      clearTimeout(held.timer);
+      this.heldUpdates.delete(k);
+    }
+  }
+
+  // ==========================================================================
+  // SCOREBOARD
+  // ==========================================================================
+
+  /**
+   * Interpreta el layout recibido y emite el scoreboard si tiene filas
+   * de jugadores (el layout también se usa para la computadora, menús, etc)
+   */
+  handleLayout(text) {
+    const { elements, rows } = parseLayout(text, {
+      stats: this.entityTracker.playerState.stats,
+      configStrings: this.configStrings,
+      playerNames: this.playerNames,
+    });
+
+    if (rows.length === 0) return;
+
+    this.lastScoreboardTime = Date.now();
+    this.emitEvent("scoreboard", {
+      players: rows.map(({ clientNum, name, score, ping, time, team }) => ({
+        clientNum,
+        name,
+        score,
+        ping,
+        time,
+        ...(team ? { team } : {}),
+      })),
+      elements,
+      layout: text,
+    });
+  }
+
+  /**
+   * Pide el scoreboard con `score` si alguien lo escucha y no llegó uno en
+   * scoreboardInterval. Mientras está prendido, el juego lo reenvía solo;
+   * se apaga al respawnear o al abrir otro layout
+   */
+  pollScoreboard() {
+    if (!this.scoreboardInterval || !this.hasSentBegin) return;
+    if (this.listenerCount("scoreboard") === 0) return;
+
+    const now = Date.now();
+    const last = Math.max(this.lastScoreboardTime, this.lastScoreRequest);
+    if (now - last < this.scoreboardInterval) return;
+
+    this.lastScoreRequest = now;
+    this.sendStringCmd("score");
+  }
+
+  // ==========================================================================
+  // KILL FEED
+  // ==========================================================================
+
+  /**
+   * Carga un pack de obituarios adicional (objeto o ruta a un JSON)
+   */
+  async loadObituaryPack(pack) {
+    if (typeof pack === "string") {
+      return this.obituaries.loadPackFile(pack);
+    }
+    this.obituaries.addPack(pack);
+    return pack.name;
+  }
+
+  handleObituaries(text) {
+    const names = Object.values(this.playerNames);
+
+    for (const line of text.split("\n")) {
+      const frag = this.obituaries.parse(line, names);
+      if (!frag) continue;
+
+      this.emitEvent("frag", {
+        ...frag,
+        victimId: this.findPlayerId(frag.victim),
+        killerId: frag.killer ? this.findPlayerId(frag.killer) : null,
+      });
+    }
+  }
+
+  findPlayerId(name) {
+    for (const [id, playerName] of Object.entries(this.playerNames)) {
+      if (playerName === name) return parseInt(id);
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // GRABACIÓN DE DEMOS
+  // ==========================================================================
+
+  recordGamestate() {
+    if (!this.demoWriter || this.demoWriter.hasGamestate) return;
+    if (!this.hasServerData) return;
+
+    this.demoWriter.writeGamestate({
+      serverCount: this.serverCount,
+      gameDir: this.gameDir,
+      clientNum: this.clientNum,
+      mapName: this.currentMapName,
+      configStrings: this.configStrings.toVanilla(),
+      baselines: this.entityTracker.baselines,
+    });
+
+    // Los paquetes de protocolo 34 se copian tal cual: el primer frame del
+    // demo tiene que venir sin delta, porque el frame contra el que se
+    // armaría no está en el archivo
+    if (this.serverProtocol === PROTOCOL.VERSION_DEFAULT) {
+      this.demoWaiting = true;
+      this.requestNoDeltaFrame();
+    }
+  }
+
+  /**
+   * Graba los mensajes de un paquete. Con protocolo 34 se copian tal cual;
+   * con R1Q2/Q2PRO/AQtion se re-codifican en protocolo 34 para que el demo
+   * se pueda reproducir en clientes estándar: los frames se arman de nuevo,
+   * los configstrings pasan a índices vanilla y el resto llega como
+   * "demo_data" desde parseGameMessage()
+   */
+  recordMessages(data, msgs) {
+    if (!this.demoWriter || !this.demoWriter.hasGamestate) return;
+
+    if (this.serverProtocol === PROTOCOL.VERSION_DEFAULT) {
+      if (this.demoWaiting) {
+        const full = msgs.some((m) => m.type === "frame" && m.deltaNum === -1);
+        if (!full) return;
+        this.demoWaiting = false;
+      }
+      this.demoWriter.writeMessage(data);
+      return;
+    }
+
+    for (const m of msgs) {
+      switch (m.type) {
+        case "configstring": {
+          const index = this.configStrings.toVanillaIndex(m.index);
+          if (index >= 0) this.demoWriter.writeConfigString(index, m.raw);
+          break;
+        }
+        case "demo_data":
+          this.demoWriter.writeMessage(m.data);
+          break;
+        case "frame":
+          if (m.valid === false) break;
+          this.demoWriter.writeFrame({
+            frameNum: m.frameNum,
+            areabits: m.areabits,
+            playerState: this.entityTracker.playerState,
+            entities: this.entityTracker.entities,
+            baselines: this.entityTracker.baselines,
+          });
+          break;
+      }
+    }
+  }
+
+  // ==========================================================================
+  // MANEJO DE CONEXIÓN
+  // ==========================================================================
+
+  requestChallenge() {
+    this.connectionState = "challenging";
+    this.emitEvent("connection", { status: "connecting" });
+    this.sendPacket(this.createOOBPacket("getchallenge"));
+  }
+
+  /**
+   * Si el servidor rechaza el protocolo del connect ("Server is version
+   * 3.05."), se pide otro challenge con el siguiente protocolo más viejo
+   */
+  handleConnectRejected(message) {
+    if (this.connectionState !== "connecting") return;
+    if (!/server is version|protocol version/i.test(message)) return;
+
+    const protocol = this.serverProtocol;
+    this.rejectedProtocols.add(protocol);
+    this.emitEvent("connection", {
+      status: "reconnecting",
+      reason: "protocol_rejected",
+      protocol,
+    });
+    this.requestChallenge();
+  }
+
+  connectToServer(challengeId) {
+    if (challengeId) this.clientChallengeId = challengeId;
+
+    this.connectionState = "connecting";
+    this.sendPacket(this.createConnectPacket(this.clientChallengeId));
+  }
+
+  sendNewCommand() {
+    if (this.hasSentNew) return;
+    this.hasSentNew = true;
+    this.sendStringCmd("new");
+  }
+
+  sendBeginCommand() {
+    // El timer del begin puede llegar después de un disconnect
+    if (this.hasSentBegin || !this.isConnected) return;
+    this.hasSentBegin = true;
+
+    const beginCount = this.spawnCount || this.serverCount;
+    this.sendStringCmd(`begin ${beginCount}`);
+
+    this.connectionState = "spawned";
+    this.recordGamestate();
+    this.emitEvent("connection", { status: "spawned" });
+
+    // Reiniciar el heartbeat con el intervalo de juego
+    this.startHeartbeat();
+    this.downloadMapAssets();
+  }
+
+  /**
+   * Baja el mapa actual y, con downloadAssets, las texturas que usa y los
+   * modelos y skins de los jugadores. Los errores quedan en los eventos
+   * 'download'
+   */
+  async downloadMapAssets() {
+    if (!this.downloadDir || !this.isConnected || this.playbackMode) return;
+
+    const mapFile = this.configStrings.getModelName(1);
+    if (!mapFile) return;
+
+    try {
+      const local = await this.download(mapFile);
+      if (!this.downloadAssets) return;
+
+      const files = listBspTextures(await fs.promises.readFile(local));
+      for (let i = 0; i < this.configStrings.getMaxClients(); i++) {
+        const info = this.configStrings.getPlayerSkin(i);
+        if (!info || !info.model) continue;
+        files.push(`players/${info.model}/tris.md2`);
+        if (info.skin) files.push(`players/${info.model}/${info.skin}.pcx`);
+      }
+
+      await Promise.allSettled(files.map((file) => this.download(file)));
+    } catch (error) {
+      // El archivo que falló ya salió como 'failed'; 'error' avisa que se
+      // cortó la descarga de los archivos del mapa
+      this.emitEvent("download", {
+        status: "error",
+        file: mapFile,
+        reason: error.message,
+      });
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
+    if (this.keepAliveInterval) clearInterval(this.keepAliveInterval);
+
+    // Movimiento cada 100ms cuando spawneado, cada 300ms durante handshake
+    this.heartbeatInterval = setInterval(
+      () => {
+        if (!this.isConnected) return;
+
+        if (this.hasSentBegin) {
+          // Los moves confirman frames y evitan el kick por inactividad
+          this.sendMove();
+          this.pollScoreboard();
+        } else if (this.connectionState === "spawned") {
+          // En modo pasivo no hay begin: solo NOP
+          const nopPacket = Buffer.from([CLC.NOP]);
+          this.sendSequencedResponse(nopPacket);
+        } else {
+          // Durante handshake, enviar keepalive vacío
+          this.sendSequencedResponse();
+        }
+      },
+      this.connectionState === "spawned" ? 100 : 300
+    );
+
+    // NOP backup cada 10 segundos
+    this.keepAliveInterval = setInterval(() => {
+      if (this.isConnected) {
+        this.sendSequencedResponse(Buffer.from([CLC.NOP]));
+      }
+    }, 10000);
+  }
+
+  handleStufftext(text) {
+    const lines = text.split("\n");
+
+    for (const line of lines) {
+      const cmd = line.trim();
+      if (!cmd) continue;
+
+      if (cmd.includes("\x7Fc version") || cmd.includes("c version $version")) {
+        if (!this.respondedVersion) {
+          this.respondedVersion = true;
+          this.pendingCommands.push(`\x7Fc version ${this.playerName} 1.0`);
+        }
+        continue;
+      }
+
+      if (cmd.includes("\x7Fc actoken") || cmd.includes("c actoken $actoken")) {
+        if (!this.respondedAcToken) {
+          this.respondedAcToken = true;
+          this.pendingCommands.push("\x7Fc actoken 0");
+        }
+        continue;
+      }
+
+      if (cmd.includes("\x7Fc check") || cmd.includes("c check")) {
+        this.pendingCommands.push("\x7Fc check 0");
+        continue;
+      }
+
+      // Servidor HTTP de descargas anunciado por stufftext
+      const dlserver = cmd.match(/^(?:set\s+)?dlserver\s+"?([^"\s]+)"?/);
+      if (dlserver) {
+        this.downloads.httpServer = dlserver[1];
+        continue;
+      }
+
+      if (cmd.startsWith("cmd configstrings")) {
+        const match = cmd.match(/cmd configstrings\s*(\d*)/);
+        const offset = match && match[1] ? match[1] : "0";
+        if (!this.sentConfigstrings) {
+          this.sentConfigstrings = true;
+          this.pendingCommands.push(`configstrings ${offset}`);
+        }
+        continue;
+      }
+
+      if (cmd.startsWith("cmd baselines")) {
+        const match = cmd.match(/cmd baselines\s*(\d*)/);
+        const offset = match && match[1] ? match[1] : "0";
+        if (!this.sentBaselines) {
+          this.sentBaselines = true;
+          this.pendingCommands.push(`baselines ${offset}`);
+        }
+        continue;
+      }
+
+      if (cmd.startsWith("precache") && !this.precacheReceived) {
         this.precacheReceived = true;
         const match = cmd.match(/precache\s+(\d+)/);
         if (match) {
@@ -1875,9 +3107,11 @@ export class Q2Client extends EventEmitter {
           this.spawnCount = this.serverCount;
         }
 
-        if (this.passiveMode) {
+        if (this.passiveMode || this.playbackMode) {
           this.connectionState = "spawned";
+          this.recordGamestate();
           this.emitEvent("connection", { status: "spawned", passive: true });
+          this.downloadMapAssets();
         } else {
           this.awaitingBegin = true;
         }
@@ -1888,15 +3122,20 @@ export class Q2Client extends EventEmitter {
         this.precacheReceived = true;
         this.spawnCount = this.serverCount;
 
-        if (this.passiveMode) {
+        if (this.passiveMode || this.playbackMode) {
           this.connectionState = "spawned";
+          this.recordGamestate();
           this.emitEvent("connection", { status: "spawned", passive: true });
+          this.downloadMapAssets();
         } else {
           this.awaitingBegin = true;
         }
         continue;
       }
 
+      // Durante la reproducción de demos no hay conexión que controlar
+      if (this.playbackMode) continue;
+
       if (cmd === "reconnect" || cmd.startsWith("reconnect")) {
         this.emitEvent("connection", {
           status: "reconnecting",
@@ -1932,36 +3171,48 @@ export class Q2Client extends EventEmitter {
 
   handleServerPacket(buffer) {
     this.lastPacketTime = Date.now();
+    if (this.handleRconPacket(buffer)) return;
+
     const parsed = this.parseOOBPacket(buffer);
 
     if (!parsed) return;
 
     switch (parsed.type) {
-      case "challenge":
-        if (parsed.supportedProtocols && parsed.supportedProtocols.length > 0) {
-          if (parsed.supportedProtocols.includes(PROTOCOL.VERSION_AQTION)) {
-            this.serverProtocol = PROTOCOL.VERSION_AQTION;
-          } else if (
-            parsed.supportedProtocols.includes(PROTOCOL.VERSION_Q2PRO)
-          ) {
-            this.serverProtocol = PROTOCOL.VERSION_Q2PRO;
-          } else if (
-            parsed.supportedProtocols.includes(PROTOCOL.VERSION_R1Q2)
-          ) {
-            this.serverProtocol = PROTOCOL.VERSION_R1Q2;
-          } else if (
-            parsed.supportedProtocols.includes(PROTOCOL.VERSION_DEFAULT)
-          ) {
-            this.serverProtocol = PROTOCOL.VERSION_DEFAULT;
-          }
+      case "challenge": {
+        // Sin lista `p=` el servidor es vanilla: 34 o, si ya lo rechazó, 26
+        const offered =
+          parsed.supportedProtocols.length > 0
+            ? parsed.supportedProtocols
+            : VANILLA_PROTOCOLS;
+        const candidates = offered.filter(
+          (protocol) => !this.rejectedProtocols.has(protocol)
+        );
+        if (candidates.length === 0) {
+          this.emitEvent("connection", {
+            status: "error",
+            reason: `Ningún protocolo en común (${offered.join(", ")})`,
+          });
+          this.cleanup();
+          return;
         }
+
+        this.serverProtocol = selectProtocol(candidates) ?? this.serverProtocol;
         setTimeout(() => this.connectToServer(parsed.challengeId), 100);
         break;
+      }
 
       case "client_connect":
-        if (parsed.params.nc) {
-          this.netchanType = parseInt(parsed.params.nc) || 1;
-        }
+        // Solo q2pro negocia el netchan nuevo; sin `nc=` es el viejo
+        this.netchanType = parsed.params.nc
+          ? parseInt(parsed.params.nc) || NETCHAN_OLD
+          : NETCHAN_OLD;
+        this.netchan.setup({
+          protocol: this.serverProtocol,
+          type: this.netchanType,
+          qport: this.clientQport,
+        });
+        // q2pro anuncia su servidor de descargas HTTP en el connect
+        this.downloads.httpServer = parsed.params.dlserver || null;
         this.isConnected = true;
         this.connectionState = "connected";
         this.reconnectAttempts = 0;
@@ -1975,8 +3226,10 @@ export class Q2Client extends EventEmitter {
           this.emitEvent("console_message", {
             level: "SERVER",
             text: parsed.message,
+            raw: parsed.raw,
           });
         }
+        this.handleConnectRejected(parsed.message);
         break;
 
       case "disconnect":
@@ -1987,224 +3240,278 @@ export class Q2Client extends EventEmitter {
         this.handleStatusResponse(parsed.content);
         break;
 
-      case "sequenced":
+      case "sequenced": {
         if (parsed.error) {
           // No responder a paquetes con errores de parsing
           return;
         }
 
-        // Verificar si es un paquete duplicado (ignorar bits de reliable/fragment al comparar)
-        if (
-          parsed.sequence <= this.incomingSequence &&
-          this.incomingSequence > 0 &&
-          !parsed.fragmented
-        ) {
-          // Paquete duplicado - ignorar sin responder
-          return;
-        }
-
-        this.incomingAcknowledged = parsed.ack;
-        if (parsed.reliableAck !== (this.incomingReliableAcknowledged === 1)) {
-          this.incomingReliableAcknowledged = parsed.reliableAck ? 1 : 0;
-        }
-
-        if (parsed.fragmented) {
-          if (this.fragmentSequence !== parsed.sequence) {
-            this.fragmentSequence = parsed.sequence;
-            this.fragmentBuffer = Buffer.alloc(0);
-          }
+        // Duplicados, fuera de orden y fragmentos incompletos no se responden
+        const data = this.netchan.process(parsed);
+        if (data === null) return;
 
-          if (parsed.fragmentOffset !== this.fragmentBuffer.length) {
-            // Fragmento fuera de orden - ignorar sin responder
-            return;
-          }
+        if (data.length > 0) {
+          // Solo se graban paquetes posteriores al gamestate del demo
+          const recording =
+            this.demoWriter !== null && this.demoWriter.hasGamestate;
+          const msgs = this.processServerData(data);
 
-          if (parsed.data && parsed.data.length > 0) {
-            this.fragmentBuffer = Buffer.concat([
-              this.fragmentBuffer,
-              parsed.data,
-            ]);
-          }
+          if (!this.handleGameMessages(msgs)) return;
 
-          if (parsed.moreFragments) {
-            // Esperando más fragmentos - no responder hasta tener el paquete completo
-            return;
+          if (recording) {
+            this.recordMessages(data, msgs);
           }
-
-          parsed.data = this.fragmentBuffer;
-          parsed.hasData = this.fragmentBuffer.length > 0;
-          this.fragmentBuffer = Buffer.alloc(0);
         }
 
-        this.incomingSequence = parsed.sequence;
-
-        if (parsed.reliable) {
-          this.incomingReliableSequence ^= 1;
+        // Responder al servidor para mantener la conexión
+        if (this.noDeltaPending) {
+          this.sendMove();
+        } else {
+          this.sendSequencedResponse();
         }
+        break;
+      }
+    }
+  }
 
-        if (parsed.hasData && parsed.data) {
-          const msgs = this.processServerData(parsed.data);
-
-          for (const m of msgs) {
-            switch (m.type) {
-              case "serverdata":
-                if (this.currentMapName && this.currentMapName !== m.mapName) {
-                  this.emitEvent("server_info", {
-                    event: "map_change",
-                    previousMap: this.currentMapName,
-                    map: m.mapName,
-                  });
-
-                  this.currentMapName = m.mapName;
-                  this.serverCount = m.serverCount;
-                  this.serverProtocol = m.protocol;
-
-                  this.hasSentNew = false;
-                  this.hasSentBegin = false;
-                  this.hasServerData = false;
-                  this.respondedVersion = false;
-                  this.respondedAcToken = false;
-                  this.pendingCommands = [];
-                  this.awaitingBegin = false;
-                  this.lastFrameNum = -1;
-                  this.spawnCount = 0;
-                  this.configStrings = {};
-                  this.entityTracker.reset();
-
-                  setTimeout(() => this.sendNewCommand(), 500);
-                  // Responder antes de return para mantener la conexión
-                  this.sendSequencedResponse();
-                  return;
-                }
+  /**
+   * Procesa los mensajes ya parseados de un paquete (o de un bloque de demo)
+   * Retorna false si el procesamiento del paquete debe detenerse
+   */
+  handleGameMessages(msgs) {
+    for (const m of msgs) {
+      switch (m.type) {
+        case "serverdata":
+          if (this.currentMapName && this.currentMapName !== m.mapName) {
+            this.emitEvent("server_info", {
+              event: "map_change",
+              previousMap: this.currentMapName,
+              map: m.mapName,
+            });
 
-                this.emitEvent("server_info", {
-                  event: "connected",
-                  map: m.mapName,
-                  gameDir: m.gameDir,
-                  protocol: m.protocol,
-                });
-
-                this.currentMapName = m.mapName;
-                this.hasServerData = true;
-                this.serverCount = m.serverCount;
-                this.serverProtocol = m.protocol;
-                break;
-
-              case "configstring":
-                this.configStrings[m.index] = m.text;
-                if (m.index >= 1408 && m.index < 1664 && m.text) {
-                  const playerNum = m.index - 1408;
-                  const name = m.text.split("\\")[0];
-                  if (name && name !== this.playerNames[playerNum]) {
-                    this.playerNames[playerNum] = name;
-                    this.emitEvent("server_info", {
-                      event: "player_info",
-                      playerId: playerNum,
-                      name: name,
-                    });
-                  }
-                } else if (m.index === 0 && m.text) {
-                  this.emitEvent("server_info", {
-                    event: "map_name",
-                    map: m.text,
-                  });
-                }
-                break;
-
-              case "print":
-                if (m.text) {
-                  const levelName = PRINT_LEVELS[m.level] || "MSG";
-                  this.emitEvent("console_message", {
-                    level: levelName,
-                    text: m.text,
-                  });
-                }
-                break;
-
-              case "centerprint":
-                if (m.text) {
-                  this.emitEvent("console_message", {
-                    level: "CENTER",
-                    text: m.text,
-                  });
-                }
-                break;
-
-              case "stufftext":
-                this.handleStufftext(m.text);
-                break;
-
-              case "server_disconnect":
-                this.handleDisconnect("server_disconnect");
-                return;
-
-              case "reconnect":
-                this.emitEvent("connection", { status: "reconnecting" });
-                this.resetConnectionState();
-                setTimeout(() => this.requestChallenge(), 1000);
-                return;
-
-              /* case "player_state":
-                this.emitEvent("player_update", {
-                  id: -1, // Local player
-                  name: this.playerName,
-                  position: m.data.position,
-                  angles: m.data.viewangles,
-                  velocity: m.data.velocity,
-                  weapon: m.data.weapon,
-                  fov: m.data.fov,
-                  isLocalPlayer: true,
-                });
-                break;
-
-              case "entity_state":
-                const entityType = this.getEntityType(m.data);
-                if (entityType === "player" && m.data.number <= MAX_CLIENTS) {
-                  const playerId = m.data.number - 1;
-                  const playerName =
-                    this.playerNames[playerId] || `Player${playerId}`;
-                  this.emitEvent("player_update", {
-                    id: playerId,
-                    name: playerName,
-                    position: m.data.origin,
-                    angles: m.data.angles,
-                    velocity: { x: 0, y: 0, z: 0 },
-                    modelIndex: m.data.modelindex,
-                    frame: m.data.frame,
-                    effects: m.data.effects,
-                    alive: m.data.active && !m.data.removed,
-                    isLocalPlayer: false,
-                  });
-                } else {
-                  this.emitEvent("entity_update", {
-                    id: m.data.number,
-                    entityType: entityType,
-                    modelIndex: m.data.modelindex,
-                    position: m.data.origin,
-                    angles: m.data.angles,
-                    effects: m.data.effects,
-                    renderfx: m.data.renderfx,
-                    frame: m.data.frame,
-                    removed: m.data.removed || false,
-                  });
-                }
-                break;
-                */
+            this.currentMapName = m.mapName;
+            this.serverCount = m.serverCount;
+            this.serverProtocol = m.protocol;
+
+            this.hasSentNew = false;
+            this.hasSentBegin = false;
+            this.hasServerData = false;
+            this.respondedVersion = false;
+            this.respondedAcToken = false;
+            this.pendingCommands = [];
+            this.awaitingBegin = false;
+            this.lastFrameNum = -1;
+            this.frameValid = false;
+            this.cmdHistory = [];
+            this.spawnCount = 0;
+            this.lastScoreboardTime = 0;
+            this.lastScoreRequest = 0;
+            this.configStrings.clear();
+            // En MVD el frame inicial del nuevo mapa ya se aplicó al parsear
+            if (!this.mvdMode) this.entityTracker.reset();
+
+            // El demo sigue con un nuevo gamestate al entrar al mapa
+            if (this.demoWriter) this.demoWriter.hasGamestate = false;
+
+            // En reproducción y MVD el gamestate del nuevo mapa viene a continuación
+            if (!this.playbackMode && !this.mvdMode) {
+              setTimeout(() => this.sendNewCommand(), 500);
+              // Responder antes de return para mantener la conexión
+              this.sendSequencedResponse();
+              return false;
             }
           }
-        }
 
-        // Responder al servidor para mantener la conexión
-        this.sendSequencedResponse();
-        break;
-    }
-  }
+          this.emitEvent("server_info", {
+            event: "connected",
+            map: m.mapName,
+            gameDir: m.gameDir,
+            protocol: m.protocol,
+          });
 
-  handleDisconnect(reason = "unknown") {
-    this.isConnected = false;
-    this.connectionState = "disconnected";
+          this.currentMapName = m.mapName;
+          this.gameDir = m.gameDir;
+          this.downloads.setGameDir(m.gameDir);
+          this.obituaries.setGameDir(m.gameDir);
+          this.clientNum = m.clientNum;
+          this.hasServerData = true;
+          this.serverCount = m.serverCount;
+          this.serverProtocol = m.protocol;
+          break;
 
-    if (this.heartbeatInterval) {
+        case "configstring": {
+          this.configStrings.set(m.index, m.text, m.raw);
+          const cs = this.configStrings.decode(m.index);
+          if (cs && cs.range === "playerskins" && m.text) {
+            const playerNum = cs.offset;
+            const info = this.configStrings.getPlayerSkin(playerNum);
+            if (info.name && info.name !== this.playerNames[playerNum]) {
+              // El nombre con colores sale del configstring sin limpiar
+              const nameHtml = toHtml((m.raw || m.text).split("\\")[0]);
+              this.playerNames[playerNum] = info.name;
+              this.playerNamesHtml[playerNum] = nameHtml;
+              this.emitEvent("server_info", {
+                event: "player_info",
+                playerId: playerNum,
+                name: info.name,
+                nameHtml,
+                model: info.model,
+                skin: info.skin,
+              });
+            }
+          } else if (cs && cs.range === "name" && m.text) {
+            this.emitEvent("server_info", {
+              event: "map_name",
+              map: m.text,
+            });
+          } else if (cs && cs.range === "models" && cs.offset === 1 && m.text) {
+            // El modelo 1 es el .bsp del mapa ("maps/q2dm1.bsp")
+            this.emitEvent("server_info", {
+              event: "map_file",
+              map: this.currentMapName,
+              mapFile: m.text,
+            });
+          }
+          break;
+        }
+
+        case "print":
+          if (m.text) {
+            const levelName = PRINT_LEVELS[m.level] || "MSG";
+            this.emitEvent("console_message", {
+              level: levelName,
+              text: m.text,
+              raw: m.raw,
+            });
+
+            // El chat lo escriben los jugadores, no puede ser un obituario
+            if (levelName !== "CHAT") this.handleObituaries(m.text);
+          }
+          break;
+
+        case "centerprint":
+          if (m.text) {
+            this.emitEvent("console_message", {
+              level: "CENTER",
+              text: m.text,
+              raw: m.raw,
+            });
+          }
+          break;
+
+        case "stufftext":
+          this.handleStufftext(m.text);
+          break;
+
+        case "download":
+          this.downloads.handleChunk(m);
+          break;
+
+        case "temp_entity":
+          this.emitEvent("temp_entity", m.data);
+          break;
+
+        case "layout":
+          this.handleLayout(m.text);
+          break;
+
+        case "server_disconnect":
+          if (this.playbackMode) return false;
+          this.handleDisconnect("server_disconnect");
+          return false;
+
+        case "reconnect":
+          if (this.playbackMode) return false;
+          this.emitEvent("connection", { status: "reconnecting" });
+          this.resetConnectionState();
+          setTimeout(() => this.requestChallenge(), 1000);
+          return false;
+
+        case "player_state":
+          this.emitUpdate("local", "player_update", {
+            id: -1, // Local player
+            name: this.playerName,
+            position: m.data.position,
+            angles: m.data.viewangles,
+            velocity: m.data.velocity,
+            weapon: m.data.weapon,
+            weaponModel: this.configStrings.getModelName(m.data.weapon),
+            fov: m.data.fov,
+            stats: m.data.stats,
+            alive: m.data.pmType < PM_TYPE.DEAD,
+            isLocalPlayer: true,
+          });
+          break;
+
+        case "entity_state": {
+          const entityType = this.getEntityType(m.data);
+          if (entityType === "player") {
+            const playerId = m.data.number - 1;
+            const playerName =
+              this.playerNames[playerId] || `Player${playerId}`;
+            const info = this.configStrings.getPlayerSkin(playerId);
+            this.emitUpdate(m.data.number, "player_update", {
+              id: playerId,
+              name: playerName,
+              nameHtml: this.playerNamesHtml[playerId] || null,
+              model: info ? info.model : null,
+              skin: info ? info.skin : null,
+              position: m.data.origin,
+              angles: m.data.angles,
+              velocity: { x: 0, y: 0, z: 0 },
+              modelIndex: m.data.modelindex,
+              frame: m.data.frame,
+              effects: m.data.effects,
+              alive: m.data.active && !m.data.removed,
+              isLocalPlayer: playerId === this.clientNum,
+            });
+          } else {
+            this.emitUpdate(m.data.number, "entity_update", {
+              id: m.data.number,
+              entityType: entityType,
+              modelIndex: m.data.modelindex,
+              modelName: this.configStrings.getModelName(m.data.modelindex),
+              position: m.data.origin,
+              angles: m.data.angles,
+              effects: m.data.effects,
+              renderfx: m.data.renderfx,
+              frame: m.data.frame,
+              removed: m.data.removed || false,
+            });
+          }
+          break;
+        }
+
+        // Entrar y salir del frame es entrar y salir del PVS; no implica
+        // que la entidad se haya creado o borrado en el servidor
+        case "entity_enter":
+        case "entity_leave": {
+          const entityType = this.getEntityType(m.data);
+          this.emitEvent(m.type, {
+            id: m.data.number,
+            entityType,
+            playerId: entityType === "player" ? m.data.number - 1 : null,
+            modelIndex: m.data.modelindex,
+            modelName: this.configStrings.getModelName(m.data.modelindex),
+            position: m.data.origin,
+          });
+          if (m.type === "entity_leave") {
+            this.dropHeldUpdates(m.data.number);
+            this.lastUpdateEmit.delete(m.data.number);
+          }
+          break;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  handleDisconnect(reason = "unknown") {
+    this.isConnected = false;
+    this.connectionState = "disconnected";
+
+    if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
@@ -2226,7 +3533,11 @@ export class Q2Client extends EventEmitter {
       });
 
       this.resetConnectionState();
-      setTimeout(() => this.requestChallenge(), delay);
+      if (this.mvdMode) {
+        setTimeout(() => this.connectGtv(), delay);
+      } else {
+        setTimeout(() => this.requestChallenge(), delay);
+      }
     } else {
       this.emitEvent("connection", {
         status: "disconnected",
@@ -2236,22 +3547,27 @@ export class Q2Client extends EventEmitter {
   }
 
   resetConnectionState() {
+    this.pendingFrame = null;
+    this.entityTracker.clearFrames();
+    this.dropHeldUpdates();
+    this.lastUpdateEmit.clear();
+
     this.hasSentNew = false;
     this.hasSentBegin = false;
     this.precacheReceived = false;
     this.hasServerData = false;
 
-    this.incomingSequence = 0;
-    this.incomingAcknowledged = 0;
-    this.incomingReliableAcknowledged = 0;
-    this.incomingReliableSequence = 0;
-    this.outgoingSequence = 1;
-    this.reliableSequence = 0;
-    this.lastReliableSequence = 0;
+    this.netchan.reset();
 
     this.lastFrameNum = -1;
-    this.configStrings = {};
+    this.frameValid = false;
+    this.noDeltaPending = false;
+    this.cmdHistory = [];
+    this.lastScoreboardTime = 0;
+    this.lastScoreRequest = 0;
+    this.configStrings.clear();
     this.playerNames = {};
+    this.playerNamesHtml = {};
     this.respondedVersion = false;
     this.respondedAcToken = false;
     this.sentConfigstrings = false;
@@ -2262,6 +3578,7 @@ export class Q2Client extends EventEmitter {
     this.awaitingBegin = false;
 
     this.entityTracker.reset();
+    this.downloads.reset();
   }
 
   // ==========================================================================
@@ -2297,11 +3614,7 @@ export class Q2Client extends EventEmitter {
   }
 
   sendStatusQuery() {
-    this.socket.send(
-      this.createOOBPacket("status"),
-      this.serverPort,
-      this.serverIp
-    );
+    this.sendPacket(this.createOOBPacket("status"));
   }
 
   handleStatusResponse(content) {
@@ -2360,6 +3673,8 @@ export class Q2Client extends EventEmitter {
   }
 
   handleMonitorPacket(buffer) {
+    if (this.handleRconPacket(buffer)) return;
+
     if (
       buffer.length < 4 ||
       buffer[0] !== 0xff ||
@@ -2392,6 +3707,7 @@ export class Q2Client extends EventEmitter {
         this.emitEvent("console_message", {
           level: "SERVER",
           text: message,
+          raw: content.substring(6),
         });
       }
     }
@@ -2407,11 +3723,537 @@ export class Q2Client extends EventEmitter {
     }, this.monitorInterval);
   }
 
+  // ==========================================================================
+  // MODO MVD / GTV
+  // ==========================================================================
+
+  /**
+   * Conecta a un relay GTV de q2pro por TCP y pide el stream MVD
+   * Con MVD se ven los player states y entidades de todos los jugadores
+   */
+  connectGtv() {
+    this.connectionState = "connecting";
+    this.emitEvent("connection", { status: "connecting", mvd: true });
+
+    this.gtv = new GtvConnection({
+      host: this.serverIp,
+      port: this.serverPort,
+      username: this.gtvUsername,
+      password: this.gtvPassword,
+      version: `${this.playerName} 1.0`,
+    });
+
+    this.gtv.on("hello", () => {
+      this.isConnected = true;
+      this.connectionState = "connected";
+      this.reconnectAttempts = 0;
+      this.emitEvent("connection", { status: "connected", mvd: true });
+    });
+
+    this.gtv.on("stream_start", () => {
+      this.connectionState = "spawned";
+      this.emitEvent("connection", { status: "spawned", mvd: true });
+
+      if (this.keepAliveInterval) clearInterval(this.keepAliveInterval);
+      this.keepAliveInterval = setInterval(() => {
+        if (this.gtv) this.gtv.sendPing();
+      }, 10000);
+    });
+
+    this.gtv.on("stream_stop", () => {
+      this.connectionState = "connected";
+      this.emitEvent("connection", { status: "connected", mvd: true });
+    });
+
+    this.gtv.on("data", (data) => {
+      this.lastPacketTime = Date.now();
+      this.handleMvdMessages(this.parseMvdMessage(data));
+    });
+
+    this.gtv.on("error", (err) => {
+      this.emitEvent("connection", { status: "error", reason: err.message });
+    });
+
+    this.gtv.on("disconnect", ({ reconnect }) => {
+      this.emitEvent("server_info", { event: "mvd_disconnect", reconnect });
+    });
+
+    this.gtv.on("close", () => {
+      this.gtv = null;
+      this.handleDisconnect("gtv_closed");
+    });
+
+    this.gtv.connect();
+  }
+
+  /**
+   * Parsea el player state empaquetado de MVD (MSG_ParseDeltaPlayerstate_Packet)
+   */
+  parseMvdPlayerState(data, idx, bits, previous) {
+    const ps = structuredClone(previous);
+    const readChar = () => ((data[idx++] || 0) << 24) >> 24;
+    const readShort = () => {
+      const value = this.readInt16(data, idx);
+      idx = value.nextIndex;
+      return value.value;
+    };
+    const readAngle16 = () => {
+      const value = this.readAngle16(data, idx);
+      idx = value.nextIndex;
+      return value.value;
+    };
+
+    if (bits & PPS_M_TYPE) {
+      ps.pmove.pm_type = data[idx++] || 0;
+    }
+
+    if (bits & PPS_M_ORIGIN) {
+      ps.pmove.origin.x = readShort() * 0.125;
+      ps.pmove.origin.y = readShort() * 0.125;
+    }
+    if (bits & PPS_M_ORIGIN2) {
+      ps.pmove.origin.z = readShort() * 0.125;
+    }
+
+    if (bits & PPS_VIEWOFFSET) {
+      ps.viewoffset = {
+        x: readChar() * 0.25,
+        y: readChar() * 0.25,
+        z: readChar() * 0.25,
+      };
+    }
+
+    if (bits & PPS_VIEWANGLES) {
+      ps.viewangles.pitch = readAngle16();
+      ps.viewangles.yaw = readAngle16();
+    }
+    if (bits & PPS_VIEWANGLE2) {
+      ps.viewangles.roll = readAngle16();
+    }
+
+    if (bits & PPS_KICKANGLES) {
+      ps.kick_angles = {
+        pitch: readChar() * 0.25,
+        yaw: readChar() * 0.25,
+        roll: readChar() * 0.25,
+      };
+    }
+
+    if (bits & PPS_WEAPONINDEX) {
+      ps.gunindex = data[idx++] || 0;
+    }
+    if (bits & PPS_WEAPONFRAME) {
+      ps.gunframe = data[idx++] || 0;
+    }
+
+    if (bits & PPS_GUNOFFSET) {
+      ps.gunoffset = {
+        x: readChar() * 0.25,
+        y: readChar() * 0.25,
+        z: readChar() * 0.25,
+      };
+    }
+    if (bits & PPS_GUNANGLES) {
+      ps.gunangles = {
+        pitch: readChar() * 0.25,
+        yaw: readChar() * 0.25,
+        roll: readChar() * 0.25,
+      };
+    }
+
+    if (bits & PPS_BLEND) {
+      ps.blend = [
+        (data[idx++] || 0) / 255,
+        (data[idx++] || 0) / 255,
+        (data[idx++] || 0) / 255,
+        (data[idx++] || 0) / 255,
+      ];
+    }
+
+    if (bits & PPS_FOV) {
+      ps.fov = data[idx++] || 90;
+    }
+
+    if (bits & PPS_RDFLAGS) {
+      ps.rdflags = data[idx++] || 0;
+    }
+
+    if (bits & PPS_STATS) {
+      const statbits = this.readInt32(data, idx);
+      idx = statbits.nextIndex;
+      for (let i = 0; i < MAX_STATS; i++) {
+        if (statbits.value & (1 << i)) {
+          ps.stats[i] = readShort();
+        }
+      }
+    }
+
+    return { playerState: ps, nextIndex: idx };
+  }
+
+  /**
+   * Parsea un frame MVD: portalbits, player states de todos los jugadores
+   * y entidades. Los deltas son siempre contra el estado actual
+   */
+  parseMvdFrame(data, idx, messages) {
+    if (idx >= data.length) return data.length;
+
+    // Portal bits
+    const portalBytes = data[idx++];
+    idx += portalBytes;
+
+    // Jugadores
+    while (idx < data.length) {
+      const clientNum = data[idx++];
+      if (clientNum === CLIENTNUM_NONE) break;
+
+      const bits = this.readUInt16(data, idx);
+      idx = bits.nextIndex;
+
+      if (bits.value & PPS_REMOVE) {
+        this.mvdPlayers[clientNum] = null;
+        messages.push({ type: "mvd_player", clientNum, removed: true });
+        continue;
+      }
+
+      const previous =
+        this.mvdPlayers[clientNum] ||
+        this.entityTracker.createEmptyPlayerState();
+      const psResult = this.parseMvdPlayerState(
+        data,
+        idx,
+        bits.value,
+        previous
+      );
+      idx = psResult.nextIndex;
+
+      this.mvdPlayers[clientNum] = psResult.playerState;
+      messages.push({
+        type: "mvd_player",
+        clientNum,
+        playerState: psResult.playerState,
+        removed: false,
+      });
+    }
+
+    // Entidades
+    const longSolid =
+      this.mvdVersion >= PROTOCOL_MVD_MINOR.EXTENDED_LIMITS &&
+      (this.mvdFlags & MVF_EXTLIMITS) !== 0;
+
+    while (idx < data.length) {
+      const bitsResult = this.parseEntityBits(data, idx);
+      idx = bitsResult.nextIndex;
+      const bits = bitsResult.bits;
+
+      let entityNum;
+      if (bits & U_NUMBER16) {
+        const num = this.readUInt16(data, idx);
+        entityNum = num.value;
+        idx = num.nextIndex;
+      } else {
+        entityNum = data[idx++] || 0;
+      }
+
+      if (entityNum === 0 || entityNum >= MAX_EDICTS) break;
+
+      // Una entidad que reaparece no debe heredar la marca de borrado
+      const current = {
+        ...this.entityTracker.getEntity(entityNum),
+        removed: false,
+      };
+      const stateResult = this.parseEntityStateFromBits(
+        data,
+        idx,
+        bits,
+        current,
+        entityNum,
+        { longSolid }
+      );
+      idx = stateResult.nextIndex;
+
+      const entity = this.entityTracker.updateEntity(
+        entityNum,
+        stateResult.state
+      );
+      if (entity) {
+        messages.push({ type: "entity_state", data: { ...entity } });
+      }
+    }
+
+    return idx;
+  }
+
+  /**
+   * Parsea los mensajes de un GTS_STREAM_DATA (MVD_ParseMessage de q2pro)
+   */
+  parseMvdMessage(data) {
+    const messages = [];
+    let idx = 0;
+
+    while (idx < data.length) {
+      const opcode = data[idx++];
+      const cmd = opcode & SVCMD_MASK;
+      const extrabits = opcode >> SVCMD_BITS;
+
+      switch (cmd) {
+        case MVD.NOP:
+          break;
+
+        case MVD.SERVERDATA: {
+          if (idx + 10 > data.length) return messages;
+
+          const proto = data.readInt32LE(idx);
+          idx += 4;
+          this.mvdVersion = data.readUInt16LE(idx);
+          idx += 2;
+          const srvCount = data.readInt32LE(idx);
+          idx += 4;
+
+          const gameDir = this.readCString(data, idx);
+          idx = gameDir.nextIndex;
+
+          const clientNum = this.readInt16(data, idx);
+          idx = clientNum.nextIndex;
+
+          this.mvdFlags = extrabits;
+          this.mvdPlayers = [];
+          this.entityTracker.reset();
+
+          const extendedLimits =
+            this.mvdVersion >= PROTOCOL_MVD_MINOR.EXTENDED_LIMITS &&
+            (extrabits & MVF_EXTLIMITS) !== 0;
+          this.configStrings.setLayout(
+            extendedLimits ? CS_LAYOUT_EXTENDED : CS_LAYOUT_VANILLA
+          );
+
+          const configStrings = [];
+          while (idx + 2 <= data.length) {
+            const csIndex = data.readUInt16LE(idx);
+            idx += 2;
+            if (csIndex >= this.configStrings.layout.END) break;
+
+            const { text, nextIndex } = this.readCString(data, idx);
+            idx = nextIndex;
+            const cleanText = this.cleanQuakeString(text);
+            if (cleanText) {
+              configStrings.push({
+                type: "configstring",
+                index: csIndex,
+                text: cleanText,
+                raw: text,
+              });
+            }
+          }
+
+          // Los mensajes embebidos en unicast/multicast son de protocolo 34
+          messages.push({
+            type: "serverdata",
+            protocol: PROTOCOL.VERSION_DEFAULT,
+            mvdProtocol: proto,
+            serverCount: srvCount,
+            attractloop: 0,
+            gameDir: gameDir.text,
+            clientNum: clientNum.value,
+            mapName: this.cleanQuakeString(
+              (configStrings.find((cs) => cs.index === 0) || {}).text || ""
+            ),
+          });
+          messages.push(...configStrings);
+
+          // El serverdata trae un frame base con el estado inicial
+          idx = this.parseMvdFrame(data, idx, messages);
+          break;
+        }
+
+        case MVD.CONFIGSTRING: {
+          if (idx + 2 > data.length) return messages;
+          const csIndex = data.readUInt16LE(idx);
+          idx += 2;
+          const { text, nextIndex } = this.readCString(data, idx);
+          idx = nextIndex;
+          messages.push({
+            type: "configstring",
+            index: csIndex,
+            text: this.cleanQuakeString(text),
+            raw: text,
+          });
+          break;
+        }
+
+        case MVD.FRAME:
+          messages.push({ type: "frame", frameNum: -1, deltaNum: -1 });
+          idx = this.parseMvdFrame(data, idx, messages);
+          break;
+
+        case MVD.UNICAST:
+        case MVD.UNICAST_R: {
+          if (idx + 2 > data.length) return messages;
+          const length = data[idx++] | (extrabits << 8);
+          const clientNum = data[idx++];
+          const inner = data.slice(idx, idx + length);
+          idx += length;
+
+          // Solo interesa lo que recibe el espectador de GTV; el resto son
+          // mensajes privados de cada jugador
+          if (clientNum === this.clientNum) {
+            const innerMsgs = this.parseGameMessage(inner, false);
+            messages.push(...innerMsgs.filter((m) => m.type !== "stufftext"));
+          }
+          break;
+        }
+
+        case MVD.MULTICAST_ALL:
+        case MVD.MULTICAST_ALL_R:
+        case MVD.MULTICAST_PHS:
+        case MVD.MULTICAST_PHS_R:
+        case MVD.MULTICAST_PVS:
+        case MVD.MULTICAST_PVS_R: {
+          if (idx >= data.length) return messages;
+          const length = data[idx++] | (extrabits << 8);
+          if (cmd !== MVD.MULTICAST_ALL && cmd !== MVD.MULTICAST_ALL_R) {
+            idx += 2; // leafnum
+          }
+          const inner = data.slice(idx, idx + length);
+          idx += length;
+
+          const innerMsgs = this.parseGameMessage(inner, false);
+          messages.push(...innerMsgs.filter((m) => m.type !== "stufftext"));
+          break;
+        }
+
+        case MVD.SOUND: {
+          if (idx + 2 > data.length) return messages;
+          const flags = data[idx++];
+          idx++; // index
+          if (flags & SND_VOLUME) idx++;
+          if (flags & SND_ATTENUATION) idx++;
+          if (flags & SND_OFFSET) idx++;
+          idx += 2; // sendchan
+          break;
+        }
+
+        case MVD.PRINT: {
+          if (idx >= data.length) return messages;
+          const level = data[idx++];
+          const { text, nextIndex } = this.readCString(data, idx);
+          idx = nextIndex;
+          const cleanText = this.cleanQuakeString(text);
+          if (cleanText) {
+            messages.push({ type: "print", level, text: cleanText, raw: text });
+          }
+          break;
+        }
+
+        case MVD.STUFFTEXT: {
+          const { nextIndex } = this.readCString(data, idx);
+          idx = nextIndex;
+          break;
+        }
+
+        default:
+          return messages;
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Procesa los mensajes MVD: los jugadores y entidades se emiten como
+   * player_update/entity_update; el resto pasa por handleGameMessages
+   */
+  handleMvdMessages(msgs) {
+    for (const m of msgs) {
+      switch (m.type) {
+        case "mvd_player": {
+          const name = this.playerNames[m.clientNum] || `Player${m.clientNum}`;
+          if (m.removed) {
+            this.dropHeldUpdates(`mvd:${m.clientNum}`);
+            this.emitEvent("player_update", {
+              id: m.clientNum,
+              name,
+              alive: false,
+              removed: true,
+              isLocalPlayer: false,
+            });
+            break;
+          }
+
+          const ps = m.playerState;
+          const info = this.configStrings.getPlayerSkin(m.clientNum);
+          this.emitUpdate(`mvd:${m.clientNum}`, "player_update", {
+            id: m.clientNum,
+            name,
+            model: info ? info.model : null,
+            skin: info ? info.skin : null,
+            position: ps.pmove.origin,
+            angles: ps.viewangles,
+            velocity: ps.pmove.velocity,
+            weapon: ps.gunindex,
+            weaponModel: this.configStrings.getModelName(ps.gunindex),
+            fov: ps.fov,
+            stats: ps.stats,
+            pmType: ps.pmove.pm_type,
+            spectator: ps.pmove.pm_type === PM_TYPE.SPECTATOR,
+            alive: ps.pmove.pm_type < PM_TYPE.DEAD,
+            isLocalPlayer: false,
+          });
+          break;
+        }
+
+        case "entity_state": {
+          const update = {
+            id: m.data.number,
+            entityType: this.getEntityType(m.data),
+            modelIndex: m.data.modelindex,
+            modelName: this.configStrings.getModelName(m.data.modelindex),
+            position: m.data.origin,
+            angles: m.data.angles,
+            effects: m.data.effects,
+            renderfx: m.data.renderfx,
+            frame: m.data.frame,
+            removed: m.data.removed || false,
+          };
+          // En MVD no hay PVS: U_REMOVE es un borrado real y sale enseguida
+          if (m.data.removed) {
+            this.dropHeldUpdates(m.data.number);
+            this.emitEvent("entity_update", update);
+          } else {
+            this.emitUpdate(m.data.number, "entity_update", update);
+          }
+          break;
+        }
+
+        default:
+          if (!this.handleGameMessages([m])) return;
+          break;
+      }
+    }
+  }
+
   // ==========================================================================
   // LIMPIEZA
   // ==========================================================================
 
   cleanup() {
+    if (this.demoWriter) {
+      // El error ya sale como evento 'recording'
+      this.stopRecording().catch(() => {});
+    }
+
+    if (this.rconRequest) {
+      this.rconRequest.fail(new Error("Conexión cerrada"));
+      this.rconRequest = null;
+    }
+
+    if (this.gtv) {
+      const gtv = this.gtv;
+      this.gtv = null;
+      gtv.removeAllListeners();
+      gtv.close();
+    }
+
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
@@ -2425,16 +4267,20 @@ export class Q2Client extends EventEmitter {
       this.monitorPollInterval = null;
     }
 
-    if (this.isConnected && this.socket) {
-      this.socket.send(
-        this.createOOBPacket("disconnect"),
-        this.serverPort,
-        this.serverIp
-      );
+    this.dropHeldUpdates();
+    this.downloads.reset("Desconectado");
+
+    if (this.isConnected) {
+      this.sendPacket(this.createOOBPacket("disconnect"));
+    }
+
+    if (this.captureWriter) {
+      this.stopCapture();
     }
 
+    // El socket compartido es del pool, no se cierra acá
     if (this.socket) {
-      this.socket.close();
+      if (this.socket !== this.sharedSocket) this.socket.close();
       this.socket = null;
     }
 
@@ -2447,4 +4293,4 @@ export class Q2Client extends EventEmitter {
 export default Q2Client;
 
 // Named exports for convenience
-export { PROTOCOL, SVC, CLC, PRINT_LEVELS, EntityTracker };
+export { PROTOCOL, SVC, CLC, TE, PRINT_LEVELS, EntityTracker, sendRcon };
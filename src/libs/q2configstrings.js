@@ -0,0 +1,223 @@
+// ============================================================================
+// LAYOUTS DE CONFIGSTRINGS
+// ============================================================================
+
+/**
+ * Índices de configstrings del protocolo vanilla (q_shared.h)
+ */
+export const CS_LAYOUT_VANILLA = {
+  name: "vanilla",
+  NAME: 0,
+  CDTRACK: 1,
+  SKY: 2,
+  SKYAXIS: 3,
+  SKYROTATE: 4,
+  STATUSBAR: 5,
+  AIRACCEL: 29,
+  MAXCLIENTS: 30,
+  MAPCHECKSUM: 31,
+  MODELS: 32,
+  SOUNDS: 32 + 256,
+  IMAGES: 32 + 256 * 2,
+  LIGHTS: 32 + 256 * 3,
+  ITEMS: 32 + 256 * 4,
+  PLAYERSKINS: 32 + 256 * 5,
+  GENERAL: 32 + 256 * 6,
+  END: 32 + 256 * 6 + 512,
+};
+
+/**
+ * Índices de los límites extendidos de q2pro (cs_remap_new): más modelos,
+ * sonidos e imágenes, y la statusbar ocupa más lugar
+ */
+export const CS_LAYOUT_EXTENDED = {
+  name: "extended",
+  NAME: 0,
+  CDTRACK: 1,
+  SKY: 2,
+  SKYAXIS: 3,
+  SKYROTATE: 4,
+  STATUSBAR: 5,
+  AIRACCEL: 59,
+  MAXCLIENTS: 60,
+  MAPCHECKSUM: 61,
+  MODELS: 62,
+  SOUNDS: 62 + 8192,
+  IMAGES: 62 + 8192 + 2048,
+  LIGHTS: 62 + 8192 + 2048 * 2,
+  ITEMS: 62 + 8192 + 2048 * 2 + 256,
+  PLAYERSKINS: 62 + 8192 + 2048 * 2 + 256 * 2,
+  GENERAL: 62 + 8192 + 2048 * 2 + 256 * 3,
+  END: 62 + 8192 + 2048 * 2 + 256 * 3 + 512,
+};
+
+// Rangos en orden, para decodificar un índice
+const RANGES = [
+  ["name", "NAME", "CDTRACK"],
+  ["cdtrack", "CDTRACK", "SKY"],
+  ["sky", "SKY", "SKYAXIS"],
+  ["skyaxis", "SKYAXIS", "SKYROTATE"],
+  ["skyrotate", "SKYROTATE", "STATUSBAR"],
+  ["statusbar", "STATUSBAR", "AIRACCEL"],
+  ["airaccel", "AIRACCEL", "MAXCLIENTS"],
+  ["maxclients", "MAXCLIENTS", "MAPCHECKSUM"],
+  ["mapchecksum", "MAPCHECKSUM", "MODELS"],
+  ["models", "MODELS", "SOUNDS"],
+  ["sounds", "SOUNDS", "IMAGES"],
+  ["images", "IMAGES", "LIGHTS"],
+  ["lights", "LIGHTS", "ITEMS"],
+  ["items", "ITEMS", "PLAYERSKINS"],
+  ["playerskins", "PLAYERSKINS", "GENERAL"],
+  ["general", "GENERAL", "END"],
+];
+
+// ============================================================================
+// CLASE CONFIG STRINGS
+// ============================================================================
+
+/**
+ * Configstrings del servidor con acceso tipado según el layout del protocolo
+ *
+ * Los textos se guardan por índice en `strings`; los getters resuelven los
+ * rangos (CS_MODELS, CS_ITEMS, CS_PLAYERSKINS, etc) del layout activo. En
+ * `raw` queda el texto tal cual llegó, con colores y bit alto, para los demos
+ */
+export class ConfigStrings {
+  constructor(layout = CS_LAYOUT_VANILLA) {
+    this.layout = layout;
+    this.strings = {};
+    this.raw = {};
+  }
+
+  setLayout(layout) {
+    this.layout = layout;
+  }
+
+  clear() {
+    this.strings = {};
+    this.raw = {};
+  }
+
+  set(index, text, raw = text) {
+    this.strings[index] = text;
+    this.raw[index] = raw;
+  }
+
+  get(index) {
+    return this.strings[index] || "";
+  }
+
+  /**
+   * Retorna el rango de un índice y la posición dentro del rango,
+   * p. ej. { range: "models", offset: 3 }. null si está fuera del layout
+   */
+  decode(index) {
+    for (const [range, start, end] of RANGES) {
+      if (index >= this.layout[start] && index < this.layout[end]) {
+        return { range, offset: index - this.layout[start] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Índice equivalente en el layout vanilla, o -1 si no tiene lugar
+   */
+  toVanillaIndex(index) {
+    if (this.layout === CS_LAYOUT_VANILLA) return index;
+
+    const decoded = this.decode(index);
+    if (!decoded) return -1;
+
+    const [, start, end] = RANGES.find(([range]) => range === decoded.range);
+    const size = CS_LAYOUT_VANILLA[end] - CS_LAYOUT_VANILLA[start];
+    return decoded.offset < size
+      ? CS_LAYOUT_VANILLA[start] + decoded.offset
+      : -1;
+  }
+
+  /**
+   * Copia de los configstrings sin limpiar con índices vanilla (para demos
+   * .dm2)
+   */
+  toVanilla() {
+    const result = {};
+    for (const [key, text] of Object.entries(this.raw)) {
+      const index = this.toVanillaIndex(parseInt(key));
+      if (index >= 0) result[index] = text;
+    }
+    return result;
+  }
+
+  // ==========================================================================
+  // GETTERS
+  // ==========================================================================
+
+  getLevelName() {
+    return this.get(this.layout.NAME);
+  }
+
+  getSky() {
+    return this.get(this.layout.SKY);
+  }
+
+  getStatusBar() {
+    return this.get(this.layout.STATUSBAR);
+  }
+
+  getMaxClients() {
+    return parseInt(this.get(this.layout.MAXCLIENTS)) || 0;
+  }
+
+  /**
+   * Nombre del mapa a partir del modelo 1 ("maps/q2dm1.bsp" -> "q2dm1")
+   */
+  getMapName() {
+    const model = this.getModelName(1);
+    const match = model && model.match(/^maps\/(.+)\.bsp$/i);
+    return match ? match[1] : "";
+  }
+
+  getModelName(index) {
+    if (!index) return null;
+    return this.strings[this.layout.MODELS + index] || null;
+  }
+
+  getSoundName(index) {
+    if (!index) return null;
+    return this.strings[this.layout.SOUNDS + index] || null;
+  }
+
+  getImageName(index) {
+    if (!index) return null;
+    return this.strings[this.layout.IMAGES + index] || null;
+  }
+
+  getLightStyle(index) {
+    return this.strings[this.layout.LIGHTS + index] || null;
+  }
+
+  getItemName(index) {
+    if (!index) return null;
+    return this.strings[this.layout.ITEMS + index] || null;
+  }
+
+  /**
+   * Info de un jugador a partir de "nombre\modelo/skin"
+   */
+  getPlayerSkin(client) {
+    const text = this.strings[this.layout.PLAYERSKINS + client];
+    if (!text) return null;
+
+    const [name, skinPath = ""] = text.split("\\");
+    const [model = "", skin = ""] = skinPath.split("/");
+    return { name, model, skin };
+  }
+
+  getPlayerName(client) {
+    const info = this.getPlayerSkin(client);
+    return info ? info.name : null;
+  }
+}
+
+export default ConfigStrings;
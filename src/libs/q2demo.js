@@ -0,0 +1,429 @@
+import fs from "fs";
+import { EventEmitter } from "events";
+import { MessageWriter } from "./q2msg.js";
+import { PROTOCOL, SVC, MAX_MSGLEN, MAX_CONFIGSTRINGS } from "./q2protocol.js";
+
+// ============================================================================
+// CLASE DEMO WRITER
+// ============================================================================
+
+/**
+ * Escribe demos .dm2 en el formato estándar de Quake 2 (protocolo 34)
+ *
+ * Cada bloque del archivo es un int32 con el largo del mensaje seguido del
+ * mensaje; el demo termina con un bloque de largo -1 (igual que CL_Record)
+ */
+export class DemoWriter {
+  constructor(path, options = {}) {
+    this.path = path;
+    this.onError = options.onError || (() => {});
+    this.error = null;
+    this.stream = fs.createWriteStream(path);
+    this.hasGamestate = false;
+    this.lastFrame = null;
+    this.frames = 0;
+    this.bytes = 0;
+
+    // Un archivo que no se puede escribir deja de grabar; sin listener el
+    // error tiraría el proceso
+    this.stream.on("error", (error) => {
+      if (this.error) return;
+      this.error = error;
+      this.stream = null;
+      this.onError(error);
+    });
+  }
+
+  writeBlock(data) {
+    if (!this.stream || data.length === 0) return;
+
+    const header = Buffer.alloc(4);
+    header.writeInt32LE(data.length, 0);
+    this.stream.write(header);
+    this.stream.write(data);
+    this.bytes += data.length + 4;
+  }
+
+  /**
+   * Escribe serverdata, configstrings, baselines y precache.
+   * Los mensajes se cortan en bloques de MAX_MSGLEN como hace el cliente
+   */
+  writeGamestate({
+    serverCount,
+    gameDir,
+    clientNum,
+    mapName,
+    configStrings,
+    baselines,
+  }) {
+    const msg = new MessageWriter(MAX_MSGLEN);
+    const flushIfFull = (needed) => {
+      if (msg.length + needed > MAX_MSGLEN) {
+        this.writeBlock(msg.toBuffer());
+        msg.clear();
+      }
+    };
+
+    msg.writeByte(SVC.SERVERDATA);
+    msg.writeLong(PROTOCOL.VERSION_DEFAULT);
+    msg.writeLong(0x10000 + serverCount);
+    msg.writeByte(1); // los demos siempre son attract loops
+    msg.writeString(gameDir);
+    msg.writeShort(clientNum);
+    msg.writeString(configStrings[0] || mapName);
+
+    for (const [key, text] of Object.entries(configStrings)) {
+      const index = parseInt(key);
+      if (!text || index >= MAX_CONFIGSTRINGS) continue;
+      flushIfFull(text.length + 32);
+      msg.writeByte(SVC.CONFIGSTRING);
+      msg.writeShort(index);
+      msg.writeString(text);
+    }
+
+    const nullState = {
+      number: 0,
+      modelindex: 0,
+      modelindex2: 0,
+      modelindex3: 0,
+      modelindex4: 0,
+      frame: 0,
+      skinnum: 0,
+      effects: 0,
+      renderfx: 0,
+      origin: { x: 0, y: 0, z: 0 },
+      angles: { pitch: 0, yaw: 0, roll: 0 },
+      old_origin: { x: 0, y: 0, z: 0 },
+      sound: 0,
+      event: 0,
+      solid: 0,
+    };
+
+    baselines.forEach((baseline, number) => {
+      if (!baseline.modelindex && !baseline.sound && !baseline.effects) return;
+      flushIfFull(64);
+      msg.writeByte(SVC.SPAWNBASELINE);
+      msg.writeDeltaEntity(nullState, { ...baseline, number }, true, true);
+    });
+
+    flushIfFull(16);
+    msg.writeByte(SVC.STUFFTEXT);
+    msg.writeString("precache\n");
+
+    this.writeBlock(msg.toBuffer());
+    this.hasGamestate = true;
+    this.lastFrame = null;
+  }
+
+  /**
+   * Escribe un frame a partir del estado rastreado. Las entidades se
+   * codifican como delta del último frame escrito para no pasar MAX_MSGLEN
+   */
+  writeFrame({ frameNum, areabits, playerState, entities, baselines }) {
+    const msg = new MessageWriter(MAX_MSGLEN);
+    const previous = this.lastFrame;
+
+    msg.writeByte(SVC.FRAME);
+    msg.writeLong(frameNum);
+    msg.writeLong(previous ? previous.frameNum : -1);
+    msg.writeByte(0); // suppressCount
+    msg.writeByte(areabits ? areabits.length : 0);
+    if (areabits) msg.writeData(areabits);
+
+    msg.writeByte(SVC.PLAYERINFO);
+    msg.writePlayerState(playerState);
+
+    msg.writeByte(SVC.PACKETENTITIES);
+    const current = new Map();
+    for (const entity of entities) {
+      if (!entity.active || entity.number <= 0) continue;
+      current.set(entity.number, structuredClone(entity));
+    }
+
+    // El cliente fusiona con el frame anterior por número de entidad,
+    // así que altas, cambios y bajas tienen que ir en orden ascendente
+    const numbers = new Set(current.keys());
+    if (previous) {
+      for (const number of previous.entities.keys()) numbers.add(number);
+    }
+
+    for (const number of [...numbers].sort((a, b) => a - b)) {
+      const state = current.get(number);
+      const old = previous && previous.entities.get(number);
+      if (!state) {
+        msg.writeRemoveEntity(number);
+      } else if (old) {
+        msg.writeDeltaEntity(old, state, false, false);
+      } else {
+        msg.writeDeltaEntity(baselines[number], state, true, true);
+      }
+    }
+    msg.writeShort(0); // fin de entidades
+
+    this.writeBlock(msg.toBuffer());
+    this.lastFrame = { frameNum, entities: current };
+    this.frames++;
+  }
+
+  /**
+   * Escribe un mensaje ya codificado en protocolo 34 tal cual llegó
+   */
+  writeMessage(data) {
+    this.writeBlock(data);
+  }
+
+  writePrint(level, text) {
+    const msg = new MessageWriter(text.length + 3);
+    msg.writeByte(SVC.PRINT);
+    msg.writeByte(level);
+    msg.writeString(text);
+    this.writeBlock(msg.toBuffer());
+  }
+
+  writeCenterPrint(text) {
+    const msg = new MessageWriter(text.length + 2);
+    msg.writeByte(SVC.CENTERPRINT);
+    msg.writeString(text);
+    this.writeBlock(msg.toBuffer());
+  }
+
+  writeConfigString(index, text) {
+    if (index >= MAX_CONFIGSTRINGS) return;
+    const msg = new MessageWriter(text.length + 4);
+    msg.writeByte(SVC.CONFIGSTRING);
+    msg.writeShort(index);
+    msg.writeString(text);
+    this.writeBlock(msg.toBuffer());
+  }
+
+  /**
+   * Cierra el demo escribiendo el marcador de fin (-1)
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.stream) return this.error ? reject(this.error) : resolve();
+
+      const stream = this.stream;
+      this.stream = null;
+
+      const end = Buffer.alloc(4);
+      end.writeInt32LE(-1, 0);
+      stream.on("error", reject);
+      stream.end(end, () =>
+        resolve({ path: this.path, frames: this.frames, bytes: this.bytes })
+      );
+    });
+  }
+}
+
+// ============================================================================
+// LECTURA DE DEMOS
+// ============================================================================
+
+// Los demos de protocolo 34 corren a 10 frames por segundo
+const DEMO_FRAME_TIME = 100;
+
+/**
+ * Separa un archivo .dm2 en sus bloques de mensajes
+ */
+export function readDemoBlocks(buffer) {
+  const blocks = [];
+  let idx = 0;
+
+  while (idx + 4 <= buffer.length) {
+    const length = buffer.readInt32LE(idx);
+    idx += 4;
+
+    if (length === -1) break;
+    if (length < 0 || idx + length > buffer.length) {
+      throw new Error(`Bloque de demo inválido en el byte ${idx - 4}`);
+    }
+
+    blocks.push(buffer.subarray(idx, idx + length));
+    idx += length;
+  }
+
+  return blocks;
+}
+
+// ============================================================================
+// CLASE DEMO PLAYER
+// ============================================================================
+
+/**
+ * Reproduce un demo a través del pipeline de parsing de un Q2Client, que
+ * emite los mismos eventos que con una conexión en vivo
+ *
+ * El ritmo sale de los números de frame del servidor: entre dos frames se
+ * espera un frameTime por cada serverframe que avanzó, así que los frames
+ * que el cliente no recibió al grabar se notan como una pausa
+ *
+ * Eventos emitidos:
+ * - 'frame' - Se procesó un frame del demo
+ * - 'end' - Se terminó el demo
+ *
+ * Opciones:
+ * - speed: 1 = tiempo real, 4 = 4x, Infinity = lo más rápido posible
+ * - frameTime: ms por serverframe (100 en los demos de protocolo 34)
+ */
+export class DemoPlayer extends EventEmitter {
+  constructor(client, options = {}) {
+    super();
+
+    this.client = client;
+    this.speed = options.speed || 1;
+    this.frameTime = options.frameTime || DEMO_FRAME_TIME;
+
+    this.blocks = [];
+    this.position = 0;
+    this.frames = 0;
+    this.lastFrameNum = null;
+    this.pending = null;
+    this.playing = false;
+    this.timer = null;
+  }
+
+  /**
+   * Carga un demo desde un archivo .dm2
+   */
+  async load(path) {
+    const buffer = await fs.promises.readFile(path);
+    this.loadBlocks(readDemoBlocks(buffer));
+    this.path = path;
+  }
+
+  /**
+   * Carga una lista de mensajes de protocolo 34 ya extraídos
+   */
+  loadBlocks(blocks) {
+    this.stop();
+    this.blocks = blocks;
+    this.frames = 0;
+
+    this.client.resetConnectionState();
+    this.client.playbackMode = true;
+    this.client.connectionState = "playback";
+    this.client.emitEvent("connection", { status: "playback" });
+  }
+
+  /**
+   * Parsea bloques hasta el próximo frame. Los bloques sin frame se
+   * entregan al cliente en el momento; el del frame se retorna sin
+   * entregar para poder esperarlo según su número. Retorna null cuando ya
+   * no quedan bloques
+   */
+  readFrame() {
+    while (this.position < this.blocks.length) {
+      const block = this.blocks[this.position++];
+      const msgs = this.client.processServerData(block);
+      const frame = msgs.find((m) => m.type === "frame");
+      if (frame) return { msgs, frameNum: frame.frameNum };
+      this.client.handleGameMessages(msgs);
+    }
+    return null;
+  }
+
+  deliverFrame({ msgs, frameNum }) {
+    this.client.handleGameMessages(msgs);
+    this.lastFrameNum = frameNum;
+    this.frames++;
+    this.emit("frame", {
+      frame: this.frames,
+      frameNum,
+      position: this.position,
+    });
+  }
+
+  /**
+   * Espera antes de mostrar un frame: los serverframes que pasaron desde
+   * el anterior. Un cambio de mapa reinicia la numeración y cuenta como
+   * un frame
+   */
+  frameDelay(frameNum) {
+    if (this.lastFrameNum === null) return 0;
+    const frames = Math.max(frameNum - this.lastFrameNum, 1);
+    return (frames * this.frameTime) / this.speed;
+  }
+
+  /**
+   * Procesa bloques hasta completar un frame.
+   * Retorna false cuando ya no quedan bloques
+   */
+  step() {
+    const frame = this.pending || this.readFrame();
+    this.pending = null;
+
+    if (!frame) {
+      this.finish();
+      return false;
+    }
+
+    this.deliverFrame(frame);
+    return true;
+  }
+
+  /**
+   * Reproduce el demo con la velocidad configurada
+   */
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+
+    const tick = () => {
+      this.timer = null;
+      if (!this.playing) return;
+      if (this.pending) {
+        this.deliverFrame(this.pending);
+        this.pending = null;
+      }
+
+      this.pending = this.readFrame();
+      if (!this.pending) {
+        this.finish();
+        return;
+      }
+
+      const delay = this.frameDelay(this.pending.frameNum);
+      if (this.speed === Infinity || delay <= 0) {
+        this.timer = setImmediate(tick);
+      } else {
+        this.timer = setTimeout(tick, delay);
+      }
+    };
+
+    tick();
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      clearImmediate(this.timer);
+      this.timer = null;
+    }
+  }
+
+  stop() {
+    this.pause();
+    this.position = 0;
+    this.lastFrameNum = null;
+    this.pending = null;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  finish() {
+    this.pause();
+    this.client.playbackMode = false;
+    this.client.connectionState = "disconnected";
+    this.client.emitEvent("connection", {
+      status: "disconnected",
+      reason: "demo_end",
+    });
+    this.emit("end", { frames: this.frames });
+  }
+}
+
+export default DemoWriter;
@@ -0,0 +1,399 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { parseBsp } from "./q2bsp.js";
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+// Sin chunks nuevos durante este tiempo la descarga se da por caída
+export const DOWNLOAD_TIMEOUT = 10000;
+export const HTTP_TIMEOUT = 60000;
+
+const BASEDIR = "baseq2";
+
+// ============================================================================
+// RUTAS
+// ============================================================================
+
+/**
+ * Misma regla que CL_CheckOrDownloadFile: rutas relativas, sin `..`, sin
+ * unidades ni separadores de Windows
+ */
+export function isSafeDownloadPath(file) {
+  return (
+    typeof file === "string" &&
+    file.length > 0 &&
+    file.length < 64 &&
+    !file.includes("..") &&
+    !file.includes("\\") &&
+    !file.includes(":") &&
+    !file.startsWith("/") &&
+    /^[\x21-\x7e]+$/.test(file)
+  );
+}
+
+/**
+ * Un gamedir es un solo directorio bajo la raíz del juego: sin `..` ni
+ * separadores, para que el serverdata no pueda sacar la cache afuera
+ */
+export function isSafeGameDir(gameDir) {
+  return (
+    typeof gameDir === "string" &&
+    gameDir.length > 0 &&
+    gameDir.length < 64 &&
+    gameDir !== "." &&
+    !gameDir.includes("..") &&
+    !/[/\\:]/.test(gameDir) &&
+    /^[\x21-\x7e]+$/.test(gameDir)
+  );
+}
+
+/**
+ * Texturas .wal que usa un mapa, a partir del lump de texinfo
+ */
+export function listBspTextures(buffer) {
+  let bsp;
+  try {
+    bsp = parseBsp(buffer);
+  } catch (error) {
+    return [];
+  }
+
+  const textures = bsp.texinfo
+    .map(({ texture }) => texture)
+    .filter(Boolean)
+    .map((texture) => `textures/${texture}.wal`);
+  return [...new Set(textures)];
+}
+
+// ============================================================================
+// CLASE DOWNLOAD MANAGER
+// ============================================================================
+
+/**
+ * Descargas de archivos del servidor (mapas, texturas, skins) a un
+ * directorio de cache con la misma estructura que el juego
+ * (`<dir>/<gamedir>/maps/q2dm1.bsp`)
+ *
+ * Por UDP usa el comando `download <archivo> [offset]` y pide cada chunk
+ * con `nextdl`. Los chunks de svc_zdownload (q2pro) son un stream deflate
+ * continuo. La descarga se escribe en `<archivo>.tmp`, así que si se corta
+ * se retoma desde el offset. Si el servidor anunció un servidor HTTP
+ * (`dlserver`), se prueba primero por ahí
+ *
+ * Las descargas van de a una, como en el cliente original. El manager no
+ * conoce al cliente: recibe callbacks para mandar comandos y emitir eventos
+ *
+ * Opciones:
+ * - dir: directorio de cache
+ * - http: usar el servidor HTTP si hay uno (true por defecto)
+ * - sendCommand(cmd): manda un stringcmd al servidor
+ * - onEvent(data): estado de las descargas
+ */
+export class DownloadManager {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.http = options.http ?? true;
+    this.sendCommand = options.sendCommand;
+    this.onEvent = options.onEvent || (() => {});
+    this.timeout = options.timeout || DOWNLOAD_TIMEOUT;
+
+    this.gameDir = BASEDIR;
+    this.httpServer = null;
+
+    this.queue = [];
+    this.current = null;
+  }
+
+  /**
+   * Gamedir que anuncia el serverdata. Uno inválido se ignora y se usa
+   * baseq2
+   */
+  setGameDir(gameDir) {
+    this.gameDir = isSafeGameDir(gameDir) ? gameDir : BASEDIR;
+  }
+
+  /**
+   * Ruta local de un archivo: en el gamedir del servidor o en baseq2. Falla
+   * si la ruta queda fuera del directorio de cache
+   */
+  localPath(file, gameDir = this.gameDir) {
+    const root = path.resolve(this.dir);
+    const local = path.resolve(root, gameDir || BASEDIR, file);
+    if (!local.startsWith(root + path.sep)) {
+      throw new Error(`Ruta fuera del directorio de descargas: ${file}`);
+    }
+    return local;
+  }
+
+  /**
+   * Archivo ya descargado, o null
+   */
+  cachedPath(file) {
+    if (!isSafeDownloadPath(file)) return null;
+    for (const gameDir of new Set([this.gameDir || BASEDIR, BASEDIR])) {
+      const local = this.localPath(file, gameDir);
+      if (fs.existsSync(local)) return local;
+    }
+    return null;
+  }
+
+  /**
+   * Descarga un archivo si no está en la cache. Retorna una promesa con la
+   * ruta local
+   */
+  download(file) {
+    if (!this.dir) {
+      return Promise.reject(new Error("No hay directorio de descargas"));
+    }
+    if (!isSafeDownloadPath(file)) {
+      return Promise.reject(new Error(`Ruta de descarga inválida: ${file}`));
+    }
+
+    const cached = this.cachedPath(file);
+    if (cached) {
+      this.onEvent({ status: "cached", file, path: cached });
+      return Promise.resolve(cached);
+    }
+
+    // Un archivo pedido dos veces comparte la misma descarga
+    const pending = [this.current, ...this.queue].find(
+      (entry) => entry && entry.file === file
+    );
+    if (pending) return pending.promise;
+
+    const entry = { file };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    this.queue.push(entry);
+    this.next();
+    return entry.promise;
+  }
+
+  /**
+   * Corta la descarga en curso y descarta la cola (reconexión o
+   * desconexión). El .tmp queda para retomar
+   */
+  reset(reason = "Conexión reiniciada") {
+    const entries = [this.current, ...this.queue].filter(Boolean);
+    this.queue = [];
+    if (this.current) this.closeCurrent();
+    this.current = null;
+
+    for (const entry of entries) {
+      entry.reject(new Error(reason));
+    }
+  }
+
+  // ==========================================================================
+  // COLA
+  // ==========================================================================
+
+  next() {
+    if (this.current || this.queue.length === 0) return;
+
+    const entry = this.queue.shift();
+    this.current = entry;
+    entry.final = this.localPath(entry.file);
+    entry.temp = `${entry.final}.tmp`;
+    fs.mkdirSync(path.dirname(entry.final), { recursive: true });
+
+    if (this.http && this.httpServer) {
+      this.startHttp(entry);
+    } else {
+      this.startUdp(entry);
+    }
+  }
+
+  complete(entry) {
+    if (this.current !== entry) return;
+    this.closeCurrent();
+    this.current = null;
+
+    fs.renameSync(entry.temp, entry.final);
+    const { size } = fs.statSync(entry.final);
+    this.onEvent({
+      status: "completed",
+      file: entry.file,
+      path: entry.final,
+      source: entry.source,
+      bytes: size,
+    });
+    entry.resolve(entry.final);
+    this.next();
+  }
+
+  fail(entry, error) {
+    if (this.current !== entry) return;
+    this.closeCurrent();
+    this.current = null;
+
+    this.onEvent({
+      status: "failed",
+      file: entry.file,
+      source: entry.source,
+      reason: error.message,
+    });
+    entry.reject(error);
+    this.next();
+  }
+
+  closeCurrent() {
+    const entry = this.current;
+    clearTimeout(entry.timer);
+    if (entry.inflate) {
+      entry.inflate.removeAllListeners();
+      entry.inflate.destroy();
+      entry.inflate = null;
+    }
+    if (entry.fd !== undefined && entry.fd !== null) {
+      fs.closeSync(entry.fd);
+      entry.fd = null;
+    }
+    if (entry.abort) entry.abort.abort();
+  }
+
+  // ==========================================================================
+  // HTTP
+  // ==========================================================================
+
+  /**
+   * Descarga por HTTP (`<dlserver>/<gamedir>/<archivo>`). Si falla se
+   * vuelve a UDP
+   */
+  async startHttp(entry) {
+    entry.source = "http";
+    entry.abort = new AbortController();
+    const signal = AbortSignal.any([
+      entry.abort.signal,
+      AbortSignal.timeout(HTTP_TIMEOUT),
+    ]);
+    const base = this.httpServer.replace(/\/+$/, "");
+    const urls = [...new Set([this.gameDir || BASEDIR, BASEDIR])].map(
+      (gameDir) => `${base}/${gameDir}/${entry.file}`
+    );
+
+    this.onEvent({ status: "started", file: entry.file, source: "http" });
+
+    for (const url of urls) {
+      try {
+        const response = await fetch(url, { signal });
+        if (this.current !== entry) return;
+        if (!response.ok) continue;
+
+        const data = Buffer.from(await response.arrayBuffer());
+        if (this.current !== entry) return;
+
+        fs.writeFileSync(entry.temp, data);
+        this.complete(entry);
+        return;
+      } catch (error) {
+        if (this.current !== entry) return;
+      }
+    }
+
+    entry.abort = null;
+    this.startUdp(entry);
+  }
+
+  // ==========================================================================
+  // UDP
+  // ==========================================================================
+
+  startUdp(entry) {
+    entry.source = "udp";
+
+    // Retomar desde lo que ya quedó en el .tmp
+    const offset = fs.existsSync(entry.temp) ? fs.statSync(entry.temp).size : 0;
+    entry.fd = fs.openSync(entry.temp, offset > 0 ? "a" : "w");
+    entry.received = offset;
+
+    this.onEvent({
+      status: "started",
+      file: entry.file,
+      source: "udp",
+      offset,
+    });
+    this.sendCommand(
+      offset > 0 ? `download ${entry.file} ${offset}` : `download ${entry.file}`
+    );
+    this.armTimeout(entry);
+  }
+
+  armTimeout(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(
+      () => this.fail(entry, new Error(`Timeout descargando ${entry.file}`)),
+      this.timeout
+    );
+  }
+
+  /**
+   * Procesa un svc_download / svc_zdownload:
+   * `{ size, percent, data, compressed }`
+   */
+  handleChunk({ size, percent, data, compressed }) {
+    const entry = this.current;
+    if (!entry || entry.source !== "udp") return;
+
+    if (size < 0) {
+      this.fail(entry, new Error(`El servidor no tiene ${entry.file}`));
+      return;
+    }
+
+    if (compressed) {
+      this.writeCompressed(entry, data);
+    } else {
+      fs.writeSync(entry.fd, data);
+      entry.received += data.length;
+    }
+
+    this.onEvent({
+      status: "progress",
+      file: entry.file,
+      percent,
+      bytes: entry.received,
+    });
+
+    if (percent < 100) {
+      this.sendCommand("nextdl");
+      this.armTimeout(entry);
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    if (entry.inflate) {
+      entry.inflate.once("end", () => this.complete(entry));
+      entry.inflate.end();
+    } else {
+      this.complete(entry);
+    }
+  }
+
+  /**
+   * Los chunks comprimidos son partes de un único stream deflate; se
+   * descomprimen en orden a medida que llegan
+   */
+  writeCompressed(entry, data) {
+    if (!entry.inflate) {
+      entry.inflate = zlib.createInflateRaw();
+      entry.inflate.on("data", (chunk) => {
+        fs.writeSync(entry.fd, chunk);
+        entry.received += chunk.length;
+      });
+      entry.inflate.on("error", (error) =>
+        this.fail(
+          entry,
+          new Error(`Chunk comprimido inválido: ${error.message}`)
+        )
+      );
+    }
+    entry.inflate.write(data);
+  }
+}
+
+export default DownloadManager;
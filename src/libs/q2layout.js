@@ -0,0 +1,204 @@
+import { ConfigStrings } from "./q2configstrings.js";
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+/**
+ * Separa un layout en tokens igual que COM_Parse: por espacios, con
+ * soporte de strings entre comillas
+ */
+export function tokenizeLayout(layout) {
+  const tokens = [];
+  let idx = 0;
+
+  while (idx < layout.length) {
+    while (idx < layout.length && layout.charCodeAt(idx) <= 32) idx++;
+    if (idx >= layout.length) break;
+
+    if (layout[idx] === '"') {
+      const end = layout.indexOf('"', idx + 1);
+      const stop = end === -1 ? layout.length : end;
+      tokens.push(layout.substring(idx + 1, stop));
+      idx = stop + 1;
+      continue;
+    }
+
+    const start = idx;
+    while (idx < layout.length && layout.charCodeAt(idx) > 32) idx++;
+    tokens.push(layout.substring(start, idx));
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// INTÉRPRETE DE LAYOUTS
+// ============================================================================
+
+// Tamaño virtual de la pantalla que asumen los layouts (xv/yv son relativos
+// a un área de 320x240 centrada)
+const VIRTUAL_WIDTH = 320;
+const VIRTUAL_HEIGHT = 240;
+
+/**
+ * Interpreta un layout (SCR_ExecuteLayoutString de cl_scrn.c) y retorna
+ * los elementos que dibujaría, más las filas del scoreboard
+ *
+ * Opciones:
+ * - stats: stats del player state, para `if` y las referencias a stats
+ * - configStrings: ConfigStrings del servidor, para `pic` y `stat_string`
+ * - playerNames: nombres por número de cliente, para `client` y `ctf`
+ */
+export function parseLayout(layout, options = {}) {
+  const stats = options.stats || [];
+  const configStrings = options.configStrings || new ConfigStrings();
+  const playerNames = options.playerNames || {};
+
+  const tokens = tokenizeLayout(layout || "");
+  const elements = [];
+  const rows = [];
+  let x = 0;
+  let y = 0;
+  let i = 0;
+
+  const next = () => (i < tokens.length ? tokens[i++] : "");
+  const nextInt = () => parseInt(next(), 10) || 0;
+  const stat = (index) => stats[index] || 0;
+
+  while (i < tokens.length) {
+    const token = next();
+
+    switch (token) {
+      // Posicionamiento
+      case "xl":
+        x = nextInt();
+        break;
+      case "xr":
+        x = VIRTUAL_WIDTH + nextInt();
+        break;
+      case "xv":
+        x = nextInt();
+        break;
+      case "yt":
+        y = nextInt();
+        break;
+      case "yb":
+        y = VIRTUAL_HEIGHT + nextInt();
+        break;
+      case "yv":
+        y = nextInt();
+        break;
+
+      // Imágenes
+      case "pic": {
+        const name = configStrings.getImageName(stat(nextInt()));
+        if (name) elements.push({ type: "pic", x, y, name });
+        break;
+      }
+      case "picn":
+        elements.push({ type: "pic", x, y, name: next() });
+        break;
+
+      // Filas del scoreboard
+      case "client": {
+        x = nextInt();
+        y = nextInt();
+        const clientNum = nextInt();
+        const row = {
+          type: "client",
+          x,
+          y,
+          clientNum,
+          name: playerNames[clientNum] || `Player${clientNum}`,
+          score: nextInt(),
+          ping: nextInt(),
+          time: nextInt(),
+        };
+        elements.push(row);
+        rows.push(row);
+        break;
+      }
+      case "ctf": {
+        x = nextInt();
+        y = nextInt();
+        const clientNum = nextInt();
+        const row = {
+          type: "ctf",
+          x,
+          y,
+          clientNum,
+          name: playerNames[clientNum] || `Player${clientNum}`,
+          score: nextInt(),
+          ping: nextInt(),
+          time: null,
+          // El scoreboard de CTF pone al equipo rojo a la izquierda
+          team: x < VIRTUAL_WIDTH / 2 ? "red" : "blue",
+        };
+        elements.push(row);
+        rows.push(row);
+        break;
+      }
+
+      // Números
+      case "num": {
+        const width = nextInt();
+        elements.push({ type: "num", x, y, width, value: stat(nextInt()) });
+        break;
+      }
+      case "hnum":
+      case "anum":
+      case "rnum":
+        // Salud, munición y armadura (STAT_HEALTH, STAT_AMMO, STAT_ARMOR)
+        elements.push({
+          type: token,
+          x,
+          y,
+          value: stat({ hnum: 1, anum: 3, rnum: 5 }[token]),
+        });
+        break;
+
+      // Texto
+      case "stat_string": {
+        const index = stat(nextInt());
+        elements.push({
+          type: "string",
+          x,
+          y,
+          text: configStrings.get(index),
+        });
+        break;
+      }
+      case "string":
+      case "string2":
+      case "cstring":
+      case "cstring2":
+        elements.push({
+          type: "string",
+          x,
+          y,
+          text: next(),
+          centered: token.startsWith("c"),
+          highlight: token.endsWith("2"),
+        });
+        break;
+
+      // Condicionales: saltear hasta endif si el stat es cero
+      case "if":
+        if (!stat(nextInt())) {
+          while (i < tokens.length && tokens[i] !== "endif") i++;
+          i++;
+        }
+        break;
+      case "endif":
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  return { elements, rows };
+}
+
+export default parseLayout;
@@ -0,0 +1,304 @@
+import dgram from "dgram";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+export const DEFAULT_MASTER_PORT = 27900;
+
+// Lista de q2servers.com que usaba el browser de la TUI
+export const DEFAULT_SOURCES = ["http://q2servers.com/?raw=1"];
+
+export const DEFAULT_CACHE_PATH = path.join(
+  os.homedir(),
+  ".cache",
+  "q2mon",
+  "servers.json"
+);
+
+// Un master puede repartir la lista en varios paquetes `servers` sin
+// marcador de fin: se da por completa tras este tiempo sin recibir nada
+export const MASTER_QUIET_TIME = 500;
+export const MASTER_TIMEOUT = 3000;
+
+const OOB_HEADER = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+
+// ============================================================================
+// FORMATOS DE LISTA
+// ============================================================================
+
+/**
+ * Paquete de consulta al master
+ */
+export function createMasterQuery() {
+  return Buffer.concat([OOB_HEADER, Buffer.from("query\n\0", "latin1")]);
+}
+
+/**
+ * Parsea una respuesta `servers` del master: después del encabezado vienen
+ * entradas de 6 bytes (IPv4 y puerto en orden de red). Retorna null si el
+ * paquete no es una respuesta de master
+ */
+export function parseMasterResponse(buffer) {
+  if (buffer.length < 4 || !buffer.subarray(0, 4).equals(OOB_HEADER)) {
+    return null;
+  }
+
+  const header = buffer.subarray(4, 11).toString("latin1");
+  if (header !== "servers") return null;
+
+  // El nombre del comando puede ir seguido de un espacio o un salto de línea
+  let offset = 11;
+  if (buffer[offset] === 0x20 || buffer[offset] === 0x0a) offset++;
+
+  const servers = [];
+  for (; offset + 6 <= buffer.length; offset += 6) {
+    const host = `${buffer[offset]}.${buffer[offset + 1]}.${
+      buffer[offset + 2]
+    }.${buffer[offset + 3]}`;
+    const port = buffer.readUInt16BE(offset + 4);
+    if (port) servers.push({ host, port });
+  }
+  return servers;
+}
+
+/**
+ * Parsea una lista de texto con un `host:port` por línea (formato raw de
+ * q2servers.com y de los archivos estáticos). Ignora líneas vacías y
+ * comentarios con `#` o `//`
+ */
+export function parseServerList(text) {
+  const servers = [];
+
+  for (const raw of text.split("\n")) {
+    const line = raw.replace(/(#|\/\/).*$/, "").trim();
+    if (!line) continue;
+
+    const [host, port] = line.split(/\s+/)[0].split(":");
+    const portNum = parseInt(port) || 27910;
+    if (!host || portNum <= 0 || portNum > 65535) continue;
+
+    servers.push({ host, port: portNum });
+  }
+  return servers;
+}
+
+/**
+ * Quita entradas repetidas conservando el orden
+ */
+export function uniqueServers(servers) {
+  const seen = new Set();
+  return servers.filter(({ host, port }) => {
+    const key = `${host}:${port}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ============================================================================
+// FUENTES
+// ============================================================================
+
+/**
+ * Consulta un master de Quake 2 y retorna su lista de servidores
+ */
+export const queryMaster = (host, port = DEFAULT_MASTER_PORT, options = {}) => {
+  const timeout = options.timeout || MASTER_TIMEOUT;
+  const quietTime = options.quietTime || MASTER_QUIET_TIME;
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket("udp4");
+    const servers = [];
+    let timer = null;
+
+    const done = (error) => {
+      clearTimeout(timer);
+      socket.close();
+      if (error) reject(error);
+      else resolve(uniqueServers(servers));
+    };
+
+    timer = setTimeout(
+      () => done(new Error(`Timeout: el master no respondió: ${host}:${port}`)),
+      timeout
+    );
+
+    socket.on("message", (msg) => {
+      const list = parseMasterResponse(msg);
+      if (list === null) return;
+
+      servers.push(...list);
+      clearTimeout(timer);
+      timer = setTimeout(() => done(), quietTime);
+    });
+
+    socket.on("error", (err) => {
+      done(new Error(`❌ Error en el socket: ${err.message}`));
+    });
+
+    socket.send(createMasterQuery(), port, host, (err) => {
+      if (err) done(new Error(`❌ Error al consultar master: ${err.message}`));
+    });
+  });
+};
+
+/**
+ * Descarga una lista en formato raw (`host:port` por línea)
+ */
+export const fetchServerList = async (url, options = {}) => {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(options.timeout || MASTER_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`❌ Error al descargar ${url}: HTTP ${response.status}`);
+  }
+  return parseServerList(await response.text());
+};
+
+/**
+ * Lee una lista estática desde un archivo. Acepta texto `host:port` o un
+ * JSON con un arreglo de `"host:port"` o `{ host, port }`
+ */
+export const readServerListFile = async (file) => {
+  const text = await fs.promises.readFile(file, "utf8");
+
+  if (text.trimStart().startsWith("[")) {
+    const list = JSON.parse(text);
+    return parseServerList(
+      list
+        .map((entry) =>
+          typeof entry === "string" ? entry : `${entry.host}:${entry.port}`
+        )
+        .join("\n")
+    );
+  }
+  return parseServerList(text);
+};
+
+/**
+ * Crea una fuente a partir de su descripción:
+ * - `master://host[:port]` - master de Quake 2
+ * - `http://...` / `https://...` - lista raw
+ * - `file:ruta` o una ruta - lista estática
+ *
+ * Una fuente es un objeto `{ name, fetch(options) }`; se puede pasar una
+ * propia en lugar de la descripción
+ */
+export function createSource(spec) {
+  if (typeof spec === "object") return spec;
+
+  if (spec.startsWith("master://")) {
+    const [host, port] = spec.slice("master://".length).split(":");
+    const portNum = parseInt(port) || DEFAULT_MASTER_PORT;
+    return {
+      name: spec,
+      fetch: (options) => queryMaster(host, portNum, options),
+    };
+  }
+
+  if (/^https?:\/\//.test(spec)) {
+    return { name: spec, fetch: (options) => fetchServerList(spec, options) };
+  }
+
+  const file = spec.startsWith("file:") ? spec.slice("file:".length) : spec;
+  return { name: spec, fetch: () => readServerListFile(file) };
+}
+
+// ============================================================================
+// CLASE SERVER LIST PROVIDER
+// ============================================================================
+
+/**
+ * Arma la lista de servidores juntando varias fuentes
+ *
+ * Se consultan todas las fuentes y se unen sus listas. La última lista
+ * buena se guarda en disco: si ninguna fuente responde se usa esa, así el
+ * browser sigue funcionando sin conexión o con el master caído
+ *
+ * Opciones:
+ * - sources: descripciones o fuentes (ver createSource)
+ * - cachePath: archivo de cache (null para no usar cache)
+ * - timeout: timeout de cada fuente en ms
+ */
+export class ServerListProvider {
+  constructor(options = {}) {
+    this.sources = (options.sources || DEFAULT_SOURCES).map(createSource);
+    this.cachePath =
+      options.cachePath === undefined ? DEFAULT_CACHE_PATH : options.cachePath;
+    this.timeout = options.timeout || MASTER_TIMEOUT;
+  }
+
+  /**
+   * Retorna `{ servers, source, errors }`. source es "live" si al menos
+   * una fuente respondió, o "cache" si la lista salió del disco
+   */
+  async getServers() {
+    const results = await Promise.allSettled(
+      this.sources.map((source) => source.fetch({ timeout: this.timeout }))
+    );
+
+    const servers = [];
+    const errors = [];
+    results.forEach((result, i) => {
+      if (result.status === "fulfilled") {
+        servers.push(...result.value);
+      } else {
+        errors.push({ source: this.sources[i].name, error: result.reason });
+      }
+    });
+
+    const anySucceeded = errors.length < this.sources.length;
+    if (anySucceeded && servers.length > 0) {
+      const list = uniqueServers(servers);
+      await this.saveCache(list);
+      return { servers: list, source: "live", errors };
+    }
+
+    const cached = await this.loadCache();
+    if (cached) {
+      return { servers: cached, source: "cache", errors };
+    }
+
+    if (!anySucceeded) {
+      throw new Error(
+        `No se pudo obtener la lista de servidores: ${errors
+          .map(({ source, error }) => `${source} (${error.message})`)
+          .join(", ")}`
+      );
+    }
+    return { servers: [], source: "live", errors };
+  }
+
+  async loadCache() {
+    if (!this.cachePath) return null;
+    try {
+      const { servers } = JSON.parse(
+        await fs.promises.readFile(this.cachePath, "utf8")
+      );
+      return Array.isArray(servers) ? servers : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async saveCache(servers) {
+    if (!this.cachePath) return;
+    try {
+      await fs.promises.mkdir(path.dirname(this.cachePath), {
+        recursive: true,
+      });
+      await fs.promises.writeFile(
+        this.cachePath,
+        JSON.stringify({ updated: new Date().toISOString(), servers }, null, 2)
+      );
+    } catch {
+      // Sin cache el browser funciona igual
+    }
+  }
+}
+
+export default ServerListProvider;
@@ -0,0 +1,213 @@
+import dgram from "dgram";
+import dns from "dns";
+import { EventEmitter } from "events";
+import { Q2Client } from "./q2client.js";
+
+// ============================================================================
+// CLASE SOCKET POOL
+// ============================================================================
+
+/**
+ * Sockets UDP compartidos entre varios clientes. Cada servidor se asigna a
+ * un socket (round robin) y los paquetes se reparten por dirección de origen
+ */
+export class SocketPool {
+  constructor(size = 1, onError = null) {
+    this.size = Math.max(1, size);
+    this.onError = onError;
+    this.sockets = [];
+    this.routes = new Map();
+    this.next = 0;
+  }
+
+  /**
+   * Retorna el próximo socket del pool, creándolo si hace falta
+   */
+  async acquire() {
+    const index = this.next;
+    this.next = (this.next + 1) % this.size;
+
+    if (!this.sockets[index]) {
+      this.sockets[index] = this.createSocket();
+    }
+    return this.sockets[index];
+  }
+
+  createSocket() {
+    const socket = dgram.createSocket("udp4");
+
+    socket.on("message", (buffer, rinfo) => {
+      const handler = this.routes.get(`${rinfo.address}:${rinfo.port}`);
+      if (handler) handler(buffer);
+    });
+
+    socket.on("error", (err) => {
+      if (this.onError) this.onError(err);
+    });
+
+    return new Promise((resolve) => socket.bind(() => resolve(socket)));
+  }
+
+  route(address, port, handler) {
+    this.routes.set(`${address}:${port}`, handler);
+  }
+
+  unroute(address, port) {
+    this.routes.delete(`${address}:${port}`);
+  }
+
+  async close() {
+    const sockets = await Promise.all(this.sockets);
+    for (const socket of sockets) {
+      if (socket) socket.close();
+    }
+    this.sockets = [];
+    this.routes.clear();
+  }
+}
+
+// ============================================================================
+// CLASE Q2 MONITOR MANAGER
+// ============================================================================
+
+// Modos de cada cliente: solo status, conectado sin begin, o en juego
+const MODES = {
+  monitor: { monitorMode: true, passiveMode: false },
+  passive: { monitorMode: false, passiveMode: true },
+  active: { monitorMode: false, passiveMode: false },
+};
+
+/**
+ * Administra varios Q2Client identificados por `host:port`
+ *
+ * Los clientes comparten los sockets de un SocketPool y arrancan
+ * escalonados, así el polling de status no sale todo junto. Todos los
+ * eventos se re-emiten en el manager con el campo `server` agregado
+ *
+ * Eventos emitidos:
+ * - Los mismos de Q2Client, con `server` ("host:port")
+ * - 'event' - Todos los eventos juntos
+ * - 'server_added' / 'server_removed' - Cambios en la lista de servidores
+ * - 'socket_error' - Error en un socket del pool
+ *
+ * Opciones:
+ * - poolSize: cantidad de sockets UDP compartidos (1 por defecto)
+ * - staggerInterval: ms entre el arranque de un cliente y el siguiente
+ * - clientOptions: opciones por defecto para cada Q2Client
+ */
+export class Q2MonitorManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.staggerInterval = options.staggerInterval ?? 250;
+    this.clientOptions = options.clientOptions || {};
+    this.pool = new SocketPool(options.poolSize || 1, (err) =>
+      this.emit("socket_error", err)
+    );
+
+    this.servers = new Map();
+    this.nextStart = 0;
+  }
+
+  static key(host, port) {
+    return `${host}:${port}`;
+  }
+
+  /**
+   * Agrega un servidor y lo conecta en su turno. mode es 'monitor',
+   * 'passive' o 'active'; options se pasan al Q2Client
+   */
+  async add(host, port, mode = "monitor", options = {}) {
+    const key = Q2MonitorManager.key(host, port);
+    if (this.servers.has(key)) return this.servers.get(key).client;
+
+    if (!MODES[mode]) {
+      throw new Error(`Modo desconocido: ${mode}`);
+    }
+
+    // Los paquetes se rutean por IP, así que el host se resuelve una vez
+    const { address } = await dns.promises.lookup(host, { family: 4 });
+    const socket = await this.pool.acquire();
+    if (this.servers.has(key)) return this.servers.get(key).client;
+
+    const client = new Q2Client({
+      ...this.clientOptions,
+      ...options,
+      ...MODES[mode],
+      serverIp: address,
+      serverPort: port,
+      socket,
+    });
+
+    client.on("event", (event) => {
+      const tagged = { ...event, server: key };
+      this.emit(event.type, tagged);
+      this.emit("event", tagged);
+    });
+
+    const entry = { key, host, port, address, mode, client, timer: null };
+    this.servers.set(key, entry);
+    this.pool.route(address, port, (buffer) => client.handlePacket(buffer));
+
+    // Escalonar los arranques
+    const now = Date.now();
+    const start = Math.max(now, this.nextStart);
+    this.nextStart = start + this.staggerInterval;
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      client.connect();
+    }, start - now);
+
+    this.emit("server_added", { server: key, host, port, mode });
+    return client;
+  }
+
+  /**
+   * Desconecta y quita un servidor
+   */
+  remove(host, port) {
+    const key = port === undefined ? host : Q2MonitorManager.key(host, port);
+    const entry = this.servers.get(key);
+    if (!entry) return false;
+
+    if (entry.timer) clearTimeout(entry.timer);
+    entry.client.disconnect();
+    entry.client.removeAllListeners();
+    this.pool.unroute(entry.address, entry.port);
+    this.servers.delete(key);
+
+    this.emit("server_removed", { server: key });
+    return true;
+  }
+
+  /**
+   * Cliente de un servidor, por "host:port" o host y puerto
+   */
+  get(host, port) {
+    const key = port === undefined ? host : Q2MonitorManager.key(host, port);
+    const entry = this.servers.get(key);
+    return entry ? entry.client : null;
+  }
+
+  list() {
+    return [...this.servers.values()].map(
+      ({ key, host, port, mode, client }) => ({
+        server: key,
+        host,
+        port,
+        mode,
+        state: client.connectionState,
+        map: client.currentMapName || null,
+      })
+    );
+  }
+
+  async close() {
+    for (const key of [...this.servers.keys()]) {
+      this.remove(key);
+    }
+    await this.pool.close();
+  }
+}
+
+export default Q2MonitorManager;
@@ -0,0 +1,388 @@
+import {
+  U_ORIGIN1,
+  U_ORIGIN2,
+  U_ORIGIN3,
+  U_ANGLE1,
+  U_ANGLE2,
+  U_ANGLE3,
+  U_FRAME8,
+  U_FRAME16,
+  U_EVENT,
+  U_REMOVE,
+  U_MOREBITS1,
+  U_MOREBITS2,
+  U_MOREBITS3,
+  U_NUMBER16,
+  U_MODEL,
+  U_MODEL2,
+  U_MODEL3,
+  U_MODEL4,
+  U_RENDERFX8,
+  U_RENDERFX16,
+  U_EFFECTS8,
+  U_EFFECTS16,
+  U_SKIN8,
+  U_SKIN16,
+  U_OLDORIGIN,
+  U_SOUND,
+  U_SOLID,
+  PS_M_TYPE,
+  PS_M_ORIGIN,
+  PS_M_VELOCITY,
+  PS_M_TIME,
+  PS_M_FLAGS,
+  PS_M_GRAVITY,
+  PS_M_DELTA_ANGLES,
+  PS_VIEWOFFSET,
+  PS_VIEWANGLES,
+  PS_KICKANGLES,
+  PS_BLEND,
+  PS_FOV,
+  PS_WEAPONINDEX,
+  PS_WEAPONFRAME,
+  PS_RDFLAGS,
+  MAX_STATS,
+  RF_BEAM,
+} from "./q2protocol.js";
+
+// ============================================================================
+// CLASE MESSAGE WRITER
+// ============================================================================
+
+/**
+ * Construye mensajes en el formato binario de Quake 2 (MSG_Write* de q2pro)
+ */
+export class MessageWriter {
+  constructor(size = 1400) {
+    this.buffer = Buffer.alloc(size);
+    this.length = 0;
+  }
+
+  ensure(bytes) {
+    if (this.length + bytes <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + bytes) size *= 2;
+    const grown = Buffer.alloc(size);
+    this.buffer.copy(grown, 0, 0, this.length);
+    this.buffer = grown;
+  }
+
+  writeByte(value) {
+    this.ensure(1);
+    this.buffer.writeUInt8(value & 0xff, this.length);
+    this.length += 1;
+  }
+
+  writeChar(value) {
+    this.ensure(1);
+    this.buffer.writeInt8(Math.max(-128, Math.min(127, value)), this.length);
+    this.length += 1;
+  }
+
+  writeShort(value) {
+    this.ensure(2);
+    this.buffer.writeUInt16LE(value & 0xffff, this.length);
+    this.length += 2;
+  }
+
+  writeLong(value) {
+    this.ensure(4);
+    this.buffer.writeUInt32LE(value >>> 0, this.length);
+    this.length += 4;
+  }
+
+  writeString(text) {
+    const bytes = Buffer.from(text || "", "latin1");
+    this.writeData(bytes);
+    this.writeByte(0);
+  }
+
+  writeData(data) {
+    this.ensure(data.length);
+    data.copy(this.buffer, this.length);
+    this.length += data.length;
+  }
+
+  writeCoord(value) {
+    this.writeShort(Math.round(value * 8));
+  }
+
+  writePos(pos) {
+    this.writeCoord(pos.x);
+    this.writeCoord(pos.y);
+    this.writeCoord(pos.z);
+  }
+
+  writeAngle(value) {
+    this.writeByte(Math.round((value * 256) / 360));
+  }
+
+  writeAngle16(value) {
+    this.writeShort(Math.round((value * 65536) / 360));
+  }
+
+  /**
+   * Codifica una entidad como delta de `from` (MSG_WriteDeltaEntity vanilla)
+   */
+  writeDeltaEntity(from, to, force = false, newEntity = false) {
+    let bits = 0;
+
+    if (to.number >= 256) bits |= U_NUMBER16;
+
+    if (to.origin.x !== from.origin.x) bits |= U_ORIGIN1;
+    if (to.origin.y !== from.origin.y) bits |= U_ORIGIN2;
+    if (to.origin.z !== from.origin.z) bits |= U_ORIGIN3;
+
+    if (to.angles.pitch !== from.angles.pitch) bits |= U_ANGLE1;
+    if (to.angles.yaw !== from.angles.yaw) bits |= U_ANGLE2;
+    if (to.angles.roll !== from.angles.roll) bits |= U_ANGLE3;
+
+    if (to.skinnum !== from.skinnum) {
+      if (to.skinnum >>> 0 < 0x100) bits |= U_SKIN8;
+      else if (to.skinnum >>> 0 < 0x10000) bits |= U_SKIN16;
+      else bits |= U_SKIN8 | U_SKIN16;
+    }
+
+    if (to.frame !== from.frame) {
+      if (to.frame < 256) bits |= U_FRAME8;
+      else bits |= U_FRAME16;
+    }
+
+    if (to.effects !== from.effects) {
+      if (to.effects >>> 0 < 0x100) bits |= U_EFFECTS8;
+      else if (to.effects >>> 0 < 0x8000) bits |= U_EFFECTS16;
+      else bits |= U_EFFECTS8 | U_EFFECTS16;
+    }
+
+    if (to.renderfx !== from.renderfx) {
+      if (to.renderfx >>> 0 < 0x100) bits |= U_RENDERFX8;
+      else if (to.renderfx >>> 0 < 0x8000) bits |= U_RENDERFX16;
+      else bits |= U_RENDERFX8 | U_RENDERFX16;
+    }
+
+    if (to.solid !== from.solid) bits |= U_SOLID;
+    if (to.event) bits |= U_EVENT;
+
+    if (to.modelindex !== from.modelindex) bits |= U_MODEL;
+    if (to.modelindex2 !== from.modelindex2) bits |= U_MODEL2;
+    if (to.modelindex3 !== from.modelindex3) bits |= U_MODEL3;
+    if (to.modelindex4 !== from.modelindex4) bits |= U_MODEL4;
+
+    if (to.sound !== from.sound) bits |= U_SOUND;
+
+    if (newEntity || to.renderfx & RF_BEAM) bits |= U_OLDORIGIN;
+
+    if (!bits && !force) return false;
+
+    if (bits & 0xff000000) bits |= U_MOREBITS3 | U_MOREBITS2 | U_MOREBITS1;
+    else if (bits & 0x00ff0000) bits |= U_MOREBITS2 | U_MOREBITS1;
+    else if (bits & 0x0000ff00) bits |= U_MOREBITS1;
+
+    this.writeByte(bits & 0xff);
+    if (bits & 0xff000000) {
+      this.writeByte((bits >>> 8) & 0xff);
+      this.writeByte((bits >>> 16) & 0xff);
+      this.writeByte((bits >>> 24) & 0xff);
+    } else if (bits & 0x00ff0000) {
+      this.writeByte((bits >>> 8) & 0xff);
+      this.writeByte((bits >>> 16) & 0xff);
+    } else if (bits & 0x0000ff00) {
+      this.writeByte((bits >>> 8) & 0xff);
+    }
+
+    if (bits & U_NUMBER16) this.writeShort(to.number);
+    else this.writeByte(to.number);
+
+    if (bits & U_MODEL) this.writeByte(to.modelindex);
+    if (bits & U_MODEL2) this.writeByte(to.modelindex2);
+    if (bits & U_MODEL3) this.writeByte(to.modelindex3);
+    if (bits & U_MODEL4) this.writeByte(to.modelindex4);
+
+    if (bits & U_FRAME8) this.writeByte(to.frame);
+    if (bits & U_FRAME16) this.writeShort(to.frame);
+
+    if (bits & U_SKIN8 && bits & U_SKIN16) this.writeLong(to.skinnum);
+    else if (bits & U_SKIN8) this.writeByte(to.skinnum);
+    else if (bits & U_SKIN16) this.writeShort(to.skinnum);
+
+    if (bits & U_EFFECTS8 && bits & U_EFFECTS16) this.writeLong(to.effects);
+    else if (bits & U_EFFECTS8) this.writeByte(to.effects);
+    else if (bits & U_EFFECTS16) this.writeShort(to.effects);
+
+    if (bits & U_RENDERFX8 && bits & U_RENDERFX16) this.writeLong(to.renderfx);
+    else if (bits & U_RENDERFX8) this.writeByte(to.renderfx);
+    else if (bits & U_RENDERFX16) this.writeShort(to.renderfx);
+
+    if (bits & U_ORIGIN1) this.writeCoord(to.origin.x);
+    if (bits & U_ORIGIN2) this.writeCoord(to.origin.y);
+    if (bits & U_ORIGIN3) this.writeCoord(to.origin.z);
+
+    if (bits & U_ANGLE1) this.writeAngle(to.angles.pitch);
+    if (bits & U_ANGLE2) this.writeAngle(to.angles.yaw);
+    if (bits & U_ANGLE3) this.writeAngle(to.angles.roll);
+
+    if (bits & U_OLDORIGIN) this.writePos(to.old_origin || to.origin);
+
+    if (bits & U_SOUND) this.writeByte(to.sound);
+    if (bits & U_EVENT) this.writeByte(to.event);
+    if (bits & U_SOLID) this.writeShort(to.solid);
+
+    return true;
+  }
+
+  /**
+   * Codifica la eliminación de una entidad dentro de svc_packetentities
+   */
+  writeRemoveEntity(number) {
+    if (number >= 256) {
+      const bits = U_REMOVE | U_NUMBER16 | U_MOREBITS1;
+      this.writeByte(bits & 0xff);
+      this.writeByte((bits >>> 8) & 0xff);
+      this.writeShort(number);
+    } else {
+      this.writeByte(U_REMOVE);
+      this.writeByte(number);
+    }
+  }
+
+  /**
+   * Codifica un player state completo (svc_playerinfo vanilla, sin delta)
+   */
+  writePlayerState(ps) {
+    const flags =
+      PS_M_TYPE |
+      PS_M_ORIGIN |
+      PS_M_VELOCITY |
+      PS_M_TIME |
+      PS_M_FLAGS |
+      PS_M_GRAVITY |
+      PS_M_DELTA_ANGLES |
+      PS_VIEWOFFSET |
+      PS_VIEWANGLES |
+      PS_KICKANGLES |
+      PS_BLEND |
+      PS_FOV |
+      PS_WEAPONINDEX |
+      PS_WEAPONFRAME |
+      PS_RDFLAGS;
+
+    this.writeShort(flags);
+
+    const pm = ps.pmove;
+    this.writeByte(pm.pm_type);
+    this.writeShort(Math.round(pm.origin.x * 8));
+    this.writeShort(Math.round(pm.origin.y * 8));
+    this.writeShort(Math.round(pm.origin.z * 8));
+    this.writeShort(Math.round(pm.velocity.x * 8));
+    this.writeShort(Math.round(pm.velocity.y * 8));
+    this.writeShort(Math.round(pm.velocity.z * 8));
+    this.writeByte(pm.pm_time);
+    this.writeByte(pm.pm_flags);
+    this.writeShort(pm.gravity);
+    this.writeAngle16(pm.delta_angles.pitch);
+    this.writeAngle16(pm.delta_angles.yaw);
+    this.writeAngle16(pm.delta_angles.roll);
+
+    this.writeChar(Math.round(ps.viewoffset.x * 4));
+    this.writeChar(Math.round(ps.viewoffset.y * 4));
+    this.writeChar(Math.round(ps.viewoffset.z * 4));
+
+    this.writeAngle16(ps.viewangles.pitch);
+    this.writeAngle16(ps.viewangles.yaw);
+    this.writeAngle16(ps.viewangles.roll);
+
+    this.writeChar(Math.round(ps.kick_angles.pitch * 4));
+    this.writeChar(Math.round(ps.kick_angles.yaw * 4));
+    this.writeChar(Math.round(ps.kick_angles.roll * 4));
+
+    this.writeByte(ps.gunindex);
+
+    const gunoffset = ps.gunoffset || { x: 0, y: 0, z: 0 };
+    const gunangles = ps.gunangles || { pitch: 0, yaw: 0, roll: 0 };
+    this.writeByte(ps.gunframe);
+    this.writeChar(Math.round(gunoffset.x * 4));
+    this.writeChar(Math.round(gunoffset.y * 4));
+    this.writeChar(Math.round(gunoffset.z * 4));
+    this.writeChar(Math.round(gunangles.pitch * 4));
+    this.writeChar(Math.round(gunangles.yaw * 4));
+    this.writeChar(Math.round(gunangles.roll * 4));
+
+    for (let i = 0; i < 4; i++) this.writeByte(Math.round(ps.blend[i] * 255));
+
+    this.writeByte(ps.fov);
+    this.writeByte(ps.rdflags);
+
+    let statbits = 0;
+    for (let i = 0; i < MAX_STATS; i++) {
+      if (ps.stats[i]) statbits |= 1 << i;
+    }
+    this.writeLong(statbits);
+    for (let i = 0; i < MAX_STATS; i++) {
+      if (statbits & (1 << i)) this.writeShort(ps.stats[i]);
+    }
+  }
+
+  toBuffer() {
+    return Buffer.from(this.buffer.subarray(0, this.length));
+  }
+
+  clear() {
+    this.length = 0;
+  }
+}
+
+// ============================================================================
+// CLASE BIT WRITER
+// ============================================================================
+
+/**
+ * MessageWriter con escritura de bits sueltos (MSG_WriteBits de q2pro), que
+ * usan los usercmds del protocolo q2pro. Los bits se empaquetan desde el
+ * menos significativo; escribir un valor entero cierra el byte en curso
+ */
+export class BitWriter extends MessageWriter {
+  constructor(size) {
+    super(size);
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensure(bytes) {
+    this.flushBits();
+    super.ensure(bytes);
+  }
+
+  /**
+   * Escribe los `bits` bits bajos de value. Un largo negativo indica un
+   * valor con signo, que en complemento a dos se escribe igual
+   */
+  writeBits(value, bits) {
+    const count = Math.abs(bits);
+    for (let i = 0; i < count; i++) {
+      if (value & (1 << i)) this.bitBuffer |= 1 << this.bitCount;
+      if (++this.bitCount === 8) this.flushBits();
+    }
+  }
+
+  flushBits() {
+    if (this.bitCount === 0) return;
+    const byte = this.bitBuffer;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    super.ensure(1);
+    this.buffer[this.length++] = byte;
+  }
+
+  toBuffer() {
+    this.flushBits();
+    return super.toBuffer();
+  }
+
+  clear() {
+    super.clear();
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+}
+
+export default MessageWriter;
@@ -0,0 +1,199 @@
+import net from "net";
+import { EventEmitter } from "events";
+import { MessageWriter } from "./q2msg.js";
+import { GTV_PROTOCOL_VERSION, MVD_MAGIC, GTS, GTC } from "./q2protocol.js";
+
+// ============================================================================
+// CLASE GTV CONNECTION
+// ============================================================================
+
+/**
+ * Transporte TCP de GTV (Game TV) de q2pro
+ *
+ * Cada mensaje va precedido por un short con su largo (incluyendo el byte
+ * de operación). La conexión empieza con el magic 'MVD2' en ambos sentidos
+ *
+ * Eventos emitidos:
+ * - 'connect' - Socket TCP conectado
+ * - 'hello' - El servidor aceptó el hello
+ * - 'stream_start' / 'stream_stop' - Inicio/fin del stream MVD
+ * - 'data' - Payload de un GTS_STREAM_DATA (mensajes MVD)
+ * - 'pong' - Respuesta a un ping
+ * - 'error' - Error de socket o rechazo del servidor
+ * - 'close' - Conexión cerrada
+ */
+export class GtvConnection extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.host = options.host || "127.0.0.1";
+    this.port = options.port || 27910;
+    this.username = options.username || "";
+    this.password = options.password || "";
+    this.version = options.version || "q2mon 1.0";
+    this.maxbuf = options.maxbuf || 10;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.gotMagic = false;
+  }
+
+  connect() {
+    this.socket = net.createConnection({ host: this.host, port: this.port });
+
+    this.socket.on("connect", () => {
+      this.emit("connect");
+      this.socket.write(MVD_MAGIC);
+      this.sendHello();
+    });
+
+    this.socket.on("data", (chunk) => this.handleData(chunk));
+
+    this.socket.on("error", (err) => {
+      this.emit("error", err);
+    });
+
+    this.socket.on("close", () => {
+      this.socket = null;
+      this.emit("close");
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+
+  // ==========================================================================
+  // ENVÍO
+  // ==========================================================================
+
+  sendMessage(op, payload = null) {
+    if (!this.socket) return;
+
+    const length = 1 + (payload ? payload.length : 0);
+    const header = Buffer.alloc(3);
+    header.writeUInt16LE(length, 0);
+    header.writeUInt8(op, 2);
+
+    this.socket.write(payload ? Buffer.concat([header, payload]) : header);
+  }
+
+  sendHello() {
+    const msg = new MessageWriter(64);
+    msg.writeShort(GTV_PROTOCOL_VERSION);
+    msg.writeLong(0); // flags: sin deflate ni stringcmds
+    msg.writeLong(0); // reservado
+    msg.writeString(this.username);
+    msg.writeString(this.password);
+    msg.writeString(this.version);
+    this.sendMessage(GTC.HELLO, msg.toBuffer());
+  }
+
+  sendStreamStart() {
+    const msg = new MessageWriter(2);
+    msg.writeShort(this.maxbuf);
+    this.sendMessage(GTC.STREAM_START, msg.toBuffer());
+  }
+
+  sendStreamStop() {
+    this.sendMessage(GTC.STREAM_STOP);
+  }
+
+  sendPing() {
+    this.sendMessage(GTC.PING);
+  }
+
+  // ==========================================================================
+  // RECEPCIÓN
+  // ==========================================================================
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    if (!this.gotMagic) {
+      if (this.buffer.length < 4) return;
+      if (!this.buffer.subarray(0, 4).equals(MVD_MAGIC)) {
+        this.emit("error", new Error("El servidor no habla GTV (magic)"));
+        this.close();
+        return;
+      }
+      this.gotMagic = true;
+      this.buffer = this.buffer.subarray(4);
+    }
+
+    while (this.buffer.length >= 2) {
+      const length = this.buffer.readUInt16LE(0);
+      if (this.buffer.length < 2 + length) break;
+
+      const message = this.buffer.subarray(2, 2 + length);
+      this.buffer = this.buffer.subarray(2 + length);
+
+      if (length > 0) {
+        this.handleMessage(message[0], message.subarray(1));
+      }
+    }
+  }
+
+  handleMessage(op, payload) {
+    switch (op) {
+      case GTS.HELLO: {
+        const flags = payload.length >= 4 ? payload.readInt32LE(0) : 0;
+        this.emit("hello", { flags });
+        this.sendStreamStart();
+        break;
+      }
+
+      case GTS.PONG:
+        this.emit("pong");
+        break;
+
+      case GTS.STREAM_START:
+        this.emit("stream_start");
+        break;
+
+      case GTS.STREAM_STOP:
+        this.emit("stream_stop");
+        break;
+
+      case GTS.STREAM_DATA:
+        // Un payload vacío es solo keepalive
+        if (payload.length > 0) {
+          this.emit("data", payload);
+        }
+        break;
+
+      case GTS.ERROR:
+      case GTS.BADREQUEST:
+      case GTS.NOACCESS: {
+        const end = payload.indexOf(0);
+        const text = payload
+          .subarray(0, end === -1 ? payload.length : end)
+          .toString("latin1");
+        const reason =
+          op === GTS.NOACCESS
+            ? "Acceso denegado"
+            : op === GTS.BADREQUEST
+            ? "Petición inválida"
+            : "Error del servidor";
+        this.emit("error", new Error(text ? `${reason}: ${text}` : reason));
+        this.close();
+        break;
+      }
+
+      case GTS.DISCONNECT:
+        this.emit("disconnect", { reconnect: false });
+        this.close();
+        break;
+
+      case GTS.RECONNECT:
+        this.emit("disconnect", { reconnect: true });
+        this.close();
+        break;
+    }
+  }
+}
+
+export default GtvConnection;
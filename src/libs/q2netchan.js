@@ -0,0 +1,293 @@
+import {
+  PROTOCOL,
+  REL_BIT,
+  FRG_BIT,
+  NEW_MASK,
+  NETCHAN_OLD,
+  NETCHAN_NEW,
+  MAX_PACKETLEN_WRITABLE,
+  MAX_FRAGMENTED_MSGLEN,
+  MAX_MSGLEN,
+  qportSize,
+} from "./q2protocol.js";
+
+// ============================================================================
+// CLASE NETCHAN
+// ============================================================================
+
+/**
+ * Canal de red del cliente, modelado sobre Netchan_Transmit/Netchan_Process
+ * (net_chan.c de Quake 2 y q2pro)
+ *
+ * Los mensajes reliable se encolan y viajan de a uno: el pendiente se
+ * reenvía hasta que el bit de reliable del ack del servidor coincida con
+ * `reliableSequence`. Con el netchan nuevo de q2pro los mensajes que no
+ * entran en un paquete se mandan fragmentados
+ *
+ * El tamaño del qport sale del protocolo (ver qportSize) y el tipo de
+ * netchan del `nc=` del client_connect. Con `server: true` el canal es el
+ * del lado del servidor, que no manda el qport (NS_SERVER)
+ */
+export class Netchan {
+  constructor(options = {}) {
+    this.qport = options.qport || 0;
+    this.protocol = options.protocol || PROTOCOL.VERSION_DEFAULT;
+    this.type = options.type || NETCHAN_OLD;
+    this.maxPacketLen = options.maxPacketLen || MAX_PACKETLEN_WRITABLE;
+    this.server = options.server || false;
+
+    this.reset();
+  }
+
+  /**
+   * Ajusta el canal a lo negociado en el connect
+   */
+  setup({ protocol, type, qport }) {
+    if (protocol !== undefined) this.protocol = protocol;
+    if (type !== undefined) this.type = type;
+    if (qport !== undefined) this.qport = qport;
+  }
+
+  reset() {
+    this.incomingSequence = 0;
+    this.incomingAcknowledged = 0;
+    this.incomingReliableAcknowledged = 0;
+    this.incomingReliableSequence = 0;
+    this.outgoingSequence = 1;
+    this.reliableSequence = 0;
+    this.lastReliableSequence = 0;
+
+    // Mensajes reliable esperando turno y el que está en vuelo
+    this.reliableQueue = [];
+    this.reliableBuffer = Buffer.alloc(0);
+
+    // Fragmentación de salida (netchan nuevo)
+    this.fragmentOut = null;
+    this.fragmentOffset = 0;
+    this.fragmentReliable = false;
+
+    // Fragmentación de entrada
+    this.fragmentSequence = 0;
+    this.fragmentBuffer = Buffer.alloc(0);
+  }
+
+  get fragmentPending() {
+    return this.fragmentOut !== null;
+  }
+
+  /**
+   * Bytes de datos de un paquete sin fragmentar: maxPacketLen, sin que el
+   * paquete pase de MAX_MSGLEN con el header (8 bytes más el qport)
+   */
+  get maxPayloadLen() {
+    const header = 8 + qportSize(this.protocol, this.qport, this.server);
+    return Math.min(this.maxPacketLen, MAX_MSGLEN - header);
+  }
+
+  /**
+   * Tamaño máximo de un mensaje reliable con este tipo de netchan. El
+   * netchan viejo no fragmenta: el reliable tiene que entrar en un paquete
+   */
+  get maxReliableLen() {
+    return this.type === NETCHAN_NEW
+      ? MAX_FRAGMENTED_MSGLEN
+      : this.maxPayloadLen;
+  }
+
+  /**
+   * Encola un mensaje reliable. Retorna false (y no lo encola) si no entra
+   * en un mensaje de este netchan; el largo se valida antes, al armar el
+   * comando, porque esto corre en la ruta de transmisión
+   */
+  queueReliable(data) {
+    if (data.length > this.maxReliableLen) return false;
+    this.reliableQueue.push(data);
+    return true;
+  }
+
+  // ==========================================================================
+  // RECEPCIÓN
+  // ==========================================================================
+
+  /**
+   * Procesa un paquete secuenciado ya parseado. Retorna los datos del
+   * mensaje (posiblemente vacíos), o null si el paquete se descarta
+   * (duplicado, fuera de orden o fragmento incompleto)
+   */
+  process(parsed) {
+    // Los fragmentos comparten la secuencia del mensaje, que recién pasa a
+    // incomingSequence al rearmarlo: uno viejo también se descarta
+    if (parsed.sequence <= this.incomingSequence && this.incomingSequence > 0) {
+      return null;
+    }
+
+    this.incomingAcknowledged = parsed.ack;
+    this.incomingReliableAcknowledged = parsed.reliableAck ? 1 : 0;
+
+    // El servidor recibió el reliable en vuelo
+    if (this.incomingReliableAcknowledged === this.reliableSequence) {
+      this.reliableBuffer = Buffer.alloc(0);
+    }
+
+    let data = parsed.data || Buffer.alloc(0);
+
+    if (parsed.fragmented) {
+      if (this.fragmentSequence !== parsed.sequence) {
+        this.fragmentSequence = parsed.sequence;
+        this.fragmentBuffer = Buffer.alloc(0);
+      }
+
+      if (parsed.fragmentOffset !== this.fragmentBuffer.length) {
+        return null;
+      }
+
+      this.fragmentBuffer = Buffer.concat([this.fragmentBuffer, data]);
+      if (parsed.moreFragments) return null;
+
+      data = this.fragmentBuffer;
+      this.fragmentBuffer = Buffer.alloc(0);
+    }
+
+    this.incomingSequence = parsed.sequence;
+    if (parsed.reliable) {
+      this.incomingReliableSequence ^= 1;
+    }
+
+    return data;
+  }
+
+  // ==========================================================================
+  // TRANSMISIÓN
+  // ==========================================================================
+
+  /**
+   * Arma el próximo paquete con los datos unreliable dados. Si hay un
+   * reliable sin confirmar lo reenvía; si no, toma el siguiente de la cola.
+   * Con fragmentos pendientes retorna el siguiente fragmento
+   */
+  transmit(data = null) {
+    if (this.fragmentOut) return this.transmitNextFragment();
+
+    const unreliable = data || Buffer.alloc(0);
+
+    // Reenviar si el servidor vio paquetes posteriores sin confirmarlo
+    let sendReliable =
+      this.incomingAcknowledged > this.lastReliableSequence &&
+      this.incomingReliableAcknowledged !== this.reliableSequence;
+
+    if (this.reliableBuffer.length === 0 && this.reliableQueue.length > 0) {
+      this.reliableBuffer = this.takeReliable();
+      this.reliableSequence ^= 1;
+      sendReliable = true;
+    }
+
+    const reliableLength = sendReliable ? this.reliableBuffer.length : 0;
+
+    if (
+      this.type === NETCHAN_NEW &&
+      reliableLength + unreliable.length > this.maxPacketLen
+    ) {
+      const parts = [];
+      if (sendReliable) {
+        this.lastReliableSequence = this.outgoingSequence;
+        parts.push(this.reliableBuffer);
+      }
+      if (reliableLength + unreliable.length <= MAX_FRAGMENTED_MSGLEN) {
+        parts.push(unreliable);
+      }
+
+      this.fragmentOut = Buffer.concat(parts);
+      this.fragmentOffset = 0;
+      this.fragmentReliable = sendReliable;
+      return this.transmitNextFragment();
+    }
+
+    const parts = [this.createHeader(sendReliable, false)];
+    if (sendReliable) {
+      this.lastReliableSequence = this.outgoingSequence;
+      parts.push(this.reliableBuffer);
+    }
+    // Si no entra junto al reliable, el unreliable se descarta
+    if (reliableLength + unreliable.length <= this.maxPayloadLen) {
+      parts.push(unreliable);
+    }
+
+    this.outgoingSequence++;
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Siguiente fragmento del mensaje en fragmentOut. Todos los fragmentos
+   * comparten la secuencia, que avanza al mandar el último
+   */
+  transmitNextFragment() {
+    const remaining = this.fragmentOut.length - this.fragmentOffset;
+    const length = Math.min(remaining, this.maxPacketLen);
+    const moreFragments = remaining > length;
+
+    const offset = Buffer.alloc(2);
+    offset.writeUInt16LE(this.fragmentOffset | (moreFragments ? 0x8000 : 0));
+
+    const packet = Buffer.concat([
+      this.createHeader(this.fragmentReliable, true),
+      offset,
+      this.fragmentOut.subarray(
+        this.fragmentOffset,
+        this.fragmentOffset + length
+      ),
+    ]);
+
+    this.fragmentOffset += length;
+    if (!moreFragments) {
+      this.fragmentOut = null;
+      this.fragmentOffset = 0;
+      this.outgoingSequence++;
+    }
+
+    return packet;
+  }
+
+  createHeader(reliable, fragmented) {
+    const qportLength = qportSize(this.protocol, this.qport, this.server);
+    const header = Buffer.alloc(8 + qportLength);
+
+    let w1 = this.outgoingSequence;
+    if (this.type === NETCHAN_NEW) w1 &= NEW_MASK;
+    if (fragmented) w1 |= FRG_BIT;
+    if (reliable) w1 |= REL_BIT;
+
+    let w2 = this.incomingSequence;
+    if (this.type === NETCHAN_NEW) w2 &= NEW_MASK;
+    if (this.incomingReliableSequence) w2 |= REL_BIT;
+
+    header.writeUInt32LE(w1 >>> 0, 0);
+    header.writeUInt32LE(w2 >>> 0, 4);
+
+    if (qportLength === 2) {
+      header.writeUInt16LE(this.qport & 0xffff, 8);
+    } else if (qportLength === 1) {
+      header.writeUInt8(this.qport & 0xff, 8);
+    }
+
+    return header;
+  }
+
+  /**
+   * Junta mensajes de la cola en un solo reliable sin pasar el máximo
+   */
+  takeReliable() {
+    const parts = [this.reliableQueue.shift()];
+    let length = parts[0].length;
+
+    while (this.reliableQueue.length > 0) {
+      const next = this.reliableQueue[0];
+      if (length + next.length > this.maxReliableLen) break;
+      parts.push(this.reliableQueue.shift());
+      length += next.length;
+    }
+
+    return Buffer.concat(parts);
+  }
+}
+
+export default Netchan;
@@ -0,0 +1,418 @@
+import fs from "fs";
+
+// ============================================================================
+// PACKS DE REGLAS
+// ============================================================================
+
+/**
+ * Cada regla es una plantilla con los tokens:
+ * - {victim} / {killer} - Nombres de jugadores
+ * - {his} / {himself} - Pronombres según el género del modelo
+ * - {*} - Cualquier texto (p. ej. variantes por zona del cuerpo)
+ *
+ * Las reglas sin {killer} son muertes sin atacante; con self: true son
+ * suicidios atribuidos a la propia víctima
+ */
+
+// Mensajes de ClientObituary en p_client.c de baseq2
+export const BASEQ2_PACK = {
+  name: "baseq2",
+  rules: [
+    // Muertes sin atacante
+    { pattern: "{victim} suicides.", mod: "MOD_SUICIDE", self: true },
+    { pattern: "{victim} cratered.", mod: "MOD_FALLING" },
+    { pattern: "{victim} was squished.", mod: "MOD_CRUSH" },
+    { pattern: "{victim} sank like a rock.", mod: "MOD_WATER" },
+    { pattern: "{victim} melted.", mod: "MOD_SLIME" },
+    { pattern: "{victim} does a back flip into the lava.", mod: "MOD_LAVA" },
+    { pattern: "{victim} blew up.", mod: "MOD_EXPLOSIVE" },
+    { pattern: "{victim} found a way out.", mod: "MOD_EXIT" },
+    { pattern: "{victim} saw the light.", mod: "MOD_TARGET_LASER" },
+    { pattern: "{victim} got blasted.", mod: "MOD_TARGET_BLASTER" },
+    { pattern: "{victim} was in the wrong place.", mod: "MOD_TRIGGER_HURT" },
+    {
+      pattern: "{victim} tried to put the pin back in.",
+      mod: "MOD_HELD_GRENADE",
+      weapon: "grenades",
+      self: true,
+    },
+    {
+      pattern: "{victim} tripped on {his} own grenade.",
+      mod: "MOD_G_SPLASH",
+      weapon: "grenadelauncher",
+      self: true,
+    },
+    {
+      pattern: "{victim} blew {himself} up.",
+      mod: "MOD_R_SPLASH",
+      weapon: "rocketlauncher",
+      self: true,
+    },
+    {
+      pattern: "{victim} should have used a smaller gun.",
+      mod: "MOD_BFG_BLAST",
+      weapon: "bfg",
+      self: true,
+    },
+    { pattern: "{victim} killed {himself}.", mod: "MOD_SUICIDE", self: true },
+    { pattern: "{victim} died.", mod: "MOD_UNKNOWN" },
+
+    // Muertes con atacante
+    {
+      pattern: "{victim} was blasted by {killer}",
+      mod: "MOD_BLASTER",
+      weapon: "blaster",
+    },
+    {
+      pattern: "{victim} was gunned down by {killer}",
+      mod: "MOD_SHOTGUN",
+      weapon: "shotgun",
+    },
+    {
+      pattern: "{victim} was blown away by {killer}'s super shotgun",
+      mod: "MOD_SSHOTGUN",
+      weapon: "supershotgun",
+    },
+    {
+      pattern: "{victim} was machinegunned by {killer}",
+      mod: "MOD_MACHINEGUN",
+      weapon: "machinegun",
+    },
+    {
+      pattern: "{victim} was cut in half by {killer}'s chaingun",
+      mod: "MOD_CHAINGUN",
+      weapon: "chaingun",
+    },
+    {
+      pattern: "{victim} was popped by {killer}'s grenade",
+      mod: "MOD_GRENADE",
+      weapon: "grenadelauncher",
+    },
+    {
+      pattern: "{victim} was shredded by {killer}'s shrapnel",
+      mod: "MOD_G_SPLASH",
+      weapon: "grenadelauncher",
+    },
+    {
+      pattern: "{victim} ate {killer}'s rocket",
+      mod: "MOD_ROCKET",
+      weapon: "rocketlauncher",
+    },
+    {
+      pattern: "{victim} almost dodged {killer}'s rocket",
+      mod: "MOD_R_SPLASH",
+      weapon: "rocketlauncher",
+    },
+    {
+      pattern: "{victim} was melted by {killer}'s hyperblaster",
+      mod: "MOD_HYPERBLASTER",
+      weapon: "hyperblaster",
+    },
+    {
+      pattern: "{victim} was railed by {killer}",
+      mod: "MOD_RAILGUN",
+      weapon: "railgun",
+    },
+    {
+      pattern: "{victim} saw the pretty lights from {killer}'s BFG",
+      mod: "MOD_BFG_LASER",
+      weapon: "bfg",
+    },
+    {
+      pattern: "{victim} was disintegrated by {killer}'s BFG blast",
+      mod: "MOD_BFG_BLAST",
+      weapon: "bfg",
+    },
+    {
+      pattern: "{victim} couldn't hide from {killer}'s BFG",
+      mod: "MOD_BFG_EFFECT",
+      weapon: "bfg",
+    },
+    {
+      pattern: "{victim} caught {killer}'s handgrenade",
+      mod: "MOD_HANDGRENADE",
+      weapon: "grenades",
+    },
+    {
+      pattern: "{victim} didn't see {killer}'s handgrenade",
+      mod: "MOD_HG_SPLASH",
+      weapon: "grenades",
+    },
+    {
+      pattern: "{victim} feels {killer}'s pain",
+      mod: "MOD_HELD_GRENADE",
+      weapon: "grenades",
+    },
+    {
+      pattern: "{victim} tried to invade {killer}'s personal space",
+      mod: "MOD_TELEFRAG",
+      weapon: "telefrag",
+    },
+  ],
+};
+
+// CTF agrega el grapple a los obituarios de baseq2
+export const CTF_PACK = {
+  name: "ctf",
+  extends: "baseq2",
+  rules: [
+    {
+      pattern: "{victim} was caught by {killer}'s grapple",
+      mod: "MOD_GRAPPLE",
+      weapon: "grapple",
+    },
+  ],
+};
+
+// OpenTDM usa los mismos obituarios que baseq2
+export const OPENTDM_PACK = {
+  name: "opentdm",
+  extends: "baseq2",
+  rules: [],
+};
+
+// AQtion (Action Quake 2) cambia el mensaje según la zona del impacto,
+// pero siempre termina con el arma del atacante
+export const AQTION_PACK = {
+  name: "aqtion",
+  extends: "baseq2",
+  rules: [
+    { pattern: "{victim} plummets to {his} death", mod: "MOD_FALLING" },
+    {
+      pattern: "{victim} {*} {killer}'s akimbo Mark 23 pistols",
+      mod: "MOD_DUAL",
+      weapon: "dual",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s pair of Mark 23 Pistols",
+      mod: "MOD_DUAL",
+      weapon: "dual",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s Mark 23 {*}",
+      mod: "MOD_MK23",
+      weapon: "mk23",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s .45 caliber pistol round",
+      mod: "MOD_MK23",
+      weapon: "mk23",
+    },
+    {
+      pattern: "{victim}'s brains are on the wall thanks to {killer}'s {*}",
+      mod: "MOD_MP5",
+      weapon: "mp5",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s {*}MP5{*}",
+      mod: "MOD_MP5",
+      weapon: "mp5",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s M4 Assault Rifle",
+      mod: "MOD_M4",
+      weapon: "m4",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s M3 Super 90 Assault Shotgun{*}",
+      mod: "MOD_M3",
+      weapon: "m3",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s sawed-off 12 gauge{*}",
+      mod: "MOD_HC",
+      weapon: "handcannon",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s Sniper Rifle",
+      mod: "MOD_SNIPER",
+      weapon: "sniper",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s flying knife{*}",
+      mod: "MOD_KNIFE_THROWN",
+      weapon: "knife",
+    },
+    {
+      pattern: "{victim} {*} {killer}'s Combat Knife",
+      mod: "MOD_KNIFE",
+      weapon: "knife",
+    },
+  ],
+};
+
+const BUILTIN_PACKS = [BASEQ2_PACK, CTF_PACK, OPENTDM_PACK, AQTION_PACK];
+
+// Pack a usar según el gameDir que anuncia el servidor
+const GAMEDIR_PACKS = {
+  baseq2: "baseq2",
+  ctf: "ctf",
+  opentdm: "opentdm",
+  action: "aqtion",
+  aqtion: "aqtion",
+};
+
+// ============================================================================
+// COMPILACIÓN DE PLANTILLAS
+// ============================================================================
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function compilePattern(pattern, namesRegex) {
+  // Sin nombres conocidos, un asesino después de un {*} no se puede
+  // delimitar y se asume que no tiene espacios
+  let afterWildcard = false;
+  const source = pattern
+    .split(/(\{[a-z*]+\})/)
+    .map((part) => {
+      switch (part) {
+        case "{victim}":
+          return `(?<victim>${namesRegex || ".+?"})`;
+        case "{killer}":
+          return `(?<killer>${namesRegex || (afterWildcard ? "\\S+" : ".+")})`;
+        case "{his}":
+          return "(?:his|her|its)";
+        case "{himself}":
+          return "(?:himself|herself|itself)";
+        case "{*}":
+          afterWildcard = true;
+          return ".*?";
+        default:
+          return escapeRegExp(part);
+      }
+    })
+    .join("");
+
+  return new RegExp(`^${source}$`);
+}
+
+// ============================================================================
+// CLASE OBITUARY PARSER
+// ============================================================================
+
+/**
+ * Reconoce los mensajes de muerte que imprime el servidor y los convierte
+ * en frags con asesino, víctima, arma y means of death
+ *
+ * Si se conocen los nombres de los jugadores se usan para separar nombres
+ * con espacios; si no, se cae a una separación genérica
+ */
+export class ObituaryParser {
+  constructor(options = {}) {
+    this.packs = new Map();
+    for (const pack of BUILTIN_PACKS) this.addPack(pack);
+    for (const pack of options.packs || []) this.addPack(pack);
+
+    this.gameDir = "";
+    this.packName = "baseq2";
+    this.namesKey = null;
+    this.compiled = null;
+
+    if (options.gameDir) this.setGameDir(options.gameDir);
+  }
+
+  /**
+   * Registra un pack de reglas. Un pack con el mismo nombre reemplaza al anterior
+   */
+  addPack(pack) {
+    if (!pack || !pack.name || !Array.isArray(pack.rules)) {
+      throw new Error("Pack de obituarios inválido");
+    }
+    this.packs.set(pack.name, pack);
+    this.compiled = null;
+  }
+
+  /**
+   * Carga un pack de reglas desde un archivo JSON
+   */
+  async loadPackFile(path) {
+    const pack = JSON.parse(await fs.promises.readFile(path, "utf8"));
+    this.addPack(pack);
+    return pack.name;
+  }
+
+  /**
+   * Elige el pack según el gameDir del servidor (baseq2 si no se conoce)
+   */
+  setGameDir(gameDir) {
+    this.gameDir = (gameDir || "").toLowerCase();
+    this.usePack(GAMEDIR_PACKS[this.gameDir] || this.gameDir);
+  }
+
+  usePack(name) {
+    this.packName = this.packs.has(name) ? name : "baseq2";
+    this.compiled = null;
+  }
+
+  /**
+   * Reglas del pack activo, primero las propias y luego las heredadas
+   */
+  getRules(name = this.packName, seen = new Set()) {
+    const pack = this.packs.get(name);
+    if (!pack || seen.has(name)) return [];
+    seen.add(name);
+
+    return pack.extends
+      ? [...pack.rules, ...this.getRules(pack.extends, seen)]
+      : pack.rules;
+  }
+
+  compile(names) {
+    const key = names.join("\n");
+    if (this.compiled && this.namesKey === key) return this.compiled;
+
+    // Nombres más largos primero para que "Foo Bar" gane a "Foo"
+    const namesRegex = names.length
+      ? `(?:${[...names]
+          .sort((a, b) => b.length - a.length)
+          .map(escapeRegExp)
+          .join("|")})`
+      : null;
+
+    this.compiled = this.getRules().map((rule) => ({
+      rule,
+      regex: compilePattern(rule.pattern, namesRegex),
+      generic: namesRegex ? compilePattern(rule.pattern, null) : null,
+    }));
+    this.namesKey = key;
+    return this.compiled;
+  }
+
+  /**
+   * Parsea una línea de consola. Retorna el frag o null si no es un obituario
+   */
+  parse(text, names = []) {
+    const line = (text || "").trim();
+    if (!line) return null;
+
+    const compiled = this.compile(names.filter(Boolean));
+
+    // Primero con nombres conocidos, después genérico por si falta alguno
+    for (const pass of ["regex", "generic"]) {
+      for (const entry of compiled) {
+        const regex = entry[pass];
+        if (!regex) continue;
+
+        const match = regex.exec(line);
+        if (!match) continue;
+
+        const { victim, killer } = match.groups;
+        const suicide = !!entry.rule.self || killer === victim;
+
+        return {
+          victim,
+          killer: killer || (entry.rule.self ? victim : null),
+          weapon: entry.rule.weapon || null,
+          mod: entry.rule.mod,
+          suicide,
+          pack: this.packName,
+          text: line,
+        };
+      }
+    }
+
+    return null;
+  }
+}
+
+export default ObituaryParser;
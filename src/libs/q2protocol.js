@@ -0,0 +1,415 @@
+// ============================================================================
+// CONSTANTES DEL PROTOCOLO
+// ============================================================================
+
+// Versiones de protocolo soportadas (basado en q2pro)
+export const PROTOCOL = {
+  VERSION_OLD: 26,
+  VERSION_DEFAULT: 34,
+  VERSION_R1Q2: 35,
+  VERSION_Q2PRO: 36,
+  VERSION_MVD: 37,
+  VERSION_AQTION: 38,
+};
+
+// Nombres de las versiones, para mostrar
+export const PROTOCOL_NAMES = {
+  [PROTOCOL.VERSION_OLD]: "Quake 2 (old)",
+  [PROTOCOL.VERSION_DEFAULT]: "Vanilla",
+  [PROTOCOL.VERSION_R1Q2]: "R1Q2",
+  [PROTOCOL.VERSION_Q2PRO]: "Q2PRO",
+  [PROTOCOL.VERSION_MVD]: "MVD",
+  [PROTOCOL.VERSION_AQTION]: "AQtion",
+};
+
+// Protocolos que habla un servidor que no manda la lista `p=`: los
+// binarios 3.19+ hablan 34 y los de la versión original, 26
+export const VANILLA_PROTOCOLS = [
+  PROTOCOL.VERSION_DEFAULT,
+  PROTOCOL.VERSION_OLD,
+];
+
+/**
+ * Los protocolos 26 y 34 comparten el formato de mensajes de Quake 2 (el
+ * 26 solo cambia el encabezado del frame); r1q2 y posteriores usan el suyo
+ */
+export function isVanillaProtocol(protocol) {
+  return protocol <= PROTOCOL.VERSION_DEFAULT;
+}
+
+/**
+ * Elige el mejor protocolo de la lista `p=` de un challenge. Sin lista el
+ * servidor es vanilla (34); retorna null si no hay ninguno soportado
+ */
+export function selectProtocol(supportedProtocols) {
+  if (!supportedProtocols || supportedProtocols.length === 0) {
+    return PROTOCOL.VERSION_DEFAULT;
+  }
+
+  for (const protocol of [
+    PROTOCOL.VERSION_AQTION,
+    PROTOCOL.VERSION_Q2PRO,
+    PROTOCOL.VERSION_R1Q2,
+    PROTOCOL.VERSION_DEFAULT,
+    PROTOCOL.VERSION_OLD,
+  ]) {
+    if (supportedProtocols.includes(protocol)) return protocol;
+  }
+  return null;
+}
+
+// Versiones menores del protocolo
+export const PROTOCOL_MINOR = {
+  Q2PRO_CURRENT: 1024,
+  AQTION_CURRENT: 3015,
+  R1Q2_CURRENT: 1905,
+};
+
+// Códigos de servicio (svc) del protocolo de Quake 2
+export const SVC = {
+  BAD: 0,
+  MUZZLEFLASH: 1,
+  MUZZLEFLASH2: 2,
+  TEMP_ENTITY: 3,
+  LAYOUT: 4,
+  INVENTORY: 5,
+  NOP: 6,
+  DISCONNECT: 7,
+  RECONNECT: 8,
+  SOUND: 9,
+  PRINT: 10,
+  STUFFTEXT: 11,
+  SERVERDATA: 12,
+  CONFIGSTRING: 13,
+  SPAWNBASELINE: 14,
+  CENTERPRINT: 15,
+  DOWNLOAD: 16,
+  PLAYERINFO: 17,
+  PACKETENTITIES: 18,
+  DELTAPACKETENTITIES: 19,
+  FRAME: 20,
+  ZPACKET: 21,
+  ZDOWNLOAD: 22,
+  GAMESTATE: 23,
+  SETTING: 24,
+  CONFIGSTRINGSTREAM: 25,
+  BASELINESTREAM: 26,
+  GHUDUPDATE: 29,
+  EXTEND: 30,
+  USERSTATISTIC: 31,
+  CVARSYNC: 32,
+};
+
+// Tipos de temp entity (TE_*) - vanilla + Xatrix + Rogue
+export const TE = {
+  GUNSHOT: 0,
+  BLOOD: 1,
+  BLASTER: 2,
+  RAILTRAIL: 3,
+  SHOTGUN: 4,
+  EXPLOSION1: 5,
+  EXPLOSION2: 6,
+  ROCKET_EXPLOSION: 7,
+  GRENADE_EXPLOSION: 8,
+  SPARKS: 9,
+  SPLASH: 10,
+  BUBBLETRAIL: 11,
+  SCREEN_SPARKS: 12,
+  SHIELD_SPARKS: 13,
+  BULLET_SPARKS: 14,
+  LASER_SPARKS: 15,
+  PARASITE_ATTACK: 16,
+  ROCKET_EXPLOSION_WATER: 17,
+  GRENADE_EXPLOSION_WATER: 18,
+  MEDIC_CABLE_ATTACK: 19,
+  BFG_EXPLOSION: 20,
+  BFG_BIGEXPLOSION: 21,
+  BOSSTPORT: 22,
+  BFG_LASER: 23,
+  GRAPPLE_CABLE: 24,
+  WELDING_SPARKS: 25,
+  GREENBLOOD: 26,
+  BLUEHYPERBLASTER: 27,
+  PLASMA_EXPLOSION: 28,
+  TUNNEL_SPARKS: 29,
+  // Rogue
+  BLASTER2: 30,
+  RAILTRAIL2: 31,
+  FLAME: 32,
+  LIGHTNING: 33,
+  DEBUGTRAIL: 34,
+  PLAIN_EXPLOSION: 35,
+  FLASHLIGHT: 36,
+  FORCEWALL: 37,
+  HEATBEAM: 38,
+  MONSTER_HEATBEAM: 39,
+  STEAM: 40,
+  BUBBLETRAIL2: 41,
+  MOREBLOOD: 42,
+  HEATBEAM_SPARKS: 43,
+  HEATBEAM_STEAM: 44,
+  CHAINFIST_SMOKE: 45,
+  ELECTRIC_SPARKS: 46,
+  TRACKER_EXPLOSION: 47,
+  TELEPORT_EFFECT: 48,
+  DBALL_GOAL: 49,
+  WIDOWBEAMOUT: 50,
+  NUKEBLAST: 51,
+  WIDOWSPLASH: 52,
+  EXPLOSION1_BIG: 53,
+  EXPLOSION1_NP: 54,
+  FLECHETTE: 55,
+};
+
+export const TE_NAMES = Object.fromEntries(
+  Object.entries(TE).map(([name, value]) => [value, name])
+);
+
+// Bits de máscara para SVC
+export const SVCMD_BITS = 5;
+export const SVCMD_MASK = (1 << SVCMD_BITS) - 1;
+
+// Códigos de comandos del cliente (clc)
+export const CLC = {
+  BAD: 0,
+  NOP: 1,
+  MOVE: 2,
+  USERINFO: 3,
+  STRINGCMD: 4,
+  SETTING: 5,
+  MOVE_NODELTA: 10,
+  MOVE_BATCHED: 11,
+  USERINFO_DELTA: 12,
+};
+
+// Niveles de print
+export const PRINT_LEVELS = {
+  0: "LOW",
+  1: "MEDIUM",
+  2: "HIGH",
+  3: "CHAT",
+};
+
+// Campos presentes en un usercmd delta (CM_*)
+export const CM_ANGLE1 = 1 << 0;
+export const CM_ANGLE2 = 1 << 1;
+export const CM_ANGLE3 = 1 << 2;
+export const CM_FORWARD = 1 << 3;
+export const CM_SIDE = 1 << 4;
+export const CM_UP = 1 << 5;
+export const CM_BUTTONS = 1 << 6;
+export const CM_IMPULSE = 1 << 7;
+
+// Botones de un usercmd
+export const BUTTON_ATTACK = 1;
+export const BUTTON_USE = 2;
+export const BUTTON_ANY = 128;
+
+// Límites de los moves agrupados de q2pro
+export const MAX_PACKET_USERCMDS = 32;
+export const MAX_PACKET_FRAMES = 4;
+
+// Bits de netchan
+export const REL_BIT = 0x80000000;
+export const FRG_BIT = 0x40000000;
+export const NEW_MASK = FRG_BIT - 1;
+
+// Tipos de netchan (parámetro nc del connect de q2pro)
+export const NETCHAN_OLD = 1;
+export const NETCHAN_NEW = 2;
+
+/**
+ * Bytes de qport en los paquetes del cliente (Netchan_Transmit de q2pro):
+ * 16 bits hasta el protocolo 34; desde r1q2 un byte, que se omite si el
+ * qport es 0. El servidor no manda qport
+ */
+export function qportSize(protocol, qport, server = false) {
+  if (server) return 0;
+  if (protocol < PROTOCOL.VERSION_R1Q2) return 2;
+  return qport & 0xff ? 1 : 0;
+}
+
+// Bytes de datos por paquete (MAX_PACKETLEN_WRITABLE_DEFAULT de q2pro)
+export const MAX_PACKETLEN_WRITABLE = 1390;
+
+// Máximo de un mensaje reliable fragmentado por el netchan nuevo
+export const MAX_FRAGMENTED_MSGLEN = 4096;
+
+// Entity state flags (U_* bits) - para parsing de entidades
+export const U_ORIGIN1 = 1 << 0;
+export const U_ORIGIN2 = 1 << 1;
+export const U_ANGLE2 = 1 << 2;
+export const U_ANGLE3 = 1 << 3;
+export const U_FRAME8 = 1 << 4;
+export const U_EVENT = 1 << 5;
+export const U_REMOVE = 1 << 6;
+export const U_MOREBITS1 = 1 << 7;
+export const U_NUMBER16 = 1 << 8;
+export const U_ORIGIN3 = 1 << 9;
+export const U_ANGLE1 = 1 << 10;
+export const U_MODEL = 1 << 11;
+export const U_RENDERFX8 = 1 << 12;
+export const U_EFFECTS8 = 1 << 14;
+export const U_MOREBITS2 = 1 << 15;
+export const U_SKIN8 = 1 << 16;
+export const U_FRAME16 = 1 << 17;
+export const U_RENDERFX16 = 1 << 18;
+export const U_EFFECTS16 = 1 << 19;
+export const U_MODEL2 = 1 << 20;
+export const U_MODEL3 = 1 << 21;
+export const U_MODEL4 = 1 << 22;
+export const U_MOREBITS3 = 1 << 23;
+export const U_OLDORIGIN = 1 << 24;
+export const U_SKIN16 = 1 << 25;
+export const U_SOUND = 1 << 26;
+export const U_SOLID = 1 << 27;
+
+// Player state flags (PS_* bits)
+export const PS_M_TYPE = 1 << 0;
+export const PS_M_ORIGIN = 1 << 1;
+export const PS_M_VELOCITY = 1 << 2;
+export const PS_M_TIME = 1 << 3;
+export const PS_M_FLAGS = 1 << 4;
+export const PS_M_GRAVITY = 1 << 5;
+export const PS_M_DELTA_ANGLES = 1 << 6;
+export const PS_VIEWOFFSET = 1 << 7;
+export const PS_VIEWANGLES = 1 << 8;
+export const PS_KICKANGLES = 1 << 9;
+export const PS_BLEND = 1 << 10;
+export const PS_FOV = 1 << 11;
+export const PS_WEAPONINDEX = 1 << 12;
+export const PS_WEAPONFRAME = 1 << 13;
+export const PS_RDFLAGS = 1 << 14;
+
+// Frames guardados para descomprimir deltas (UPDATE_BACKUP de q2)
+export const UPDATE_BACKUP = 16;
+export const UPDATE_MASK = UPDATE_BACKUP - 1;
+
+// Máximo de entidades
+export const MAX_EDICTS = 1024;
+export const MAX_CLIENTS = 256;
+
+// Límites de mensajes y configstrings (vanilla)
+export const MAX_MSGLEN = 1400;
+export const MAX_CONFIGSTRINGS = 2080;
+export const MAX_STATS = 32;
+
+// Largo máximo de un comando y del userinfo, con el 0 final (q_shared.h)
+export const MAX_STRING_CHARS = 1024;
+export const MAX_INFO_STRING = 512;
+
+// Flags del serverdata de q2pro (minor >= 1024)
+export const Q2PRO_PF_STRAFEJUMP_HACK = 1 << 0;
+export const Q2PRO_PF_QW_MODE = 1 << 1;
+export const Q2PRO_PF_WATERJUMP_HACK = 1 << 2;
+export const Q2PRO_PF_EXTENSIONS = 1 << 3;
+
+// Efectos de render usados al codificar entidades
+export const RF_BEAM = 0x80;
+
+// ============================================================================
+// MVD / GTV (protocolo 37, basado en q2pro)
+// ============================================================================
+
+// Versiones menores del protocolo MVD
+export const PROTOCOL_MVD_MINOR = {
+  MINIMUM: 2009,
+  DEFAULT: 2010,
+  EXTENDED_LIMITS: 2011,
+};
+
+// Handshake del transporte GTV (TCP)
+export const GTV_PROTOCOL_VERSION = 0xed04;
+export const MVD_MAGIC = Buffer.from("MVD2", "ascii");
+
+// Flags negociados en el hello de GTV
+export const GTF_DEFLATE = 1;
+export const GTF_STRINGCMDS = 2;
+
+// Mensajes servidor -> cliente de GTV
+export const GTS = {
+  HELLO: 0,
+  PONG: 1,
+  STREAM_START: 2,
+  STREAM_STOP: 3,
+  STREAM_DATA: 4,
+  ERROR: 5,
+  BADREQUEST: 6,
+  NOACCESS: 7,
+  DISCONNECT: 8,
+  RECONNECT: 9,
+};
+
+// Mensajes cliente -> servidor de GTV
+export const GTC = {
+  HELLO: 0,
+  PING: 1,
+  STREAM_START: 2,
+  STREAM_STOP: 3,
+  STRINGCMD: 4,
+};
+
+// Operaciones del stream MVD
+export const MVD = {
+  BAD: 0,
+  NOP: 1,
+  DISCONNECT: 2,
+  RECONNECT: 3,
+  SERVERDATA: 4,
+  CONFIGSTRING: 5,
+  FRAME: 6,
+  FRAME_NODELTA: 7,
+  UNICAST: 8,
+  UNICAST_R: 9,
+  MULTICAST_ALL: 10,
+  MULTICAST_PHS: 11,
+  MULTICAST_PVS: 12,
+  MULTICAST_ALL_R: 13,
+  MULTICAST_PHS_R: 14,
+  MULTICAST_PVS_R: 15,
+  SOUND: 16,
+  PRINT: 17,
+  STUFFTEXT: 18,
+};
+
+// Player state empaquetado de MVD (PPS_* bits)
+export const PPS_M_TYPE = 1 << 0;
+export const PPS_M_ORIGIN = 1 << 1;
+export const PPS_M_ORIGIN2 = 1 << 2;
+export const PPS_VIEWOFFSET = 1 << 3;
+export const PPS_VIEWANGLES = 1 << 4;
+export const PPS_VIEWANGLE2 = 1 << 5;
+export const PPS_KICKANGLES = 1 << 6;
+export const PPS_BLEND = 1 << 7;
+export const PPS_FOV = 1 << 8;
+export const PPS_WEAPONINDEX = 1 << 9;
+export const PPS_WEAPONFRAME = 1 << 10;
+export const PPS_GUNOFFSET = 1 << 11;
+export const PPS_GUNANGLES = 1 << 12;
+export const PPS_RDFLAGS = 1 << 13;
+export const PPS_STATS = 1 << 14;
+export const PPS_REMOVE = 1 << 15;
+
+// Marca el fin de la lista de jugadores en un frame MVD
+export const CLIENTNUM_NONE = 255;
+
+// Tipos de pmove (pm_type)
+export const PM_TYPE = {
+  NORMAL: 0,
+  SPECTATOR: 1,
+  DEAD: 2,
+  GIB: 3,
+  FREEZE: 4,
+};
+
+// Flags de svc_sound / mvd_sound
+export const SND_VOLUME = 1 << 0;
+export const SND_ATTENUATION = 1 << 1;
+export const SND_POS = 1 << 2;
+export const SND_ENT = 1 << 3;
+export const SND_OFFSET = 1 << 4;
+
+// Flags del serverdata de MVD (extrabits del opcode)
+export const MVF_NOMSGS = 1;
+export const MVF_SINGLEPOV = 2;
+export const MVF_EXTLIMITS = 4;
@@ -0,0 +1,144 @@
+import dgram from "dgram";
+import { toPlainText } from "./q2text.js";
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+// El servidor manda la salida de rcon en varios paquetes `print` (uno por
+// cada SV_OUTPUTBUF_LENGTH) sin marcador de fin: se da por terminada cuando
+// pasa este tiempo sin recibir nada más
+export const RCON_QUIET_TIME = 300;
+
+// Tiempo máximo de espera hasta el primer paquete
+export const RCON_TIMEOUT = 3000;
+
+const OOB_HEADER = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+
+/**
+ * Arma el paquete OOB de rcon. La password va entre comillas porque el
+ * servidor la toma como Cmd_Argv(1); una comilla adentro la cortaría, así
+ * que no se acepta
+ */
+export function createRconPacket(password, command) {
+  if (password.includes('"')) {
+    throw new Error("La password de rcon no puede tener comillas");
+  }
+
+  return Buffer.concat([
+    OOB_HEADER,
+    Buffer.from(`rcon "${password}" ${command}\n`, "latin1"),
+  ]);
+}
+
+/**
+ * Retorna el texto de un paquete OOB `print`, o null si no lo es
+ */
+export function parsePrintPacket(buffer) {
+  if (buffer.length < 4 || !buffer.subarray(0, 4).equals(OOB_HEADER)) {
+    return null;
+  }
+
+  const content = buffer.subarray(4).toString("latin1");
+  if (!content.startsWith("print")) return null;
+
+  const newline = content.indexOf("\n");
+  const body = newline === -1 ? "" : content.substring(newline + 1);
+
+  return toPlainText(body);
+}
+
+// ============================================================================
+// CLASE RCON REQUEST
+// ============================================================================
+
+/**
+ * Junta los paquetes `print` de una respuesta de rcon en un solo resultado
+ *
+ * `promise` se resuelve con el texto completo, o se rechaza si el servidor
+ * no responde o rechaza la password
+ */
+export class RconRequest {
+  constructor(options = {}) {
+    this.timeout = options.timeout || RCON_TIMEOUT;
+    this.quietTime = options.quietTime || RCON_QUIET_TIME;
+    this.chunks = [];
+    this.done = false;
+
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+
+    this.timer = setTimeout(
+      () => this.fail(new Error("Timeout: el servidor no respondió al rcon")),
+      this.timeout
+    );
+  }
+
+  /**
+   * Agrega el texto de un paquete de la respuesta
+   */
+  addChunk(text) {
+    if (this.done) return;
+
+    if (this.chunks.length === 0 && /^bad rcon_password/i.test(text)) {
+      this.fail(new Error("Password de rcon incorrecta"));
+      return;
+    }
+
+    this.chunks.push(text);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.finish(), this.quietTime);
+  }
+
+  finish() {
+    if (this.done) return;
+    this.done = true;
+    clearTimeout(this.timer);
+    this.resolve(this.chunks.join(""));
+  }
+
+  fail(error) {
+    if (this.done) return;
+    this.done = true;
+    clearTimeout(this.timer);
+    this.reject(error);
+  }
+}
+
+// ============================================================================
+// RCON SIN CONEXIÓN
+// ============================================================================
+
+/**
+ * Ejecuta un comando de rcon con un socket propio, sin conexión de juego
+ */
+export const sendRcon = (host, port, password, command, options = {}) => {
+  let packet;
+  try {
+    packet = createRconPacket(password, command);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  const request = new RconRequest(options);
+  const socket = dgram.createSocket("udp4");
+
+  socket.on("message", (msg) => {
+    const text = parsePrintPacket(msg);
+    if (text !== null) request.addChunk(text);
+  });
+
+  socket.on("error", (err) => {
+    request.fail(new Error(`❌ Error en el socket: ${err.message}`));
+  });
+
+  socket.send(packet, port, host, (err) => {
+    if (err) request.fail(new Error(`❌ Error al enviar rcon: ${err.message}`));
+  });
+
+  return request.promise.finally(() => socket.close());
+};
+
+export default sendRcon;
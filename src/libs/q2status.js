@@ -1,12 +1,70 @@
 import dgram from "dgram";
+import dns from "dns";
+import { PROTOCOL, PROTOCOL_NAMES, selectProtocol } from "./q2protocol.js";
+
+function createOobPacket(text) {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xff, 0xff, 0xff]),
+    Buffer.from(text, "ascii"),
+  ]);
+}
+
+const STATUS_PAYLOAD = createOobPacket("status\n");
+const CHALLENGE_PAYLOAD = createOobPacket("getchallenge\n");
+
+function oobCommand(msg) {
+  return msg.subarray(4).toString("latin1").split(/\s/, 1)[0];
+}
+
+/**
+ * Parsea la respuesta OOB de `status`: la configuración del servidor y la
+ * lista de jugadores. Los textos quedan sin decodificar
+ */
+export const parseStatusResponse = (msg, host, port) => {
+  // latin1 conserva los bytes del charset de Quake 2 (ver q2text.js)
+  const content = msg.subarray(4).toString("latin1");
+  const lines = content.split("\n");
+
+  // Omitir la primera línea "print"
+  const dataLines = lines.slice(1);
+
+  // Primera línea después del print contiene la configuración
+  const configLine = dataLines[0] || "";
+  const config = {};
+  if (configLine.startsWith("\\")) {
+    const configPairs = configLine.slice(1).split("\\");
+    for (let i = 0; i < configPairs.length; i += 2) {
+      if (configPairs[i] && configPairs[i + 1] !== undefined) {
+        config[configPairs[i]] = configPairs[i + 1];
+      }
+    }
+  }
+
+  // Las líneas restantes son jugadores
+  const players = [];
+  for (let i = 1; i < dataLines.length; i++) {
+    const line = dataLines[i].trim();
+    if (line) {
+      const parts = line.split(" ");
+      if (parts.length >= 3) {
+        const frags = parseInt(parts[0], 10);
+        const ping = parseInt(parts[1], 10);
+        // El nombre puede contener espacios, así que tomamos desde el tercer elemento en adelante
+        const name = parts.slice(2).join(" ").replace(/^"|"$/g, "");
+        players.push({ frags, ping, name });
+      }
+    }
+  }
+
+  return {
+    config,
+    players,
+    net: { host, port },
+  };
+};
 
 export const getServerStatus = (host, port) => {
   return new Promise((resolve, reject) => {
-    const payload = Buffer.concat([
-      Buffer.from([0xff, 0xff, 0xff, 0xff]),
-      Buffer.from("status\n", "ascii"),
-    ]);
-
     const socket = dgram.createSocket("udp4");
     const timeout = setTimeout(() => {
       socket.close();
@@ -17,7 +75,8 @@ export const getServerStatus = (host, port) => {
       );
     }, 1000);
 
-    socket.send(payload, port, host, (err) => {
+    const sentAt = performance.now();
+    socket.send(STATUS_PAYLOAD, port, host, (err) => {
       if (err) {
         reject(new Error(`❌ Error al enviar status: ${err.message}`));
         clearTimeout(timeout);
@@ -27,45 +86,8 @@ export const getServerStatus = (host, port) => {
 
     socket.on("message", (msg, rinfo) => {
       try {
-        const content = msg.subarray(4).toString();
-        const lines = content.split("\n");
-
-        // Omitir la primera línea "print"
-        const dataLines = lines.slice(1);
-
-        // Primera línea después del print contiene la configuración
-        const configLine = dataLines[0] || "";
-        const config = {};
-        if (configLine.startsWith("\\")) {
-          const configPairs = configLine.slice(1).split("\\");
-          for (let i = 0; i < configPairs.length; i += 2) {
-            if (configPairs[i] && configPairs[i + 1] !== undefined) {
-              config[configPairs[i]] = configPairs[i + 1];
-            }
-          }
-        }
-
-        // Las líneas restantes son jugadores
-        const players = [];
-        for (let i = 1; i < dataLines.length; i++) {
-          const line = dataLines[i].trim();
-          if (line) {
-            const parts = line.split(" ");
-            if (parts.length >= 3) {
-              const frags = parseInt(parts[0], 10);
-              const ping = parseInt(parts[1], 10);
-              // El nombre puede contener espacios, así que tomamos desde el tercer elemento en adelante
-              const name = parts.slice(2).join(" ").replace(/^"|"$/g, "");
-              players.push({ frags, ping, name });
-            }
-          }
-        }
-
-        const result = {
-          config,
-          players,
-          net: { host, port },
-        };
+        const result = parseStatusResponse(msg, host, port);
+        result.net.rtt = Math.round(performance.now() - sentAt);
         resolve(result);
       } catch (error) {
         reject(new Error(`❌ Error al parsear respuesta: ${error.message}`));
@@ -82,3 +104,438 @@ export const getServerStatus = (host, port) => {
     });
   });
 };
+
+/**
+ * Parsea la respuesta a `info`: una línea con hostname, mapa y jugadores
+ * (SV_Info). Si el servidor no acepta la versión pedida solo trae el
+ * hostname y `wrongVersion`
+ */
+export const parseInfoResponse = (msg, host, port) => {
+  const content = msg.subarray(4).toString("latin1");
+  const line = (content.split("\n")[1] || "").replace(/[\x00-\x1f]/g, "");
+  const info = {
+    hostname: line.trim(),
+    map: null,
+    players: null,
+    maxPlayers: null,
+    wrongVersion: false,
+    net: { host, port },
+  };
+
+  const wrong = line.match(/^(.*): wrong version$/);
+  if (wrong) {
+    info.hostname = wrong[1].trim();
+    info.wrongVersion = true;
+    return info;
+  }
+
+  // "%16s %8s %2i/%2i": el hostname puede tener espacios, el mapa no
+  const match = line.match(/^(.*?)\s+(\S+)\s+(\d+)\/\s*(\d+)\s*$/);
+  if (match) {
+    info.hostname = match[1].trim();
+    info.map = match[2];
+    info.players = parseInt(match[3], 10);
+    info.maxPlayers = parseInt(match[4], 10);
+  }
+  return info;
+};
+
+/**
+ * Parsea la respuesta a `getchallenge` y arma las capacidades del servidor
+ * con la lista `p=` (la misma detección que hace Q2Client al conectar)
+ */
+export const parseCapabilities = (msg) => {
+  const parts = msg.subarray(4).toString("latin1").trim().split(/\s+/);
+  if (parts[0] !== "challenge") return null;
+
+  let protocols = [PROTOCOL.VERSION_DEFAULT];
+  for (const part of parts.slice(2)) {
+    if (part.startsWith("p=")) {
+      protocols = part
+        .substring(2)
+        .split(",")
+        .map((p) => parseInt(p, 10))
+        .filter((p) => !isNaN(p));
+    }
+  }
+
+  const protocol = selectProtocol(protocols);
+  return {
+    protocols,
+    protocol,
+    name: PROTOCOL_NAMES[protocol] || null,
+  };
+};
+
+/**
+ * Hace una consulta OOB y espera la respuesta cuyo comando sea `reply`
+ */
+const queryOob = (host, port, payload, reply, timeout = 1000) => {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket("udp4");
+    const done = (error, msg) => {
+      clearTimeout(timer);
+      socket.close();
+      if (error) reject(error);
+      else resolve(msg);
+    };
+
+    const timer = setTimeout(
+      () =>
+        done(
+          new Error(
+            `Timeout: No se recibió respuesta del servidor: ${host}:${port}`
+          )
+        ),
+      timeout
+    );
+
+    socket.on("message", (msg) => {
+      if (oobCommand(msg) === reply) done(null, msg);
+    });
+
+    socket.on("error", (err) => {
+      done(new Error(`❌ Error en el socket: ${err.message}`));
+    });
+
+    socket.send(payload, port, host, (err) => {
+      if (err) done(new Error(`❌ Error al enviar ${reply}: ${err.message}`));
+    });
+  });
+};
+
+/**
+ * Consulta `info` con el número de protocolo dado
+ */
+export const getServerInfo = async (
+  host,
+  port,
+  protocol = PROTOCOL.VERSION_DEFAULT,
+  options = {}
+) => {
+  const msg = await queryOob(
+    host,
+    port,
+    createOobPacket(`info ${protocol}\n`),
+    "info",
+    options.timeout
+  );
+  return parseInfoResponse(msg, host, port);
+};
+
+/**
+ * Detecta los protocolos que soporta un servidor con `getchallenge`, sin
+ * conectarse
+ */
+export const getServerCapabilities = async (host, port, options = {}) => {
+  const msg = await queryOob(
+    host,
+    port,
+    CHALLENGE_PAYLOAD,
+    "challenge",
+    options.timeout
+  );
+  return parseCapabilities(msg);
+};
+
+// Paquetes de las sondas de latencia; `ping` responde `ack` e `info`
+// responde la línea de info del servidor
+const PROBE_PAYLOADS = {
+  status: STATUS_PAYLOAD,
+  ping: createOobPacket("ping\n"),
+  info: createOobPacket(`info ${PROTOCOL.VERSION_DEFAULT}\n`),
+};
+
+/**
+ * Estadísticas de las sondas de un servidor. El jitter es la variación
+ * media entre RTTs consecutivos
+ */
+export function probeStats(samples, sent) {
+  const received = samples.length;
+  const stats = {
+    sent,
+    received,
+    loss: sent > 0 ? 1 - received / sent : 0,
+    min: null,
+    avg: null,
+    max: null,
+    jitter: null,
+  };
+  if (received === 0) return stats;
+
+  stats.min = Math.min(...samples);
+  stats.max = Math.max(...samples);
+  stats.avg = Math.round(samples.reduce((a, b) => a + b, 0) / received);
+
+  let variation = 0;
+  for (let i = 1; i < received; i++) {
+    variation += Math.abs(samples[i] - samples[i - 1]);
+  }
+  stats.jitter = received > 1 ? Math.round(variation / (received - 1)) : 0;
+
+  return stats;
+}
+
+/**
+ * Consulta el status de muchos servidores desde un solo socket
+ *
+ * Las respuestas se asocian a su servidor por la dirección de origen. Cada
+ * consulta sin respuesta se reenvía hasta `retries` veces, y como mucho hay
+ * `concurrency` servidores en vuelo a la vez. Los resultados se entregan a
+ * medida que llegan como `{ host, port, status, error }`, con el RTT en
+ * `status.net.rtt`:
+ *
+ *   for await (const { status } of queryServers(list)) { ... }
+ *
+ * Con `probes` > 1 se mandan varias sondas por servidor, de a una y
+ * separadas por `probeInterval` ms: la primera respuesta es siempre un
+ * status y el resto usa `probeType` ('status', 'info' o 'ping'). Las
+ * sondas sin respuesta cuentan como perdidas (no se reintentan), y
+ * `status.net.probes` trae pérdida, RTT mínimo/medio/máximo y jitter
+ *
+ * Con `capabilities` se manda además un `getchallenge` a cada servidor y
+ * `status.capabilities` trae sus protocolos (ver parseCapabilities), o null
+ * si no respondió
+ */
+export async function* queryServers(list, options = {}) {
+  const concurrency = options.concurrency || 32;
+  const timeout = options.timeout || 1000;
+  const retries = options.retries ?? 2;
+  const probes = Math.max(1, options.probes || 1);
+  const probePayload = PROBE_PAYLOADS[options.probeType || "status"];
+  const probeInterval = options.probeInterval ?? 100;
+  const capabilities = options.capabilities || false;
+
+  if (!probePayload) {
+    throw new Error(`Tipo de sonda desconocido: ${options.probeType}`);
+  }
+
+  // Sin sondas extra cada envío es un reintento del mismo status
+  const maxSends = probes > 1 ? probes : retries + 1;
+
+  // Una sola consulta por servidor aunque la lista lo repita
+  const servers = [
+    ...new Map(list.map((s) => [`${s.host}:${s.port}`, s])).values(),
+  ];
+
+  const socket = dgram.createSocket("udp4");
+  const pending = new Map();
+  const results = [];
+  let wake = null;
+  let next = 0;
+  let active = 0;
+  let closed = false;
+
+  const push = (result) => {
+    results.push(result);
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  const finish = (entry, status, error) => {
+    clearTimeout(entry.timer);
+    if (pending.get(entry.key) === entry) pending.delete(entry.key);
+    active--;
+    push({ host: entry.host, port: entry.port, status, error });
+    startNext();
+  };
+
+  const complete = (entry) => {
+    if (!entry.status) {
+      finish(
+        entry,
+        null,
+        new Error(
+          `Timeout: No se recibió respuesta del servidor: ${entry.host}:${entry.port}`
+        )
+      );
+      return;
+    }
+
+    const stats = probeStats(entry.samples, entry.sent);
+    entry.status.net.rtt = stats.avg;
+    if (probes > 1) entry.status.net.probes = stats;
+
+    if (capabilities) {
+      entry.status.capabilities = null;
+      sendChallenge(entry);
+    } else {
+      finish(entry, entry.status, null);
+    }
+  };
+
+  const sendChallenge = (entry) => {
+    if (closed) return;
+    entry.challengeSent++;
+    socket.send(CHALLENGE_PAYLOAD, entry.port, entry.address);
+
+    entry.timer = setTimeout(() => {
+      if (entry.challengeSent <= retries) {
+        sendChallenge(entry);
+      } else {
+        finish(entry, entry.status, null);
+      }
+    }, timeout);
+  };
+
+  const send = (entry) => {
+    if (closed) return;
+    entry.sent++;
+    entry.waiting = true;
+    entry.sentAt = performance.now();
+
+    const payload = entry.status ? probePayload : STATUS_PAYLOAD;
+    socket.send(payload, entry.port, entry.address, (err) => {
+      if (err && pending.get(entry.key) === entry) {
+        finish(
+          entry,
+          null,
+          new Error(`❌ Error al enviar status: ${err.message}`)
+        );
+      }
+    });
+
+    entry.timer = setTimeout(() => {
+      entry.waiting = false;
+      if (entry.sent < maxSends) {
+        entry.timer = setTimeout(
+          () => send(entry),
+          probes > 1 ? probeInterval : 0
+        );
+      } else {
+        complete(entry);
+      }
+    }, timeout);
+  };
+
+  const receive = (entry, msg) => {
+    if (entry.challengeSent > 0) {
+      const caps = parseCapabilities(msg);
+      if (!caps) return;
+      entry.status.capabilities = caps;
+      finish(entry, entry.status, null);
+      return;
+    }
+
+    // Sin status todavía, solo sirve la respuesta al status
+    if (!entry.waiting || (!entry.status && oobCommand(msg) !== "print")) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    entry.waiting = false;
+    entry.samples.push(Math.round(performance.now() - entry.sentAt));
+
+    if (!entry.status) {
+      entry.status = parseStatusResponse(msg, entry.host, entry.port);
+    }
+
+    if (entry.sent < probes) {
+      entry.timer = setTimeout(() => send(entry), probeInterval);
+    } else {
+      complete(entry);
+    }
+  };
+
+  const start = async ({ host, port }) => {
+    active++;
+    const entry = {
+      host,
+      port,
+      key: null,
+      timer: null,
+      sent: 0,
+      sentAt: 0,
+      waiting: false,
+      samples: [],
+      status: null,
+      challengeSent: 0,
+    };
+
+    // Las respuestas llegan desde la IP, así que el host se resuelve antes
+    try {
+      ({ address: entry.address } = await dns.promises.lookup(host, {
+        family: 4,
+      }));
+    } catch (error) {
+      entry.key = `${host}:${port}`;
+      finish(entry, null, new Error(`❌ Host inválido: ${error.message}`));
+      return;
+    }
+    if (closed) return;
+
+    entry.key = `${entry.address}:${port}`;
+    if (pending.has(entry.key)) {
+      // Otro nombre para un servidor que ya está en vuelo
+      finish(entry, null, new Error(`Servidor repetido: ${host}:${port}`));
+      return;
+    }
+
+    pending.set(entry.key, entry);
+    send(entry);
+  };
+
+  const startNext = () => {
+    while (!closed && active < concurrency && next < servers.length) {
+      start(servers[next++]);
+    }
+  };
+
+  socket.on("message", (msg, rinfo) => {
+    const entry = pending.get(`${rinfo.address}:${rinfo.port}`);
+    if (!entry) return;
+
+    try {
+      receive(entry, msg);
+    } catch (error) {
+      finish(
+        entry,
+        null,
+        new Error(`❌ Error al parsear respuesta: ${error.message}`)
+      );
+    }
+  });
+
+  socket.on("error", () => {
+    // Los reintentos cubren los errores de envío
+  });
+
+  await new Promise((resolve) => socket.bind(resolve));
+
+  try {
+    startNext();
+
+    for (let received = 0; received < servers.length; ) {
+      if (results.length === 0) {
+        await new Promise((resolve) => (wake = resolve));
+      }
+      while (results.length > 0) {
+        received++;
+        yield results.shift();
+      }
+    }
+  } finally {
+    closed = true;
+    for (const entry of pending.values()) {
+      clearTimeout(entry.timer);
+    }
+    socket.close();
+  }
+}
+
+/**
+ * Mide latencia, jitter y pérdida de un servidor con varias sondas.
+ * Retorna el status con `net.rtt` y `net.probes`
+ */
+export const probeServer = async (host, port, options = {}) => {
+  const probes = options.probes || 5;
+  for await (const { status, error } of queryServers([{ host, port }], {
+    ...options,
+    probes,
+  })) {
+    if (error) throw error;
+    return status;
+  }
+};
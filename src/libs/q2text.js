@@ -0,0 +1,182 @@
+// ============================================================================
+// CHARSET DE QUAKE 2
+// ============================================================================
+
+/**
+ * Glifos de conchars.pcx para los caracteres de control (0x00-0x1f) y 0x7f:
+ * [glifo unicode, equivalente ascii]. Los ascii siguen la tabla "readable"
+ * clásica de Quake para que los nombres se puedan comparar como texto
+ */
+const CONCHARS = {
+  0x00: ["·", "."],
+  0x05: ["•", "."],
+  0x0e: ["•", "."],
+  0x0f: ["•", "."],
+  0x10: ["[", "["],
+  0x11: ["]", "]"],
+  0x1c: ["•", "."],
+  0x1d: ["╞", "<"],
+  0x1e: ["═", "="],
+  0x1f: ["╡", ">"],
+  0x7f: ["←", "<"],
+};
+
+// 0x12-0x1b son los dígitos dorados del HUD
+for (let i = 0; i < 10; i++) {
+  CONCHARS[0x12 + i] = [String(i), String(i)];
+}
+
+const BLOCK_GLYPH = ["▪", "_"];
+
+// Códigos de color ^0-^7 (estilo Quake 3, usados por q2pro y algunos mods)
+export const COLOR_NAMES = [
+  "black",
+  "red",
+  "green",
+  "yellow",
+  "blue",
+  "cyan",
+  "magenta",
+  "white",
+];
+
+const ANSI_COLORS = {
+  black: 90,
+  red: 31,
+  green: 32,
+  yellow: 33,
+  blue: 34,
+  cyan: 36,
+  magenta: 35,
+  white: 37,
+};
+
+const HTML_COLORS = {
+  black: "#6b7280",
+  red: "#f87171",
+  green: "#4ade80",
+  yellow: "#facc15",
+  blue: "#60a5fa",
+  cyan: "#22d3ee",
+  magenta: "#e879f9",
+  white: "#f9fafb",
+};
+
+// Los caracteres con el bit alto usan la mitad "alternativa" del font,
+// que el cliente dibuja en verde
+const ALT_ANSI = 32;
+const ALT_HTML = "#86c06c";
+
+// ============================================================================
+// DECODIFICACIÓN
+// ============================================================================
+
+/**
+ * Decodifica un texto en el charset de Quake 2 (string latin1 o bytes)
+ *
+ * Retorna `{ text, segments }`: `text` es el texto plano en ascii, sin
+ * códigos de color, y `segments` son tramos `{ text, alt, color }` con los
+ * glifos del font: `alt` marca los caracteres con el bit alto y `color` el
+ * último código ^N (o null)
+ */
+export function decodeQuakeString(input) {
+  const codes =
+    typeof input === "string"
+      ? Array.from({ length: input.length }, (_, i) => input.charCodeAt(i))
+      : Array.from(input || []);
+
+  const segments = [];
+  let text = "";
+  let color = null;
+  let current = null;
+
+  const append = (glyph, ascii, alt) => {
+    text += ascii;
+    if (!current || current.alt !== alt || current.color !== color) {
+      current = { text: "", alt, color };
+      segments.push(current);
+    }
+    current.text += glyph;
+  };
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+
+    // Texto que ya viene decodificado (fuera de latin1) pasa tal cual
+    if (code > 0xff) {
+      const char = String.fromCharCode(code);
+      append(char, char, false);
+      continue;
+    }
+
+    const next = codes[i + 1];
+    if (code === 0x5e && next >= 0x30 && next <= 0x39) {
+      color = COLOR_NAMES[(next - 0x30) & 7];
+      i++;
+      continue;
+    }
+
+    const alt = code >= 0x80;
+    const c = code & 0x7f;
+
+    if (c === 0x0a || c === 0x0d) {
+      append("\n", "\n", alt);
+    } else if (c >= 0x20 && c < 0x7f) {
+      const char = String.fromCharCode(c);
+      append(char, char, alt);
+    } else {
+      const [glyph, ascii] = CONCHARS[c] || BLOCK_GLYPH;
+      append(glyph, ascii, alt);
+    }
+  }
+
+  return { text, segments };
+}
+
+/**
+ * Texto plano (ascii, sin colores) de un texto de Quake 2
+ */
+export function toPlainText(input) {
+  return decodeQuakeString(input).text;
+}
+
+// ============================================================================
+// RENDER
+// ============================================================================
+
+const asDecoded = (input) =>
+  input && input.segments ? input : decodeQuakeString(input);
+
+/**
+ * Texto con secuencias de color ANSI, para la TUI
+ */
+export function toAnsi(input) {
+  return asDecoded(input)
+    .segments.map(({ text, alt, color }) => {
+      const code = color ? ANSI_COLORS[color] : alt ? ALT_ANSI : null;
+      return code ? `\x1b[${code}m${text}\x1b[39m` : text;
+    })
+    .join("");
+}
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Texto como HTML escapado con spans de color, para el viewer
+ */
+export function toHtml(input) {
+  return asDecoded(input)
+    .segments.map(({ text, alt, color }) => {
+      const html = escapeHtml(text);
+      const css = color ? HTML_COLORS[color] : alt ? ALT_HTML : null;
+      return css ? `<span style="color: ${css}">${html}</span>` : html;
+    })
+    .join("");
+}
+
+export default decodeQuakeString;
@@ -0,0 +1,216 @@
+import { MessageWriter, BitWriter } from "./q2msg.js";
+import { blockSequenceCRCByte } from "./q2crc.js";
+import {
+  PROTOCOL,
+  CLC,
+  SVCMD_BITS,
+  CM_ANGLE1,
+  CM_ANGLE2,
+  CM_ANGLE3,
+  CM_FORWARD,
+  CM_SIDE,
+  CM_UP,
+  CM_BUTTONS,
+  CM_IMPULSE,
+  MAX_PACKET_USERCMDS,
+} from "./q2protocol.js";
+
+// ============================================================================
+// USERCMDS
+// ============================================================================
+
+// Un usercmd lleva como mucho 250ms de movimiento (CL_FinishMove)
+export const MAX_USERCMD_MSEC = 250;
+
+/**
+ * Convierte grados al short que viaja en el usercmd (ANGLE2SHORT)
+ */
+export function angleToShort(degrees) {
+  return Math.trunc((degrees * 65536) / 360) & 0xffff;
+}
+
+/**
+ * Crea un usercmd; los ángulos van en grados y se guardan como shorts
+ */
+export function createUsercmd(input = {}) {
+  const angles = input.angles || {};
+  return {
+    msec: Math.max(0, Math.min(MAX_USERCMD_MSEC, input.msec || 0)),
+    buttons: input.buttons || 0,
+    angles: [
+      angleToShort(angles.pitch || 0),
+      angleToShort(angles.yaw || 0),
+      angleToShort(angles.roll || 0),
+    ],
+    forwardmove: input.forward || 0,
+    sidemove: input.side || 0,
+    upmove: input.up || 0,
+    impulse: input.impulse || 0,
+    lightlevel: input.lightlevel || 0,
+  };
+}
+
+export const NULL_USERCMD = createUsercmd();
+
+function deltaBits(from, cmd) {
+  let bits = 0;
+  if (cmd.angles[0] !== from.angles[0]) bits |= CM_ANGLE1;
+  if (cmd.angles[1] !== from.angles[1]) bits |= CM_ANGLE2;
+  if (cmd.angles[2] !== from.angles[2]) bits |= CM_ANGLE3;
+  if (cmd.forwardmove !== from.forwardmove) bits |= CM_FORWARD;
+  if (cmd.sidemove !== from.sidemove) bits |= CM_SIDE;
+  if (cmd.upmove !== from.upmove) bits |= CM_UP;
+  if (cmd.buttons !== from.buttons) bits |= CM_BUTTONS;
+  return bits;
+}
+
+/**
+ * Delta de usercmd de protocolo 34/35 (MSG_WriteDeltaUsercmd)
+ */
+export function writeDeltaUsercmd(msg, from, cmd) {
+  let bits = deltaBits(from, cmd);
+  if (cmd.impulse !== from.impulse) bits |= CM_IMPULSE;
+
+  msg.writeByte(bits);
+
+  if (bits & CM_ANGLE1) msg.writeShort(cmd.angles[0]);
+  if (bits & CM_ANGLE2) msg.writeShort(cmd.angles[1]);
+  if (bits & CM_ANGLE3) msg.writeShort(cmd.angles[2]);
+  if (bits & CM_FORWARD) msg.writeShort(cmd.forwardmove);
+  if (bits & CM_SIDE) msg.writeShort(cmd.sidemove);
+  if (bits & CM_UP) msg.writeShort(cmd.upmove);
+  if (bits & CM_BUTTONS) msg.writeByte(cmd.buttons);
+  if (bits & CM_IMPULSE) msg.writeByte(cmd.impulse);
+
+  msg.writeByte(cmd.msec);
+  msg.writeByte(cmd.lightlevel);
+}
+
+/**
+ * Delta de usercmd de q2pro (MSG_WriteDeltaUsercmd_Enhanced), codificado en
+ * bits. En este formato CM_IMPULSE indica un cambio de msec: los impulsos
+ * no viajan en el move
+ */
+export function writeDeltaUsercmdEnhanced(msg, from, cmd) {
+  let bits = deltaBits(from, cmd);
+  if (cmd.msec !== from.msec) bits |= CM_IMPULSE;
+
+  if (!bits) {
+    msg.writeBits(0, 1);
+    return;
+  }
+
+  msg.writeBits(1, 1);
+  msg.writeBits(bits, 8);
+
+  // Pitch y yaw van como delta de 8 bits cuando el cambio es chico
+  for (const [bit, i] of [
+    [CM_ANGLE1, 0],
+    [CM_ANGLE2, 1],
+  ]) {
+    if (!(bits & bit)) continue;
+    const delta = (((cmd.angles[i] - from.angles[i]) << 16) >> 16) | 0;
+    if (delta >= -128 && delta <= 127) {
+      msg.writeBits(1, 1);
+      msg.writeBits(delta, -8);
+    } else {
+      msg.writeBits(0, 1);
+      msg.writeBits(cmd.angles[i], -16);
+    }
+  }
+  if (bits & CM_ANGLE3) msg.writeBits(cmd.angles[2], -16);
+
+  if (bits & CM_FORWARD) msg.writeBits(cmd.forwardmove, -10);
+  if (bits & CM_SIDE) msg.writeBits(cmd.sidemove, -10);
+  if (bits & CM_UP) msg.writeBits(cmd.upmove, -10);
+
+  // BUTTON_ANY (128) se comprime al tercer bit
+  if (bits & CM_BUTTONS) {
+    msg.writeBits((cmd.buttons & 3) | (cmd.buttons >> 5), 3);
+  }
+  if (bits & CM_IMPULSE) msg.writeBits(cmd.msec, 8);
+}
+
+// ============================================================================
+// PAQUETES DE MOVIMIENTO
+// ============================================================================
+
+/**
+ * clc_move de protocolo 34/35: los últimos tres usercmds, cada uno como
+ * delta del anterior, para recuperar los que se hayan perdido
+ *
+ * Protocolo 26/34 agrega un byte de checksum de los datos del move que
+ * depende de `sequence`, la secuencia del netchan con la que sale el
+ * paquete. El servidor original descarta el move si no coincide
+ */
+export function createMovePacketVanilla({
+  protocol,
+  lastFrame,
+  cmds,
+  sequence,
+}) {
+  const msg = new MessageWriter(64);
+  const checksum = protocol <= PROTOCOL.VERSION_DEFAULT;
+
+  msg.writeByte(CLC.MOVE);
+  if (checksum) msg.writeByte(0);
+  msg.writeLong(lastFrame);
+
+  const recent = cmds.slice(-3);
+  while (recent.length < 3) recent.unshift(NULL_USERCMD);
+
+  let from = NULL_USERCMD;
+  for (const cmd of recent) {
+    writeDeltaUsercmd(msg, from, cmd);
+    from = cmd;
+  }
+
+  const packet = msg.toBuffer();
+  if (checksum) packet[1] = blockSequenceCRCByte(packet.subarray(2), sequence);
+  return packet;
+}
+
+/**
+ * Move de q2pro (SV_NewClientExecuteMove): clc_move_batched con el frame a
+ * confirmar, o clc_move_nodelta para pedir un frame completo. Se manda un
+ * solo frame (sin duplicados) con los usercmds nuevos
+ */
+export function createMovePacketQ2PRO({ lastFrame, cmds }) {
+  const msg = new BitWriter(64);
+  const numDups = 0;
+
+  if (lastFrame >= 0) {
+    msg.writeByte(CLC.MOVE_BATCHED | (numDups << SVCMD_BITS));
+    msg.writeLong(lastFrame);
+  } else {
+    msg.writeByte(CLC.MOVE_NODELTA | (numDups << SVCMD_BITS));
+  }
+
+  const recent = cmds.slice(-(MAX_PACKET_USERCMDS - 1));
+  msg.writeByte(recent.length ? recent[recent.length - 1].lightlevel : 0);
+  msg.writeBits(recent.length, 5);
+
+  let from = NULL_USERCMD;
+  for (const cmd of recent) {
+    writeDeltaUsercmdEnhanced(msg, from, cmd);
+    from = cmd;
+  }
+
+  return msg.toBuffer();
+}
+
+/**
+ * Arma el move adecuado al protocolo. lastFrame = -1 pide un frame sin
+ * delta; sequence es la secuencia del paquete, para el checksum
+ */
+export function createMovePacket({ protocol, lastFrame, cmds, sequence = 0 }) {
+  if (
+    protocol === PROTOCOL.VERSION_Q2PRO ||
+    protocol === PROTOCOL.VERSION_AQTION
+  ) {
+    return createMovePacketQ2PRO({ lastFrame, cmds });
+  }
+  return createMovePacketVanilla({ protocol, lastFrame, cmds, sequence });
+}
+
+export default createMovePacket;
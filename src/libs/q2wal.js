@@ -0,0 +1,85 @@
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+// miptex_t: name[32], width, height, offsets[4], animname[32], flags,
+// contents, value
+const WAL_HEADER_SIZE = 100;
+const PALETTE_SIZE = 768;
+// El índice 255 de la paleta es transparente (Draw_GetPalette)
+const TRANSPARENT_INDEX = 255;
+
+function toBytes(data) {
+  return data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+// ============================================================================
+// PALETA
+// ============================================================================
+
+/**
+ * Paleta de 256 colores RGB al final de un PCX (pics/colormap.pcx): un
+ * byte 0x0C seguido de 768 bytes
+ */
+export function readPcxPalette(data) {
+  const bytes = toBytes(data);
+  const start = bytes.length - PALETTE_SIZE;
+  if (start < 1 || bytes[start - 1] !== 0x0c) {
+    throw new Error("El PCX no tiene paleta");
+  }
+  return bytes.slice(start);
+}
+
+// ============================================================================
+// TEXTURAS WAL
+// ============================================================================
+
+/**
+ * Decodifica el primer nivel de mip de una textura .wal a RGBA con la
+ * paleta del juego. Retorna `{ name, width, height, data, animName,
+ * flags }`
+ */
+export function decodeWal(data, palette) {
+  const bytes = toBytes(data);
+  if (bytes.length < WAL_HEADER_SIZE) {
+    throw new Error("WAL demasiado corto");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const width = view.getUint32(32, true);
+  const height = view.getUint32(36, true);
+  const offset = view.getUint32(40, true);
+  if (!width || !height || offset + width * height > bytes.length) {
+    throw new Error("WAL con tamaño inválido");
+  }
+
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const index = bytes[offset + i];
+    pixels[i * 4] = palette[index * 3];
+    pixels[i * 4 + 1] = palette[index * 3 + 1];
+    pixels[i * 4 + 2] = palette[index * 3 + 2];
+    pixels[i * 4 + 3] = index === TRANSPARENT_INDEX ? 0 : 255;
+  }
+
+  return {
+    name: readString(bytes, 0, 32),
+    width,
+    height,
+    data: pixels,
+    animName: readString(bytes, 56, 32),
+    flags: view.getInt32(88, true),
+  };
+}
+
+function readString(bytes, offset, length) {
+  let text = "";
+  for (let i = offset; i < offset + length && bytes[i]; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+export default decodeWal;
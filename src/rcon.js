@@ -0,0 +1,40 @@
+/**
+ * Consola remota (rcon) desde la línea de comandos
+ *
+ * Uso:
+ *   RCON_PASSWORD=secreto node src/rcon.js status
+ *   node src/rcon.js -p secreto kick 3
+ *
+ * El servidor se toma de Q2_SERVER / Q2_PORT, igual que test.js
+ */
+
+import { sendRcon } from "./libs/q2rcon.js";
+
+// Configuración desde variables de entorno
+const SERVER_IP = process.env.Q2_SERVER || "127.0.0.1";
+const SERVER_PORT = parseInt(process.env.Q2_PORT) || 27910;
+const RCON_TIMEOUT = parseInt(process.env.RCON_TIMEOUT) || undefined;
+
+let password = process.env.RCON_PASSWORD || "";
+const args = process.argv.slice(2);
+if (args[0] === "-p") {
+  password = args[1] || "";
+  args.splice(0, 2);
+}
+
+const command = args.join(" ");
+if (!command || !password) {
+  console.error("Uso: RCON_PASSWORD=<password> node src/rcon.js <comando>");
+  console.error("     node src/rcon.js -p <password> <comando>");
+  process.exit(1);
+}
+
+try {
+  const output = await sendRcon(SERVER_IP, SERVER_PORT, password, command, {
+    timeout: RCON_TIMEOUT,
+  });
+  process.stdout.write(output.endsWith("\n") ? output : output + "\n");
+} catch (error) {
+  console.error(`❌ ${SERVER_IP}:${SERVER_PORT}: ${error.message}`);
+  process.exit(1);
+}
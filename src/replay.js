@@ -0,0 +1,45 @@
+/**
+ * Reproduce una captura de paquetes y muestra los eventos del cliente
+ *
+ * Uso:
+ *   CAPTURE=bug.ndjson node src/test.js    (grabar la sesión)
+ *   node src/replay.js bug.ndjson          (reproducirla)
+ *   DEBUG=1 node src/replay.js bug.ndjson  (con los mensajes parseados)
+ *
+ * Sirve para reproducir un bug de parsing sin el servidor en vivo
+ */
+
+import { Q2Client } from "./libs/q2client.js";
+import { CaptureReplayer } from "./libs/q2capture.js";
+
+const DEBUG_MODE = process.env.DEBUG === "1";
+
+const file = process.argv[2];
+if (!file) {
+  console.error("Uso: node src/replay.js <captura.ndjson>");
+  process.exit(1);
+}
+
+const client = new Q2Client({ debug: DEBUG_MODE });
+const replayer = new CaptureReplayer(client);
+
+client.on("event", (event) => {
+  console.log(`${event.type.padEnd(16)} ${JSON.stringify(event.data)}`);
+});
+
+client.on("raw_message", (event) => {
+  console.log(`   ${JSON.stringify(event)}`);
+});
+
+try {
+  await replayer.load(file);
+  console.log(
+    `📼 ${file}: ${replayer.packets.length} paquetes de ${replayer.header.server}`
+  );
+
+  const { packets } = await replayer.run();
+  console.log(`📼 Fin de la captura (${packets} paquetes)`);
+} catch (error) {
+  console.error(`❌ ${file}: paquete ${replayer.position}: ${error.stack}`);
+  process.exit(1);
+}
@@ -13,6 +13,7 @@ const SERVER_PORT = parseInt(process.env.Q2_PORT) || 27911;
 const PASSIVE_MODE = process.env.PASSIVE === "1";
 const MONITOR_MODE = process.env.MONITOR === "1";
 const DEBUG_MODE = process.env.DEBUG === "1";
+const CAPTURE_FILE = process.env.CAPTURE || null;
 
 // Crear instancia del cliente
 const client = new Q2Client({
@@ -82,6 +83,27 @@ client.on("entity_update", (event) => {
   } */
 });
 
+// Kill feed
+client.on("frag", (event) => {
+  const f = event.data;
+  const weapon = f.weapon ? ` [${f.weapon}]` : "";
+  if (f.suicide || !f.killer) {
+    console.log(`💀 [${getShortTimestamp()}] ${f.victim} (${f.mod})${weapon}`);
+  } else {
+    console.log(
+      `🔫 [${getShortTimestamp()}] ${f.killer} ➜ ${f.victim}${weapon}`
+    );
+  }
+});
+
+// Scoreboard in-game
+client.on("scoreboard", (event) => {
+  const rows = event.data.players
+    .map((p) => `${p.name}=${p.score} (${p.ping}ms)`)
+    .join(", ");
+  console.log(`🏆 [${getShortTimestamp()}] ${rows}`);
+});
+
 // Información del servidor
 client.on("server_info", (event) => {
   const info = event.data;
@@ -212,10 +234,12 @@ console.log(
   `🔧 Modo: ${MONITOR_MODE ? "MONITOR" : PASSIVE_MODE ? "PASIVO" : "CLIENTE"}`
 );
 console.log(`🐛 Debug: ${DEBUG_MODE ? "ON" : "OFF"}`);
+if (CAPTURE_FILE) console.log(`📼 Captura: ${CAPTURE_FILE}`);
 console.log(`⌨️  Ctrl+C para salir`);
 console.log(`${"─".repeat(60)}\n`);
 
 // Conectar
+if (CAPTURE_FILE) client.startCapture(CAPTURE_FILE);
 client.connect();
 
 // Manejo de señales
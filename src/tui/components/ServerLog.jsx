@@ -1,14 +1,62 @@
-import { Box, Text, Newline } from "ink";
+import { Box, Text, Newline, useInput } from "ink";
 import { Q2Client } from "../../libs/q2client";
-import { useState, useEffect } from "react";
+import { toAnsi } from "../../libs/q2text";
+import { useState, useEffect, useRef } from "react";
 
 function getShortTimestamp() {
   return new Date().toISOString().split("T")[1].slice(0, 8);
 }
 
-export const ServerLog = ({ host, port }) => {
+// Teclas para abrir el prompt, como messagemode/messagemode2 del juego
+const PROMPTS = {
+  t: { label: "say", send: (client, text) => client.say(text) },
+  y: { label: "say_team", send: (client, text) => client.sayTeam(text) },
+  "/": { label: "cmd", send: (client, text) => client.command(text) },
+};
+
+export const ServerLog = ({ host, port, onTyping }) => {
   const [loading, setLoading] = useState(true);
   const [log, setLog] = useState([]);
+  const [prompt, setPrompt] = useState(null);
+  const [input, setInput] = useState("");
+  const clientRef = useRef(null);
+
+  const closePrompt = () => {
+    setPrompt(null);
+    setInput("");
+    if (onTyping) onTyping(false);
+  };
+
+  useInput((char, key) => {
+    if (!prompt) {
+      if (PROMPTS[char]) {
+        setPrompt(PROMPTS[char]);
+        if (onTyping) onTyping(true);
+      }
+      return;
+    }
+
+    if (key.escape) {
+      closePrompt();
+    } else if (key.return) {
+      if (input.trim() && clientRef.current) {
+        // Un comando demasiado largo se rechaza: queda en el log
+        try {
+          prompt.send(clientRef.current, input);
+        } catch (error) {
+          setLog((prev) => [
+            ...prev,
+            { ts: getShortTimestamp(), text: error.message },
+          ]);
+        }
+      }
+      closePrompt();
+    } else if (key.backspace || key.delete) {
+      setInput((prev) => prev.slice(0, -1));
+    } else if (char && !key.ctrl && !key.meta) {
+      setInput((prev) => prev + char);
+    }
+  });
 
   useEffect(() => {
     console.log(host, port);
@@ -19,6 +67,7 @@ export const ServerLog = ({ host, port }) => {
       playerName: "Spectre",
       debug: false,
     });
+    clientRef.current = q2Client;
 
     q2Client.on("console_message", (event) => {
       // const { level, text } = event.data;
@@ -36,6 +85,7 @@ export const ServerLog = ({ host, port }) => {
     q2Client.connect();
     setLoading(false);
     return () => {
+      clientRef.current = null;
       q2Client.disconnect();
       setLoading(true);
       setLog([]);
@@ -44,6 +94,11 @@ export const ServerLog = ({ host, port }) => {
 
   return (
     <Box flexDirection="column">
+      <Text color="grey">
+        {prompt
+          ? `${prompt.label}: ${input}_`
+          : "t: say  y: say_team  /: comando"}
+      </Text>
       {loading ? (
         <Text>Loading...</Text>
       ) : (
@@ -54,7 +109,7 @@ export const ServerLog = ({ host, port }) => {
             </Box>
             <Box>
               <Text color={logEvent.level === "CHAT" ? "green" : "white"}>
-                {logEvent.text}
+                {logEvent.raw ? toAnsi(logEvent.raw).trim() : logEvent.text}
               </Text>
             </Box>
           </Box>
@@ -1,4 +1,9 @@
 import { Box, Text } from "ink";
+import { toAnsi, toPlainText } from "../../libs/q2text";
+
+// Relleno según el largo visible, sin contar los códigos ANSI
+const padName = (name, width) =>
+  toAnsi(name) + " ".repeat(Math.max(0, width - toPlainText(name).length));
 
 export const ServerPlayers = ({ server }) => {
   if (!server.players) return;
@@ -21,7 +26,7 @@ export const ServerPlayers = ({ server }) => {
 
       {server.players.map((row, index) => (
         <Box key={index} justifyContent="space-between">
-          <Text color="yellow">{String(row.name).padEnd(20)}</Text>
+          <Text color="yellow">{padName(String(row.name), 20)}</Text>
           <Text>{String(row.frags)}</Text>
           <Text>{String(row.ping)}</Text>
         </Box>
@@ -3,72 +3,101 @@ import { useState, useEffect, useRef } from "react";
 import { ScrollList } from "ink-scroll-list";
 import { ScrollBar } from "../ui/ScrollBar";
 import { useScreenSize } from "fullscreen-ink";
-import { getServerStatus } from "../../libs/q2status";
+import { queryServers } from "../../libs/q2status";
+import { ServerListProvider } from "../../libs/q2master";
+import { toAnsi } from "../../libs/q2text";
 
-const fetchServersData = async () => {
-  const response = await fetch("http://q2servers.com/?raw=1");
-  const data = await response.text();
-  const servers = data.split("\n");
+// Fuentes de la lista: masters (master://host:port), listas raw por HTTP o
+// archivos, separadas por coma
+const SERVER_LIST = process.env.Q2_SERVER_LIST
+  ? process.env.Q2_SERVER_LIST.split(",").map((spec) => spec.trim())
+  : undefined;
 
-  const statuses = servers
-    .map((server) => {
-      const [host, port] = server.split(":");
-      if (!host || !port) return null;
-      return getServerStatus(host, parseInt(port));
-    })
-    .filter(Boolean);
+const serverList = new ServerListProvider({ sources: SERVER_LIST });
 
-  const resolved = await Promise.allSettled(statuses);
-  return resolved.map((status) => status.value);
-};
-
-export const Servers = ({ onChange, onSelect }) => {
+export const Servers = ({ onChange, onSelect, active = true }) => {
   const { height } = useScreenSize();
   const [loading, setLoading] = useState(true);
   const [servers, setServers] = useState([]);
+  const [error, setError] = useState(null);
   const [selectedIndex, setSelectedIndex] = useState(0);
 
   useEffect(() => {
+    let cancelled = false;
+
+    // La lista se va llenando a medida que responden los servidores
     const fetchServers = async () => {
-      const statuses = await fetchServersData();
-      const filteredStatuses = statuses.filter(Boolean);
-      setServers(filteredStatuses);
-      setLoading(false);
-      if (onChange) {
-        onChange(filteredStatuses[0]);
+      let list;
+      try {
+        ({ servers: list } = await serverList.getServers());
+      } catch (err) {
+        // Sin red y sin cache (la primera vez offline): lista vacía
+        if (!cancelled) {
+          setError(err.message);
+          setLoading(false);
+        }
+        return;
       }
+      let first = true;
+
+      for await (const { status } of queryServers(list, {
+        capabilities: true,
+      })) {
+        if (cancelled) break;
+        if (!status) continue;
+
+        // Ordenada por nuestro ping, como un browser de servidores
+        setServers((prev) =>
+          [...prev, status].sort((a, b) => a.net.rtt - b.net.rtt)
+        );
+        setLoading(false);
+        if (first && onChange) {
+          onChange(status);
+        }
+        first = false;
+      }
+      setLoading(false);
     };
     fetchServers();
+
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  useInput((input, key) => {
-    if (key.upArrow) {
-      setSelectedIndex((prev) => Math.max(prev - 1, 0));
-    }
-    if (key.downArrow) {
-      setSelectedIndex((prev) => Math.min(prev + 1, servers.length - 1));
-    }
-    if (input === "g") {
-      setSelectedIndex(0); // Jump to first
-    }
-    if (input === "G") {
-      setSelectedIndex(servers.length - 1); // Jump to last
-    }
-    if (key.return) {
-      if (onSelect) {
-        onSelect(servers[selectedIndex]);
-        return;
+  useInput(
+    (input, key) => {
+      if (key.upArrow) {
+        setSelectedIndex((prev) => Math.max(prev - 1, 0));
+      }
+      if (key.downArrow) {
+        setSelectedIndex((prev) => Math.min(prev + 1, servers.length - 1));
+      }
+      if (input === "g") {
+        setSelectedIndex(0); // Jump to first
       }
-    }
-    if (onChange) {
-      onChange(servers[selectedIndex]);
-    }
-  });
+      if (input === "G") {
+        setSelectedIndex(servers.length - 1); // Jump to last
+      }
+      if (key.return) {
+        if (onSelect) {
+          onSelect(servers[selectedIndex]);
+          return;
+        }
+      }
+      if (onChange) {
+        onChange(servers[selectedIndex]);
+      }
+    },
+    { isActive: active }
+  );
 
   return (
     <Box flexGrow={1} flexDirection="row" marginTop={1}>
       {loading ? (
         <Text>Loading...</Text>
+      ) : error ? (
+        <Text color="red">{error}</Text>
       ) : (
         <>
           <ScrollList selectedIndex={selectedIndex}>
@@ -78,7 +107,9 @@ export const Servers = ({ onChange, onSelect }) => {
                   key={index}
                   color={selectedIndex === index ? "green" : "white"}
                 >
-                  {server.config.hostname}
+                  {String(server.net.rtt).padStart(4)}ms{" "}
+                  {(server.capabilities?.name || "?").padEnd(7)}{" "}
+                  {toAnsi(server.config.hostname || "")}
                 </Text>
               </>
             ))}
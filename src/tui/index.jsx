@@ -12,6 +12,8 @@ const App = () => {
   const { height } = useScreenSize();
   const [selectedServer, setSelectedServer] = useState(null);
   const [loggedServer, setLoggedServer] = useState(null);
+  // Mientras se escribe en el log, las teclas no mueven la lista
+  const [typing, setTyping] = useState(false);
 
   return (
     <Box width={"100%"} height={height} flexDirection="row">
@@ -21,7 +23,11 @@ const App = () => {
         titleStyle={titleStyles.bold}
         width={"100%"}
       >
-        <Servers onChange={setSelectedServer} onSelect={setLoggedServer} />
+        <Servers
+          onChange={setSelectedServer}
+          onSelect={setLoggedServer}
+          active={!typing}
+        />
       </TitledBox>
       {selectedServer && (
         <Box
@@ -57,6 +63,7 @@ const App = () => {
             <ServerLog
               host={loggedServer.net.host}
               port={loggedServer.net.port}
+              onTyping={setTyping}
             />
           </ScrollView>
         </TitledBox>
@@ -0,0 +1,163 @@
+import * as THREE from "three";
+import { parseBsp, buildBspGeometry, SURF } from "../../libs/q2bsp.js";
+import { readPcxPalette, decodeWal } from "../../libs/q2wal.js";
+
+// MeshBasicMaterial divide el lightmap por PI; además los lightmaps de
+// Quake 2 se ven al doble (gl_modulate)
+const LIGHTMAP_INTENSITY = 2 * Math.PI;
+
+// Color estable por nombre de textura, para dibujar sin los .wal
+function textureColor(name) {
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) {
+    hash = (hash * 31 + name.charCodeAt(i)) | 0;
+  }
+  const color = new THREE.Color();
+  color.setHSL(((hash >>> 0) % 360) / 360, 0.25, 0.55);
+  return color;
+}
+
+async function fetchBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: ${response.status}`);
+  return response.arrayBuffer();
+}
+
+// Carga la paleta y los .wal del mapa; los que faltan quedan sin textura
+async function loadTextures(assetsUrl, names) {
+  const textures = new Map();
+
+  let palette;
+  try {
+    palette = readPcxPalette(
+      await fetchBuffer(`${assetsUrl}/pics/colormap.pcx`)
+    );
+  } catch (error) {
+    return textures;
+  }
+
+  await Promise.all(
+    names.map(async (name) => {
+      try {
+        const wal = decodeWal(
+          await fetchBuffer(`${assetsUrl}/textures/${name}.wal`),
+          palette
+        );
+        const texture = new THREE.DataTexture(
+          wal.data,
+          wal.width,
+          wal.height,
+          THREE.RGBAFormat
+        );
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.LinearMipmapLinearFilter;
+        texture.generateMipmaps = true;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        // Las uvs de la geometría vienen en texels
+        texture.repeat.set(1 / wal.width, 1 / wal.height);
+        texture.needsUpdate = true;
+        textures.set(name, texture);
+      } catch (error) {
+        // Sin el .wal se usa un color plano
+      }
+    })
+  );
+
+  return textures;
+}
+
+function createLightmapTexture(lightmap) {
+  const texture = new THREE.DataTexture(
+    lightmap.data,
+    lightmap.width,
+    lightmap.height,
+    THREE.RGBAFormat
+  );
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  // Los lightmaps usan el segundo juego de coordenadas (atributo uv1)
+  texture.channel = 1;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+function createMaterial(group, texture, lightMap) {
+  const material = new THREE.MeshBasicMaterial({
+    color: texture ? 0xffffff : textureColor(group.texture),
+    map: texture || null,
+    // El índice 255 de la paleta es transparente (rejas, etc)
+    alphaTest: texture ? 0.5 : 0,
+    lightMap,
+    lightMapIntensity: LIGHTMAP_INTENSITY,
+  });
+
+  if (group.flags & (SURF.TRANS33 | SURF.TRANS66)) {
+    material.transparent = true;
+    material.opacity = group.flags & SURF.TRANS33 ? 0.33 : 0.66;
+    material.depthWrite = false;
+  }
+
+  return material;
+}
+
+/**
+ * Carga un .bsp y arma un THREE.Mesh del mundo, en coordenadas de Quake
+ * (Z arriba). Si `assetsUrl` tiene pics/colormap.pcx y los .wal, las
+ * caras llevan textura; si no, un color por textura. Si el mapa tiene
+ * luz, los lightmaps van encima en los dos casos
+ */
+export async function loadBspMesh(url, options = {}) {
+  const bsp = parseBsp(await fetchBuffer(url));
+  const geometryData = buildBspGeometry(bsp);
+
+  const names = [...new Set(geometryData.groups.map((g) => g.texture))];
+  const textures = options.assetsUrl
+    ? await loadTextures(options.assetsUrl, names)
+    : new Map();
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(geometryData.positions, 3)
+  );
+  geometry.setAttribute(
+    "normal",
+    new THREE.BufferAttribute(geometryData.normals, 3)
+  );
+  geometry.setAttribute("uv", new THREE.BufferAttribute(geometryData.uvs, 2));
+  geometry.setAttribute(
+    "uv1",
+    new THREE.BufferAttribute(geometryData.lightmapUvs, 2)
+  );
+  geometry.setIndex(new THREE.BufferAttribute(geometryData.indices, 1));
+
+  const lightMap = bsp.lighting.length
+    ? createLightmapTexture(geometryData.lightmap)
+    : null;
+
+  const materials = geometryData.groups.map((group, i) => {
+    geometry.addGroup(group.start, group.count, i);
+    return createMaterial(group, textures.get(group.texture), lightMap);
+  });
+
+  const mesh = new THREE.Mesh(geometry, materials);
+  mesh.userData = {
+    entities: bsp.entities,
+    bounds: geometryData.bounds,
+    textures: [...textures.values()],
+    lightMap,
+  };
+  return mesh;
+}
+
+/**
+ * Libera la geometría, los materiales y las texturas de un mapa
+ */
+export function disposeBspMesh(mesh) {
+  mesh.geometry.dispose();
+  for (const material of mesh.material) material.dispose();
+  for (const texture of mesh.userData.textures) texture.dispose();
+  if (mesh.userData.lightMap) mesh.userData.lightMap.dispose();
+}
@@ -22,13 +22,17 @@ function updateConnectionStatus(status, text) {
   state.connected = status === "connected";
 }
 
-// Función para actualizar información del servidor
+// Función para actualizar información del servidor. `map` es el nombre del
+// nivel y `mapFile` el .bsp que se carga ("maps/q2dm1.bsp")
 function updateServerInfo(info) {
   if (info) {
-    state.serverInfo = info;
+    state.serverInfo = { ...state.serverInfo, ...info };
     if (info.map) {
       serverInfoEl.textContent = `Mapa: ${info.map}`;
     }
+    if (info.mapFile) {
+      renderer.loadMap(info.mapFile);
+    }
   }
 }
 
@@ -48,7 +52,12 @@ function updatePlayersList() {
 
     const name = document.createElement("div");
     name.className = "player-name";
-    name.textContent = player.name || `Jugador ${id}`;
+    // nameHtml viene escapado desde q2text (toHtml)
+    if (player.nameHtml) {
+      name.innerHTML = player.nameHtml;
+    } else {
+      name.textContent = player.name || `Jugador ${id}`;
+    }
 
     const pos = document.createElement("div");
     pos.className = "player-pos";
@@ -94,12 +103,19 @@ function connectSSE() {
       switch (data.type) {
         case "connected":
           updateConnectionStatus("connecting", "Conectando...");
+          if (data.map) {
+            updateServerInfo({ map: data.map, mapFile: data.mapFile });
+          }
           break;
 
         case "player_update":
           handlePlayerUpdate(data.data);
           break;
 
+        case "entity_leave":
+          handleEntityLeave(data.data);
+          break;
+
         case "server_info":
           handleServerInfo(data.data);
           break;
@@ -108,6 +124,10 @@ function connectSSE() {
           handleConnection(data.data);
           break;
 
+        case "download":
+          handleDownload(data.data);
+          break;
+
         default:
           console.log("Evento desconocido:", data.type);
       }
@@ -121,12 +141,13 @@ function connectSSE() {
 
 // Manejar actualización de jugador
 function handlePlayerUpdate(playerData) {
-  const { id, name, position, alive, angles } = playerData;
+  const { id, name, nameHtml, position, alive, angles } = playerData;
 
   // Actualizar estado
   state.players.set(id, {
     id,
     name,
+    nameHtml,
     position,
     alive,
     angles,
@@ -149,6 +170,17 @@ function handlePlayerUpdate(playerData) {
   updatePlayersList();
 }
 
+// Manejar entidades que salen de la vista (solo interesan los jugadores)
+function handleEntityLeave(entityData) {
+  if (entityData.playerId === null || entityData.playerId === undefined) {
+    return;
+  }
+
+  renderer.removePlayer(entityData.playerId);
+  state.players.delete(entityData.playerId);
+  updatePlayersList();
+}
+
 // Manejar información del servidor
 function handleServerInfo(serverData) {
   updateServerInfo(serverData);
@@ -158,6 +190,14 @@ function handleServerInfo(serverData) {
   }
 }
 
+// Si el cliente terminó de bajar el mapa actual, cargarlo
+function handleDownload({ file }) {
+  const mapFile = state.serverInfo && state.serverInfo.mapFile;
+  if (mapFile && file === mapFile) {
+    renderer.loadMap(mapFile);
+  }
+}
+
 // Manejar cambios de conexión
 function handleConnection(connData) {
   switch (connData.status) {
@@ -1,10 +1,18 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import { loadBspMesh, disposeBspMesh } from "./bspmesh.js";
+
+// Archivos del juego que sirve http-server.js
+const ASSETS_URL = "/api/assets";
 
 // Estado del renderer
 let scene, camera, renderer, controls;
 let playerMeshes = new Map();
 let gridHelper, axesHelper;
+// Mundo en coordenadas de Quake (Z arriba): el mapa y los jugadores
+let world;
+let mapMesh = null;
+let mapFile = null;
 
 // Función para generar color único por ID de jugador
 function getPlayerColor(playerId) {
@@ -74,6 +82,11 @@ export function initRenderer() {
   axesHelper = new THREE.AxesHelper(100);
   scene.add(axesHelper);
 
+  // Quake usa Z arriba y three.js Y arriba
+  world = new THREE.Group();
+  world.rotation.x = -Math.PI / 2;
+  scene.add(world);
+
   // Manejar resize
   window.addEventListener("resize", onWindowResize);
 
@@ -84,9 +97,67 @@ export function initRenderer() {
     updatePlayer,
     removePlayer,
     clearPlayers,
+    loadMap,
   };
 }
 
+// Cargar la geometría de un mapa a partir de su .bsp ("maps/q2dm1.bsp").
+// Si no está, se mantiene la grilla y se puede volver a intentar
+export async function loadMap(name) {
+  if (!name || name === mapFile) return mapMesh !== null;
+  mapFile = name;
+
+  let mesh;
+  try {
+    mesh = await loadBspMesh(`${ASSETS_URL}/${name}`, {
+      assetsUrl: ASSETS_URL,
+    });
+  } catch (error) {
+    console.warn(`Mapa ${name} no disponible: ${error.message}`);
+    if (mapFile === name) mapFile = null;
+    return false;
+  }
+
+  // Llegó otro mapa mientras se cargaba este
+  if (mapFile !== name) {
+    disposeBspMesh(mesh);
+    return false;
+  }
+
+  if (mapMesh) {
+    world.remove(mapMesh);
+    disposeBspMesh(mapMesh);
+  }
+  mapMesh = mesh;
+  world.add(mesh);
+  gridHelper.visible = false;
+  axesHelper.visible = false;
+  frameMap(mesh.userData.bounds);
+  return true;
+}
+
+// Apuntar la cámara al centro del mapa
+function frameMap({ mins, maxs }) {
+  const center = world.localToWorld(
+    new THREE.Vector3(
+      (mins.x + maxs.x) / 2,
+      (mins.y + maxs.y) / 2,
+      (mins.z + maxs.z) / 2
+    )
+  );
+  const size = Math.max(maxs.x - mins.x, maxs.y - mins.y, maxs.z - mins.z);
+
+  controls.target.copy(center);
+  controls.maxDistance = size * 2;
+  camera.position.set(
+    center.x + size * 0.5,
+    center.y + size * 0.5,
+    center.z + size * 0.5
+  );
+  camera.far = size * 4;
+  camera.updateProjectionMatrix();
+}
+
 // Actualizar posición de jugador
 export function updatePlayer(playerId, playerData) {
   const { name, position, angles } = playerData;
@@ -112,19 +183,20 @@ export function updatePlayer(playerId, playerData) {
     const sprite = createNameSprite(name || `Player ${playerId}`);
     mesh.add(sprite);
 
-    scene.add(mesh);
+    world.add(mesh);
     playerMeshes.set(playerId, mesh);
   }
 
   // Actualizar posición
   mesh.position.set(position.x, position.y, position.z);
 
-  // Actualizar rotación si hay ángulos
+  // Actualizar rotación si hay ángulos (yaw sobre Z, pitch sobre Y)
   if (angles) {
     mesh.rotation.set(
+      THREE.MathUtils.degToRad(angles.roll || 0),
       THREE.MathUtils.degToRad(angles.pitch || 0),
       THREE.MathUtils.degToRad(angles.yaw || 0),
-      THREE.MathUtils.degToRad(angles.roll || 0)
+      "ZYX"
     );
   }
 
@@ -143,7 +215,7 @@ export function updatePlayer(playerId, playerData) {
 export function removePlayer(playerId) {
   const mesh = playerMeshes.get(playerId);
   if (mesh) {
-    scene.remove(mesh);
+    world.remove(mesh);
     mesh.geometry.dispose();
     mesh.material.dispose();
     if (mesh.children.length > 0) {
@@ -187,7 +259,7 @@ function createNameSprite(name) {
   });
   const sprite = new THREE.Sprite(spriteMaterial);
   sprite.scale.set(100, 25, 1);
-  sprite.position.set(0, 40, 0);
+  sprite.position.set(0, 0, 40); // Arriba en coordenadas de Quake
   sprite.userData.name = name;
 
   return sprite;
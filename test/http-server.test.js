@@ -0,0 +1,174 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PROTOCOL } from "../src/libs/q2protocol.js";
+import { FakeQ2Server, waitForEvent } from "./q2fakeserver.js";
+
+const SERVER_SCRIPT = fileURLToPath(
+  new URL("../src/http-server.js", import.meta.url)
+);
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Puerto TCP libre para el servidor HTTP
+ */
+async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+/**
+ * Arranca src/http-server.js contra el servidor falso y espera a que
+ * escuche. El proceso se termina al final del test
+ */
+async function startHttpServer(t, q2Port, env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      Q2_SERVER: "127.0.0.1",
+      Q2_PORT: String(q2Port),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  t.after(() => child.kill("SIGTERM"));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error("El servidor HTTP no arrancó")),
+      5000
+    );
+    child.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("http://localhost")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`El servidor HTTP terminó (código ${code})`));
+    });
+  });
+
+  return `http://127.0.0.1:${port}`;
+}
+
+async function setup(t, env = {}) {
+  const server = new FakeQ2Server({ protocol: PROTOCOL.VERSION_Q2PRO });
+  const q2Port = await server.start();
+  t.after(() => server.close());
+
+  const begin = waitForEvent(server, "begin");
+  const url = await startHttpServer(t, q2Port, env);
+  await begin;
+
+  return { server, url };
+}
+
+const post = (url, body) =>
+  fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+// ============================================================================
+// API
+// ============================================================================
+
+test("POST /api/say llega al servidor de juego", async (t) => {
+  const { server, url } = await setup(t);
+
+  const command = waitForEvent(server, "command", ({ command }) =>
+    command.startsWith("say")
+  );
+  const response = await post(`${url}/api/say`, { text: "hola" });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { ok: true });
+  assert.equal((await command).command, 'say "hola"');
+});
+
+test("POST /api/say sin texto responde 400", async (t) => {
+  const { url } = await setup(t);
+
+  const response = await post(`${url}/api/say`, {});
+  assert.equal(response.status, 400);
+});
+
+test("POST /api/say con un texto demasiado largo responde 400", async (t) => {
+  const { url } = await setup(t);
+
+  const response = await post(`${url}/api/say`, { text: "x".repeat(2000) });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /demasiado largo/);
+
+  // El servidor HTTP sigue vivo
+  const ok = await post(`${url}/api/say`, { text: "hola" });
+  assert.equal(ok.status, 200);
+});
+
+test(
+  "/api/events reenvía los eventos del cliente por SSE",
+  { timeout: 15000 },
+  async (t) => {
+    const { server, url } = await setup(t);
+
+    const controller = new AbortController();
+    t.after(() => controller.abort());
+    const response = await fetch(`${url}/api/events`, {
+      signal: controller.signal,
+    });
+    assert.equal(response.headers.get("content-type"), "text/event-stream");
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    // El primer mensaje es el de conexión; recién ahí se cambia el mapa
+    while (!text.includes('"connected"')) {
+      text += decoder.decode((await reader.read()).value);
+    }
+    assert.match(text, /"mapFile":"maps\/q2dm1.bsp"/);
+    server.changeMap("q2dm2", "Tokay's Towers");
+
+    while (!text.includes("maps/q2dm2.bsp")) {
+      const { value, done } = await reader.read();
+      assert.equal(done, false);
+      text += decoder.decode(value);
+    }
+    assert.match(text, /"server_info"/);
+    assert.match(text, /"map":"Tokay's Towers"/);
+    assert.match(text, /"mapFile":"maps\/q2dm2.bsp"/);
+  }
+);
+
+test("GET /api/assets sirve los mapas de MAPS_DIR", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "q2mon-maps-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "maps"));
+  fs.writeFileSync(path.join(dir, "maps", "q2dm1.bsp"), "IBSP");
+
+  const { url } = await setup(t, { MAPS_DIR: dir });
+
+  const response = await fetch(`${url}/api/assets/maps/q2dm1.bsp`);
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), "IBSP");
+
+  const missing = await fetch(`${url}/api/assets/maps/q2dm2.bsp`);
+  assert.equal(missing.status, 404);
+
+  const outside = await fetch(`${url}/api/assets/..%2Fsecreto`);
+  assert.equal(outside.status, 400);
+});
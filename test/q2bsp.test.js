@@ -0,0 +1,230 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseBsp,
+  parseEntities,
+  buildBspGeometry,
+  faceVertices,
+  LUMP,
+  SURF,
+} from "../src/libs/q2bsp.js";
+import { decodeWal, readPcxPalette } from "../src/libs/q2wal.js";
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function floats(values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  return buffer;
+}
+
+function texinfo(texture, flags = 0) {
+  const buffer = Buffer.alloc(76);
+  floats([1, 0, 0, 0, 0, 1, 0, 0]).copy(buffer, 0);
+  buffer.writeInt32LE(flags, 32);
+  buffer.write(texture, 40, "latin1");
+  buffer.writeInt32LE(-1, 72);
+  return buffer;
+}
+
+function face({ plane = 0, side = 0, firstEdge, numEdges, tex, lightofs }) {
+  const buffer = Buffer.alloc(20);
+  buffer.writeUInt16LE(plane, 0);
+  buffer.writeInt16LE(side, 2);
+  buffer.writeInt32LE(firstEdge, 4);
+  buffer.writeInt16LE(numEdges, 8);
+  buffer.writeInt16LE(tex, 10);
+  buffer.writeUInt8(lightofs < 0 ? 255 : 0, 12);
+  buffer.fill(255, 13, 16);
+  buffer.writeInt32LE(lightofs, 16);
+  return buffer;
+}
+
+/**
+ * BSP de prueba: un piso de 64x64 en z=0 con lightmap y un cuadrado de
+ * cielo encima, que no se dibuja
+ */
+function testBsp() {
+  const lumps = [];
+  lumps[LUMP.ENTITIES] = Buffer.from(
+    '{\n"classname" "worldspawn"\n"message" "Test"\n}\n' +
+      '{\n"classname" "info_player_deathmatch"\n"origin" "32 32 24"\n}\n\0'
+  );
+  lumps[LUMP.PLANES] = Buffer.concat([floats([0, 0, 1, 0]), Buffer.alloc(4)]);
+  lumps[LUMP.VERTEXES] = floats([
+    0, 0, 0, 64, 0, 0, 64, 64, 0, 0, 64, 0, 0, 0, 128, 64, 0, 128, 64, 64, 128,
+    0, 64, 128,
+  ]);
+  lumps[LUMP.TEXINFO] = Buffer.concat([
+    texinfo("e1u1/floor1_2"),
+    texinfo("e1u1/sky1", SURF.SKY),
+  ]);
+
+  // Aristas 0 (sin uso), 1-4 del piso y 5-8 del cielo
+  const edges = [0, 0, 0, 1, 1, 2, 2, 3, 3, 0, 4, 5, 5, 6, 6, 7, 7, 4];
+  lumps[LUMP.EDGES] = Buffer.alloc(edges.length * 2);
+  edges.forEach((v, i) => lumps[LUMP.EDGES].writeUInt16LE(v, i * 2));
+
+  // El piso recorre sus aristas al revés (surfedges negativos)
+  const surfEdges = [-4, -3, -2, -1, 5, 6, 7, 8];
+  lumps[LUMP.SURFEDGES] = Buffer.alloc(surfEdges.length * 4);
+  surfEdges.forEach((e, i) => lumps[LUMP.SURFEDGES].writeInt32LE(e, i * 4));
+
+  lumps[LUMP.FACES] = Buffer.concat([
+    face({ firstEdge: 0, numEdges: 4, tex: 0, lightofs: 0 }),
+    face({ side: 1, firstEdge: 4, numEdges: 4, tex: 1, lightofs: -1 }),
+  ]);
+
+  // 64 unidades = 5x5 muestras de lightmap
+  lumps[LUMP.LIGHTING] = Buffer.alloc(5 * 5 * 3, 128);
+
+  const model = Buffer.alloc(48);
+  floats([0, 0, 0, 64, 64, 128, 0, 0, 0]).copy(model, 0);
+  model.writeInt32LE(0, 40);
+  model.writeInt32LE(2, 44);
+  lumps[LUMP.MODELS] = model;
+
+  const header = Buffer.alloc(8 + 19 * 8);
+  header.write("IBSP", 0, "latin1");
+  header.writeInt32LE(38, 4);
+
+  let offset = header.length;
+  const data = [];
+  for (let i = 0; i < 19; i++) {
+    const lump = lumps[i] || Buffer.alloc(0);
+    header.writeInt32LE(offset, 8 + i * 8);
+    header.writeInt32LE(lump.length, 8 + i * 8 + 4);
+    data.push(lump);
+    offset += lump.length;
+  }
+  return Buffer.concat([header, ...data]);
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+test("parseBsp lee los lumps del mapa", () => {
+  const bsp = parseBsp(testBsp());
+
+  assert.equal(bsp.version, 38);
+  assert.equal(bsp.vertices.length, 8 * 3);
+  assert.equal(bsp.faces.length, 2);
+  assert.equal(bsp.texinfo[0].texture, "e1u1/floor1_2");
+  assert.equal(bsp.texinfo[1].flags, SURF.SKY);
+  assert.deepEqual(bsp.models[0].maxs, { x: 64, y: 64, z: 128 });
+  assert.equal(bsp.entities[1].classname, "info_player_deathmatch");
+  assert.equal(bsp.entities[1].origin, "32 32 24");
+
+  // Un surfedge negativo toma el segundo vértice de la arista
+  assert.deepEqual(faceVertices(bsp, bsp.faces[0]), [0, 3, 2, 1]);
+});
+
+test("parseBsp acepta un ArrayBuffer", () => {
+  const buffer = testBsp();
+  const copy = buffer.buffer.slice(
+    buffer.byteOffset,
+    buffer.byteOffset + buffer.length
+  );
+  assert.equal(parseBsp(copy).faces.length, 2);
+});
+
+test("parseBsp rechaza archivos que no son IBSP 38", () => {
+  assert.throws(() => parseBsp(Buffer.alloc(10)), /corto/);
+  assert.throws(() => parseBsp(Buffer.alloc(200)), /No es un BSP/);
+
+  const quake1 = testBsp();
+  quake1.writeInt32LE(29, 4);
+  assert.throws(() => parseBsp(quake1), /Versión/);
+
+  const truncated = testBsp().subarray(0, 300);
+  assert.throws(() => parseBsp(truncated), /fuera del archivo/);
+});
+
+test("parseEntities separa los bloques de entidades", () => {
+  assert.deepEqual(
+    parseEntities('{ "classname" "light" "light" "300" }\n{ }'),
+    [{ classname: "light", light: "300" }, {}]
+  );
+});
+
+// ============================================================================
+// GEOMETRÍA
+// ============================================================================
+
+test("buildBspGeometry triangula las caras y saltea el cielo", () => {
+  const geometry = buildBspGeometry(parseBsp(testBsp()));
+
+  assert.equal(geometry.positions.length, 4 * 3);
+  assert.equal(geometry.indices.length, 6);
+  assert.deepEqual(geometry.groups, [
+    { texture: "e1u1/floor1_2", flags: 0, start: 0, count: 6 },
+  ]);
+  assert.deepEqual([...geometry.normals.subarray(0, 3)], [0, 0, 1]);
+
+  // Uvs en texels, según los vecs del texinfo
+  assert.deepEqual([...geometry.uvs.subarray(0, 4)], [0, 0, 0, 64]);
+
+  // Los triángulos quedan antihorarios vistos desde la normal (+Z)
+  const p = (i) => geometry.positions.subarray(i * 3, i * 3 + 3);
+  for (let i = 0; i < geometry.indices.length; i += 3) {
+    const [a, b, c] = [0, 1, 2].map((j) => p(geometry.indices[i + j]));
+    const cross = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    assert.ok(cross > 0);
+  }
+});
+
+test("buildBspGeometry arma el atlas de lightmaps", () => {
+  const { lightmap, lightmapUvs } = buildBspGeometry(parseBsp(testBsp()));
+
+  // Texel blanco reservado y el bloque de 5x5 a su derecha
+  assert.deepEqual(
+    [...lightmap.data.subarray(0, 8)],
+    [255, 255, 255, 255, 128, 128, 128, 255]
+  );
+  assert.equal(lightmap.height, 5);
+
+  // El primer vértice cae en el centro de la primera muestra
+  assert.equal(lightmapUvs[0], Math.fround(1.5 / lightmap.width));
+  assert.equal(lightmapUvs[1], Math.fround(0.5 / lightmap.height));
+});
+
+// ============================================================================
+// TEXTURAS
+// ============================================================================
+
+test("decodeWal pasa los índices a RGBA con la paleta", () => {
+  const palette = new Uint8Array(768);
+  palette.set([10, 20, 30], 1 * 3);
+  palette.set([40, 50, 60], 2 * 3);
+
+  const wal = Buffer.alloc(100 + 4);
+  wal.write("e1u1/test", 0, "latin1");
+  wal.writeUInt32LE(2, 32);
+  wal.writeUInt32LE(2, 36);
+  wal.writeUInt32LE(100, 40);
+  wal.set([1, 2, 255, 1], 100);
+
+  const texture = decodeWal(wal, palette);
+  assert.equal(texture.name, "e1u1/test");
+  assert.equal(texture.width, 2);
+  assert.deepEqual(
+    [...texture.data.subarray(0, 8)],
+    [10, 20, 30, 255, 40, 50, 60, 255]
+  );
+  // El índice 255 es transparente
+  assert.equal(texture.data[2 * 4 + 3], 0);
+});
+
+test("readPcxPalette toma los 768 bytes del final", () => {
+  const pcx = Buffer.alloc(128 + 1 + 768);
+  pcx[128] = 0x0c;
+  pcx[129] = 77;
+  const palette = readPcxPalette(pcx);
+  assert.equal(palette.length, 768);
+  assert.equal(palette[0], 77);
+
+  assert.throws(() => readPcxPalette(Buffer.alloc(800)), /paleta/);
+});
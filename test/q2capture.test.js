@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Q2Client } from "../src/libs/q2client.js";
+import {
+  CaptureReplayer,
+  parseCapture,
+  readCapture,
+} from "../src/libs/q2capture.js";
+import { PROTOCOL } from "../src/libs/q2protocol.js";
+import { FakeQ2Server, waitForEvent } from "./q2fakeserver.js";
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function tempCapture(t, name) {
+  const file = path.join(os.tmpdir(), `q2mon-${name}-${process.pid}.ndjson`);
+  t.after(() => fs.rmSync(file, { force: true }));
+  return file;
+}
+
+const onClient = (client, type, predicate = () => true) =>
+  waitForEvent(client, type, (event) => predicate(event.data)).then(
+    (event) => event.data
+  );
+
+/**
+ * Eventos que dependen solo de los bytes recibidos (no de timers)
+ */
+function collectEvents(client) {
+  const events = [];
+  for (const type of ["console_message", "server_info", "entity_enter"]) {
+    client.on(type, ({ data }) => events.push({ type, data }));
+  }
+  return events;
+}
+
+async function captureSession(t, file, protocol) {
+  const server = new FakeQ2Server({
+    protocol,
+    players: [{ name: "Player" }],
+    entities: [{ number: 10, modelindex: 2, origin: { x: 64, y: 32, z: 0 } }],
+  });
+  const port = await server.start();
+  t.after(() => server.close());
+
+  const client = new Q2Client({ serverPort: port, playerName: "tester" });
+  const events = collectEvents(client);
+
+  client.startCapture(file);
+  client.connect();
+  await onClient(client, "connection", ({ status }) => status === "spawned");
+  await onClient(client, "entity_enter", ({ id }) => id === 10);
+
+  server.print("mensaje capturado\n");
+  await onClient(client, "console_message", ({ text }) =>
+    text.includes("capturado")
+  );
+
+  const result = await client.stopCapture();
+  client.disconnect();
+  return { result, events };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+test("la captura guarda los datagramas de los dos sentidos", async (t) => {
+  const file = tempCapture(t, "capture");
+  const { result } = await captureSession(t, file, PROTOCOL.VERSION_DEFAULT);
+
+  const { header, packets } = await readCapture(file);
+  assert.equal(header.connected, false);
+  assert.equal(packets.length, result.packets);
+  assert.ok(packets.some((p) => p.dir === "in"));
+  assert.ok(packets.some((p) => p.dir === "out"));
+
+  // El primer paquete es el getchallenge del cliente
+  assert.equal(packets[0].dir, "out");
+  assert.match(packets[0].data.toString("latin1"), /^\xff{4}getchallenge/);
+});
+
+for (const protocol of [PROTOCOL.VERSION_DEFAULT, PROTOCOL.VERSION_Q2PRO]) {
+  test(`la reproducción emite los mismos eventos (protocolo ${protocol})`, async (t) => {
+    const file = tempCapture(t, `replay-${protocol}`);
+    const live = await captureSession(t, file, protocol);
+
+    const client = new Q2Client({ playerName: "tester" });
+    const events = collectEvents(client);
+    const replayer = new CaptureReplayer(client);
+    await replayer.load(file);
+    await replayer.run();
+
+    assert.deepEqual(events, live.events);
+    assert.equal(client.serverProtocol, protocol);
+    assert.deepEqual(client.getEntity(10).origin, { x: 64, y: 32, z: 0 });
+  });
+}
+
+test("una captura empezada en juego arranca con el protocolo", async (t) => {
+  const server = new FakeQ2Server({ protocol: PROTOCOL.VERSION_Q2PRO });
+  const port = await server.start();
+  t.after(() => server.close());
+
+  const client = new Q2Client({ serverPort: port });
+  t.after(() => client.disconnect());
+  client.connect();
+  await onClient(client, "connection", ({ status }) => status === "spawned");
+
+  const file = tempCapture(t, "midsession");
+  client.startCapture(file);
+  server.print("ya en juego\n");
+  await onClient(client, "console_message", ({ text }) =>
+    text.includes("en juego")
+  );
+  await client.stopCapture();
+
+  const replayClient = new Q2Client();
+  const messages = [];
+  replayClient.on("console_message", ({ data }) => messages.push(data.text));
+  const replayer = new CaptureReplayer(replayClient);
+  await replayer.load(file);
+
+  assert.equal(replayer.header.connected, true);
+  assert.equal(replayer.header.protocol, PROTOCOL.VERSION_Q2PRO);
+  await replayer.run();
+  assert.deepEqual(messages, ["ya en juego"]);
+});
+
+test("parseCapture rechaza archivos que no son capturas", () => {
+  assert.throws(() => parseCapture(""), /vacía/);
+  assert.throws(() => parseCapture('{"format":"otro"}\n'), /No es una captura/);
+  assert.throws(
+    () =>
+      parseCapture(
+        '{"format":"q2mon-capture","version":1}\n{"t":0,"dir":"x","data":""}\n'
+      ),
+    /línea 2/
+  );
+});
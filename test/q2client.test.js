@@ -0,0 +1,958 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Q2Client, EntityTracker } from "../src/libs/q2client.js";
+import {
+  PROTOCOL,
+  NETCHAN_OLD,
+  NETCHAN_NEW,
+  SVC,
+  TE,
+  UPDATE_BACKUP,
+} from "../src/libs/q2protocol.js";
+import { MessageWriter } from "../src/libs/q2msg.js";
+import {
+  CS_LAYOUT_VANILLA,
+  CS_LAYOUT_EXTENDED,
+} from "../src/libs/q2configstrings.js";
+import { readDemoBlocks } from "../src/libs/q2demo.js";
+import { FakeQ2Server, waitForEvent } from "./q2fakeserver.js";
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Levanta un servidor falso y un cliente conectado a él. Los dos se
+ * cierran al terminar el test
+ */
+async function setup(t, serverOptions = {}, clientOptions = {}) {
+  const server = new FakeQ2Server({
+    players: [{ name: "Player", frags: 5, ping: 40 }],
+    entities: [{ number: 10, modelindex: 2, origin: { x: 64, y: 32, z: 0 } }],
+    ...serverOptions,
+  });
+  const port = await server.start();
+
+  const client = new Q2Client({
+    serverPort: port,
+    playerName: "tester",
+    ...clientOptions,
+  });
+  const events = [];
+  client.on("event", (event) => events.push(event));
+
+  t.after(() => {
+    client.disconnect();
+    client.removeAllListeners();
+    server.close();
+  });
+
+  return { server, client, events };
+}
+
+/**
+ * Espera un evento del cliente y retorna su `data`
+ */
+const onClient = (client, type, predicate = () => true, timeout) =>
+  waitForEvent(client, type, (event) => predicate(event.data), timeout).then(
+    (event) => event.data
+  );
+
+const spawned = (client, timeout) =>
+  onClient(client, "connection", (data) => data.status === "spawned", timeout);
+
+// ============================================================================
+// HANDSHAKE
+// ============================================================================
+
+for (const protocol of [
+  PROTOCOL.VERSION_OLD,
+  PROTOCOL.VERSION_DEFAULT,
+  PROTOCOL.VERSION_R1Q2,
+  PROTOCOL.VERSION_Q2PRO,
+  PROTOCOL.VERSION_AQTION,
+]) {
+  test(`handshake completo con protocolo ${protocol}`, async (t) => {
+    const { server, client } = await setup(t, { protocol });
+
+    client.connect();
+    const begin = waitForEvent(server, "begin");
+    await spawned(client);
+    const serverClient = await begin;
+
+    assert.equal(client.serverProtocol, protocol);
+    assert.equal(serverClient.protocol, protocol);
+    assert.equal(client.currentMapName, "The Edge");
+    assert.equal(client.playerNames[0], "Player");
+
+    // El primer frame trae la entidad desde su baseline
+    await onClient(client, "entity_enter", (data) => data.id === 10);
+    assert.deepEqual(client.getEntity(10).origin, { x: 64, y: 32, z: 0 });
+  });
+}
+
+test("responde al \\x7Fc version del servidor", async (t) => {
+  const { server, client } = await setup(t);
+
+  client.connect();
+  const { command } = await waitForEvent(server, "command", ({ command }) =>
+    command.startsWith("\x7Fc version")
+  );
+  assert.equal(command, "\x7Fc version tester 1.0");
+});
+
+test("negocia el protocolo más alto que soportan los dos", async (t) => {
+  const { server, client } = await setup(t, {
+    protocol: PROTOCOL.VERSION_Q2PRO,
+  });
+
+  client.connect();
+  const { protocol } = await waitForEvent(server, "connect");
+  assert.equal(protocol, PROTOCOL.VERSION_Q2PRO);
+});
+
+test("baja al protocolo 26 si el servidor rechaza el 34", async (t) => {
+  const { server, client } = await setup(t, {
+    protocol: PROTOCOL.VERSION_OLD,
+  });
+
+  client.connect();
+  const rejected = await onClient(
+    client,
+    "connection",
+    ({ status }) => status === "reconnecting"
+  );
+  assert.equal(rejected.reason, "protocol_rejected");
+  assert.equal(rejected.protocol, PROTOCOL.VERSION_DEFAULT);
+
+  const { protocol, qport } = await waitForEvent(server, "connect");
+  assert.equal(protocol, PROTOCOL.VERSION_OLD);
+  assert.equal(qport, client.clientQport);
+  await spawned(client);
+});
+
+test("toma el tipo de netchan del nc= del client_connect", async (t) => {
+  const { client } = await setup(t, { protocol: PROTOCOL.VERSION_Q2PRO });
+
+  client.netchanType = NETCHAN_NEW;
+  client.connect();
+  await spawned(client);
+  assert.equal(client.netchan.type, NETCHAN_NEW);
+
+  // Un servidor r1q2 no manda nc=: netchan viejo aunque se pidiera el nuevo
+  const r1q2 = await setup(t, { protocol: PROTOCOL.VERSION_R1Q2 });
+  r1q2.client.netchanType = NETCHAN_NEW;
+  r1q2.client.connect();
+  await spawned(r1q2.client);
+  assert.equal(r1q2.client.netchan.type, NETCHAN_OLD);
+});
+
+// ============================================================================
+// JUEGO
+// ============================================================================
+
+test("recibe prints del servidor", async (t) => {
+  const { server, client } = await setup(t);
+
+  client.connect();
+  await spawned(client);
+
+  const message = onClient(client, "console_message", ({ text }) =>
+    text.includes("fragged")
+  );
+  server.print("Player was fragged\n");
+  const { text, raw } = await message;
+  assert.equal(text, "Player was fragged");
+  assert.equal(raw, "Player was fragged\n");
+});
+
+test("say llega al servidor como stringcmd", async (t) => {
+  const { server, client } = await setup(t, {
+    protocol: PROTOCOL.VERSION_Q2PRO,
+  });
+
+  client.connect();
+  await spawned(client);
+
+  const command = waitForEvent(server, "command", ({ command }) =>
+    command.startsWith("say")
+  );
+  client.say("hola a todos");
+  assert.equal((await command).command, 'say "hola a todos"');
+});
+
+test("en modo pasivo los comandos llegan sin begin", async (t) => {
+  const { server, client } = await setup(t, {}, { passiveMode: true });
+  const commands = [];
+  server.on("command", ({ command }) => commands.push(command));
+
+  client.connect();
+  const { passive } = await spawned(client);
+  assert.equal(passive, true);
+
+  const say = waitForEvent(server, "command", ({ command }) =>
+    command.startsWith("say")
+  );
+  client.say("mirando");
+  assert.equal((await say).command, 'say "mirando"');
+  assert.ok(!commands.some((command) => command.startsWith("begin")));
+});
+
+test("un cliente MVD rechaza los comandos", () => {
+  const client = new Q2Client({ mvdMode: true });
+  assert.throws(() => client.say("hola"), /no puede mandar comandos/);
+  assert.throws(() => client.setUserinfo("skin", "female/athena"), /comandos/);
+  assert.equal(client.commandQueue.length, 0);
+});
+
+test("un comando demasiado largo se rechaza sin cortar la conexión", async (t) => {
+  const { server, client } = await setup(t);
+
+  client.connect();
+  await spawned(client);
+
+  assert.throws(() => client.say("x".repeat(2000)), /demasiado largo/);
+  assert.throws(
+    () => client.setUserinfo("skin", "y".repeat(600)),
+    /Userinfo demasiado largo/
+  );
+  assert.equal(client.userinfo.skin, "male/grunt");
+
+  // La conexión sigue andando
+  const command = waitForEvent(server, "command", ({ command }) =>
+    command.startsWith("say")
+  );
+  client.say("sigo acá");
+  assert.equal((await command).command, 'say "sigo acá"');
+});
+
+test("pide el scoreboard con score si alguien lo escucha", async (t) => {
+  const { server, client } = await setup(
+    t,
+    { scoreboardFrames: 2 },
+    { scoreboardInterval: 500 }
+  );
+  const scores = [];
+  server.on("command", ({ command }) => {
+    if (command === "score") scores.push(Date.now());
+  });
+
+  client.connect();
+  await spawned(client);
+  await new Promise((resolve) => setTimeout(resolve, 700));
+  // Sin listeners no se pide
+  assert.equal(scores.length, 0);
+
+  const first = onClient(client, "scoreboard");
+  client.on("scoreboard", () => {});
+  const { players } = await first;
+  assert.deepEqual(players[0], {
+    clientNum: 0,
+    name: "Player",
+    score: 5,
+    ping: 40,
+    time: 0,
+  });
+
+  // Mientras el servidor lo reenvía no se vuelve a mandar score, que lo
+  // apagaría
+  await new Promise((resolve) => setTimeout(resolve, 1200));
+  assert.equal(scores.length, 1);
+
+  // Un respawn lo apaga: se pide de nuevo
+  server.hideScores();
+  await waitForEvent(server, "command", ({ command }) => command === "score");
+  await onClient(client, "scoreboard");
+  assert.equal(scores.length, 2);
+});
+
+test("sigue las entidades que se mueven entre frames", async (t) => {
+  const { server, client } = await setup(t);
+
+  client.connect();
+  await spawned(client);
+  await onClient(client, "entity_enter", (data) => data.id === 10);
+
+  server.setEntity(10, { origin: { x: 128, y: 32, z: 16 } });
+  await onClient(
+    client,
+    "entity_update",
+    ({ id, position }) => id === 10 && position.x === 128
+  );
+  assert.deepEqual(client.getEntity(10).origin, { x: 128, y: 32, z: 16 });
+});
+
+test("los moves confirman los frames recibidos", async (t) => {
+  const { server, client } = await setup(t);
+
+  client.connect();
+  await spawned(client);
+
+  const { lastFrame } = await waitForEvent(
+    server,
+    "move",
+    ({ lastFrame }) => lastFrame > 0
+  );
+  assert.ok(lastFrame <= server.frameNum);
+});
+
+for (const protocol of [PROTOCOL.VERSION_OLD, PROTOCOL.VERSION_DEFAULT]) {
+  test(`los moves de protocolo ${protocol} llevan el checksum`, async (t) => {
+    const { server, client } = await setup(t, { protocol });
+
+    client.connect();
+    await spawned(client);
+
+    const moves = [];
+    server.on("move", (move) => moves.push(move));
+    await waitForEvent(server, "move", ({ lastFrame }) => lastFrame > 0);
+    await waitForEvent(server, "move");
+    assert.ok(moves.length >= 2);
+    assert.ok(moves.every(({ checksumValid }) => checksumValid));
+  });
+}
+
+test("un frame contra un delta que no llegó pide uno completo", async (t) => {
+  const { server, client } = await setup(
+    t,
+    { protocol: PROTOCOL.VERSION_DEFAULT, deltaFrames: true },
+    { debug: true }
+  );
+
+  client.connect();
+  await spawned(client);
+  await waitForEvent(server, "move", ({ lastFrame }) => lastFrame > 0);
+
+  // Un frame se pierde y el siguiente viene como delta de ese
+  let lost = null;
+  let broken = null;
+  const writeFrame = server.writeFrame.bind(server);
+  server.writeFrame = (msg, serverClient) => {
+    if (lost === null) {
+      lost = server.frameNum;
+      writeFrame(new MessageWriter(1024), serverClient);
+      return -1;
+    }
+    if (broken === null) {
+      broken = server.frameNum;
+      serverClient.lastFrame = lost;
+    }
+    return writeFrame(msg, serverClient);
+  };
+
+  const notice = await new Promise((resolve) =>
+    client.on("raw_message", (event) => {
+      if (event.type === "frame_dropped") resolve(event.data);
+    })
+  );
+  assert.deepEqual(notice, { frameNum: broken, deltaNum: lost });
+
+  // El move siguiente no confirma nada y el servidor vuelve a mandar
+  // frames completos, que se aplican
+  await waitForEvent(server, "move", ({ lastFrame }) => lastFrame === -1);
+  const { frameNum } = await waitForEvent(
+    server,
+    "frame",
+    ({ deltaNum }) => deltaNum === -1
+  );
+  await waitForEvent(server, "move", ({ lastFrame }) => lastFrame >= frameNum);
+  assert.equal(client.frameValid, true);
+});
+
+test("un delta más viejo que UPDATE_BACKUP no es válido", () => {
+  const tracker = new EntityTracker();
+  const frame = { frameNum: 100, entities: new Map(), playerState: {} };
+  tracker.commitFrame(frame);
+
+  assert.deepEqual(tracker.getDeltaFrame(100, 101), { frame, valid: true });
+  assert.equal(tracker.getDeltaFrame(100, 100 + UPDATE_BACKUP).valid, false);
+  assert.equal(tracker.getDeltaFrame(99, 101).valid, false);
+  assert.deepEqual(tracker.getDeltaFrame(-1, 101), {
+    frame: null,
+    valid: true,
+  });
+});
+
+test("un frame sin su delta se descarta con un aviso de debug", () => {
+  const client = new Q2Client({ debug: true });
+  const notices = [];
+  client.on("raw_message", ({ type, data }) => notices.push({ type, data }));
+
+  client.beginFrame(100, 95);
+
+  assert.equal(client.frameValid, false);
+  assert.deepEqual(notices, [
+    { type: "frame_dropped", data: { frameNum: 100, deltaNum: 95 } },
+  ]);
+});
+
+test("el evento dura un frame y el old_origin es el origin anterior", () => {
+  const client = new Q2Client({});
+  const parseFrame = (entities, from, to) => {
+    const msg = new MessageWriter(64);
+    if (to) msg.writeDeltaEntity(from, to);
+    msg.writeShort(0);
+    return client.parsePacketEntities(msg.toBuffer(), 0, { entities }).entities;
+  };
+
+  const spawn = {
+    ...client.entityTracker.createEmptyEntity(),
+    number: 10,
+    modelindex: 2,
+    origin: { x: 64, y: 0, z: 0 },
+  };
+  const first = parseFrame(new Map([[10, spawn]]), spawn, {
+    ...spawn,
+    origin: { x: 80, y: 0, z: 0 },
+    event: 1, // EV_ITEM_RESPAWN
+  });
+  assert.equal(first.get(10).event, 1);
+  assert.deepEqual(first.get(10).old_origin, { x: 64, y: 0, z: 0 });
+
+  const second = parseFrame(first, first.get(10), {
+    ...first.get(10),
+    origin: { x: 96, y: 0, z: 0 },
+    event: 0,
+  });
+  assert.equal(second.get(10).event, 0);
+  assert.deepEqual(second.get(10).old_origin, { x: 80, y: 0, z: 0 });
+
+  // Sin delta la entidad queda quieta: el old_origin alcanza al origin
+  const third = parseFrame(second);
+  assert.deepEqual(third.get(10).origin, { x: 96, y: 0, z: 0 });
+  assert.deepEqual(third.get(10).old_origin, { x: 96, y: 0, z: 0 });
+});
+
+test("con updateInterval sale la última actualización retenida", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+
+  const client = new Q2Client({ updateInterval: 100 });
+  const positions = [];
+  client.on("event", ({ type, data }) => {
+    if (type === "player_update") positions.push(data.position.x);
+  });
+  const move = (x) =>
+    client.handleGameMessages([
+      { type: "player_state", data: { position: { x, y: 0, z: 0 } } },
+    ]);
+
+  t.mock.timers.tick(1000);
+  move(1);
+  move(2);
+  move(3);
+  assert.deepEqual(positions, [1]);
+
+  // Al vencer el intervalo sale la más nueva
+  t.mock.timers.tick(100);
+  assert.deepEqual(positions, [1, 3]);
+
+  // Sin más frames no queda nada pendiente
+  t.mock.timers.tick(500);
+  move(4);
+  assert.deepEqual(positions, [1, 3, 4]);
+  move(5);
+  client.disconnect();
+  t.mock.timers.tick(100);
+  assert.deepEqual(positions, [1, 3, 4]);
+});
+
+// ============================================================================
+// TEMP ENTITIES
+// ============================================================================
+
+/**
+ * Parsea un mensaje armado a mano con un cliente sin conexión
+ */
+function parseMessage(write, client = new Q2Client({})) {
+  const msg = new MessageWriter(1024);
+  write(msg);
+  return client.parseGameMessage(msg.toBuffer());
+}
+
+test("decodifica la posición y la dirección de un TE_GUNSHOT", () => {
+  const [message] = parseMessage((msg) => {
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.GUNSHOT);
+    msg.writePos({ x: 8, y: -16, z: 24.5 });
+    msg.writeByte(0); // primera normal de anorms.h
+  });
+
+  assert.deepEqual(message, {
+    type: "temp_entity",
+    data: {
+      type: TE.GUNSHOT,
+      name: "GUNSHOT",
+      position: { x: 8, y: -16, z: 24.5 },
+      dir: { x: -0.525731, y: 0, z: 0.850651 },
+    },
+  });
+});
+
+test("cada formato de temp entity consume sus bytes exactos", () => {
+  const msgs = parseMessage((msg) => {
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.RAILTRAIL);
+    msg.writePos({ x: 0, y: 0, z: 0 });
+    msg.writePos({ x: 512, y: 0, z: 0 });
+
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.SPLASH);
+    msg.writeByte(8); // count
+    msg.writePos({ x: 1, y: 2, z: 3 });
+    msg.writeByte(5);
+    msg.writeByte(2); // color
+
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.LIGHTNING);
+    msg.writeShort(3);
+    msg.writeShort(4);
+    msg.writePos({ x: 10, y: 20, z: 30 });
+    msg.writePos({ x: 40, y: 50, z: 60 });
+
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.GRAPPLE_CABLE);
+    msg.writeShort(7);
+    msg.writePos({ x: 1, y: 1, z: 1 });
+    msg.writePos({ x: 2, y: 2, z: 2 });
+    msg.writePos({ x: 0, y: 0, z: 8 });
+
+    msg.writeByte(SVC.PRINT);
+    msg.writeByte(2);
+    msg.writeString("sigue sincronizado\n");
+  });
+
+  assert.deepEqual(
+    msgs.map(({ type, data }) => (data ? data.name : type)),
+    ["RAILTRAIL", "SPLASH", "LIGHTNING", "GRAPPLE_CABLE", "print"]
+  );
+  assert.deepEqual(msgs[0].data.position2, { x: 512, y: 0, z: 0 });
+  assert.equal(msgs[1].data.count, 8);
+  assert.equal(msgs[1].data.color, 2);
+  assert.deepEqual(msgs[1].data.position, { x: 1, y: 2, z: 3 });
+  assert.equal(msgs[2].data.entity, 3);
+  assert.equal(msgs[2].data.entity2, 4);
+  assert.deepEqual(msgs[2].data.position2, { x: 40, y: 50, z: 60 });
+  assert.equal(msgs[3].data.entity, 7);
+  assert.deepEqual(msgs[3].data.offset, { x: 0, y: 0, z: 8 });
+  assert.equal(msgs[4].text, "sigue sincronizado");
+});
+
+test("TE_STEAM solo lleva el tiempo si tiene id", () => {
+  const writeSteam = (msg, id) => {
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.STEAM);
+    msg.writeShort(id);
+    msg.writeByte(10); // count
+    msg.writePos({ x: 0, y: 0, z: 0 });
+    msg.writeByte(0);
+    msg.writeByte(224); // color
+    msg.writeShort(50); // magnitud
+    if (id !== -1) msg.writeLong(2000);
+  };
+
+  const msgs = parseMessage((msg) => {
+    writeSteam(msg, -1);
+    writeSteam(msg, 12);
+  });
+
+  assert.equal(msgs.length, 2);
+  assert.equal(msgs[0].data.entity, -1);
+  assert.equal(msgs[0].data.time, undefined);
+  assert.equal(msgs[1].data.entity, 12);
+  assert.equal(msgs[1].data.entity2, 50);
+  assert.equal(msgs[1].data.time, 2000);
+});
+
+test("un temp entity sin formato conocido corta el mensaje", () => {
+  const msgs = parseMessage((msg) => {
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.EXPLOSION1);
+    msg.writePos({ x: 0, y: 0, z: 0 });
+
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.FLAME);
+    msg.writeByte(SVC.PRINT);
+    msg.writeByte(2);
+    msg.writeString("no se parsea\n");
+  });
+
+  assert.deepEqual(
+    msgs.map(({ data }) => data.name),
+    ["EXPLOSION1"]
+  );
+});
+
+// ============================================================================
+// GAMESTATE
+// ============================================================================
+
+/**
+ * Cliente sin conexión que ya recibió un serverdata de q2pro
+ */
+function q2proClient(layout = CS_LAYOUT_VANILLA) {
+  const client = new Q2Client({});
+  client.serverProtocol = PROTOCOL.VERSION_Q2PRO;
+  client.configStrings.setLayout(layout);
+  return client;
+}
+
+const writeConfigString = (msg, index, text) => {
+  msg.writeShort(index);
+  msg.writeString(text);
+};
+
+const writeBaseline = (msg, client, number, state) => {
+  const empty = client.entityTracker.createEmptyEntity();
+  msg.writeDeltaEntity(
+    empty,
+    {
+      ...empty,
+      ...state,
+      number,
+      origin: { ...empty.origin, ...state.origin },
+    },
+    true,
+    true
+  );
+};
+
+const writePrint = (msg, text) => {
+  msg.writeByte(SVC.PRINT);
+  msg.writeByte(2);
+  msg.writeString(text);
+};
+
+test("svc_configstringstream termina en el fin del layout vanilla", () => {
+  const client = q2proClient();
+  const msgs = parseMessage((msg) => {
+    msg.writeByte(SVC.CONFIGSTRINGSTREAM);
+    writeConfigString(msg, 0, "The Edge");
+    writeConfigString(msg, 33, "maps/q2dm1.bsp");
+    writeConfigString(msg, 1312, "Player\\male/grunt");
+    msg.writeShort(CS_LAYOUT_VANILLA.END);
+    writePrint(msg, "fin del stream\n");
+  }, client);
+
+  assert.deepEqual(
+    msgs.map(({ type, index, text }) => [type, index, text]),
+    [
+      ["configstring", 0, "The Edge"],
+      ["configstring", 33, "maps/q2dm1.bsp"],
+      ["configstring", 1312, "Player\\male/grunt"],
+      ["print", undefined, "fin del stream"],
+    ]
+  );
+});
+
+test("con límites extendidos el stream sigue después del índice 2080", () => {
+  const client = q2proClient(CS_LAYOUT_EXTENDED);
+  const msgs = parseMessage((msg) => {
+    msg.writeByte(SVC.CONFIGSTRINGSTREAM);
+    writeConfigString(msg, 63, "maps/q2dm1.bsp");
+    writeConfigString(msg, CS_LAYOUT_VANILLA.END, "models/extra.md2");
+    writeConfigString(msg, 12862, "Player\\male/grunt");
+    msg.writeShort(CS_LAYOUT_EXTENDED.END);
+    writePrint(msg, "fin\n");
+  }, client);
+
+  assert.deepEqual(
+    msgs.map(({ type, index }) => [type, index]),
+    [
+      ["configstring", 63],
+      ["configstring", 2080],
+      ["configstring", 12862],
+      ["print", undefined],
+    ]
+  );
+});
+
+test("svc_baselinestream guarda las baselines hasta la entidad 0", () => {
+  const client = q2proClient();
+  const msgs = parseMessage((msg) => {
+    msg.writeByte(SVC.BASELINESTREAM);
+    writeBaseline(msg, client, 10, {
+      modelindex: 2,
+      origin: { x: 64, y: -32, z: 8 },
+    });
+    writeBaseline(msg, client, 300, { modelindex: 5, skinnum: 3 });
+    msg.writeShort(0); // bits 0, entidad 0
+    writePrint(msg, "fin\n");
+  }, client);
+
+  assert.deepEqual(
+    msgs.map(({ type }) => type),
+    ["print"]
+  );
+  const { baselines } = client.entityTracker;
+  assert.equal(baselines[10].modelindex, 2);
+  assert.deepEqual(baselines[10].origin, { x: 64, y: -32, z: 8 });
+  // U_NUMBER16
+  assert.equal(baselines[300].modelindex, 5);
+  assert.equal(baselines[300].skinnum, 3);
+});
+
+test("svc_gamestate trae configstrings y después baselines", () => {
+  const client = q2proClient();
+  const msgs = parseMessage((msg) => {
+    msg.writeByte(SVC.GAMESTATE);
+    writeConfigString(msg, 0, "The Edge");
+    msg.writeShort(CS_LAYOUT_VANILLA.END);
+    writeBaseline(msg, client, 12, { modelindex: 7 });
+    msg.writeShort(0);
+    writePrint(msg, "fin\n");
+  }, client);
+
+  assert.deepEqual(
+    msgs.map(({ type }) => type),
+    ["configstring", "print"]
+  );
+  assert.equal(client.entityTracker.baselines[12].modelindex, 7);
+});
+
+// ============================================================================
+// DEMOS
+// ============================================================================
+
+test("un demo que no se puede escribir se reporta sin tirar el proceso", async () => {
+  const client = new Q2Client({});
+  const dir = path.join(os.tmpdir(), `q2mon-no-existe-${process.pid}`);
+
+  const error = onClient(
+    client,
+    "recording",
+    ({ status }) => status === "error"
+  );
+  client.startRecording(path.join(dir, "test.dm2"));
+
+  const { reason } = await error;
+  assert.match(reason, /ENOENT/);
+  assert.equal(client.isRecording(), false);
+  // No queda nada que cerrar
+  assert.equal(await client.stopRecording(), null);
+});
+
+test("un demo de protocolo 34 empieza con un frame sin delta", async (t) => {
+  const { server, client } = await setup(t, {
+    protocol: PROTOCOL.VERSION_DEFAULT,
+    deltaFrames: true,
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "q2mon-demo-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  client.connect();
+  await spawned(client);
+
+  // Ya en juego, el servidor manda deltas contra los frames confirmados.
+  // Con el frame completo del spawn ya confirmado no queda otro en camino
+  const { frameNum: deltaFrame } = await waitForEvent(
+    server,
+    "frame",
+    ({ deltaNum }) => deltaNum > 0
+  );
+  await waitForEvent(
+    server,
+    "move",
+    ({ lastFrame }) => lastFrame >= deltaFrame
+  );
+
+  client.startRecording(path.join(dir, "test.dm2"));
+  // Al empezar se pide un frame completo
+  await waitForEvent(server, "move", ({ lastFrame }) => lastFrame === -1);
+  // Se graba hasta que el cliente confirma un delta posterior
+  const { frameNum } = await waitForEvent(
+    server,
+    "frame",
+    ({ deltaNum }) => deltaNum > 0
+  );
+  await waitForEvent(server, "move", ({ lastFrame }) => lastFrame >= frameNum);
+  const { path: demoPath } = await client.stopRecording();
+
+  const frames = readDemoBlocks(fs.readFileSync(demoPath))
+    .filter((block) => block[0] === SVC.FRAME)
+    .map((block) => block.readInt32LE(5));
+  assert.ok(frames.length >= 2);
+  assert.equal(frames[0], -1);
+  // Los frames que siguen vuelven a ser deltas
+  assert.ok(frames.slice(1).some((deltaNum) => deltaNum > 0));
+});
+
+test("un demo re-codificado copia los mensajes y los textos sin limpiar", async (t) => {
+  const { server, client } = await setup(t, {
+    protocol: PROTOCOL.VERSION_Q2PRO,
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "q2mon-demo-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  client.connect();
+  await spawned(client);
+  client.startRecording(path.join(dir, "test.dm2"));
+
+  const general = CS_LAYOUT_VANILLA.GENERAL + 1;
+  const configString = (msg, text) => {
+    msg.writeByte(SVC.CONFIGSTRING);
+    writeConfigString(msg, general, text);
+  };
+  server.broadcast((msg) => {
+    msg.writeByte(SVC.PRINT);
+    msg.writeByte(2);
+    msg.writeString("\xc8ola\n"); // "H" verde
+    configString(msg, "^1rojo");
+    configString(msg, "");
+    msg.writeByte(SVC.TEMP_ENTITY);
+    msg.writeByte(TE.GUNSHOT);
+    msg.writePos({ x: 8, y: -16, z: 24 });
+    msg.writeByte(0);
+    msg.writeByte(SVC.SOUND);
+    msg.writeByte(0x20); // índice de 16 bits de q2pro
+    msg.writeShort(5);
+  });
+  server.print("fin\n");
+  await onClient(client, "console_message", ({ text }) => text === "fin");
+  const { path: demoPath } = await client.stopRecording();
+
+  const blocks = readDemoBlocks(fs.readFileSync(demoPath));
+  const has = (write) => {
+    const msg = new MessageWriter(64);
+    write(msg);
+    const expected = msg.toBuffer();
+    return blocks.some((block) => block.equals(expected));
+  };
+
+  assert.ok(
+    has((msg) => {
+      msg.writeByte(SVC.PRINT);
+      msg.writeByte(2);
+      msg.writeString("\xc8ola\n");
+    })
+  );
+  assert.ok(has((msg) => configString(msg, "^1rojo")));
+  assert.ok(has((msg) => configString(msg, "")));
+  assert.ok(
+    has((msg) => {
+      msg.writeByte(SVC.TEMP_ENTITY);
+      msg.writeByte(TE.GUNSHOT);
+      msg.writePos({ x: 8, y: -16, z: 24 });
+      msg.writeByte(0);
+    })
+  );
+  // El sonido pasa al índice de 8 bits de protocolo 34
+  assert.ok(
+    has((msg) => {
+      msg.writeByte(SVC.SOUND);
+      msg.writeByte(0);
+      msg.writeByte(5);
+    })
+  );
+  assert.equal(client.configStrings.get(general), "");
+});
+
+// ============================================================================
+// RECONEXIÓN
+// ============================================================================
+
+test("reconecta con svc_reconnect", async (t) => {
+  const { server, client } = await setup(t, {
+    protocol: PROTOCOL.VERSION_Q2PRO,
+  });
+
+  client.connect();
+  await spawned(client);
+
+  server.reconnect();
+  await waitForEvent(server, "challenge");
+  await spawned(client);
+  assert.equal(server.clients.size, 1);
+});
+
+test("sigue al servidor en un cambio de mapa", async (t) => {
+  const { server, client } = await setup(t);
+
+  client.connect();
+  await spawned(client);
+
+  // El viewer carga el .bsp del modelo 1, no el nombre del nivel
+  const mapFile = onClient(
+    client,
+    "server_info",
+    ({ event, mapFile }) => event === "map_file" && mapFile
+  );
+  server.changeMap("q2dm2", "Tokay's Towers");
+  await onClient(
+    client,
+    "server_info",
+    ({ event, map }) => event === "map_name" && map === "Tokay's Towers"
+  );
+  assert.equal((await mapFile).mapFile, "maps/q2dm2.bsp");
+  await spawned(client);
+  assert.equal(client.serverCount, 2);
+});
+
+// ============================================================================
+// RED
+// ============================================================================
+
+for (const protocol of [PROTOCOL.VERSION_DEFAULT, PROTOCOL.VERSION_Q2PRO]) {
+  test(`tolera pérdida y desorden (protocolo ${protocol})`, async (t) => {
+    const { server, client } = await setup(t, {
+      protocol,
+      loss: 0.2,
+      reorder: 0.2,
+      seed: 1234,
+    });
+
+    client.connect();
+    await spawned(client, 10000);
+
+    // Los reliable se reenvían hasta que llegan, en orden
+    const messages = [];
+    client.on("console_message", ({ data }) => messages.push(data.text));
+    for (let i = 0; i < 5; i++) server.print(`mensaje ${i}\n`);
+
+    await onClient(
+      client,
+      "console_message",
+      ({ text }) => text === "mensaje 4",
+      10000
+    );
+    assert.deepEqual(
+      messages.filter((text) => text.startsWith("mensaje")),
+      ["mensaje 0", "mensaje 1", "mensaje 2", "mensaje 3", "mensaje 4"]
+    );
+  });
+}
+
+test("un reliable que no entra se descarta con un aviso de debug", () => {
+  const client = new Q2Client({ debug: true });
+  const notices = [];
+  client.on("raw_message", ({ type, data }) => notices.push({ type, data }));
+
+  client.queueNetchanReliable(Buffer.alloc(client.netchan.maxReliableLen + 1));
+
+  assert.equal(client.netchan.reliableQueue.length, 0);
+  assert.deepEqual(notices, [
+    {
+      type: "reliable_dropped",
+      data: { bytes: client.netchan.maxReliableLen + 1 },
+    },
+  ]);
+});
+
+test("rcon sobre el socket de la conexión", async (t) => {
+  const { server, client } = await setup(t, {
+    rconPassword: "secret",
+    rcon: (command) => `map: q2dm1\nran ${command}\n`,
+  });
+
+  client.connect();
+  await spawned(client);
+
+  const output = await client.rcon("secret", "status");
+  assert.equal(output, "map: q2dm1\nran status\n");
+
+  await assert.rejects(client.rcon("wrong", "status"), /Password de rcon/);
+  await assert.rejects(client.rcon('se"cret', "status"), /comillas/);
+  assert.equal(client.rconRequest, null);
+});
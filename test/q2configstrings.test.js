@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ConfigStrings,
+  CS_LAYOUT_VANILLA,
+  CS_LAYOUT_EXTENDED,
+} from "../src/libs/q2configstrings.js";
+
+// ============================================================================
+// LAYOUTS
+// ============================================================================
+
+test("los layouts tienen los índices de q_shared.h", () => {
+  // Vanilla: MAX_MODELS/SOUNDS/IMAGES/LIGHTSTYLES/ITEMS/CLIENTS = 256
+  assert.deepEqual(
+    [
+      CS_LAYOUT_VANILLA.MODELS,
+      CS_LAYOUT_VANILLA.SOUNDS,
+      CS_LAYOUT_VANILLA.IMAGES,
+      CS_LAYOUT_VANILLA.LIGHTS,
+      CS_LAYOUT_VANILLA.ITEMS,
+      CS_LAYOUT_VANILLA.PLAYERSKINS,
+      CS_LAYOUT_VANILLA.GENERAL,
+      CS_LAYOUT_VANILLA.END,
+    ],
+    [32, 288, 544, 800, 1056, 1312, 1568, 2080]
+  );
+
+  // q2pro: 8192 modelos, 2048 sonidos e imágenes
+  assert.deepEqual(
+    [
+      CS_LAYOUT_EXTENDED.AIRACCEL,
+      CS_LAYOUT_EXTENDED.MODELS,
+      CS_LAYOUT_EXTENDED.SOUNDS,
+      CS_LAYOUT_EXTENDED.IMAGES,
+      CS_LAYOUT_EXTENDED.LIGHTS,
+      CS_LAYOUT_EXTENDED.ITEMS,
+      CS_LAYOUT_EXTENDED.PLAYERSKINS,
+      CS_LAYOUT_EXTENDED.GENERAL,
+      CS_LAYOUT_EXTENDED.END,
+    ],
+    [59, 62, 8254, 10302, 12350, 12606, 12862, 13118, 13630]
+  );
+});
+
+test("decode() resuelve el rango según el layout", () => {
+  const vanilla = new ConfigStrings();
+  const extended = new ConfigStrings(CS_LAYOUT_EXTENDED);
+
+  assert.deepEqual(vanilla.decode(33), { range: "models", offset: 1 });
+  // En el layout extendido la statusbar llega hasta el 58
+  assert.deepEqual(extended.decode(33), { range: "statusbar", offset: 28 });
+  assert.deepEqual(extended.decode(63), { range: "models", offset: 1 });
+
+  assert.deepEqual(vanilla.decode(1315), { range: "playerskins", offset: 3 });
+  assert.deepEqual(extended.decode(12865), {
+    range: "playerskins",
+    offset: 3,
+  });
+  assert.deepEqual(vanilla.decode(288), { range: "sounds", offset: 0 });
+  assert.deepEqual(extended.decode(288), { range: "models", offset: 226 });
+
+  assert.equal(vanilla.decode(2080), null);
+  assert.equal(extended.decode(13630), null);
+});
+
+// ============================================================================
+// CONVERSIÓN A VANILLA
+// ============================================================================
+
+test("toVanillaIndex() mueve cada rango a su lugar vanilla", () => {
+  const vanilla = new ConfigStrings();
+  const extended = new ConfigStrings(CS_LAYOUT_EXTENDED);
+
+  assert.equal(vanilla.toVanillaIndex(1000), 1000);
+
+  assert.equal(extended.toVanillaIndex(0), 0);
+  assert.equal(extended.toVanillaIndex(10), 10);
+  assert.equal(extended.toVanillaIndex(59), 29); // airaccel
+  assert.equal(extended.toVanillaIndex(60), 30); // maxclients
+  assert.equal(extended.toVanillaIndex(63), 33); // modelo 1
+  assert.equal(extended.toVanillaIndex(8254 + 5), 288 + 5); // sonido 5
+  assert.equal(extended.toVanillaIndex(12350 + 1), 800 + 1); // luz 1
+  assert.equal(extended.toVanillaIndex(12862 + 7), 1312 + 7); // jugador 7
+  assert.equal(extended.toVanillaIndex(13118 + 2), 1568 + 2); // general 2
+});
+
+test("toVanillaIndex() descarta lo que no entra en los límites vanilla", () => {
+  const extended = new ConfigStrings(CS_LAYOUT_EXTENDED);
+
+  // La statusbar vanilla ocupa 24 índices (5 a 28)
+  assert.equal(extended.toVanillaIndex(5 + 23), 28);
+  assert.equal(extended.toVanillaIndex(5 + 24), -1);
+  assert.equal(extended.toVanillaIndex(62 + 256), -1); // modelo 256
+  assert.equal(extended.toVanillaIndex(8254 + 256), -1); // sonido 256
+  assert.equal(extended.toVanillaIndex(10302 + 2047), -1); // imagen 2047
+  assert.equal(extended.toVanillaIndex(13630), -1);
+});
+
+test("toVanilla() copia los configstrings con índices vanilla", () => {
+  const cs = new ConfigStrings(CS_LAYOUT_EXTENDED);
+  cs.set(0, "The Edge");
+  cs.set(63, "maps/q2dm1.bsp");
+  cs.set(62 + 300, "models/extra.md2");
+  cs.set(12862, "Player\\male/grunt");
+
+  assert.deepEqual(cs.toVanilla(), {
+    0: "The Edge",
+    33: "maps/q2dm1.bsp",
+    1312: "Player\\male/grunt",
+  });
+});
+
+// ============================================================================
+// GETTERS
+// ============================================================================
+
+test("los getters siguen al layout activo", () => {
+  const cs = new ConfigStrings();
+  cs.set(33, "maps/q2dm1.bsp");
+  cs.set(1312 + 2, "Player\\female/athena");
+  cs.set(30, "16");
+
+  assert.equal(cs.getModelName(1), "maps/q2dm1.bsp");
+  assert.equal(cs.getMapName(), "q2dm1");
+  assert.equal(cs.getMaxClients(), 16);
+  assert.deepEqual(cs.getPlayerSkin(2), {
+    name: "Player",
+    model: "female",
+    skin: "athena",
+  });
+
+  cs.setLayout(CS_LAYOUT_EXTENDED);
+  assert.equal(cs.getModelName(1), null);
+  assert.equal(cs.getPlayerName(2), null);
+
+  cs.set(63, "maps/q2dm2.bsp");
+  cs.set(60, "8");
+  cs.set(12862 + 2, "Otro\\male/grunt");
+  assert.equal(cs.getMapName(), "q2dm2");
+  assert.equal(cs.getMaxClients(), 8);
+  assert.equal(cs.getPlayerName(2), "Otro");
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crcBlock, blockSequenceCRCByte } from "../src/libs/q2crc.js";
+
+test("crcBlock es CRC-CCITT con valor inicial 0xffff", () => {
+  assert.equal(crcBlock(Buffer.from("123456789")), 0x29b1);
+  assert.equal(crcBlock(Buffer.alloc(0)), 0xffff);
+});
+
+test("blockSequenceCRCByte mezcla los datos con chktbl según la secuencia", () => {
+  const data = Buffer.from("123456789");
+  assert.equal(blockSequenceCRCByte(data, 0), 91);
+  assert.equal(blockSequenceCRCByte(data, 1), 207);
+  assert.equal(blockSequenceCRCByte(Buffer.alloc(0), 5), 41);
+
+  // La secuencia recorre la tabla módulo 1020
+  assert.equal(blockSequenceCRCByte(data, 1020), 91);
+  assert.equal(blockSequenceCRCByte(data, 1021), 207);
+
+  assert.throws(() => blockSequenceCRCByte(data, -1), /negativa/);
+});
+
+test("blockSequenceCRCByte mira como mucho 60 bytes", () => {
+  const data = Buffer.from(Array.from({ length: 70 }, (_, i) => i));
+  assert.equal(blockSequenceCRCByte(data, 1019), 204);
+  assert.equal(
+    blockSequenceCRCByte(data, 1019),
+    blockSequenceCRCByte(data.subarray(0, 60), 1019)
+  );
+});
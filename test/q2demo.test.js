@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Q2Client } from "../src/libs/q2client.js";
+import { DemoWriter, DemoPlayer } from "../src/libs/q2demo.js";
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Player state vacío, como lo arma el cliente
+const { playerState } = new Q2Client({}).entityTracker;
+
+/**
+ * Escribe un demo con los frames dados y retorna su ruta
+ */
+async function writeDemo(t, frameNums) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "q2mon-demo-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const writer = new DemoWriter(path.join(dir, "test.dm2"));
+  writer.writeGamestate({
+    serverCount: 1,
+    gameDir: "",
+    clientNum: 0,
+    mapName: "The Edge",
+    configStrings: { 0: "The Edge", 33: "maps/q2dm1.bsp" },
+    baselines: [],
+  });
+  for (const frameNum of frameNums) {
+    writer.writeFrame({ frameNum, playerState, entities: [], baselines: [] });
+  }
+  const { path: demoPath } = await writer.close();
+  return demoPath;
+}
+
+// ============================================================================
+// REPRODUCCIÓN
+// ============================================================================
+
+test("step() entrega un frame por llamada", async (t) => {
+  const demoPath = await writeDemo(t, [10, 11, 12]);
+  const player = new DemoPlayer(new Q2Client({}));
+  await player.load(demoPath);
+
+  const frames = [];
+  player.on("frame", ({ frameNum }) => frames.push(frameNum));
+  while (player.step());
+
+  assert.deepEqual(frames, [10, 11, 12]);
+});
+
+test("play() espera según los serverframes entre frames", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "setImmediate"] });
+
+  const demoPath = await writeDemo(t, [10, 11, 14, 15]);
+  const player = new DemoPlayer(new Q2Client({}), { speed: 2 });
+  await player.load(demoPath);
+
+  const frames = [];
+  player.on("frame", ({ frameNum }) => frames.push(frameNum));
+  const end = new Promise((resolve) => player.once("end", resolve));
+
+  // El primer frame sale enseguida
+  player.play();
+  t.mock.timers.tick(0);
+  assert.deepEqual(frames, [10]);
+
+  // 11: un serverframe, 50 ms a velocidad 2
+  t.mock.timers.tick(49);
+  assert.deepEqual(frames, [10]);
+  t.mock.timers.tick(1);
+  assert.deepEqual(frames, [10, 11]);
+
+  // 14: tres serverframes, 150 ms
+  t.mock.timers.tick(149);
+  assert.deepEqual(frames, [10, 11]);
+  t.mock.timers.tick(1);
+  assert.deepEqual(frames, [10, 11, 14]);
+
+  t.mock.timers.tick(50);
+  assert.deepEqual(frames, [10, 11, 14, 15]);
+  t.mock.timers.tick(0);
+  assert.equal((await end).frames, 4);
+});
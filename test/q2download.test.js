@@ -0,0 +1,331 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { Q2Client } from "../src/libs/q2client.js";
+import {
+  DownloadManager,
+  isSafeDownloadPath,
+  isSafeGameDir,
+  listBspTextures,
+} from "../src/libs/q2download.js";
+import { PROTOCOL } from "../src/libs/q2protocol.js";
+import { FakeQ2Server, waitForEvent } from "./q2fakeserver.js";
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const MAP_FILE = "maps/q2dm1.bsp";
+
+/**
+ * Contenido de prueba de varios chunks, con bytes de todo el rango
+ */
+function fakeFile(size) {
+  const data = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) data[i] = (i * 31 + (i >> 8)) & 0xff;
+  return data;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "q2mon-dl-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function setup(t, serverOptions = {}, clientOptions = {}) {
+  const server = new FakeQ2Server({ ...serverOptions });
+  const port = await server.start();
+
+  const client = new Q2Client({
+    serverPort: port,
+    playerName: "tester",
+    ...clientOptions,
+  });
+
+  t.after(() => {
+    client.disconnect();
+    client.removeAllListeners();
+    server.close();
+  });
+
+  return { server, client };
+}
+
+const onClient = (client, type, predicate = () => true) =>
+  waitForEvent(client, type, (event) => predicate(event.data)).then(
+    (event) => event.data
+  );
+
+const downloadDone = (client, file = MAP_FILE) =>
+  onClient(
+    client,
+    "download",
+    (data) =>
+      data.file === file &&
+      ["completed", "failed", "cached"].includes(data.status)
+  );
+
+/**
+ * BSP mínimo con solo el lump de texinfo
+ */
+function fakeBsp(textures) {
+  const header = Buffer.alloc(8 + 19 * 8);
+  header.write("IBSP", 0, "latin1");
+  header.writeInt32LE(38, 4);
+  header.writeInt32LE(header.length, 8 + 5 * 8);
+  header.writeInt32LE(textures.length * 76, 8 + 5 * 8 + 4);
+
+  const texinfo = Buffer.alloc(textures.length * 76);
+  textures.forEach((name, i) => texinfo.write(name, i * 76 + 40, "latin1"));
+  return Buffer.concat([header, texinfo]);
+}
+
+// ============================================================================
+// UDP
+// ============================================================================
+
+for (const protocol of [PROTOCOL.VERSION_DEFAULT, PROTOCOL.VERSION_Q2PRO]) {
+  test(`baja el mapa al entrar por UDP (protocolo ${protocol})`, async (t) => {
+    const dir = tempDir(t);
+    const data = fakeFile(5000);
+    const { server, client } = await setup(
+      t,
+      { protocol, files: { [MAP_FILE]: data } },
+      { downloadDir: dir }
+    );
+
+    let nextdl = 0;
+    server.on("command", ({ command }) => {
+      if (command === "nextdl") nextdl++;
+    });
+
+    client.connect();
+    const result = await downloadDone(client);
+
+    assert.equal(result.status, "completed");
+    assert.equal(result.source, "udp");
+    assert.equal(result.path, path.join(dir, "baseq2", MAP_FILE));
+    assert.deepEqual(fs.readFileSync(result.path), data);
+    assert.equal(nextdl, 4);
+    assert.equal(client.getMapPath(), result.path);
+  });
+}
+
+test("descomprime los chunks de svc_zdownload", async (t) => {
+  const dir = tempDir(t);
+  const data = Buffer.from("texinfo ".repeat(4000));
+  const { server, client } = await setup(
+    t,
+    {
+      protocol: PROTOCOL.VERSION_Q2PRO,
+      files: { [MAP_FILE]: data },
+      zlibDownloads: true,
+    },
+    { downloadDir: dir }
+  );
+
+  const started = waitForEvent(server, "download");
+  client.connect();
+  const result = await downloadDone(client);
+
+  assert.equal((await started).compressed, true);
+  assert.equal(result.status, "completed");
+  assert.deepEqual(fs.readFileSync(result.path), data);
+});
+
+test("retoma una descarga cortada desde el .tmp", async (t) => {
+  const dir = tempDir(t);
+  const data = fakeFile(3000);
+  const local = path.join(dir, "baseq2", MAP_FILE);
+  fs.mkdirSync(path.dirname(local), { recursive: true });
+  fs.writeFileSync(`${local}.tmp`, data.subarray(0, 1500));
+
+  const { server, client } = await setup(
+    t,
+    { files: { [MAP_FILE]: data } },
+    { downloadDir: dir }
+  );
+
+  const started = waitForEvent(server, "download");
+  client.connect();
+  const result = await downloadDone(client);
+
+  assert.equal((await started).offset, 1500);
+  assert.deepEqual(fs.readFileSync(local), data);
+  assert.equal(fs.existsSync(`${local}.tmp`), false);
+});
+
+test("un archivo que el servidor no tiene falla", async (t) => {
+  const { client } = await setup(t, {}, { downloadDir: tempDir(t) });
+
+  client.connect();
+  const stopped = onClient(
+    client,
+    "download",
+    (data) => data.status === "error"
+  );
+  const failed = await downloadDone(client);
+  assert.equal(failed.status, "failed");
+  // La descarga de los archivos del mapa se corta con un error
+  assert.equal((await stopped).file, MAP_FILE);
+  assert.equal((await stopped).reason, failed.reason);
+
+  await assert.rejects(client.download("maps/otro.bsp"), /no tiene/);
+  await assert.rejects(client.download("../etc/passwd"), /inválida/);
+});
+
+test("un gamedir con ../ del serverdata no saca la descarga de la cache", async (t) => {
+  const dir = tempDir(t);
+  const data = fakeFile(500);
+  const { client } = await setup(
+    t,
+    { gameDir: "../../tmp/evil", files: { [MAP_FILE]: data } },
+    { downloadDir: dir }
+  );
+
+  client.connect();
+  const result = await downloadDone(client);
+
+  assert.equal(result.status, "completed");
+  assert.equal(result.path, path.join(path.resolve(dir), "baseq2", MAP_FILE));
+  assert.deepEqual(fs.readFileSync(result.path), data);
+});
+
+test("un archivo ya descargado sale de la cache", async (t) => {
+  const dir = tempDir(t);
+  const local = path.join(dir, "baseq2", MAP_FILE);
+  fs.mkdirSync(path.dirname(local), { recursive: true });
+  fs.writeFileSync(local, "bsp");
+
+  const { server, client } = await setup(
+    t,
+    { files: { [MAP_FILE]: fakeFile(100) } },
+    { downloadDir: dir }
+  );
+  const commands = [];
+  server.on("command", ({ command }) => commands.push(command));
+
+  client.connect();
+  const result = await downloadDone(client);
+
+  assert.equal(result.status, "cached");
+  assert.equal(result.path, local);
+  assert.ok(!commands.some((command) => command.startsWith("download")));
+});
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+test("usa el servidor HTTP que anuncia q2pro", async (t) => {
+  const data = fakeFile(2000);
+  const requests = [];
+  const web = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === `/baseq2/${MAP_FILE}`) {
+      res.end(data);
+    } else {
+      res.statusCode = 404;
+      res.end();
+    }
+  });
+  await new Promise((resolve) => web.listen(0, "127.0.0.1", resolve));
+  t.after(() => web.close());
+
+  const dlserver = `http://127.0.0.1:${web.address().port}/`;
+  const { server, client } = await setup(
+    t,
+    { protocol: PROTOCOL.VERSION_Q2PRO, dlserver },
+    { downloadDir: tempDir(t) }
+  );
+  const commands = [];
+  server.on("command", ({ command }) => commands.push(command));
+
+  client.connect();
+  const result = await downloadDone(client);
+
+  assert.equal(result.status, "completed");
+  assert.equal(result.source, "http");
+  assert.deepEqual(fs.readFileSync(result.path), data);
+  assert.deepEqual(requests, [`/baseq2/${MAP_FILE}`]);
+  assert.ok(!commands.some((command) => command.startsWith("download")));
+});
+
+test("si el HTTP no tiene el archivo vuelve a UDP", async (t) => {
+  const web = http.createServer((req, res) => {
+    res.statusCode = 404;
+    res.end();
+  });
+  await new Promise((resolve) => web.listen(0, "127.0.0.1", resolve));
+  t.after(() => web.close());
+
+  const data = fakeFile(1500);
+  const { client } = await setup(
+    t,
+    { versionProbe: false, files: { [MAP_FILE]: data } },
+    { downloadDir: tempDir(t) }
+  );
+
+  client.connect();
+  await onClient(client, "connection", ({ status }) => status === "connected");
+  // Como el `set dlserver` que mandan algunos mods por stufftext
+  client.handleStufftext(
+    `set dlserver http://127.0.0.1:${web.address().port}\n`
+  );
+  const result = await downloadDone(client);
+
+  assert.equal(result.status, "completed");
+  assert.equal(result.source, "udp");
+  assert.deepEqual(fs.readFileSync(result.path), data);
+});
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+test("isSafeDownloadPath rechaza rutas fuera del gamedir", () => {
+  assert.ok(isSafeDownloadPath("maps/q2dm1.bsp"));
+  assert.ok(isSafeDownloadPath("players/male/grunt.pcx"));
+  assert.ok(!isSafeDownloadPath("../baseq2/config.cfg"));
+  assert.ok(!isSafeDownloadPath("/etc/passwd"));
+  assert.ok(!isSafeDownloadPath("C:autoexec.bat"));
+  assert.ok(!isSafeDownloadPath("maps\\q2dm1.bsp"));
+  assert.ok(!isSafeDownloadPath("maps/con espacio.bsp"));
+});
+
+test("un gamedir inválido del servidor cae en baseq2", (t) => {
+  const dir = tempDir(t);
+  const downloads = new DownloadManager({ dir });
+
+  assert.ok(isSafeGameDir("ctf"));
+  for (const gameDir of ["../../tmp/evil", "a/b", "a\\b", "c:", "..", "."]) {
+    assert.ok(!isSafeGameDir(gameDir), gameDir);
+    downloads.setGameDir(gameDir);
+    assert.equal(downloads.gameDir, "baseq2");
+  }
+
+  downloads.setGameDir("ctf");
+  assert.equal(
+    downloads.localPath("maps/q2ctf1.bsp"),
+    path.join(path.resolve(dir), "ctf", "maps/q2ctf1.bsp")
+  );
+
+  // Aunque se salteara la validación, la ruta no sale de la cache
+  assert.throws(
+    () => downloads.localPath("maps/q2dm1.bsp", "../.."),
+    /fuera del directorio/
+  );
+  assert.equal(downloads.cachedPath("../../etc/passwd"), null);
+});
+
+test("listBspTextures lee las texturas del texinfo", () => {
+  const bsp = fakeBsp(["e1u1/floor1_2", "e1u1/wall3", "e1u1/floor1_2"]);
+  assert.deepEqual(listBspTextures(bsp), [
+    "textures/e1u1/floor1_2.wal",
+    "textures/e1u1/wall3.wal",
+  ]);
+  assert.deepEqual(listBspTextures(Buffer.from("no es un bsp")), []);
+});
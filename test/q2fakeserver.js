@@ -0,0 +1,1263 @@
+import dgram from "dgram";
+import net from "net";
+import zlib from "zlib";
+import { EventEmitter } from "events";
+import { MessageWriter } from "../src/libs/q2msg.js";
+import { Netchan } from "../src/libs/q2netchan.js";
+import { blockSequenceCRCByte } from "../src/libs/q2crc.js";
+import { CS_LAYOUT_VANILLA } from "../src/libs/q2configstrings.js";
+import {
+  PROTOCOL,
+  PROTOCOL_MINOR,
+  SVC,
+  CLC,
+  SVCMD_MASK,
+  REL_BIT,
+  FRG_BIT,
+  NEW_MASK,
+  NETCHAN_OLD,
+  PS_M_ORIGIN,
+  qportSize,
+  GTV_PROTOCOL_VERSION,
+  MVD_MAGIC,
+  GTS,
+  GTC,
+  MVD,
+  PROTOCOL_MVD_MINOR,
+  PPS_M_ORIGIN,
+  PPS_M_ORIGIN2,
+  PPS_VIEWANGLES,
+  PPS_STATS,
+  PPS_REMOVE,
+  CLIENTNUM_NONE,
+} from "../src/libs/q2protocol.js";
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const OOB_HEADER = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+
+// Tamaño de cada chunk de svc_download, como SV_NextDownload_f
+const DOWNLOAD_CHUNK = 1024;
+
+// Protocolos que anuncia el challenge según el máximo del servidor
+const SUPPORTED = {
+  [PROTOCOL.VERSION_OLD]: [PROTOCOL.VERSION_OLD],
+  [PROTOCOL.VERSION_DEFAULT]: [PROTOCOL.VERSION_DEFAULT],
+  [PROTOCOL.VERSION_R1Q2]: [PROTOCOL.VERSION_DEFAULT, PROTOCOL.VERSION_R1Q2],
+  [PROTOCOL.VERSION_Q2PRO]: [
+    PROTOCOL.VERSION_DEFAULT,
+    PROTOCOL.VERSION_R1Q2,
+    PROTOCOL.VERSION_Q2PRO,
+  ],
+  [PROTOCOL.VERSION_AQTION]: [
+    PROTOCOL.VERSION_DEFAULT,
+    PROTOCOL.VERSION_R1Q2,
+    PROTOCOL.VERSION_Q2PRO,
+    PROTOCOL.VERSION_AQTION,
+  ],
+};
+
+const NULL_ENTITY = {
+  number: 0,
+  modelindex: 0,
+  modelindex2: 0,
+  modelindex3: 0,
+  modelindex4: 0,
+  frame: 0,
+  skinnum: 0,
+  effects: 0,
+  renderfx: 0,
+  origin: { x: 0, y: 0, z: 0 },
+  angles: { pitch: 0, yaw: 0, roll: 0 },
+  old_origin: { x: 0, y: 0, z: 0 },
+  sound: 0,
+  event: 0,
+  solid: 0,
+};
+
+/**
+ * Estado completo de una entidad de `entities`, con los campos que faltan
+ * en cero
+ */
+function toEntityState(entity) {
+  return {
+    ...NULL_ENTITY,
+    ...entity,
+    origin: { ...NULL_ENTITY.origin, ...entity.origin },
+    angles: { ...NULL_ENTITY.angles, ...entity.angles },
+  };
+}
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32), para que la pérdida
+ * y el desorden simulados se repitan igual en cada corrida
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createOobPacket(text) {
+  return Buffer.concat([OOB_HEADER, Buffer.from(text, "latin1")]);
+}
+
+// ============================================================================
+// CLASE FAKE Q2 SERVER
+// ============================================================================
+
+/**
+ * Servidor de Quake 2 falso en un puerto UDP de loopback, para tests
+ *
+ * Responde getchallenge, connect, status, info, ping y rcon; hace el
+ * handshake de protocolo 26/34/35 (configstrings y baselines a pedido) o
+ * 36/38 (svc_gamestate), y una vez en juego manda un frame cada
+ * `frameTime` ms con las entidades de `entities`
+ *
+ * Opciones:
+ * - protocol: protocolo máximo (26, 34, 35, 36 o 38)
+ * - map, levelName, hostname, gameDir, maxClients
+ * - players: jugadores del status y configstrings ({ name, frags, ping })
+ * - entities: entidades de los frames ({ number, modelindex, origin })
+ * - loss: probabilidad de perder un paquete secuenciado (en cada sentido)
+ * - reorder: probabilidad de demorar un paquete saliente `reorderDelay` ms
+ * - seed: semilla de la pérdida y el desorden
+ * - rconPassword / rcon(command): password y respuesta del rcon. Un array
+ *   sale en un paquete `print` por elemento; null no responde
+ * - versionProbe: manda `\x7Fc version $version` en el handshake
+ * - files: archivos descargables ({ "maps/q2dm1.bsp": Buffer })
+ * - zlibDownloads: a los clientes q2pro les manda svc_zdownload
+ * - dlserver: URL de descargas HTTP que se anuncia en el client_connect
+ * - scoreboardFrames: con `score` prendido, cada cuántos frames se reenvía
+ *   el scoreboard (32 en el juego)
+ * - deltaFrames: con protocolo 26/34, los frames van como delta del último
+ *   que confirmó el cliente
+ *
+ * Eventos: 'challenge', 'connect', 'command', 'userinfo', 'begin',
+ * 'move', 'frame', 'status', 'rcon', 'download', 'scoreboard'
+ */
+export class FakeQ2Server extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.protocol = options.protocol || PROTOCOL.VERSION_DEFAULT;
+    this.map = options.map || "q2dm1";
+    this.levelName = options.levelName || "The Edge";
+    this.hostname = options.hostname || "Fake Q2 Server";
+    this.gameDir = options.gameDir || "baseq2";
+    this.maxClients = options.maxClients || 8;
+    this.players = options.players || [];
+    this.entities = options.entities || [];
+    this.frameTime = options.frameTime || 100;
+    this.loss = options.loss || 0;
+    this.reorder = options.reorder || 0;
+    this.reorderDelay = options.reorderDelay || 30;
+    this.rconPassword = options.rconPassword || null;
+    this.rconHandler = options.rcon || ((command) => `${command}\n`);
+    this.versionProbe = options.versionProbe ?? true;
+    this.files = options.files || {};
+    this.zlibDownloads = options.zlibDownloads || false;
+    this.dlserver = options.dlserver || null;
+    this.deltaFrames = options.deltaFrames || false;
+    this.scoreboardFrames = options.scoreboardFrames || 32;
+    this.random = createRandom(options.seed || 1);
+
+    this.serverCount = 1;
+    this.frameNum = 0;
+    this.challenges = new Map();
+    this.clients = new Map();
+    this.timers = new Set();
+    this.socket = null;
+    this.port = 0;
+  }
+
+  /**
+   * Abre el socket en 127.0.0.1 y retorna el puerto
+   */
+  async start(port = 0) {
+    this.socket = dgram.createSocket("udp4");
+    this.socket.on("message", (msg, rinfo) => this.handlePacket(msg, rinfo));
+    await new Promise((resolve) =>
+      this.socket.bind(port, "127.0.0.1", resolve)
+    );
+    this.port = this.socket.address().port;
+
+    this.frameTimer = setInterval(() => this.runFrame(), this.frameTime);
+    return this.port;
+  }
+
+  close() {
+    clearInterval(this.frameTimer);
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    this.clients.clear();
+    if (this.socket) this.socket.close();
+    this.socket = null;
+  }
+
+  // ==========================================================================
+  // GUIÓN
+  // ==========================================================================
+
+  /**
+   * Manda un svc_print reliable a todos los clientes
+   */
+  print(text, level = 2) {
+    this.broadcast((msg) => {
+      msg.writeByte(SVC.PRINT);
+      msg.writeByte(level);
+      msg.writeString(text);
+    });
+  }
+
+  centerprint(text) {
+    this.broadcast((msg) => {
+      msg.writeByte(SVC.CENTERPRINT);
+      msg.writeString(text);
+    });
+  }
+
+  stufftext(text) {
+    this.broadcast((msg) => this.writeStufftext(msg, text));
+  }
+
+  /**
+   * Pide a los clientes que reconecten (svc_reconnect)
+   */
+  reconnect() {
+    this.broadcast((msg) => msg.writeByte(SVC.RECONNECT));
+    this.dropAll();
+  }
+
+  /**
+   * Cambia de mapa como SV_Map: "changing" y "reconnect" por stufftext
+   */
+  changeMap(map, levelName = map) {
+    this.map = map;
+    this.levelName = levelName;
+    this.serverCount++;
+    this.stufftext("changing\n");
+    this.stufftext("reconnect\n");
+    this.dropAll();
+  }
+
+  /**
+   * Crea o mueve una entidad de los frames
+   */
+  setEntity(number, state) {
+    const index = this.entities.findIndex((e) => e.number === number);
+    const entity = { ...(this.entities[index] || {}), ...state, number };
+    if (index >= 0) this.entities[index] = entity;
+    else this.entities.push(entity);
+  }
+
+  removeEntity(number) {
+    this.entities = this.entities.filter((e) => e.number !== number);
+  }
+
+  // ==========================================================================
+  // PAQUETES
+  // ==========================================================================
+
+  handlePacket(msg, rinfo) {
+    const key = `${rinfo.address}:${rinfo.port}`;
+
+    if (msg.length >= 4 && msg.subarray(0, 4).equals(OOB_HEADER)) {
+      this.handleOob(msg.subarray(4).toString("latin1"), rinfo, key);
+      return;
+    }
+
+    const client = this.clients.get(key);
+    if (!client || this.random() < this.loss) return;
+
+    const parsed = this.parseClientPacket(msg, client);
+    if (!parsed) return;
+
+    const data = client.netchan.process(parsed);
+    if (data === null) return;
+    client.lastMessage = Date.now();
+
+    this.parseClientMessage(client, data);
+  }
+
+  sendOob(text, rinfo) {
+    if (!this.socket) return;
+    this.socket.send(createOobPacket(text), rinfo.port, rinfo.address);
+  }
+
+  handleOob(content, rinfo, key) {
+    const line = content.split("\n")[0];
+    const args = line.match(/"[^"]*"|\S+/g) || [];
+    const command = args[0];
+
+    switch (command) {
+      case "getchallenge": {
+        const challenge = Math.floor(this.random() * 0x7fffffff);
+        this.challenges.set(key, challenge);
+        const protocols = SUPPORTED[this.protocol];
+        const extra = protocols.length > 1 ? ` p=${protocols.join(",")}` : "";
+        this.sendOob(`challenge ${challenge}${extra}\n`, rinfo);
+        this.emit("challenge", { address: key, challenge });
+        break;
+      }
+
+      case "connect":
+        this.handleConnect(args, rinfo, key);
+        break;
+
+      case "status":
+        this.sendOob(`print\n${this.statusString()}`, rinfo);
+        this.emit("status", { address: key });
+        break;
+
+      case "info": {
+        const version = parseInt(args[1]);
+        if (!SUPPORTED[this.protocol].includes(version)) {
+          this.sendOob(`info\n${this.hostname}: wrong version\n`, rinfo);
+          break;
+        }
+        const players = `${this.players.length}/${this.maxClients}`;
+        this.sendOob(
+          `info\n${this.hostname.padStart(16)} ${this.map.padStart(
+            8
+          )} ${players}\n`,
+          rinfo
+        );
+        break;
+      }
+
+      case "ping":
+        this.sendOob("ack", rinfo);
+        break;
+
+      case "rcon": {
+        const password = (args[1] || "").replace(/"/g, "");
+        const rconCommand = line
+          .substring(line.indexOf(args[1]) + args[1].length)
+          .trim();
+        if (!this.rconPassword || password !== this.rconPassword) {
+          this.sendOob("print\nBad rcon_password.\n", rinfo);
+          break;
+        }
+        this.emit("rcon", { command: rconCommand });
+        const output = this.rconHandler(rconCommand);
+        if (output === null) break;
+        for (const chunk of [].concat(output)) {
+          this.sendOob(`print\n${chunk}`, rinfo);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * connect <protocol> <qport> <challenge> "<userinfo>" [extras de r1q2/q2pro]
+   */
+  handleConnect(args, rinfo, key) {
+    const protocol = parseInt(args[1]);
+    const qport = parseInt(args[2]);
+    const challenge = parseInt(args[3]);
+    const userinfo = (args[4] || "").replace(/"/g, "");
+
+    if (!SUPPORTED[this.protocol].includes(protocol)) {
+      // Como SVC_DirectConnect: la versión del binario, no la del protocolo
+      const version = this.protocol === PROTOCOL.VERSION_OLD ? "3.05" : "3.20";
+      this.sendOob(`print\nServer is version ${version}.\n`, rinfo);
+      return;
+    }
+    if (this.challenges.get(key) !== challenge) {
+      this.sendOob("print\nBad challenge.\n", rinfo);
+      return;
+    }
+
+    // q2pro manda el tipo de netchan como sexto argumento
+    const netchanType =
+      protocol >= PROTOCOL.VERSION_Q2PRO
+        ? parseInt(args[6]) || NETCHAN_OLD
+        : NETCHAN_OLD;
+
+    const client = {
+      key,
+      address: rinfo.address,
+      port: rinfo.port,
+      protocol,
+      qport,
+      userinfo: parseUserinfo(userinfo),
+      netchan: new Netchan({
+        server: true,
+        protocol,
+        type: netchanType,
+        qport,
+      }),
+      state: "connected",
+      lastFrame: -1,
+      baselines: new Map(),
+      // Entidades de los últimos frames mandados, para los deltas
+      sentFrames: new Map(),
+      lastMessage: Date.now(),
+    };
+    this.clients.set(key, client);
+
+    let params = "";
+    if (protocol >= PROTOCOL.VERSION_Q2PRO) {
+      params += ` nc=${netchanType}`;
+      if (this.dlserver) params += ` dlserver=${this.dlserver}`;
+    }
+    this.sendOob(`client_connect${params}\n`, rinfo);
+    this.emit("connect", client);
+  }
+
+  /**
+   * Encabezado de un paquete del cliente: secuencia, ack, qport y, con el
+   * netchan nuevo, el offset del fragmento
+   */
+  parseClientPacket(msg, client) {
+    if (msg.length < 8) return null;
+
+    const sequenceRaw = msg.readUInt32LE(0);
+    const ackRaw = msg.readUInt32LE(4);
+    let offset = 8 + qportSize(client.protocol, client.qport);
+
+    const fragmented = (sequenceRaw & FRG_BIT) !== 0;
+    let fragmentOffset = 0;
+    let moreFragments = false;
+    if (fragmented) {
+      const header = msg.readUInt16LE(offset);
+      moreFragments = (header & 0x8000) !== 0;
+      fragmentOffset = header & 0x7fff;
+      offset += 2;
+    }
+
+    return {
+      sequence: sequenceRaw & NEW_MASK,
+      ack: ackRaw & NEW_MASK,
+      reliable: (sequenceRaw & REL_BIT) !== 0,
+      reliableAck: (ackRaw & REL_BIT) !== 0,
+      fragmented,
+      fragmentOffset,
+      moreFragments,
+      data: msg.subarray(offset),
+    };
+  }
+
+  /**
+   * Lee los clc del cliente. Los moves van al final del paquete, así que
+   * después de leer el lastframe se deja de parsear
+   */
+  parseClientMessage(client, data) {
+    let idx = 0;
+
+    while (idx < data.length) {
+      const cmd = data[idx++] & SVCMD_MASK;
+
+      switch (cmd) {
+        case CLC.NOP:
+          break;
+
+        case CLC.STRINGCMD: {
+          const end = data.indexOf(0, idx);
+          const text = data
+            .subarray(idx, end === -1 ? data.length : end)
+            .toString("latin1");
+          idx = end === -1 ? data.length : end + 1;
+          this.handleStringCmd(client, text);
+          break;
+        }
+
+        case CLC.USERINFO: {
+          const end = data.indexOf(0, idx);
+          const text = data
+            .subarray(idx, end === -1 ? data.length : end)
+            .toString("latin1");
+          idx = end === -1 ? data.length : end + 1;
+          client.userinfo = parseUserinfo(text);
+          this.emit("userinfo", { client, userinfo: client.userinfo });
+          break;
+        }
+
+        case CLC.MOVE: {
+          // Protocolo 34 manda antes el byte de checksum, como
+          // SV_ExecuteClientMessage
+          let checksumValid = true;
+          if (client.protocol <= PROTOCOL.VERSION_DEFAULT) {
+            const expected = blockSequenceCRCByte(
+              data.subarray(idx + 1),
+              client.netchan.incomingSequence
+            );
+            checksumValid = data[idx++] === expected;
+          }
+          client.lastFrame = data.readInt32LE(idx);
+          this.emit("move", {
+            client,
+            lastFrame: client.lastFrame,
+            checksumValid,
+          });
+          return;
+        }
+
+        case CLC.MOVE_BATCHED:
+          client.lastFrame = data.readInt32LE(idx);
+          this.emit("move", { client, lastFrame: client.lastFrame });
+          return;
+
+        case CLC.MOVE_NODELTA:
+          client.lastFrame = -1;
+          this.emit("move", { client, lastFrame: -1 });
+          return;
+
+        default:
+          return;
+      }
+    }
+  }
+
+  handleStringCmd(client, text) {
+    const [command, ...args] = text.trim().split(/\s+/);
+    this.emit("command", { client, command: text, args });
+
+    switch (command) {
+      case "new":
+        this.sendGamestate(client);
+        break;
+
+      case "configstrings":
+        this.sendConfigStrings(client);
+        this.queue(client, (msg) =>
+          this.writeStufftext(msg, `cmd baselines ${this.serverCount} 0\n`)
+        );
+        break;
+
+      case "baselines":
+        this.sendBaselines(client);
+        this.queue(client, (msg) =>
+          this.writeStufftext(msg, `precache ${this.serverCount}\n`)
+        );
+        break;
+
+      case "begin":
+        client.state = "spawned";
+        this.emit("begin", client);
+        break;
+
+      // Como Cmd_Score_f: prende o apaga el scoreboard
+      case "score":
+        client.showScores = !client.showScores;
+        if (client.showScores) this.sendScoreboard(client);
+        break;
+
+      case "download":
+        this.beginDownload(client, args[0], parseInt(args[1]) || 0);
+        break;
+
+      case "nextdl":
+        this.sendDownloadChunk(client);
+        break;
+
+      case "disconnect":
+        this.clients.delete(client.key);
+        break;
+    }
+  }
+
+  // ==========================================================================
+  // GAMESTATE
+  // ==========================================================================
+
+  /**
+   * Respuesta a `new`: serverdata y, según el protocolo, el gamestate
+   * entero (q2pro) o el pedido de configstrings (vanilla y r1q2)
+   */
+  sendGamestate(client) {
+    client.state = "connected";
+
+    this.queue(client, (msg) => {
+      this.writeServerData(msg, client);
+      if (this.versionProbe) {
+        this.writeStufftext(msg, "\x7Fc version $version\n");
+      }
+    });
+
+    if (client.protocol >= PROTOCOL.VERSION_Q2PRO) {
+      this.saveBaselines(client);
+      this.queue(client, (msg) => {
+        msg.writeByte(SVC.GAMESTATE);
+        for (const [index, text] of this.configStrings()) {
+          msg.writeShort(index);
+          msg.writeString(text);
+        }
+        msg.writeShort(CS_LAYOUT_VANILLA.END);
+        for (const entity of this.entities) {
+          msg.writeDeltaEntity(NULL_ENTITY, toEntityState(entity), true, true);
+        }
+        msg.writeShort(0);
+      });
+      this.queue(client, (msg) =>
+        this.writeStufftext(msg, `precache ${this.serverCount}\n`)
+      );
+      return;
+    }
+
+    this.queue(client, (msg) =>
+      this.writeStufftext(msg, `cmd configstrings ${this.serverCount} 0\n`)
+    );
+  }
+
+  writeServerData(msg, client) {
+    msg.writeByte(SVC.SERVERDATA);
+    msg.writeLong(client.protocol);
+    msg.writeLong(this.serverCount);
+    msg.writeByte(0); // attractloop
+    msg.writeString(this.gameDir);
+    msg.writeShort(this.players.length);
+    msg.writeString(this.levelName);
+
+    if (client.protocol === PROTOCOL.VERSION_R1Q2) {
+      msg.writeByte(0); // enhanced
+      msg.writeShort(PROTOCOL_MINOR.R1Q2_CURRENT);
+      msg.writeByte(0); // advancedDeltas
+      msg.writeByte(0); // strafejumpHack
+    } else if (client.protocol === PROTOCOL.VERSION_Q2PRO) {
+      msg.writeShort(PROTOCOL_MINOR.Q2PRO_CURRENT);
+      msg.writeByte(2); // serverState
+      msg.writeShort(0); // flags, sin límites extendidos
+    } else if (client.protocol === PROTOCOL.VERSION_AQTION) {
+      msg.writeShort(PROTOCOL_MINOR.AQTION_CURRENT);
+      msg.writeByte(2); // serverState
+      msg.writeByte(0); // strafejumpHack
+      msg.writeByte(0); // qwMode
+      msg.writeByte(0); // waterjumpHack
+    }
+  }
+
+  configStrings() {
+    const layout = CS_LAYOUT_VANILLA;
+    const strings = [
+      [layout.NAME, this.levelName],
+      [layout.MAXCLIENTS, String(this.maxClients)],
+      [layout.MODELS + 1, `maps/${this.map}.bsp`],
+    ];
+    this.players.forEach((player, i) => {
+      const skin = player.skin || "male/grunt";
+      strings.push([layout.PLAYERSKINS + i, `${player.name}\\${skin}`]);
+    });
+    return strings;
+  }
+
+  sendConfigStrings(client) {
+    for (const [index, text] of this.configStrings()) {
+      this.queue(client, (msg) => {
+        msg.writeByte(SVC.CONFIGSTRING);
+        msg.writeShort(index);
+        msg.writeString(text);
+      });
+    }
+  }
+
+  sendBaselines(client) {
+    this.saveBaselines(client);
+    for (const entity of this.entities) {
+      this.queue(client, (msg) => {
+        msg.writeByte(SVC.SPAWNBASELINE);
+        msg.writeDeltaEntity(NULL_ENTITY, toEntityState(entity), true, true);
+      });
+    }
+  }
+
+  /**
+   * Los frames mandan cada entidad contra la baseline que tiene el cliente
+   */
+  saveBaselines(client) {
+    client.baselines = new Map(
+      this.entities.map((entity) => [entity.number, toEntityState(entity)])
+    );
+  }
+
+  writeStufftext(msg, text) {
+    msg.writeByte(SVC.STUFFTEXT);
+    msg.writeString(text);
+  }
+
+  statusString() {
+    const info = {
+      hostname: this.hostname,
+      mapname: this.map,
+      maxclients: this.maxClients,
+      gamename: this.gameDir,
+      protocol: this.protocol,
+    };
+    const infoString = Object.entries(info)
+      .map(([key, value]) => `\\${key}\\${value}`)
+      .join("");
+    const players = this.players
+      .map((p) => `${p.frags || 0} ${p.ping || 0} "${p.name}"\n`)
+      .join("");
+    return `${infoString}\n${players}`;
+  }
+
+  // ==========================================================================
+  // DESCARGAS
+  // ==========================================================================
+
+  /**
+   * `download <archivo> [offset]`. Como q2pro, solo comprime las
+   * descargas que empiezan de cero
+   */
+  beginDownload(client, file, offset) {
+    const data = this.files[file];
+    if (!data || offset > data.length) {
+      client.download = null;
+      this.queue(client, (msg) => {
+        msg.writeByte(SVC.DOWNLOAD);
+        msg.writeShort(-1);
+        msg.writeByte(0);
+      });
+      return;
+    }
+
+    const compressed =
+      this.zlibDownloads &&
+      offset === 0 &&
+      client.protocol >= PROTOCOL.VERSION_Q2PRO;
+    client.download = compressed
+      ? { data: zlib.deflateRawSync(data), count: 0, compressed }
+      : { data, count: offset, compressed };
+
+    this.emit("download", { client, file, offset, compressed });
+    this.sendDownloadChunk(client);
+  }
+
+  sendDownloadChunk(client) {
+    const download = client.download;
+    if (!download) return;
+
+    const { data, compressed } = download;
+    const chunk = data.subarray(
+      download.count,
+      download.count + DOWNLOAD_CHUNK
+    );
+    download.count += chunk.length;
+    const percent = data.length
+      ? Math.floor((download.count * 100) / data.length)
+      : 100;
+    if (download.count >= data.length) client.download = null;
+
+    this.queue(client, (msg) => {
+      msg.writeByte(compressed ? SVC.ZDOWNLOAD : SVC.DOWNLOAD);
+      msg.writeShort(chunk.length);
+      msg.writeByte(percent);
+      if (compressed) msg.writeShort(-1);
+      msg.writeData(chunk);
+    });
+  }
+
+  // ==========================================================================
+  // FRAMES
+  // ==========================================================================
+
+  /**
+   * Un frame del servidor: a los clientes en juego les manda el estado
+   * completo (o el delta del último frame confirmado, con deltaFrames); al
+   * resto un paquete vacío para que los reliable pendientes se reenvíen
+   */
+  runFrame() {
+    this.frameNum++;
+
+    for (const client of this.clients.values()) {
+      if (client.state !== "spawned") {
+        this.transmit(client);
+        continue;
+      }
+
+      const msg = new MessageWriter(1024);
+      const deltaNum = this.writeFrame(msg, client);
+      this.transmit(client, msg.toBuffer());
+      this.emit("frame", { client, frameNum: this.frameNum, deltaNum });
+
+      if (client.showScores && this.frameNum % this.scoreboardFrames === 0) {
+        this.sendScoreboard(client);
+      }
+    }
+  }
+
+  /**
+   * Apaga el scoreboard de todos, como un respawn
+   */
+  hideScores() {
+    for (const client of this.clients.values()) client.showScores = false;
+  }
+
+  /**
+   * Layout de DeathmatchScoreboardMessage con los jugadores configurados
+   */
+  sendScoreboard(client) {
+    const layout = this.players
+      .map(
+        ({ frags, ping }, i) =>
+          `xv ${160 * (i % 2)} yv ${32 * Math.floor(i / 2)} ` +
+          `client ${160 * (i % 2)} ${32 * Math.floor(i / 2)} ` +
+          `${i} ${frags || 0} ${ping || 0} 0`
+      )
+      .join(" ");
+    this.queue(client, (msg) => {
+      msg.writeByte(SVC.LAYOUT);
+      msg.writeString(layout);
+    });
+    this.emit("scoreboard", client);
+  }
+
+  /**
+   * Escribe el frame de un cliente. Retorna el frame contra el que va el
+   * delta, o -1
+   */
+  writeFrame(msg, client) {
+    const q2pro = client.protocol >= PROTOCOL.VERSION_R1Q2;
+    const entities = new Map(
+      [...this.entities]
+        .sort((a, b) => a.number - b.number)
+        .map((entity) => [entity.number, toEntityState(entity)])
+    );
+
+    // Solo se puede delta contra un frame que el cliente confirmó
+    const old =
+      this.deltaFrames && !q2pro
+        ? client.sentFrames.get(client.lastFrame)
+        : undefined;
+    client.sentFrames.set(this.frameNum, entities);
+    client.sentFrames.delete(this.frameNum - 16);
+
+    msg.writeByte(SVC.FRAME);
+    if (q2pro) {
+      // Frame y delta empaquetados; 31 es "sin delta"
+      msg.writeLong(((31 << 27) | (this.frameNum & 0x07ffffff)) >>> 0);
+      msg.writeByte(0); // suppressCount
+      msg.writeByte(0); // areabytes
+      msg.writeShort(PS_M_ORIGIN);
+      msg.writePos({ x: 0, y: 0, z: 0 });
+    } else {
+      msg.writeLong(this.frameNum);
+      msg.writeLong(old ? client.lastFrame : -1);
+      // El protocolo 26 no tiene suppressCount
+      if (client.protocol !== PROTOCOL.VERSION_OLD) msg.writeByte(0);
+      msg.writeByte(0); // areabytes
+      msg.writeByte(SVC.PLAYERINFO);
+      msg.writeShort(PS_M_ORIGIN);
+      msg.writePos({ x: 0, y: 0, z: 0 });
+      msg.writeLong(0); // statbits
+      msg.writeByte(SVC.PACKETENTITIES);
+    }
+
+    // Sin delta, cada entidad va contra su baseline; con delta, contra su
+    // estado en el frame viejo, y las que ya no están se borran
+    const numbers = new Set([...entities.keys(), ...(old ? old.keys() : [])]);
+    for (const number of [...numbers].sort((a, b) => a - b)) {
+      const state = entities.get(number);
+      const previous = old && old.get(number);
+      if (!state) {
+        msg.writeRemoveEntity(number);
+      } else if (previous) {
+        msg.writeDeltaEntity(previous, state, false, false);
+      } else {
+        const baseline = client.baselines.get(number) || {
+          ...NULL_ENTITY,
+          number,
+        };
+        msg.writeDeltaEntity(baseline, state, true, false);
+      }
+    }
+    msg.writeShort(0);
+
+    return old ? client.lastFrame : -1;
+  }
+
+  // ==========================================================================
+  // ENVÍO
+  // ==========================================================================
+
+  /**
+   * Encola un mensaje reliable para un cliente
+   */
+  queue(client, write) {
+    const msg = new MessageWriter(256);
+    write(msg);
+    client.netchan.queueReliable(msg.toBuffer());
+  }
+
+  broadcast(write) {
+    for (const client of this.clients.values()) {
+      this.queue(client, write);
+    }
+  }
+
+  dropAll() {
+    for (const client of this.clients.values()) this.transmit(client);
+    this.clients.clear();
+  }
+
+  /**
+   * Manda un paquete secuenciado aplicando la pérdida y el desorden
+   * simulados
+   */
+  transmit(client, data = null) {
+    const packet = client.netchan.transmit(data);
+    if (!this.socket || this.random() < this.loss) return;
+
+    if (this.random() < this.reorder) {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        if (this.socket) this.socket.send(packet, client.port, client.address);
+      }, this.reorderDelay);
+      this.timers.add(timer);
+      return;
+    }
+
+    this.socket.send(packet, client.port, client.address);
+  }
+}
+
+function parseUserinfo(text) {
+  const parts = text.split("\\");
+  const info = {};
+  for (let i = 1; i + 1 < parts.length; i += 2) {
+    info[parts[i]] = parts[i + 1];
+  }
+  return info;
+}
+
+// ============================================================================
+// CLASE FAKE GTV SERVER
+// ============================================================================
+
+/**
+ * Relay GTV de q2pro falso en un puerto TCP de loopback, para tests
+ *
+ * Hace el handshake (magic, hello y stream_start) y arranca el stream con
+ * un mvd_serverdata que trae los configstrings y el frame inicial. Los
+ * frames siguientes salen con sendFrame()
+ *
+ * Opciones:
+ * - password: un hello con otra password recibe GTS_NOACCESS
+ * - map, levelName, gameDir
+ * - players: jugadores del frame ({ clientNum, name, origin, viewangles,
+ *   stats })
+ * - entities: entidades del frame, como en FakeQ2Server
+ * - chunkSize: corta cada envío en writes de ese tamaño, para probar el
+ *   rearmado de los mensajes
+ *
+ * Eventos: 'magic', 'hello', 'stream_start', 'stream_stop', 'ping'
+ */
+export class FakeGtvServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.password = options.password || null;
+    this.map = options.map || "q2dm1";
+    this.levelName = options.levelName || "The Edge";
+    this.gameDir = options.gameDir || "baseq2";
+    this.players = options.players || [];
+    this.entities = options.entities || [];
+    this.chunkSize = options.chunkSize || 0;
+
+    this.server = null;
+    this.connections = new Set();
+    this.streams = new Set();
+    // Estado que ya tiene el cliente: en MVD los deltas van contra el
+    // último frame mandado
+    this.sentPlayers = new Set();
+    this.sentEntities = new Map();
+  }
+
+  start(port = 0) {
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+    return new Promise((resolve) =>
+      this.server.listen(port, "127.0.0.1", () =>
+        resolve(this.server.address().port)
+      )
+    );
+  }
+
+  close() {
+    for (const socket of this.connections) socket.destroy();
+    this.connections.clear();
+    this.streams.clear();
+    if (this.server) this.server.close();
+    this.server = null;
+  }
+
+  // ==========================================================================
+  // RECEPCIÓN
+  // ==========================================================================
+
+  handleConnection(socket) {
+    const conn = { socket, buffer: Buffer.alloc(0), gotMagic: false };
+    socket.setNoDelay(true);
+    this.connections.add(socket);
+
+    socket.on("data", (chunk) => this.handleData(conn, chunk));
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      this.connections.delete(socket);
+      this.streams.delete(socket);
+    });
+  }
+
+  handleData(conn, chunk) {
+    conn.buffer = Buffer.concat([conn.buffer, chunk]);
+
+    if (!conn.gotMagic) {
+      if (conn.buffer.length < 4) return;
+      this.emit("magic", conn.buffer.subarray(0, 4).toString("latin1"));
+      conn.gotMagic = true;
+      conn.buffer = conn.buffer.subarray(4);
+      this.write(conn.socket, MVD_MAGIC);
+    }
+
+    while (conn.buffer.length >= 2) {
+      const length = conn.buffer.readUInt16LE(0);
+      if (conn.buffer.length < 2 + length) break;
+
+      const message = conn.buffer.subarray(2, 2 + length);
+      conn.buffer = conn.buffer.subarray(2 + length);
+      if (length > 0) {
+        this.handleMessage(conn.socket, message[0], message.subarray(1));
+      }
+    }
+  }
+
+  handleMessage(socket, op, payload) {
+    switch (op) {
+      case GTC.HELLO: {
+        // version, flags, reservado y después username, password y version
+        const [username, password, version] = payload
+          .subarray(10)
+          .toString("latin1")
+          .split("\0");
+        const hello = {
+          protocol: payload.readUInt16LE(0),
+          flags: payload.readInt32LE(2),
+          username,
+          password,
+          version,
+        };
+        this.emit("hello", hello);
+
+        if (hello.protocol !== GTV_PROTOCOL_VERSION) {
+          this.sendMessage(socket, GTS.BADREQUEST, "Unsupported protocol");
+        } else if (this.password && password !== this.password) {
+          this.sendMessage(socket, GTS.NOACCESS, "Bad password");
+        } else {
+          const msg = new MessageWriter(8);
+          msg.writeLong(0); // flags
+          msg.writeLong(0); // reservado
+          this.sendMessage(socket, GTS.HELLO, msg.toBuffer());
+        }
+        break;
+      }
+
+      case GTC.STREAM_START:
+        this.emit("stream_start", { maxbuf: payload.readUInt16LE(0) });
+        this.streams.add(socket);
+        this.sendMessage(socket, GTS.STREAM_START);
+        this.sendMessage(socket, GTS.STREAM_DATA, this.serverData());
+        break;
+
+      case GTC.STREAM_STOP:
+        this.emit("stream_stop");
+        this.streams.delete(socket);
+        this.sendMessage(socket, GTS.STREAM_STOP);
+        break;
+
+      case GTC.PING:
+        this.emit("ping");
+        this.sendMessage(socket, GTS.PONG);
+        break;
+    }
+  }
+
+  // ==========================================================================
+  // STREAM MVD
+  // ==========================================================================
+
+  /**
+   * Manda un frame con el estado actual de players y entities
+   */
+  sendFrame() {
+    const msg = new MessageWriter(1024);
+    msg.writeByte(MVD.FRAME);
+    this.writeFrame(msg);
+    this.broadcast(msg.toBuffer());
+  }
+
+  print(text, level = 2) {
+    const msg = new MessageWriter(64);
+    msg.writeByte(MVD.PRINT);
+    msg.writeByte(level);
+    msg.writeString(text);
+    this.broadcast(msg.toBuffer());
+  }
+
+  /**
+   * Corta el stream con un GTS_ERROR, como cuando el relay pierde al
+   * servidor
+   */
+  error(text) {
+    for (const socket of this.streams) {
+      this.sendMessage(socket, GTS.ERROR, text);
+    }
+  }
+
+  serverData() {
+    this.sentPlayers.clear();
+    this.sentEntities.clear();
+
+    const msg = new MessageWriter(1024);
+    msg.writeByte(MVD.SERVERDATA);
+    msg.writeLong(PROTOCOL.VERSION_MVD);
+    msg.writeShort(PROTOCOL_MVD_MINOR.DEFAULT);
+    msg.writeLong(1); // servercount
+    msg.writeString(this.gameDir);
+    msg.writeShort(0); // clientNum del espectador
+
+    msg.writeShort(0);
+    msg.writeString(this.levelName);
+    msg.writeShort(CS_LAYOUT_VANILLA.MODELS + 1);
+    msg.writeString(`maps/${this.map}.bsp`);
+    for (const player of this.players) {
+      msg.writeShort(CS_LAYOUT_VANILLA.PLAYERSKINS + player.clientNum);
+      msg.writeString(`${player.name}\\male/grunt`);
+    }
+    msg.writeShort(CS_LAYOUT_VANILLA.END);
+
+    this.writeFrame(msg);
+    return msg.toBuffer();
+  }
+
+  /**
+   * Portalbits, player states completos y entidades como delta del frame
+   * anterior (MVD_WriteFrame de q2pro, sin delta de player states)
+   */
+  writeFrame(msg) {
+    msg.writeByte(0); // portalbits
+
+    const players = new Set(this.players.map((p) => p.clientNum));
+    for (const clientNum of this.sentPlayers) {
+      if (players.has(clientNum)) continue;
+      msg.writeByte(clientNum);
+      msg.writeShort(PPS_REMOVE);
+    }
+    for (const player of this.players) {
+      const stats = player.stats || [];
+      msg.writeByte(player.clientNum);
+      msg.writeShort(PPS_M_ORIGIN | PPS_M_ORIGIN2 | PPS_VIEWANGLES | PPS_STATS);
+      const origin = { x: 0, y: 0, z: 0, ...player.origin };
+      msg.writeCoord(origin.x);
+      msg.writeCoord(origin.y);
+      msg.writeCoord(origin.z);
+      const angles = { pitch: 0, yaw: 0, ...player.viewangles };
+      msg.writeAngle16(angles.pitch);
+      msg.writeAngle16(angles.yaw);
+      let statbits = 0;
+      stats.forEach((value, i) => {
+        if (value) statbits |= 1 << i;
+      });
+      msg.writeLong(statbits);
+      stats.forEach((value) => {
+        if (value) msg.writeShort(value);
+      });
+    }
+    msg.writeByte(CLIENTNUM_NONE);
+    this.sentPlayers = players;
+
+    const entities = new Map(
+      [...this.entities]
+        .sort((a, b) => a.number - b.number)
+        .map((entity) => [entity.number, toEntityState(entity)])
+    );
+    const numbers = new Set([...entities.keys(), ...this.sentEntities.keys()]);
+    for (const number of [...numbers].sort((a, b) => a - b)) {
+      const state = entities.get(number);
+      const previous = this.sentEntities.get(number);
+      if (!state) {
+        msg.writeRemoveEntity(number);
+      } else if (previous) {
+        msg.writeDeltaEntity(previous, state, false, false);
+      } else {
+        msg.writeDeltaEntity({ ...NULL_ENTITY, number }, state, true, false);
+      }
+    }
+    msg.writeShort(0);
+    this.sentEntities = entities;
+  }
+
+  // ==========================================================================
+  // ENVÍO
+  // ==========================================================================
+
+  broadcast(data) {
+    for (const socket of this.streams) {
+      this.sendMessage(socket, GTS.STREAM_DATA, data);
+    }
+  }
+
+  /**
+   * Manda un mensaje con su largo adelante. Un payload de texto va como
+   * string terminado en cero
+   */
+  sendMessage(socket, op, payload = null) {
+    const data =
+      typeof payload === "string"
+        ? Buffer.from(`${payload}\0`, "latin1")
+        : payload || Buffer.alloc(0);
+    const header = Buffer.alloc(3);
+    header.writeUInt16LE(1 + data.length, 0);
+    header.writeUInt8(op, 2);
+    this.write(socket, Buffer.concat([header, data]));
+  }
+
+  write(socket, data) {
+    if (!this.chunkSize) {
+      socket.write(data);
+      return;
+    }
+    for (let i = 0; i < data.length; i += this.chunkSize) {
+      socket.write(data.subarray(i, i + this.chunkSize));
+    }
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Espera un evento que cumpla `predicate`, con timeout
+ */
+export function waitForEvent(
+  emitter,
+  event,
+  predicate = () => true,
+  timeout = 5000
+) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.off(event, listener);
+      reject(new Error(`Timeout esperando '${event}'`));
+    }, timeout);
+
+    const listener = (data) => {
+      if (!predicate(data)) return;
+      clearTimeout(timer);
+      emitter.off(event, listener);
+      resolve(data);
+    };
+    emitter.on(event, listener);
+  });
+}
+
+export default FakeQ2Server;
@@ -0,0 +1,185 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenizeLayout, parseLayout } from "../src/libs/q2layout.js";
+import {
+  ConfigStrings,
+  CS_LAYOUT_VANILLA,
+  CS_LAYOUT_EXTENDED,
+} from "../src/libs/q2configstrings.js";
+
+// Los layouts de ejemplo salen de DeathmatchScoreboardMessage (p_hud.c) y
+// CTFScoreboardMessage (g_ctf.c)
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+test("tokenizeLayout() separa por espacios y respeta las comillas", () => {
+  const cases = [
+    ["xv 32 yv 8", ["xv", "32", "yv", "8"]],
+    // Cualquier caracter de control cuenta como espacio
+    ["  xv\t32\n\nyv 8  ", ["xv", "32", "yv", "8"]],
+    ['string "Frags Ping"', ["string", "Frags Ping"]],
+    ['string2 "" xv 0', ["string2", "", "xv", "0"]],
+    // Como en COM_Parse, las comillas solo abren un string al principio
+    ['cstring"a b"xv 0', ['cstring"a', 'b"xv', "0"]],
+    ['xv 0 string "sin cerrar', ["xv", "0", "string", "sin cerrar"]],
+    ["", []],
+  ];
+
+  for (const [layout, tokens] of cases) {
+    assert.deepEqual(tokenizeLayout(layout), tokens, layout);
+  }
+});
+
+// ============================================================================
+// SCOREBOARDS
+// ============================================================================
+
+test("las filas client traen score, ping y tiempo", () => {
+  const layout =
+    'xv 32 yv 16 string2 "Frags" ' +
+    "client 32 32 0 25 48 12 " +
+    "client 160 32 3 -2 999 0";
+  const { elements, rows } = parseLayout(layout, {
+    playerNames: { 0: "Player" },
+  });
+
+  assert.deepEqual(rows, [
+    {
+      type: "client",
+      x: 32,
+      y: 32,
+      clientNum: 0,
+      name: "Player",
+      score: 25,
+      ping: 48,
+      time: 12,
+    },
+    {
+      type: "client",
+      x: 160,
+      y: 32,
+      clientNum: 3,
+      name: "Player3", // sin nombre conocido
+      score: -2,
+      ping: 999,
+      time: 0,
+    },
+  ]);
+  assert.equal(elements.length, 3);
+  assert.deepEqual(elements[0], {
+    type: "string",
+    x: 32,
+    y: 16,
+    text: "Frags",
+    centered: false,
+    highlight: true,
+  });
+});
+
+test("las filas ctf toman el equipo de la columna y no traen tiempo", () => {
+  const cases = [
+    // [x, equipo]: el rojo va a la izquierda, el azul desde xv 160
+    [0, "red"],
+    [159, "red"],
+    [160, "blue"],
+    [280, "blue"],
+  ];
+
+  for (const [x, team] of cases) {
+    const { rows } = parseLayout(`ctf ${x} 42 5 10 80`, {
+      playerNames: { 5: "Enemy" },
+    });
+    assert.deepEqual(
+      rows,
+      [
+        {
+          type: "ctf",
+          x,
+          y: 42,
+          clientNum: 5,
+          name: "Enemy",
+          score: 10,
+          ping: 80,
+          time: null,
+          team,
+        },
+      ],
+      `xv ${x}`
+    );
+  }
+});
+
+// ============================================================================
+// CONDICIONALES
+// ============================================================================
+
+test("if saltea hasta endif cuando el stat es cero", () => {
+  // La statusbar de baseq2: la munición solo se dibuja con STAT_AMMO_ICON
+  const layout = "if 2 xv 100 anum endif xv 0 hnum";
+  const cases = [
+    [
+      [0, 0, 7, 25, 0, 0],
+      ["anum", 25],
+      ["hnum", 0],
+    ],
+    [
+      [0, 90, 0, 25, 0, 0],
+      ["hnum", 90],
+    ],
+    [[], ["hnum", 0]],
+  ];
+
+  for (const [stats, ...expected] of cases) {
+    const { elements } = parseLayout(layout, { stats });
+    assert.deepEqual(
+      elements.map((e) => [e.type, e.value]),
+      expected,
+      `stats ${stats}`
+    );
+  }
+
+  // Un if sin endif saltea hasta el final
+  assert.deepEqual(parseLayout("if 9 xv 0 hnum", { stats: [] }).elements, []);
+});
+
+// ============================================================================
+// CONFIGSTRINGS
+// ============================================================================
+
+test("pic y stat_string resuelven el stat a través de los configstrings", () => {
+  const cases = [
+    [CS_LAYOUT_VANILLA, 544 + 3],
+    [CS_LAYOUT_EXTENDED, 10302 + 3],
+  ];
+
+  for (const [csLayout, imageIndex] of cases) {
+    const configStrings = new ConfigStrings(csLayout);
+    configStrings.set(imageIndex, "i_health");
+    configStrings.set(csLayout.GENERAL + 1, "Chasing Enemy");
+
+    // El stat 0 apunta a la imagen 3 y el 16 a un configstring general
+    const stats = [];
+    stats[0] = 3;
+    stats[16] = csLayout.GENERAL + 1;
+    const { elements } = parseLayout(
+      "yb -24 xv 0 pic 0 xv 0 yb -58 stat_string 16 pic 4 stat_string 5",
+      { stats, configStrings }
+    );
+
+    assert.deepEqual(
+      elements,
+      [
+        { type: "pic", x: 0, y: 216, name: "i_health" },
+        { type: "string", x: 0, y: 182, text: "Chasing Enemy" },
+        // Un stat en cero no dibuja la imagen y deja el texto vacío
+        { type: "string", x: 0, y: 182, text: "" },
+      ],
+      `imágenes en ${imageIndex - 3}`
+    );
+  }
+
+  // Sin configstrings no hay imágenes que resolver
+  assert.deepEqual(parseLayout("pic 0", { stats: [1] }).elements, []);
+});
@@ -0,0 +1,231 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Q2MonitorManager } from "../src/libs/q2monitor.js";
+import { FakeQ2Server, waitForEvent } from "./q2fakeserver.js";
+
+/**
+ * Levanta `count` servidores falsos con hostnames distintos y los cierra
+ * al terminar el test
+ */
+async function startServers(t, count) {
+  const servers = [];
+  for (let i = 0; i < count; i++) {
+    const server = new FakeQ2Server({ hostname: `Server ${i}` });
+    server.port = await server.start();
+    t.after(() => server.close());
+    servers.push(server);
+  }
+  return servers;
+}
+
+/**
+ * Manager con polling rápido, cerrado al terminar el test
+ */
+function createManager(t, options = {}) {
+  const manager = new Q2MonitorManager({
+    staggerInterval: 0,
+    clientOptions: { monitorInterval: 50 },
+    ...options,
+  });
+  t.after(() => manager.close());
+  return manager;
+}
+
+// El primer status de un servidor, ya etiquetado por el manager
+const firstStatus = (manager, key) =>
+  waitForEvent(
+    manager,
+    "server_info",
+    (event) => event.server === key && event.data.event === "status"
+  );
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ============================================================================
+// ALTAS Y BAJAS
+// ============================================================================
+
+test("los servidores agregados en marcha reciben solo sus respuestas", async (t) => {
+  const [first, second] = await startServers(t, 2);
+  const manager = createManager(t);
+  const firstKey = `127.0.0.1:${first.port}`;
+  const secondKey = `127.0.0.1:${second.port}`;
+
+  const added = [];
+  manager.on("server_added", (event) => added.push(event));
+
+  let status = firstStatus(manager, firstKey);
+  await manager.add("127.0.0.1", first.port);
+  assert.equal((await status).data.hostname, "Server 0");
+
+  // El segundo entra con el primero ya haciendo polling, por el mismo socket
+  status = firstStatus(manager, secondKey);
+  await manager.add("127.0.0.1", second.port);
+  assert.equal((await status).data.hostname, "Server 1");
+
+  assert.equal(manager.pool.sockets.length, 1);
+  assert.deepEqual(
+    [...manager.pool.routes.keys()].sort(),
+    [firstKey, secondKey].sort()
+  );
+  assert.deepEqual(added, [
+    { server: firstKey, host: "127.0.0.1", port: first.port, mode: "monitor" },
+    {
+      server: secondKey,
+      host: "127.0.0.1",
+      port: second.port,
+      mode: "monitor",
+    },
+  ]);
+  assert.deepEqual(
+    manager.list().map(({ server }) => server),
+    [firstKey, secondKey]
+  );
+});
+
+test("remove() desconecta el servidor y deja de rutear sus paquetes", async (t) => {
+  const [server] = await startServers(t, 1);
+  const manager = createManager(t);
+  const key = `127.0.0.1:${server.port}`;
+
+  const status = firstStatus(manager, key);
+  const client = await manager.add("127.0.0.1", server.port);
+  await status;
+
+  const removed = waitForEvent(manager, "server_removed");
+  assert.equal(manager.remove("127.0.0.1", server.port), true);
+  assert.deepEqual(await removed, { server: key });
+
+  assert.equal(manager.get(key), null);
+  assert.deepEqual(manager.list(), []);
+  assert.equal(manager.pool.routes.has(key), false);
+  assert.equal(client.socket, null);
+  assert.equal(manager.remove(key), false);
+
+  // Ni el polling ni un paquete suelto del servidor llegan al manager
+  const events = [];
+  manager.on("event", (event) => events.push(event));
+  const socket = await manager.pool.sockets[0];
+  server.sendOob("print\nhola\n", {
+    address: "127.0.0.1",
+    port: socket.address().port,
+  });
+  await sleep(150);
+  assert.deepEqual(events, []);
+});
+
+test("un servidor quitado antes de su turno no llega a consultarse", async (t) => {
+  const [first, second] = await startServers(t, 2);
+  const manager = createManager(t, { staggerInterval: 100 });
+
+  let queried = false;
+  second.on("status", () => (queried = true));
+
+  const status = firstStatus(manager, `127.0.0.1:${first.port}`);
+  await manager.add("127.0.0.1", first.port);
+  await manager.add("127.0.0.1", second.port);
+  manager.remove("127.0.0.1", second.port);
+
+  await status;
+  await sleep(200);
+  assert.equal(queried, false);
+});
+
+test("agregar un servidor repetido retorna el mismo cliente", async (t) => {
+  const [server] = await startServers(t, 1);
+  const manager = createManager(t);
+
+  let added = 0;
+  manager.on("server_added", () => added++);
+
+  // También si el segundo add() llega mientras el primero resuelve el host
+  const [client, again] = await Promise.all([
+    manager.add("127.0.0.1", server.port),
+    manager.add("127.0.0.1", server.port),
+  ]);
+  assert.equal(again, client);
+  assert.equal(await manager.add("127.0.0.1", server.port, "active"), client);
+
+  assert.equal(added, 1);
+  assert.equal(manager.list().length, 1);
+  assert.equal(manager.list()[0].mode, "monitor");
+
+  await assert.rejects(
+    manager.add("127.0.0.1", server.port + 1, "raro"),
+    /Modo desconocido/
+  );
+});
+
+// ============================================================================
+// POOL Y POLLING
+// ============================================================================
+
+test("el pool reparte los servidores entre sus sockets", async (t) => {
+  const servers = await startServers(t, 3);
+  const manager = createManager(t, { poolSize: 2 });
+
+  const statuses = servers.map((server) =>
+    firstStatus(manager, `127.0.0.1:${server.port}`)
+  );
+  const clients = [];
+  for (const server of servers) {
+    clients.push(await manager.add("127.0.0.1", server.port));
+  }
+  const hostnames = (await Promise.all(statuses)).map((s) => s.data.hostname);
+
+  // Round robin: el tercero vuelve al primer socket
+  assert.equal(manager.pool.sockets.length, 2);
+  assert.notEqual(clients[0].socket, clients[1].socket);
+  assert.equal(clients[2].socket, clients[0].socket);
+  assert.deepEqual(hostnames, ["Server 0", "Server 1", "Server 2"]);
+});
+
+test("los clientes arrancan escalonados", async (t) => {
+  const servers = await startServers(t, 3);
+  const manager = createManager(t, {
+    staggerInterval: 150,
+    clientOptions: {},
+  });
+
+  const queried = servers.map((server) =>
+    waitForEvent(server, "status").then(() => Date.now())
+  );
+  for (const server of servers) {
+    await manager.add("127.0.0.1", server.port);
+  }
+  const [first, second, third] = await Promise.all(queried);
+
+  // Los timers no se adelantan; el margen es para la latencia del socket
+  assert.ok(second - first >= 100, `${second - first}ms`);
+  assert.ok(third - second >= 100, `${third - second}ms`);
+});
+
+// ============================================================================
+// EVENTOS
+// ============================================================================
+
+test("los eventos de los clientes salen etiquetados con su servidor", async (t) => {
+  const [server] = await startServers(t, 1);
+  const manager = createManager(t);
+  const key = `127.0.0.1:${server.port}`;
+
+  const all = waitForEvent(manager, "event", (e) => e.type === "server_info");
+  const typed = firstStatus(manager, key);
+  await manager.add("127.0.0.1", server.port);
+
+  const [event, status] = await Promise.all([all, typed]);
+  assert.equal(event.server, key);
+  assert.equal(status.server, key);
+  assert.equal(status.type, "server_info");
+  assert.equal(status.data.map, "q2dm1");
+
+  // Los jugadores que aparecen en el polling también llevan el servidor
+  server.players = [{ name: "Nuevo", frags: 3, ping: 40 }];
+  const join = await waitForEvent(
+    manager,
+    "server_info",
+    (e) => e.data.event === "player_join"
+  );
+  assert.equal(join.server, key);
+  assert.equal(join.data.name, "Nuevo");
+});
@@ -0,0 +1,275 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GtvConnection } from "../src/libs/q2mvd.js";
+import { Q2Client } from "../src/libs/q2client.js";
+import {
+  GTV_PROTOCOL_VERSION,
+  MVD_MAGIC,
+  GTS,
+  MVD,
+} from "../src/libs/q2protocol.js";
+import { FakeGtvServer, waitForEvent } from "./q2fakeserver.js";
+
+/**
+ * Levanta un relay GTV falso y lo cierra al terminar el test
+ */
+async function startServer(t, options = {}) {
+  const server = new FakeGtvServer(options);
+  const port = await server.start();
+  t.after(() => server.close());
+  return { server, port };
+}
+
+/**
+ * GtvConnection contra el relay falso, cerrada al terminar el test
+ */
+function connectGtv(t, port, options = {}) {
+  const gtv = new GtvConnection({ port, ...options });
+  // Sin listener, un 'error' tiraría el proceso
+  gtv.on("error", () => {});
+  t.after(() => gtv.close());
+  gtv.connect();
+  return gtv;
+}
+
+// Un mensaje de GTV con su largo adelante
+function frame(op, payload = Buffer.alloc(0)) {
+  const header = Buffer.alloc(3);
+  header.writeUInt16LE(1 + payload.length, 0);
+  header.writeUInt8(op, 2);
+  return Buffer.concat([header, payload]);
+}
+
+// ============================================================================
+// TRANSPORTE GTV
+// ============================================================================
+
+test("el handshake manda el magic, el hello y pide el stream", async (t) => {
+  const { server, port } = await startServer(t);
+
+  const magic = waitForEvent(server, "magic");
+  const hello = waitForEvent(server, "hello");
+  const streamStart = waitForEvent(server, "stream_start");
+  const gtv = connectGtv(t, port, {
+    username: "tester",
+    password: "secret",
+    version: "q2mon 1.0",
+    maxbuf: 12,
+  });
+  const accepted = waitForEvent(gtv, "hello");
+  const started = waitForEvent(gtv, "stream_start");
+  const data = waitForEvent(gtv, "data");
+
+  assert.equal(await magic, "MVD2");
+  assert.deepEqual(await hello, {
+    protocol: GTV_PROTOCOL_VERSION,
+    flags: 0,
+    username: "tester",
+    password: "secret",
+    version: "q2mon 1.0",
+  });
+  assert.deepEqual(await accepted, { flags: 0 });
+  // El stream se pide recién cuando el servidor acepta el hello
+  assert.deepEqual(await streamStart, { maxbuf: 12 });
+  await started;
+  assert.equal((await data)[0], MVD.SERVERDATA);
+
+  const pong = waitForEvent(gtv, "pong");
+  gtv.sendPing();
+  await waitForEvent(server, "ping");
+  await pong;
+});
+
+test("los mensajes se rearman aunque lleguen cortados", () => {
+  const gtv = new GtvConnection();
+  const events = [];
+  gtv.on("hello", (hello) => events.push(["hello", hello]));
+  gtv.on("data", (data) => events.push(["data", data.toString()]));
+  gtv.on("stream_stop", () => events.push(["stream_stop"]));
+
+  const flags = Buffer.alloc(8);
+  flags.writeInt32LE(2, 0);
+  const stream = Buffer.concat([
+    MVD_MAGIC,
+    frame(GTS.HELLO, flags),
+    frame(GTS.STREAM_DATA, Buffer.from("uno")),
+    frame(GTS.STREAM_DATA), // keepalive
+    frame(GTS.STREAM_DATA, Buffer.from("x".repeat(300))),
+    frame(GTS.STREAM_STOP),
+  ]);
+
+  // De a un byte: ni el magic ni el largo llegan enteros
+  for (let i = 0; i < stream.length; i++) {
+    gtv.handleData(stream.subarray(i, i + 1));
+  }
+
+  assert.deepEqual(events, [
+    ["hello", { flags: 2 }],
+    ["data", "uno"],
+    ["data", "x".repeat(300)],
+    ["stream_stop"],
+  ]);
+  assert.equal(gtv.buffer.length, 0);
+});
+
+test("un servidor que no habla GTV se rechaza por el magic", () => {
+  const gtv = new GtvConnection();
+  const errors = [];
+  gtv.on("error", (err) => errors.push(err.message));
+
+  gtv.handleData(Buffer.from("HT"));
+  assert.deepEqual(errors, []);
+  gtv.handleData(Buffer.from("TP/1.1 400 Bad Request\r\n"));
+  assert.deepEqual(errors, ["El servidor no habla GTV (magic)"]);
+});
+
+test("una password incorrecta recibe GTS_NOACCESS y cierra", async (t) => {
+  const { port } = await startServer(t, { password: "secret" });
+  const gtv = connectGtv(t, port, { password: "otra" });
+
+  let accepted = false;
+  gtv.on("hello", () => (accepted = true));
+  const error = waitForEvent(gtv, "error");
+  const closed = waitForEvent(gtv, "close");
+
+  assert.equal((await error).message, "Acceso denegado: Bad password");
+  await closed;
+  assert.equal(accepted, false);
+  assert.equal(gtv.socket, null);
+});
+
+test("un GTS_ERROR a mitad del stream corta la conexión", async (t) => {
+  const { server, port } = await startServer(t);
+  const gtv = connectGtv(t, port);
+  await waitForEvent(gtv, "stream_start");
+
+  const error = waitForEvent(gtv, "error");
+  const closed = waitForEvent(gtv, "close");
+  server.error("Server disconnected");
+
+  assert.equal(
+    (await error).message,
+    "Error del servidor: Server disconnected"
+  );
+  await closed;
+});
+
+// ============================================================================
+// STREAM MVD EN EL CLIENTE
+// ============================================================================
+
+/**
+ * Relay GTV con un jugador y una entidad, y un cliente MVD conectado a él
+ */
+async function mvdSetup(t) {
+  const { server, port } = await startServer(t, {
+    // Mensajes cortados en pedazos chicos también a través del socket
+    chunkSize: 5,
+    players: [
+      {
+        clientNum: 1,
+        name: "Enemy",
+        origin: { x: 64, y: -32, z: 24 },
+        viewangles: { pitch: -45, yaw: 90 },
+        stats: [0, 100],
+      },
+    ],
+    entities: [{ number: 10, modelindex: 1, origin: { x: 64, y: 32, z: 0 } }],
+  });
+
+  const client = new Q2Client({
+    mvdMode: true,
+    serverPort: port,
+    playerName: "tester",
+  });
+  const connection = [];
+  client.on("connection", ({ data }) => connection.push(data));
+
+  t.after(() => {
+    client.disconnect();
+    client.removeAllListeners();
+  });
+
+  return { server, client, connection };
+}
+
+const onClient = (client, type, predicate = () => true) =>
+  waitForEvent(client, type, (event) => predicate(event.data)).then(
+    (event) => event.data
+  );
+
+test("un cliente MVD hace el handshake y parsea el serverdata", async (t) => {
+  const { server, client, connection } = await mvdSetup(t);
+
+  const hello = waitForEvent(server, "hello");
+  const player = onClient(client, "player_update", ({ id }) => id === 1);
+  const entity = onClient(client, "entity_update", ({ id }) => id === 10);
+  client.connect();
+
+  assert.equal((await hello).version, "tester 1.0");
+  const { name, model, position, angles, stats } = await player;
+  assert.equal(name, "Enemy");
+  assert.equal(model, "male");
+  assert.deepEqual(position, { x: 64, y: -32, z: 24 });
+  assert.equal(angles.pitch, -45);
+  assert.equal(angles.yaw, 90);
+  assert.equal(stats[1], 100);
+
+  const { modelName, position: origin, removed } = await entity;
+  assert.equal(modelName, "maps/q2dm1.bsp");
+  assert.deepEqual(origin, { x: 64, y: 32, z: 0 });
+  assert.equal(removed, false);
+
+  assert.deepEqual(
+    connection.map(({ status, mvd }) => [status, mvd]),
+    [
+      ["connecting", true],
+      ["connected", true],
+      ["spawned", true],
+    ]
+  );
+  assert.equal(client.configStrings.getMapName(), "q2dm1");
+});
+
+test("los frames MVD mueven, agregan y borran jugadores y entidades", async (t) => {
+  const { server, client } = await mvdSetup(t);
+
+  client.connect();
+  await onClient(client, "entity_update", ({ id }) => id === 10);
+
+  // El delta de la entidad y el player state completo del jugador
+  server.players[0].origin = { x: 128, y: -32, z: 24 };
+  server.entities = [
+    { number: 10, modelindex: 1, origin: { x: 96, y: 32, z: 0 } },
+    { number: 11, modelindex: 1, origin: { x: 0, y: 0, z: 8 } },
+  ];
+  const moved = onClient(
+    client,
+    "player_update",
+    ({ id, position }) => id === 1 && position.x === 128
+  );
+  const shifted = onClient(
+    client,
+    "entity_update",
+    ({ id, position }) => id === 10 && position.x === 96
+  );
+  const added = onClient(client, "entity_update", ({ id }) => id === 11);
+  server.sendFrame();
+  await Promise.all([moved, shifted, added]);
+
+  // Lo que no está en el frame se borra
+  server.players = [];
+  server.entities = [server.entities[1]];
+  const left = onClient(client, "player_update", ({ id }) => id === 1);
+  const removed = onClient(client, "entity_update", ({ id }) => id === 10);
+  server.sendFrame();
+  assert.equal((await left).removed, true);
+  assert.equal((await removed).removed, true);
+  assert.equal(client.mvdPlayers[1], null);
+
+  const message = onClient(client, "console_message", ({ text }) =>
+    text.includes("fragged")
+  );
+  server.print("Enemy was fragged\n");
+  assert.equal((await message).raw, "Enemy was fragged\n");
+});
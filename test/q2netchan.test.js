@@ -0,0 +1,187 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Netchan } from "../src/libs/q2netchan.js";
+import {
+  PROTOCOL,
+  NETCHAN_NEW,
+  REL_BIT,
+  FRG_BIT,
+  NEW_MASK,
+  MAX_MSGLEN,
+  qportSize,
+} from "../src/libs/q2protocol.js";
+
+test("qportSize sigue las reglas de Netchan_Transmit", () => {
+  assert.equal(qportSize(PROTOCOL.VERSION_OLD, 1234), 2);
+  assert.equal(qportSize(PROTOCOL.VERSION_DEFAULT, 0), 2);
+  assert.equal(qportSize(PROTOCOL.VERSION_R1Q2, 12), 1);
+  assert.equal(qportSize(PROTOCOL.VERSION_Q2PRO, 0), 0);
+  assert.equal(qportSize(PROTOCOL.VERSION_DEFAULT, 12, true), 0);
+});
+
+test("el netchan viejo manda el qport en 16 bits", () => {
+  for (const protocol of [PROTOCOL.VERSION_OLD, PROTOCOL.VERSION_DEFAULT]) {
+    const netchan = new Netchan({ protocol, qport: 0x1234 });
+    const packet = netchan.transmit(Buffer.from([1]));
+
+    assert.equal(packet.length, 8 + 2 + 1);
+    assert.equal(packet.readUInt32LE(0), 1);
+    assert.equal(packet.readUInt16LE(8), 0x1234);
+  }
+});
+
+test("r1q2 y q2pro mandan el qport en un byte, o nada si es 0", () => {
+  const withQport = new Netchan({
+    protocol: PROTOCOL.VERSION_Q2PRO,
+    type: NETCHAN_NEW,
+    qport: 77,
+  });
+  const packet = withQport.transmit();
+  assert.equal(packet.length, 9);
+  assert.equal(packet[8], 77);
+
+  const noQport = new Netchan({ protocol: PROTOCOL.VERSION_R1Q2, qport: 0 });
+  assert.equal(noQport.transmit().length, 8);
+});
+
+test("el lado servidor no manda qport", () => {
+  const netchan = new Netchan({
+    protocol: PROTOCOL.VERSION_DEFAULT,
+    qport: 0x1234,
+    server: true,
+  });
+  netchan.queueReliable(Buffer.from("hola"));
+  const packet = netchan.transmit();
+
+  assert.equal(packet.length, 8 + 4);
+  assert.ok(packet.readUInt32LE(0) & REL_BIT);
+  assert.equal(packet.subarray(8).toString(), "hola");
+});
+
+test("un reliable más grande que el netchan no se encola", () => {
+  const netchan = new Netchan({ protocol: PROTOCOL.VERSION_DEFAULT });
+  assert.equal(netchan.queueReliable(Buffer.alloc(2000)), false);
+  assert.equal(netchan.reliableQueue.length, 0);
+
+  // El transmit sigue funcionando, sin reliable
+  const packet = netchan.transmit(Buffer.from([1]));
+  assert.equal(packet.readUInt32LE(0) & REL_BIT, 0);
+});
+
+test("con el netchan viejo el reliable y el header entran en MAX_MSGLEN", () => {
+  const options = { maxPacketLen: MAX_MSGLEN, qport: 0x1234 };
+  const vanilla = new Netchan({
+    ...options,
+    protocol: PROTOCOL.VERSION_DEFAULT,
+  });
+  const r1q2 = new Netchan({ ...options, protocol: PROTOCOL.VERSION_R1Q2 });
+
+  // 8 bytes de header más el qport de 16 u 8 bits
+  assert.equal(vanilla.maxReliableLen, MAX_MSGLEN - 10);
+  assert.equal(r1q2.maxReliableLen, MAX_MSGLEN - 9);
+  assert.equal(vanilla.queueReliable(Buffer.alloc(MAX_MSGLEN - 9)), false);
+  assert.equal(vanilla.queueReliable(Buffer.alloc(MAX_MSGLEN - 10)), true);
+
+  // El unreliable que no entra junto al reliable se descarta
+  const packet = vanilla.transmit(Buffer.from([1]));
+  assert.equal(packet.length, MAX_MSGLEN);
+  assert.ok(packet.readUInt32LE(0) & REL_BIT);
+});
+
+/**
+ * Encabezado de un paquete del cliente q2pro con qport de un byte
+ */
+function parseClientPacket(packet) {
+  const sequence = packet.readUInt32LE(0);
+  const ack = packet.readUInt32LE(4);
+  const fragmented = (sequence & FRG_BIT) !== 0;
+  let offset = 8 + 1;
+  let fragmentOffset = 0;
+  let moreFragments = false;
+  if (fragmented) {
+    const header = packet.readUInt16LE(offset);
+    fragmentOffset = header & 0x7fff;
+    moreFragments = (header & 0x8000) !== 0;
+    offset += 2;
+  }
+  return {
+    sequence: sequence & NEW_MASK,
+    ack: ack & NEW_MASK,
+    reliable: (sequence & REL_BIT) !== 0,
+    reliableAck: (ack & REL_BIT) !== 0,
+    fragmented,
+    fragmentOffset,
+    moreFragments,
+    data: packet.subarray(offset),
+  };
+}
+
+test("el netchan nuevo fragmenta un reliable grande y se rearma", () => {
+  const options = { protocol: PROTOCOL.VERSION_Q2PRO, type: NETCHAN_NEW };
+  const client = new Netchan({ ...options, qport: 77 });
+  const server = new Netchan({ ...options, qport: 77, server: true });
+
+  const message = Buffer.alloc(3000);
+  for (let i = 0; i < message.length; i++) message[i] = i & 0xff;
+  assert.equal(client.queueReliable(message), true);
+
+  const packets = [client.transmit()];
+  while (client.fragmentPending) packets.push(client.transmitNextFragment());
+  assert.equal(packets.length, 3);
+
+  // Todos los fragmentos comparten la secuencia y llevan el bit de reliable
+  const parsed = packets.map(parseClientPacket);
+  assert.ok(parsed.every((p) => p.fragmented && p.reliable));
+  assert.ok(parsed.every((p) => p.sequence === parsed[0].sequence));
+  assert.deepEqual(
+    parsed.map((p) => p.moreFragments),
+    [true, true, false]
+  );
+
+  const results = parsed.map((p) => server.process(p));
+  assert.deepEqual(results.slice(0, 2), [null, null]);
+  assert.deepEqual(results[2], message);
+  assert.equal(server.incomingReliableSequence, 1);
+
+  // El próximo paquete sale con la secuencia siguiente, sin fragmentar
+  const next = parseClientPacket(client.transmit(Buffer.from([1])));
+  assert.equal(next.fragmented, false);
+  assert.equal(next.sequence, parsed[0].sequence + 1);
+});
+
+test("un fragmento fuera de orden descarta el mensaje", () => {
+  const options = { protocol: PROTOCOL.VERSION_Q2PRO, type: NETCHAN_NEW };
+  const client = new Netchan({ ...options, qport: 77 });
+  const server = new Netchan({ ...options, qport: 77, server: true });
+
+  client.queueReliable(Buffer.alloc(3000, 1));
+  const packets = [client.transmit()];
+  while (client.fragmentPending) packets.push(client.transmitNextFragment());
+
+  const [first, second, third] = packets.map(parseClientPacket);
+  assert.equal(server.process(first), null);
+  assert.equal(server.process(third), null);
+  assert.equal(server.process(second), null);
+});
+
+test("un fragmento de un mensaje ya rearmado se descarta", () => {
+  const options = { protocol: PROTOCOL.VERSION_Q2PRO, type: NETCHAN_NEW };
+  const client = new Netchan({ ...options, qport: 77 });
+  const server = new Netchan({ ...options, qport: 77, server: true });
+  const fragments = (data) => {
+    const packets = [client.transmit(data)];
+    while (client.fragmentPending) packets.push(client.transmitNextFragment());
+    return packets.map(parseClientPacket);
+  };
+
+  client.queueReliable(Buffer.alloc(3000, 1));
+  const old = fragments();
+  old.forEach((p) => server.process(p));
+
+  // Un duplicado del mensaje viejo llega en medio del siguiente
+  const [first, second, third] = fragments(Buffer.alloc(3000, 2));
+  assert.equal(server.process(first), null);
+  assert.equal(server.process(old[0]), null);
+  assert.equal(server.process(second), null);
+  assert.deepEqual(server.process(third), Buffer.alloc(3000, 2));
+});
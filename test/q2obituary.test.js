@@ -0,0 +1,187 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObituaryParser } from "../src/libs/q2obituary.js";
+
+const frag = (result) =>
+  result && {
+    victim: result.victim,
+    killer: result.killer,
+    weapon: result.weapon,
+    mod: result.mod,
+    suicide: result.suicide,
+  };
+
+// ============================================================================
+// BASEQ2
+// ============================================================================
+
+test("baseq2: muertes con atacante", () => {
+  const parser = new ObituaryParser();
+
+  assert.deepEqual(frag(parser.parse("Player was railed by Enemy")), {
+    victim: "Player",
+    killer: "Enemy",
+    weapon: "railgun",
+    mod: "MOD_RAILGUN",
+    suicide: false,
+  });
+  assert.deepEqual(frag(parser.parse("Player almost dodged Enemy's rocket")), {
+    victim: "Player",
+    killer: "Enemy",
+    weapon: "rocketlauncher",
+    mod: "MOD_R_SPLASH",
+    suicide: false,
+  });
+  assert.equal(parser.parse("Player entered the game"), null);
+});
+
+test("baseq2: suicidios y muertes sin atacante", () => {
+  const parser = new ObituaryParser();
+
+  assert.deepEqual(frag(parser.parse("Player blew herself up.")), {
+    victim: "Player",
+    killer: "Player",
+    weapon: "rocketlauncher",
+    mod: "MOD_R_SPLASH",
+    suicide: true,
+  });
+  assert.deepEqual(frag(parser.parse("Player tripped on its own grenade.")), {
+    victim: "Player",
+    killer: "Player",
+    weapon: "grenadelauncher",
+    mod: "MOD_G_SPLASH",
+    suicide: true,
+  });
+  assert.deepEqual(frag(parser.parse("Player cratered.")), {
+    victim: "Player",
+    killer: null,
+    weapon: null,
+    mod: "MOD_FALLING",
+    suicide: false,
+  });
+});
+
+test("con los nombres de los jugadores separa nombres con espacios", () => {
+  const parser = new ObituaryParser();
+  // "Mr" es prefijo de "Mr Foo": gana el nombre más largo
+  const names = ["Big Joe", "Mr Foo", "Mr"];
+
+  assert.deepEqual(frag(parser.parse("Big Joe ate Mr Foo's rocket", names)), {
+    victim: "Big Joe",
+    killer: "Mr Foo",
+    weapon: "rocketlauncher",
+    mod: "MOD_ROCKET",
+    suicide: false,
+  });
+
+  // Un nombre que no está en la lista cae a la separación genérica
+  const result = parser.parse("Nuevo was railed by Big Joe", names);
+  assert.equal(result.victim, "Nuevo");
+  assert.equal(result.killer, "Big Joe");
+});
+
+// ============================================================================
+// MODS
+// ============================================================================
+
+test("ctf agrega el grapple a las reglas de baseq2", () => {
+  const line = "Player was caught by Enemy's grapple";
+
+  assert.equal(new ObituaryParser().parse(line), null);
+
+  const parser = new ObituaryParser({ gameDir: "ctf" });
+  assert.equal(parser.packName, "ctf");
+  assert.deepEqual(frag(parser.parse(line)), {
+    victim: "Player",
+    killer: "Enemy",
+    weapon: "grapple",
+    mod: "MOD_GRAPPLE",
+    suicide: false,
+  });
+  assert.equal(parser.parse("Player was railed by Enemy").pack, "ctf");
+});
+
+test("opentdm usa los obituarios de baseq2", () => {
+  const parser = new ObituaryParser({ gameDir: "opentdm" });
+
+  assert.equal(parser.packName, "opentdm");
+  assert.equal(
+    parser.parse("Player was machinegunned by Enemy").weapon,
+    "machinegun"
+  );
+});
+
+test("aqtion reconoce el arma en cualquier variante por zona", () => {
+  const parser = new ObituaryParser({ gameDir: "action" });
+  assert.equal(parser.packName, "aqtion");
+
+  const cases = [
+    ["Player has a hole in his head from Enemy's Mark 23 pistol", "mk23"],
+    [
+      "Player loses a vital chest organ thanks to Enemy's Mark 23 pistol",
+      "mk23",
+    ],
+    [
+      "Player's brains are on the wall thanks to Enemy's 10mm MP5/10 round",
+      "mp5",
+    ],
+    [
+      "Player feels some heart burn thanks to Enemy's MP5/10 submachinegun",
+      "mp5",
+    ],
+    [
+      "Player caught a sniper bullet between the eyes from Enemy's Sniper Rifle",
+      "sniper",
+    ],
+    [
+      "Player is full of buckshot from Enemy's M3 Super 90 Assault Shotgun",
+      "m3",
+    ],
+    [
+      "Player was blown apart by Enemy's sawed-off 12 gauge shotgun",
+      "handcannon",
+    ],
+    ["Player caught Enemy's flying knife", "knife"],
+    ["Player was shot by Enemy's akimbo Mark 23 pistols", "dual"],
+  ];
+  for (const [line, weapon] of cases) {
+    const result = parser.parse(line);
+    assert.ok(result, line);
+    assert.equal(result.weapon, weapon, line);
+    assert.equal(result.victim, "Player", line);
+    assert.equal(result.killer, "Enemy", line);
+  }
+
+  assert.equal(parser.parse("Player plummets to her death").mod, "MOD_FALLING");
+  // Hereda baseq2
+  assert.equal(
+    parser.parse("Player was in the wrong place.").mod,
+    "MOD_TRIGGER_HURT"
+  );
+});
+
+test("un gameDir desconocido usa baseq2 y se pueden agregar packs", () => {
+  const parser = new ObituaryParser({ gameDir: "rocketarena" });
+  assert.equal(parser.packName, "baseq2");
+
+  parser.addPack({
+    name: "rocketarena",
+    extends: "baseq2",
+    rules: [
+      {
+        pattern: "{victim} was fragged in the arena by {killer}",
+        mod: "MOD_ARENA",
+        weapon: "arena",
+      },
+    ],
+  });
+  parser.setGameDir("rocketarena");
+  assert.equal(parser.packName, "rocketarena");
+  assert.equal(
+    parser.parse("Player was fragged in the arena by Enemy").mod,
+    "MOD_ARENA"
+  );
+  assert.equal(parser.parse("Player was railed by Enemy").mod, "MOD_RAILGUN");
+
+  assert.throws(() => parser.addPack({ name: "roto" }), /inválido/);
+});
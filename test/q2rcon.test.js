@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRconPacket,
+  parsePrintPacket,
+  sendRcon,
+} from "../src/libs/q2rcon.js";
+import { FakeQ2Server } from "./q2fakeserver.js";
+
+/**
+ * Levanta un servidor falso con rcon y lo cierra al terminar el test
+ */
+async function rconServer(t, rcon) {
+  const server = new FakeQ2Server({ rconPassword: "secret", rcon });
+  const port = await server.start();
+  t.after(() => server.close());
+  return port;
+}
+
+// Tiempos cortos para no demorar los tests
+const options = { timeout: 500, quietTime: 100 };
+
+// ============================================================================
+// PAQUETES
+// ============================================================================
+
+test("createRconPacket() pone la password entre comillas", () => {
+  const packet = createRconPacket("secret", "status");
+
+  assert.deepEqual(
+    packet.subarray(0, 4),
+    Buffer.from([0xff, 0xff, 0xff, 0xff])
+  );
+  assert.equal(packet.subarray(4).toString(), 'rcon "secret" status\n');
+});
+
+test("createRconPacket() rechaza una password con comillas", () => {
+  assert.throws(() => createRconPacket('se"cret', "status"), /comillas/);
+});
+
+test("parsePrintPacket() solo acepta paquetes OOB print", () => {
+  const print = Buffer.concat([
+    Buffer.from([0xff, 0xff, 0xff, 0xff]),
+    Buffer.from("print\nmap: q2dm1\n"),
+  ]);
+
+  assert.equal(parsePrintPacket(print), "map: q2dm1\n");
+  assert.equal(parsePrintPacket(Buffer.from("print\nhola\n")), null);
+  assert.equal(
+    parsePrintPacket(
+      Buffer.concat([Buffer.from([0xff, 0xff, 0xff, 0xff]), Buffer.from("ack")])
+    ),
+    null
+  );
+});
+
+// ============================================================================
+// SOCKET PROPIO
+// ============================================================================
+
+test("sendRcon() junta los paquetes de la salida hasta que se callan", async (t) => {
+  const port = await rconServer(t, (command) => [
+    `${command}: parte 1\n`,
+    "parte 2\n",
+    "parte 3\n",
+  ]);
+
+  const output = await sendRcon("127.0.0.1", port, "secret", "status", options);
+  assert.equal(output, "status: parte 1\nparte 2\nparte 3\n");
+});
+
+test("sendRcon() rechaza una password incorrecta", async (t) => {
+  const port = await rconServer(t);
+
+  await assert.rejects(
+    sendRcon("127.0.0.1", port, "wrong", "status", options),
+    /Password de rcon incorrecta/
+  );
+});
+
+test("sendRcon() rechaza si el servidor no responde", async (t) => {
+  const port = await rconServer(t, () => null);
+
+  await assert.rejects(
+    sendRcon("127.0.0.1", port, "secret", "status", options),
+    /Timeout/
+  );
+});
+
+test("sendRcon() rechaza una password con comillas", async (t) => {
+  const port = await rconServer(t);
+
+  await assert.rejects(
+    sendRcon("127.0.0.1", port, 'se"cret', "status", options),
+    /comillas/
+  );
+});
@@ -0,0 +1,220 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import dgram from "dgram";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getServerStatus,
+  getServerInfo,
+  getServerCapabilities,
+  queryServers,
+  probeServer,
+} from "../src/libs/q2status.js";
+import { queryMaster, ServerListProvider } from "../src/libs/q2master.js";
+import { PROTOCOL } from "../src/libs/q2protocol.js";
+import { FakeQ2Server } from "./q2fakeserver.js";
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+async function startServer(t, options = {}) {
+  const server = new FakeQ2Server({
+    hostname: "Fake Server",
+    map: "q2dm1",
+    players: [
+      { name: "Alpha", frags: 12, ping: 30 },
+      { name: "Beta Gamma", frags: -1, ping: 999 },
+    ],
+    ...options,
+  });
+  const port = await server.start();
+  t.after(() => server.close());
+  return { server, port };
+}
+
+/**
+ * Puerto UDP libre en loopback donde nadie responde
+ */
+async function deadPort() {
+  const socket = dgram.createSocket("udp4");
+  await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+  const { port } = socket.address();
+  socket.close();
+  return port;
+}
+
+/**
+ * Master falso: responde `query` con la lista en paquetes de `perPacket`
+ */
+async function startMaster(t, servers, perPacket = 2) {
+  const socket = dgram.createSocket("udp4");
+  socket.on("message", (msg, rinfo) => {
+    if (!msg.subarray(4).toString("latin1").startsWith("query")) return;
+
+    for (let i = 0; i < servers.length; i += perPacket) {
+      const entries = servers.slice(i, i + perPacket).map(({ host, port }) => {
+        const entry = Buffer.alloc(6);
+        host.split(".").forEach((octet, j) => (entry[j] = parseInt(octet)));
+        entry.writeUInt16BE(port, 4);
+        return entry;
+      });
+      socket.send(
+        Buffer.concat([
+          Buffer.from("\xff\xff\xff\xffservers ", "latin1"),
+          ...entries,
+        ]),
+        rinfo.port,
+        rinfo.address
+      );
+    }
+  });
+  await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+  t.after(() => socket.close());
+  return socket.address().port;
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+test("getServerStatus trae la configuración y los jugadores", async (t) => {
+  const { port } = await startServer(t);
+
+  const status = await getServerStatus("127.0.0.1", port);
+  assert.equal(status.config.hostname, "Fake Server");
+  assert.equal(status.config.mapname, "q2dm1");
+  assert.deepEqual(status.players, [
+    { frags: 12, ping: 30, name: "Alpha" },
+    { frags: -1, ping: 999, name: "Beta Gamma" },
+  ]);
+  assert.equal(typeof status.net.rtt, "number");
+});
+
+test("getServerStatus falla por timeout sin servidor", async () => {
+  const port = await deadPort();
+  await assert.rejects(getServerStatus("127.0.0.1", port), /Timeout/);
+});
+
+test("queryServers consulta varios servidores con un socket", async (t) => {
+  const a = await startServer(t, { hostname: "Server A" });
+  const b = await startServer(t, { hostname: "Server B" });
+  const dead = await deadPort();
+
+  const results = new Map();
+  for await (const result of queryServers(
+    [
+      { host: "127.0.0.1", port: a.port },
+      { host: "127.0.0.1", port: b.port },
+      { host: "127.0.0.1", port: a.port },
+      { host: "127.0.0.1", port: dead },
+    ],
+    { timeout: 200, retries: 1 }
+  )) {
+    results.set(result.port, result);
+  }
+
+  assert.equal(results.size, 3);
+  assert.equal(results.get(a.port).status.config.hostname, "Server A");
+  assert.equal(results.get(b.port).status.config.hostname, "Server B");
+  assert.equal(results.get(dead).status, null);
+  assert.ok(results.get(dead).error);
+});
+
+test("probeServer mide rtt y pérdida", async (t) => {
+  const { port } = await startServer(t);
+
+  const { net } = await probeServer("127.0.0.1", port, {
+    probes: 3,
+    probeInterval: 10,
+  });
+  assert.equal(net.probes.sent, 3);
+  assert.equal(net.probes.received, 3);
+  assert.equal(net.probes.loss, 0);
+  assert.ok(net.probes.min <= net.probes.max);
+});
+
+// ============================================================================
+// INFO Y CAPACIDADES
+// ============================================================================
+
+test("getServerInfo lee el formato de SV_Info", async (t) => {
+  const { port } = await startServer(t, { maxClients: 16 });
+
+  const info = await getServerInfo("127.0.0.1", port);
+  assert.equal(info.hostname, "Fake Server");
+  assert.equal(info.map, "q2dm1");
+  assert.equal(info.players, 2);
+  assert.equal(info.maxPlayers, 16);
+
+  const wrong = await getServerInfo("127.0.0.1", port, 99);
+  assert.equal(wrong.wrongVersion, true);
+  assert.equal(wrong.hostname, "Fake Server");
+});
+
+test("getServerCapabilities detecta los protocolos del challenge", async (t) => {
+  const vanilla = await startServer(t);
+  const q2pro = await startServer(t, { protocol: PROTOCOL.VERSION_Q2PRO });
+
+  const caps = await getServerCapabilities("127.0.0.1", q2pro.port);
+  assert.deepEqual(caps.protocols, [34, 35, 36]);
+  assert.equal(caps.protocol, PROTOCOL.VERSION_Q2PRO);
+
+  const plain = await getServerCapabilities("127.0.0.1", vanilla.port);
+  assert.deepEqual(plain.protocols, [34]);
+  assert.equal(plain.protocol, PROTOCOL.VERSION_DEFAULT);
+});
+
+test("queryServers agrega las capacidades a cada status", async (t) => {
+  const { port } = await startServer(t, { protocol: PROTOCOL.VERSION_AQTION });
+
+  for await (const { status } of queryServers([{ host: "127.0.0.1", port }], {
+    capabilities: true,
+  })) {
+    assert.equal(status.capabilities.protocol, PROTOCOL.VERSION_AQTION);
+  }
+});
+
+// ============================================================================
+// MASTER
+// ============================================================================
+
+test("queryMaster junta la lista repartida en varios paquetes", async (t) => {
+  const servers = [
+    { host: "10.0.0.1", port: 27910 },
+    { host: "10.0.0.2", port: 27911 },
+    { host: "10.0.0.3", port: 27912 },
+  ];
+  const port = await startMaster(t, servers);
+
+  const list = await queryMaster("127.0.0.1", port, { quietTime: 100 });
+  assert.deepEqual(list, servers);
+});
+
+test("ServerListProvider cae a la cache si no responde nadie", async (t) => {
+  const servers = [{ host: "10.0.0.1", port: 27910 }];
+  const masterPort = await startMaster(t, servers);
+  const cachePath = path.join(os.tmpdir(), `q2mon-test-${process.pid}.json`);
+  t.after(() => fs.rmSync(cachePath, { force: true }));
+
+  const live = new ServerListProvider({
+    sources: [`master://127.0.0.1:${masterPort}`],
+    cachePath,
+  });
+  assert.deepEqual(await live.getServers(), {
+    servers,
+    source: "live",
+    errors: [],
+  });
+
+  const offline = new ServerListProvider({
+    sources: [`master://127.0.0.1:${await deadPort()}`],
+    cachePath,
+    timeout: 200,
+  });
+  const result = await offline.getServers();
+  assert.equal(result.source, "cache");
+  assert.deepEqual(result.servers, servers);
+  assert.equal(result.errors.length, 1);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  decodeQuakeString,
+  toPlainText,
+  toAnsi,
+  toHtml,
+} from "../src/libs/q2text.js";
+
+// Texto con el bit alto prendido (la mitad verde del font)
+const highBit = (text) =>
+  Buffer.from([...text].map((char) => char.charCodeAt(0) | 0x80));
+
+// ============================================================================
+// DECODIFICACIÓN
+// ============================================================================
+
+test("el bit alto marca la mitad alternativa del font", () => {
+  const name = Buffer.concat([highBit("Pro"), Buffer.from("Gamer")]);
+
+  assert.deepEqual(decodeQuakeString(name), {
+    text: "ProGamer",
+    segments: [
+      { text: "Pro", alt: true, color: null },
+      { text: "Gamer", alt: false, color: null },
+    ],
+  });
+  // Un string latin1 se decodifica igual que los bytes
+  assert.deepEqual(
+    decodeQuakeString(name.toString("latin1")),
+    decodeQuakeString(name)
+  );
+});
+
+test("los caracteres de control usan los glifos de conchars", () => {
+  const { text, segments } = decodeQuakeString(
+    Buffer.from([0x10, 0x41, 0x11, 0x1d, 0x1e, 0x1f, 0x12, 0x1b, 0x7f, 0x01])
+  );
+
+  assert.equal(text, "[A]<=>09<_");
+  assert.equal(segments[0].text, "[A]╞═╡09←▪");
+  // Con el bit alto son los mismos glifos en verde
+  assert.equal(toPlainText(Buffer.from([0x9d, 0x9e, 0x9f])), "<=>");
+});
+
+test("los códigos ^N cambian el color y no quedan en el texto", () => {
+  const { text, segments } = decodeQuakeString("^1Red^7White^^9x");
+
+  assert.equal(text, "RedWhite^x");
+  assert.deepEqual(segments, [
+    { text: "Red", alt: false, color: "red" },
+    { text: "White^", alt: false, color: "white" },
+    // ^9 da la vuelta a ^1 como en q2pro (& 7)
+    { text: "x", alt: false, color: "red" },
+  ]);
+});
+
+test("los caracteres fuera de latin1 pasan tal cual", () => {
+  assert.equal(toPlainText("日本"), "日本");
+  // Latin1 es el charset de Quake: 0xf1 es una "q" con el bit alto
+  assert.equal(toPlainText("ñ"), "q");
+});
+
+// ============================================================================
+// RENDER
+// ============================================================================
+
+test("toAnsi() pinta el bit alto en verde y los ^N con su color", () => {
+  const name = Buffer.concat([highBit("Pro"), Buffer.from("Gamer")]);
+  assert.equal(toAnsi(name), "\x1b[32mPro\x1b[39mGamer");
+
+  assert.equal(
+    toAnsi("^1Red^0Black"),
+    "\x1b[31mRed\x1b[39m\x1b[90mBlack\x1b[39m"
+  );
+  assert.equal(toAnsi("plano"), "plano");
+});
+
+test("toHtml() escapa el texto y lo envuelve en spans de color", () => {
+  const name = Buffer.concat([highBit("<b>"), Buffer.from('&"x"')]);
+  assert.equal(
+    toHtml(name),
+    '<span style="color: #86c06c">&lt;b&gt;</span>&amp;&quot;x&quot;'
+  );
+
+  assert.equal(toHtml("^4Blue"), '<span style="color: #60a5fa">Blue</span>');
+});
+
+test("los render aceptan un texto ya decodificado", () => {
+  const decoded = decodeQuakeString("^2Verde");
+
+  assert.equal(toAnsi(decoded), toAnsi("^2Verde"));
+  assert.equal(toHtml(decoded), toHtml("^2Verde"));
+});
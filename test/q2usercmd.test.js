@@ -0,0 +1,176 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  angleToShort,
+  createUsercmd,
+  createMovePacket,
+} from "../src/libs/q2usercmd.js";
+import { blockSequenceCRCByte } from "../src/libs/q2crc.js";
+import { PROTOCOL, CLC } from "../src/libs/q2protocol.js";
+
+// Los bytes esperados salen a mano de MSG_WriteDeltaUsercmd (vanilla) y
+// MSG_WriteDeltaUsercmd_Enhanced (q2pro), no del código que se prueba
+
+// ============================================================================
+// USERCMDS
+// ============================================================================
+
+test("createUsercmd() convierte los ángulos y limita el msec", () => {
+  assert.equal(angleToShort(90), 0x4000);
+  assert.equal(angleToShort(-0.5), 0xffa5);
+
+  const cmd = createUsercmd({
+    msec: 400,
+    angles: { yaw: 90 },
+    forward: 400,
+  });
+  assert.equal(cmd.msec, 250);
+  assert.deepEqual(cmd.angles, [0, 0x4000, 0]);
+  assert.equal(cmd.forwardmove, 400);
+});
+
+// ============================================================================
+// CLC_MOVE VANILLA
+// ============================================================================
+
+const walk = createUsercmd({
+  msec: 16,
+  angles: { yaw: 90 },
+  forward: 400,
+  impulse: 5,
+});
+
+test("clc_move de protocolo 35: tres usercmds con delta y sin checksum", () => {
+  const packet = createMovePacket({
+    protocol: PROTOCOL.VERSION_R1Q2,
+    lastFrame: 100,
+    cmds: [walk],
+  });
+
+  assert.deepEqual(
+    [...packet],
+    [
+      CLC.MOVE,
+      ...[0x64, 0x00, 0x00, 0x00], // lastFrame
+      ...[0x00, 0x00, 0x00], // null -> null: bits, msec, lightlevel
+      ...[0x00, 0x00, 0x00],
+      0x8a, // CM_ANGLE2 | CM_FORWARD | CM_IMPULSE
+      ...[0x00, 0x40], // yaw
+      ...[0x90, 0x01], // forwardmove
+      0x05, // impulse
+      0x10, // msec
+      0x00, // lightlevel
+    ]
+  );
+});
+
+test("clc_move manda solo los últimos tres usercmds", () => {
+  const stand = createUsercmd({ msec: 16 });
+  const packet = createMovePacket({
+    protocol: PROTOCOL.VERSION_R1Q2,
+    lastFrame: -1,
+    cmds: [walk, stand, stand, stand],
+  });
+
+  assert.deepEqual(
+    [...packet],
+    [
+      CLC.MOVE,
+      ...[0xff, 0xff, 0xff, 0xff],
+      // El msec no entra en los bits: los tres van sin cambios
+      ...[0x00, 0x10, 0x00],
+      ...[0x00, 0x10, 0x00],
+      ...[0x00, 0x10, 0x00],
+    ]
+  );
+});
+
+for (const protocol of [PROTOCOL.VERSION_OLD, PROTOCOL.VERSION_DEFAULT]) {
+  test(`clc_move de protocolo ${protocol} lleva el checksum de la secuencia`, () => {
+    const unchecked = createMovePacket({
+      protocol: PROTOCOL.VERSION_R1Q2,
+      lastFrame: 100,
+      cmds: [walk],
+    });
+    const packet = createMovePacket({
+      protocol,
+      lastFrame: 100,
+      cmds: [walk],
+      sequence: 1234,
+    });
+
+    // El checksum va después del opcode y cubre el resto del move
+    assert.equal(packet.length, unchecked.length + 1);
+    assert.equal(packet[0], CLC.MOVE);
+    assert.deepEqual(packet.subarray(2), unchecked.subarray(1));
+    assert.equal(packet[1], blockSequenceCRCByte(packet.subarray(2), 1234));
+
+    const other = createMovePacket({
+      protocol,
+      lastFrame: 100,
+      cmds: [walk],
+      sequence: 1235,
+    });
+    assert.notEqual(other[1], packet[1]);
+  });
+}
+
+// ============================================================================
+// CLC_MOVE_BATCHED DE Q2PRO
+// ============================================================================
+
+for (const protocol of [PROTOCOL.VERSION_Q2PRO, PROTOCOL.VERSION_AQTION]) {
+  test(`clc_move_batched de protocolo ${protocol} empaqueta los usercmds en bits`, () => {
+    const walk = createUsercmd({
+      msec: 16,
+      angles: { yaw: 90 },
+      forward: 400,
+    });
+    const aim = createUsercmd({
+      msec: 16,
+      angles: { pitch: 0.5, yaw: 90 },
+      forward: 400,
+      buttons: 1,
+      lightlevel: 7,
+    });
+    const packet = createMovePacket({
+      protocol,
+      lastFrame: 100,
+      cmds: [walk, aim],
+    });
+
+    // numCmds = 2 (5 bits), después cada usercmd:
+    // walk: 1, bits 0x8a, yaw entero (0 + 16 bits), forward (10), msec (8)
+    // aim: 1, bits 0x41, pitch como delta (1 + 8 bits), botones (3)
+    assert.deepEqual(
+      [...packet],
+      [
+        CLC.MOVE_BATCHED, // sin duplicados
+        ...[0x64, 0x00, 0x00, 0x00], // lastFrame
+        0x07, // lightlevel del último usercmd
+        ...[0xa2, 0x22, 0x00, 0x20, 0xc8, 0x20, 0x06, 0xdd, 0x0a],
+      ]
+    );
+  });
+}
+
+test("clc_move_nodelta de q2pro: deltas negativos, BUTTON_ANY y cmds iguales", () => {
+  const fire = createUsercmd({
+    msec: 8,
+    angles: { pitch: -0.5 },
+    buttons: 129, // BUTTON_ATTACK | BUTTON_ANY
+  });
+  const packet = createMovePacket({
+    protocol: PROTOCOL.VERSION_Q2PRO,
+    lastFrame: -1,
+    cmds: [fire, fire],
+  });
+
+  // numCmds = 2; fire: 1, bits 0xc1, pitch -91 como delta de 8 bits,
+  // botones 0b101 (BUTTON_ANY pasa al tercer bit), msec 8; el repetido
+  // es un solo bit en 0
+  assert.deepEqual(
+    [...packet],
+    [CLC.MOVE_NODELTA, 0x00, ...[0x62, 0xf0, 0xd2, 0x22, 0x00]]
+  );
+});